@@ -1,7 +1,8 @@
 const { app, BrowserWindow, ipcMain } = require('electron');
 const path = require('path');
 const Store = require('electron-store');
-const printer = require('node-printer');
+const { spawnSync } = require('child_process');
+const Printer = require('node-printer');
 
 const store = new Store();
 let mainWindow;
@@ -52,18 +53,37 @@ ipcMain.on('close-window', () => {
   if (mainWindow) mainWindow.close();
 });
 
+// Printers and jobs go through CUPS: node-printer sends documents with `lp`,
+// job progress is read with `lpstat`
+const runLpstat = (args) => {
+  const result = spawnSync('lpstat', args, { encoding: 'utf8' });
+  if (result.error) {
+    throw result.error;
+  }
+  return result.stdout.split('\n').filter(Boolean);
+};
+
+// Printer instances watch their queue, so each is created once
+const printers = new Map();
+const getPrinter = (name) => {
+  if (!printers.has(name)) {
+    printers.set(name, new Printer(name));
+  }
+  return printers.get(name);
+};
+
 // Get system printers
 ipcMain.handle('get-printers', async () => {
   try {
-    const printers = printer.getPrinters();
-    return printers.map(p => ({
-      id: p.name,
-      name: p.name,
-      status: p.status || 'online',
+    const defaultName = runLpstat(['-d'])[0]?.split(': ')[1];
+    return Printer.list().map(name => ({
+      id: name,
+      name,
+      status: 'online',
       supportedSizes: ['A4', 'Letter', 'Legal', 'A3'], // Default sizes
-      isDefault: p.isDefault || false,
+      isDefault: name === defaultName,
       lastActive: new Date(),
-      description: p.description || p.name
+      description: name
     }));
   } catch (error) {
     console.error('Error getting printers:', error);
@@ -71,11 +91,60 @@ ipcMain.handle('get-printers', async () => {
   }
 });
 
-// Print document
-ipcMain.handle('print-document', async (event, { printerId, document, options }) => {
+// Order settings -> lp job options. Booklet sheets hold two pages side by
+// side, so they flip on the short edge.
+const SIDES_OPTIONS = {
+  single: 'one-sided',
+  double: 'two-sided-long-edge',
+  booklet: 'two-sided-short-edge'
+};
+
+const COLOR_OPTIONS = {
+  BW: 'monochrome',
+  Color: 'color'
+};
+
+const getJobOptions = ({ copies = 1, paperSize = 'A4', duplex, booklet, colorMode, jobName } = {}) => {
+  const options = {
+    copies: Math.max(1, Math.floor(copies) || 1),
+    media: paperSize,
+    name: jobName || 'PrintFlow job',
+    priority: 50
+  };
+
+  if (booklet) {
+    options.sides = SIDES_OPTIONS.booklet;
+  } else if (duplex !== undefined) {
+    options.sides = duplex ? SIDES_OPTIONS.double : SIDES_OPTIONS.single;
+  }
+  if (COLOR_OPTIONS[colorMode]) {
+    // Older CUPS drivers only read their own color option
+    options.o = `print-color-mode=${COLOR_OPTIONS[colorMode]} ColorModel=${colorMode === 'Color' ? 'RGB' : 'Gray'}`;
+  }
+
+  return options;
+};
+
+// { printerId, document: PDF bytes (Uint8Array), options: { copies, paperSize,
+// duplex, booklet, colorMode, jobName } } -> { success, jobId }. CUPS renders
+// the PDF for the printer.
+ipcMain.handle('print-document', async (event, { printerId, document, options = {} }) => {
   try {
-    const printerInstance = new printer(printerId);
-    const jobId = await printerInstance.printBuffer(document, options);
+    if (!document || document.length === 0) {
+      throw new Error('No document to print');
+    }
+
+    const pdf = Buffer.from(document);
+    if (pdf.subarray(0, 5).toString() !== '%PDF-') {
+      throw new Error('Document is not a PDF');
+    }
+
+    const job = getPrinter(printerId).printBuffer(pdf, getJobOptions(options));
+    const jobId = await new Promise((resolve, reject) => {
+      job.once('sent', resolve);
+      job.once('error', (error) => reject(new Error(error ? String(error) : 'lp failed')));
+    });
+    console.log(`Printed on ${printerId} with job ID: ${jobId}`);
     return { success: true, jobId };
   } catch (error) {
     console.error('Error printing document:', error);
@@ -83,6 +152,27 @@ ipcMain.handle('print-document', async (event, { printerId, document, options })
   }
 });
 
+const isListed = (lines, printerId, jobId) => lines.some(line => line.split(/\s+/)[0] === `${printerId}-${jobId}`);
+
+// Progress of a job sent with print-document: { jobId, state, done }, with
+// IPP state names. lpstat doesn't say how a finished job ended, so every
+// finished job is 'completed'. Throws when CUPS doesn't know the job.
+ipcMain.handle('get-print-job', async (event, { printerId, jobId }) => {
+  try {
+    if (isListed(runLpstat(['-W', 'not-completed', '-o', printerId]), printerId, jobId)) {
+      const active = getPrinter(printerId).findJob(jobId)?.status?.rank === 'active';
+      return { jobId, state: active ? 'processing' : 'pending', done: false };
+    }
+    if (isListed(runLpstat(['-W', 'completed', '-o', printerId]), printerId, jobId)) {
+      return { jobId, state: 'completed', done: true };
+    }
+    throw new Error(`Print job ${jobId} not found on ${printerId}`);
+  } catch (error) {
+    console.error('Error getting print job:', error);
+    throw error;
+  }
+});
+
 // Settings
 ipcMain.handle('get-settings', () => {
   return store.get('settings');
@@ -3,6 +3,40 @@ const { contextBridge, ipcRenderer } = require('electron');
 contextBridge.exposeInMainWorld('electron', {
   getPrinters: () => ipcRenderer.invoke('get-printers'),
   printDocument: (data) => ipcRenderer.invoke('print-document', data),
+  getPrintJob: (printerId, jobId) => ipcRenderer.invoke('get-print-job', { printerId, jobId }),
+  // Poll a job until the spooler is done with it. Calls onUpdate with each
+  // status; returns a function that stops polling. Some spoolers drop
+  // finished jobs from their list, so after maxFailures failed checks in a
+  // row polling stops with a final { state: 'unknown', done: true } status.
+  watchPrintJob: (printerId, jobId, onUpdate, intervalMs = 2000, maxFailures = 3) => {
+    let stopped = false;
+    let failures = 0;
+
+    const poll = async () => {
+      if (stopped) return;
+      try {
+        const job = await ipcRenderer.invoke('get-print-job', { printerId, jobId });
+        if (stopped) return;
+        failures = 0;
+        onUpdate(job, null);
+        if (job.done) return;
+      } catch (error) {
+        if (stopped) return;
+        failures += 1;
+        if (failures >= maxFailures) {
+          onUpdate({ jobId, state: 'unknown', done: true }, error);
+          return;
+        }
+        onUpdate(null, error);
+      }
+      setTimeout(poll, intervalMs);
+    };
+
+    poll();
+    return () => {
+      stopped = true;
+    };
+  },
   getSettings: () => ipcRenderer.invoke('get-settings'),
   saveSettings: (settings) => ipcRenderer.invoke('save-settings', settings),
   window: {
@@ -1,13 +0,0 @@
-const { contextBridge, ipcRenderer } = require('electron');
-
-contextBridge.exposeInMainWorld('electron', {
-  getPrinters: () => ipcRenderer.invoke('get-printers'),
-  printDocument: (data) => ipcRenderer.invoke('print-document', data),
-  getSettings: () => ipcRenderer.invoke('get-settings'),
-  saveSettings: (settings) => ipcRenderer.invoke('save-settings', settings),
-  window: {
-    minimize: () => ipcRenderer.send('minimize-window'),
-    maximize: () => ipcRenderer.send('maximize-window'),
-    close: () => ipcRenderer.send('close-window')
-  }
-});
\ No newline at end of file
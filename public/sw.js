@@ -0,0 +1,85 @@
+// Offline support: caches the app shell and the static assets it loads
+// (scripts, styles, the pdf.js worker) so the order page works without a
+// connection once it has been opened online. API and Supabase calls are
+// never cached.
+//
+// Each build registers this worker as /sw.js?build=<id> (see
+// src/utils/serviceWorker.js), so a deploy installs a new worker with its
+// own cache. Installing precaches every file in the build's
+// asset-manifest.json - including lazily loaded chunks like the PDF editor -
+// and activating deletes the caches of older builds.
+
+const BUILD_ID = new URL(self.location.href).searchParams.get('build') || 'dev'
+const CACHE_PREFIX = 'printflow-shell-'
+const CACHE_NAME = `${CACHE_PREFIX}${BUILD_ID}`
+const SHELL_URLS = ['./', './index.html']
+const MANIFEST_URL = './asset-manifest.json'
+
+// Every JS, CSS and asset file the build emitted, from Vite's manifest
+const getBuildAssets = async () => {
+  const response = await fetch(MANIFEST_URL, { cache: 'no-cache' })
+  if (!response.ok) {
+    throw new Error(`Could not load ${MANIFEST_URL}: ${response.status}`)
+  }
+
+  const manifest = await response.json()
+  const files = Object.values(manifest).flatMap(chunk => [chunk.file, ...(chunk.css || []), ...(chunk.assets || [])])
+  return [...new Set(files)].map(file => `./${file}`)
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    Promise.all([caches.open(CACHE_NAME), BUILD_ID === 'dev' ? [] : getBuildAssets()])
+      .then(([cache, assets]) => cache.addAll([...SHELL_URLS, ...assets]))
+      .then(() => self.skipWaiting())
+  )
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => keys.filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME))
+      .then(stale => Promise.all(stale.map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  )
+})
+
+const isStaticAsset = (url) => /\.(?:js|mjs|css|svg|png|jpe?g|webp|woff2?|ttf|wasm|bcmap)$/.test(url.pathname)
+
+// Navigations: network first so deploys show up, cached shell when offline
+const handleNavigation = async (request) => {
+  const cache = await caches.open(CACHE_NAME)
+  try {
+    const response = await fetch(request)
+    if (response.ok) cache.put('./index.html', response.clone())
+    return response
+  } catch {
+    return (await cache.match('./index.html')) || Response.error()
+  }
+}
+
+// Static assets: file names carry a content hash, so cache first
+const handleAsset = async (request) => {
+  const cache = await caches.open(CACHE_NAME)
+  const cached = await cache.match(request)
+  if (cached) return cached
+
+  const response = await fetch(request)
+  if (response.ok) cache.put(request, response.clone())
+  return response
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  const url = new URL(request.url)
+
+  if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+    return
+  }
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request))
+  } else if (isStaticAsset(url)) {
+    event.respondWith(handleAsset(request))
+  }
+})
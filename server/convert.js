@@ -0,0 +1,136 @@
+import express, { Router } from 'express';
+import { execFile } from 'child_process';
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { pathToFileURL } from 'url';
+import { PDFDocument } from 'pdf-lib';
+
+// Word -> PDF conversion using headless LibreOffice.
+// Set SOFFICE_PATH if `soffice` is not on the PATH.
+const SOFFICE_PATH = process.env.SOFFICE_PATH || 'soffice';
+const CONVERSION_TIMEOUT_MS = 120000;
+const MAX_UPLOAD_SIZE = '25mb';
+// Each LibreOffice process takes a few hundred MB, so two run at once unless
+// MAX_CONVERSIONS says otherwise; more wait in a queue, and requests beyond
+// the queue are turned away
+const MAX_CONCURRENT_CONVERSIONS = Math.max(Number(process.env.MAX_CONVERSIONS) || 2, 1);
+const MAX_QUEUED_CONVERSIONS = 10;
+const BUSY_RETRY_AFTER_SECONDS = 30;
+
+const WORD_EXTENSIONS = ['doc', 'docx'];
+
+class ConversionBusyError extends Error {
+  constructor() {
+    super('Too many documents are being converted, please try again shortly');
+  }
+}
+
+let runningConversions = 0;
+const conversionQueue = [];
+
+// Wait for a conversion slot; rejects right away when the queue is full
+function acquireConversionSlot() {
+  if (runningConversions < MAX_CONCURRENT_CONVERSIONS) {
+    runningConversions += 1;
+    return Promise.resolve();
+  }
+  if (conversionQueue.length >= MAX_QUEUED_CONVERSIONS) {
+    return Promise.reject(new ConversionBusyError());
+  }
+  return new Promise(resolve => conversionQueue.push(resolve));
+}
+
+// Hand the slot to the next queued conversion, or free it
+function releaseConversionSlot() {
+  const next = conversionQueue.shift();
+  if (next) {
+    next();
+  } else {
+    runningConversions -= 1;
+  }
+}
+
+function runSoffice(inputPath, outDir, profileDir) {
+  return new Promise((resolve, reject) => {
+    execFile(
+      SOFFICE_PATH,
+      [
+        // A private profile per conversion lets several conversions run at once
+        `-env:UserInstallation=${pathToFileURL(profileDir).href}`,
+        '--headless',
+        '--convert-to', 'pdf',
+        '--outdir', outDir,
+        inputPath
+      ],
+      { timeout: CONVERSION_TIMEOUT_MS },
+      (error, stdout, stderr) => {
+        if (error) {
+          reject(new Error(stderr?.toString().trim() || error.message));
+        } else {
+          resolve();
+        }
+      }
+    );
+  });
+}
+
+export async function convertWordToPdf(bytes, extension) {
+  await acquireConversionSlot();
+
+  try {
+    return await convertInWorkDir(bytes, extension);
+  } finally {
+    releaseConversionSlot();
+  }
+}
+
+async function convertInWorkDir(bytes, extension) {
+  const workDir = await mkdtemp(join(tmpdir(), 'printflow-convert-'));
+
+  try {
+    const inputPath = join(workDir, `document.${extension}`);
+    await writeFile(inputPath, bytes);
+    await runSoffice(inputPath, workDir, join(workDir, 'profile'));
+
+    const pdfBytes = await readFile(join(workDir, 'document.pdf'));
+    const pdfDoc = await PDFDocument.load(pdfBytes);
+
+    return { pdfBytes, pageCount: pdfDoc.getPageCount() };
+  } finally {
+    await rm(workDir, { recursive: true, force: true });
+  }
+}
+
+export const convertRouter = Router();
+
+convertRouter.post('/word', express.raw({ type: '*/*', limit: MAX_UPLOAD_SIZE }), async (req, res) => {
+  try {
+    const extension = String(req.query.ext || '').toLowerCase();
+
+    if (!WORD_EXTENSIONS.includes(extension)) {
+      return res.status(400).json({ error: 'Unsupported file type', message: 'Only .doc and .docx files can be converted' });
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'No file provided' });
+    }
+
+    const { pdfBytes, pageCount } = await convertWordToPdf(req.body, extension);
+    console.log(`Converted .${extension} document to PDF (${pageCount} pages)`);
+
+    res.set('Content-Type', 'application/pdf');
+    res.set('X-Page-Count', String(pageCount));
+    res.set('Access-Control-Expose-Headers', 'X-Page-Count');
+    res.send(pdfBytes);
+  } catch (error) {
+    if (error instanceof ConversionBusyError) {
+      res.set('Retry-After', String(BUSY_RETRY_AFTER_SECONDS));
+      return res.status(503).json({ error: 'Conversion service busy', message: error.message });
+    }
+    console.error('Error converting document:', error);
+    res.status(500).json({
+      error: 'Failed to convert document',
+      message: 'The document could not be converted to PDF'
+    });
+  }
+});
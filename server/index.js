@@ -2,101 +2,52 @@ import express from 'express';
 import cors from 'cors';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { ordersRouter } from './orders.js';
+import { paymentsRouter, mockPaymentsRouter, configurePayments, isMockPaymentsEnabled } from './payments/index.js';
+import { convertRouter } from './convert.js';
+import { printersRouter, printRouter } from './printers/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-const app = express();
-app.use(cors());
-app.use(express.json());
-
-// Serve static files from the dist directory
-app.use(express.static(join(__dirname, '../dist')));
-
-// Mock printer data
-const mockPrinters = [
-  {
-    id: 'printer1',
-    name: 'Network Printer 1',
-    status: 'online',
-    url: 'ipp://printer1.local:631/ipp/print',
-    supportedSizes: ['A4', 'Letter', 'A3', 'Legal'],
-    isDefault: true,
-    lastActive: new Date(),
-    description: 'IPP-enabled network printer'
-  },
-  {
-    id: 'printer2',
-    name: 'Network Printer 2',
-    status: 'online',
-    url: 'ipp://printer2.local:631/ipp/print',
-    supportedSizes: ['A4', 'Letter'],
-    isDefault: false,
-    lastActive: new Date(),
-    description: 'IPP-enabled network printer'
-  }
-];
-
-// Function to discover network printers using IPP
-async function discoverNetworkPrinters() {
-  return mockPrinters;
+// Payment gateways register themselves when imported (registerPaymentProvider)
+// and must be imported above this line. Without a usable PAYMENT_PROVIDER the
+// payment routes answer 503; orders, conversion and printing keep working.
+const paymentProvider = configurePayments();
+if (paymentProvider) {
+  console.log(`Payments go through the ${paymentProvider.name} provider`);
 }
 
-// API Routes
-app.get('/api/printers', async (req, res) => {
-  try {
-    const printers = await discoverNetworkPrinters();
-    res.json(printers);
-  } catch (error) {
-    console.error('Error getting printers:', error);
-    res.status(500).json({ 
-      error: 'Failed to get printers',
-      message: 'Error discovering network printers'
-    });
-  }
-});
-
-app.get('/api/printers/:id/capabilities', async (req, res) => {
-  try {
-    const printer = mockPrinters.find(p => p.id === req.params.id);
-    
-    if (!printer) {
-      return res.status(404).json({ error: 'Printer not found' });
-    }
+// The web app is served from this server (or proxied to it in development),
+// so cross-origin requests are refused unless their origin is listed
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
 
-    // Return mock capabilities directly from the printer data
-    res.json(printer.supportedSizes);
-  } catch (error) {
-    console.error('Error getting printer capabilities:', error);
-    res.status(500).json({ error: 'Failed to get printer capabilities' });
+const app = express();
+app.use(cors({ origin: CORS_ORIGINS.length > 0 ? CORS_ORIGINS : false }));
+// Keep the raw body around - payment webhooks are signed over the exact bytes sent.
+// Order recipes have an entry per page, so long documents need more than the default 100kb.
+app.use(express.json({
+  limit: '5mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
   }
-});
+}));
 
-app.post('/api/print', async (req, res) => {
-  try {
-    const { printerId, document, options } = req.body;
-    const printer = mockPrinters.find(p => p.id === printerId);
-    
-    if (!printer) {
-      return res.status(404).json({ error: 'Printer not found' });
-    }
-
-    console.log('Print job received:', {
-      printer: printer.name,
-      document,
-      options
-    });
+// Serve static files from the dist directory
+app.use(express.static(join(__dirname, '../dist')));
 
-    res.json({ 
-      success: true,
-      message: 'Print job submitted successfully',
-      jobId: Math.random().toString(36).substr(2, 9)
-    });
-  } catch (error) {
-    console.error('Error submitting print job:', error);
-    res.status(500).json({ error: 'Failed to submit print job' });
-  }
-});
+// API Routes
+app.use('/api/orders', ordersRouter);
+app.use('/api/payments', paymentsRouter);
+if (isMockPaymentsEnabled()) {
+  app.use('/api/payments', mockPaymentsRouter);
+}
+app.use('/api/convert', convertRouter);
+app.use('/api/printers', printersRouter);
+app.use('/api/print', printRouter);
 
 // Serve index.html for all other routes
 app.get('*', (req, res) => {
@@ -105,5 +56,5 @@ app.get('*', (req, res) => {
 
 const PORT = 3001;
 app.listen(PORT, () => {
-  console.log(`Print server running on port ${PORT} (Demo Mode)`);
+  console.log(`Print server running on port ${PORT}`);
 });
\ No newline at end of file
@@ -0,0 +1,646 @@
+import { Router } from 'express';
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import { PDFDocument } from 'pdf-lib';
+import { getSupabaseAdmin, getStoragePathFromUrl, PRINT_FILES_BUCKET } from './supabaseAdmin.js';
+import { computeOrderCost, computeItemizedCost, calculatePrintVolume, getColorPageIndices, roundCurrency } from '../src/utils/pricing.js';
+import { getFinishingAvailability } from '../src/utils/finishing.js';
+import { formatPageRanges } from '../src/utils/pageRanges.js';
+import { validateRecipe } from '../src/utils/pdf/RecipeExporter.js';
+import { RecipeError, migrateRecipe } from '../src/utils/pdf/recipeSchema.js';
+import { NUP_PAGES_PER_SHEET, NUP_ORDERS } from '../src/utils/pdf/nup.js';
+
+// Client and server totals may differ by floating point noise only
+const PRICE_TOLERANCE = 0.01;
+
+const PRINT_TYPES = ['Single', 'Double'];
+const MAX_COPIES = 1000;
+
+const MAX_NUP_SPACING_MM = 30;
+const MAX_SIGNATURE_SIZE = 64;
+
+const FILE_TOKEN_BYTES = 32;
+
+export class OrderError extends Error {
+  constructor(status, error, message, extra = {}) {
+    super(message);
+    this.status = status;
+    this.error = error;
+    this.extra = extra;
+  }
+}
+
+// N-up layout options are stored as-is for the print side, so only known keys get through
+function parseNupOptions(options) {
+  if (options == null) {
+    return null;
+  }
+  if (typeof options !== 'object') {
+    throw new OrderError(400, 'Invalid order', 'nup_options must be an object');
+  }
+
+  const { order = 'horizontal', gutter = 0, margin = 0, border = false, autoRotate = false } = options;
+  const isSpacing = (value) => typeof value === 'number' && value >= 0 && value <= MAX_NUP_SPACING_MM;
+
+  if (!NUP_ORDERS.includes(order) || !isSpacing(gutter) || !isSpacing(margin) ||
+      typeof border !== 'boolean' || typeof autoRotate !== 'boolean') {
+    throw new OrderError(400, 'Invalid order', 'nup_options is invalid');
+  }
+
+  return { order, gutter, margin, border, autoRotate };
+}
+
+// Documents of a multi-file order with their own settings. Together the
+// items must print every selected page exactly once.
+function parseOrderItems(items, selectedPages) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new OrderError(400, 'Invalid order', 'items must be a non-empty list');
+  }
+
+  const selected = new Set(selectedPages);
+  const covered = new Set();
+
+  const parsed = items.map((item, index) => {
+    const spec = item || {};
+    const name = `items[${index}]`;
+
+    for (const field of ['filename', 'paper_size', 'color_mode']) {
+      if (!spec[field] || typeof spec[field] !== 'string') {
+        throw new OrderError(400, 'Invalid order', `${name}.${field} is required`);
+      }
+    }
+
+    const copies = Number(spec.copies);
+    if (!Number.isInteger(copies) || copies < 1 || copies > MAX_COPIES) {
+      throw new OrderError(400, 'Invalid order', `${name}.copies must be between 1 and ${MAX_COPIES}`);
+    }
+
+    const pagesPerSheet = Number(spec.pages_per_sheet || 1);
+    if (!NUP_PAGES_PER_SHEET.includes(pagesPerSheet)) {
+      throw new OrderError(400, 'Invalid order', `${name}.pages_per_sheet must be one of ${NUP_PAGES_PER_SHEET.join(', ')}`);
+    }
+
+    const pages = Array.isArray(spec.pages) ? spec.pages : [];
+    if (pages.length === 0 || !pages.every(page => selected.has(page) && !covered.has(page)) ||
+        new Set(pages).size !== pages.length) {
+      throw new OrderError(400, 'Invalid order', `${name}.pages must be selected pages not used by another item`);
+    }
+    pages.forEach(page => covered.add(page));
+
+    const colorPages = Array.isArray(spec.color_pages) ? spec.color_pages : [];
+    if (colorPages.length > 0 && spec.color_mode !== 'BW') {
+      throw new OrderError(400, 'Invalid order', `${name}.color_pages is only allowed for BW items`);
+    }
+    if (!colorPages.every(page => pages.includes(page)) || new Set(colorPages).size !== colorPages.length) {
+      throw new OrderError(400, 'Invalid order', `${name}.color_pages must be unique pages from its pages`);
+    }
+
+    return {
+      filename: spec.filename,
+      pages,
+      copies,
+      paperSize: spec.paper_size,
+      colorMode: spec.color_mode,
+      pagesPerSheet,
+      colorPages: [...colorPages].sort((a, b) => a - b)
+    };
+  });
+
+  if (covered.size !== selected.size) {
+    throw new OrderError(400, 'Invalid order', 'items must cover every selected page');
+  }
+
+  return parsed;
+}
+
+// The customer's edits to their original PDF, kept with the job so the shop
+// can print it from the original (source_file_url) through the print engine.
+// It has to describe the order: the selected pages in print order and the
+// order's settings.
+function parseRecipe(value, order) {
+  let recipe;
+  try {
+    recipe = migrateRecipe(value);
+  } catch (error) {
+    if (error instanceof RecipeError) {
+      throw new OrderError(400, 'Invalid order', `recipe: ${error.message}`);
+    }
+    throw error;
+  }
+
+  const { valid, errors } = validateRecipe(recipe);
+  if (!valid) {
+    throw new OrderError(400, 'Invalid order', `recipe: ${errors.join('; ')}`);
+  }
+
+  const pageNumbers = recipe.pages.map(page => page.pageNumber);
+  if (pageNumbers.length !== order.selectedPages.length ||
+      pageNumbers.some((page, index) => page !== order.selectedPages[index])) {
+    throw new OrderError(400, 'Invalid order', 'recipe pages must match selected_pages');
+  }
+
+  const { print } = recipe;
+  if (print.paperSize !== order.paperSize ||
+      print.colorMode !== order.colorMode ||
+      print.copies !== order.copies ||
+      print.duplex !== (order.printType === 'Double') ||
+      print.pagesPerSheet !== order.pagesPerSheet) {
+    throw new OrderError(400, 'Invalid order', 'recipe print settings must match the order');
+  }
+
+  const recipeColorPages = order.colorMode === 'BW'
+    ? recipe.pages.filter(page => page.colorMode === 'Color').map(page => page.pageNumber).sort((a, b) => a - b)
+    : [];
+  if (recipeColorPages.join(',') !== order.colorPages.join(',')) {
+    throw new OrderError(400, 'Invalid order', 'recipe color pages must match color_pages');
+  }
+
+  return { ...recipe, destination: { shopId: order.shopId } };
+}
+
+// Validate the order spec sent by the browser and normalize it
+function parseOrderSpec(body) {
+  const spec = body || {};
+
+  for (const field of ['shop_id', 'filename', 'file_url', 'paper_size', 'color_mode', 'customer_name']) {
+    if (!spec[field] || typeof spec[field] !== 'string') {
+      throw new OrderError(400, 'Invalid order', `${field} is required`);
+    }
+  }
+
+  const copies = Number(spec.copies);
+  if (!Number.isInteger(copies) || copies < 1 || copies > MAX_COPIES) {
+    throw new OrderError(400, 'Invalid order', `copies must be between 1 and ${MAX_COPIES}`);
+  }
+
+  if (!PRINT_TYPES.includes(spec.print_type)) {
+    throw new OrderError(400, 'Invalid order', `print_type must be one of ${PRINT_TYPES.join(', ')}`);
+  }
+
+  const pagesPerSheet = Number(spec.pages_per_sheet || 1);
+  if (!NUP_PAGES_PER_SHEET.includes(pagesPerSheet)) {
+    throw new OrderError(400, 'Invalid order', `pages_per_sheet must be one of ${NUP_PAGES_PER_SHEET.join(', ')}`);
+  }
+
+  const selectedPages = Array.isArray(spec.selected_pages) ? spec.selected_pages : [];
+  if (selectedPages.length === 0 ||
+      !selectedPages.every(page => Number.isInteger(page) && page > 0) ||
+      new Set(selectedPages).size !== selectedPages.length) {
+    throw new OrderError(400, 'Invalid order', 'selected_pages must be a list of unique page numbers');
+  }
+
+  // Booklets are uploaded already imposed as 2-up, double-sided spreads
+  const booklet = spec.booklet === true;
+  if (booklet && (spec.print_type !== 'Double' || pagesPerSheet !== 2)) {
+    throw new OrderError(400, 'Invalid order', 'Booklets must be printed double-sided at 2 pages per sheet');
+  }
+
+  const signatureSize = booklet ? Number(spec.signature_size || 0) : 0;
+  if (!Number.isInteger(signatureSize) || signatureSize < 0 || signatureSize % 4 !== 0 || signatureSize > MAX_SIGNATURE_SIZE) {
+    throw new OrderError(400, 'Invalid order', `signature_size must be a multiple of 4 up to ${MAX_SIGNATURE_SIZE}`);
+  }
+
+  const nupOptions = pagesPerSheet > 1 && !booklet ? parseNupOptions(spec.nup_options) : null;
+
+  // Pages printed in color within a B&W order, priced at the shop's color rate
+  const colorPages = Array.isArray(spec.color_pages) ? spec.color_pages : [];
+  if (colorPages.length > 0 && spec.color_mode !== 'BW') {
+    throw new OrderError(400, 'Invalid order', 'color_pages is only allowed for BW orders');
+  }
+  if (!colorPages.every(page => selectedPages.includes(page)) || new Set(colorPages).size !== colorPages.length) {
+    throw new OrderError(400, 'Invalid order', 'color_pages must be unique pages from selected_pages');
+  }
+
+  // Per-document settings replace the order-wide ones (and its color pages)
+  const items = spec.items == null ? null : parseOrderItems(spec.items, selectedPages);
+  if (items && (booklet || colorPages.length > 0)) {
+    throw new OrderError(400, 'Invalid order', 'items cannot be combined with booklet or color_pages');
+  }
+
+  // Finishing is sent as finishing_options ids and priced from the shop's catalog
+  const finishingIds = Array.isArray(spec.finishing) ? spec.finishing : [];
+  if (!finishingIds.every(id => typeof id === 'string') || new Set(finishingIds).size !== finishingIds.length) {
+    throw new OrderError(400, 'Invalid order', 'finishing must be a list of unique option ids');
+  }
+
+  const clientTotal = Number(spec.total_cost);
+  if (!Number.isFinite(clientTotal)) {
+    throw new OrderError(400, 'Invalid order', 'total_cost is required');
+  }
+
+  const order = {
+    shopId: spec.shop_id,
+    filename: spec.filename,
+    fileUrl: spec.file_url,
+    copies,
+    paperSize: spec.paper_size,
+    colorMode: spec.color_mode,
+    printType: spec.print_type,
+    pagesPerSheet,
+    nupOptions,
+    booklet,
+    signatureSize,
+    selectedPages,
+    colorPages: [...colorPages].sort((a, b) => a - b),
+    items,
+    finishingIds,
+    customerName: spec.customer_name,
+    customerEmail: spec.customer_email || null,
+    customerPhone: spec.customer_phone || null,
+    clientTotal
+  };
+
+  // Booklets and multi-document orders are uploaded rearranged, so a recipe
+  // of the original couldn't describe them
+  if (spec.recipe != null && (booklet || items)) {
+    throw new OrderError(400, 'Invalid order', 'recipe cannot be combined with booklet or items');
+  }
+  order.recipe = spec.recipe == null ? null : parseRecipe(spec.recipe, order);
+
+  return order;
+}
+
+// Count the pages of an uploaded file so the client can't claim fewer pages than it sent
+export async function getUploadedPageCount(supabase, shopId, fileUrl) {
+  const path = getStoragePathFromUrl(fileUrl);
+
+  if (!path || !path.startsWith(`${shopId}/`)) {
+    throw new OrderError(400, 'Invalid order', 'file_url must point to an upload for this shop');
+  }
+
+  const { data, error } = await supabase.storage.from(PRINT_FILES_BUCKET).download(path);
+  if (error || !data) {
+    throw new OrderError(422, 'Invalid order', 'Uploaded file could not be read');
+  }
+
+  try {
+    const pdfDoc = await PDFDocument.load(await data.arrayBuffer(), { ignoreEncryption: true });
+    return pdfDoc.getPageCount();
+  } catch {
+    throw new OrderError(422, 'Invalid order', 'Uploaded file is not a valid PDF');
+  }
+}
+
+// The file must hold at least the pages the job is priced for. Image and
+// booklet orders upload sheets that are already laid out N-up.
+function checkFilePageCount(filePageCount, pageCount, pagesPerSheet) {
+  if (pageCount > filePageCount * pagesPerSheet) {
+    throw new OrderError(422, 'Invalid order', `Selected ${pageCount} pages but the file only has ${filePageCount}`);
+  }
+}
+
+// Check a stored job's file against its price again, right before the
+// customer pays for it
+export async function verifyJobFile(supabase, job) {
+  const filePageCount = await getUploadedPageCount(supabase, job.shop_id, job.file_url);
+  checkFilePageCount(filePageCount, job.page_count, job.pages_per_sheet || 1);
+}
+
+// Look up the chosen finishing in the shop's catalog. Options that don't fit
+// the job are rejected here rather than silently dropped by the pricing.
+async function getOrderFinishing(supabase, order) {
+  if (order.finishingIds.length === 0) {
+    return [];
+  }
+
+  const { data: options, error } = await supabase
+    .from('finishing_options')
+    .select('*')
+    .eq('shop_id', order.shopId)
+    .eq('is_active', true)
+    .in('id', order.finishingIds)
+    .order('sort_order');
+
+  if (error) {
+    throw new Error(`Failed to fetch finishing options: ${error.message}`);
+  }
+  if (options.length !== order.finishingIds.length) {
+    throw new OrderError(422, 'Invalid order', 'Some finishing options are no longer offered by this shop');
+  }
+
+  const specs = order.items
+    ? order.items.map(item => ({ copies: item.copies, pagesPerSheet: item.pagesPerSheet, pageCount: item.pages.length }))
+    : [{ copies: order.copies, pagesPerSheet: order.pagesPerSheet, pageCount: order.selectedPages.length, booklet: order.booklet }];
+
+  for (const spec of specs) {
+    const volume = calculatePrintVolume({ ...spec, printType: order.printType });
+    const kept = [];
+    for (const option of options) {
+      const { available, reason } = getFinishingAvailability(option, volume, kept);
+      if (!available) {
+        throw new OrderError(422, 'Invalid order', `${option.name}: ${reason}`);
+      }
+      kept.push(option);
+    }
+  }
+
+  return options;
+}
+
+// Recompute the price for an order spec from the shop's active cost_configs
+export async function quoteOrder(supabase, order) {
+  const { data: configs, error } = await supabase
+    .from('cost_configs')
+    .select('*')
+    .eq('shop_id', order.shopId)
+    .eq('is_active', true);
+
+  if (error) {
+    throw new Error(`Failed to fetch pricing: ${error.message}`);
+  }
+
+  if (order.items) {
+    return computeItemizedCost(configs, order.items.map(item => ({
+      label: item.filename,
+      paperSize: item.paperSize,
+      colorMode: item.colorMode,
+      printType: order.printType,
+      copies: item.copies,
+      pagesPerSheet: item.pagesPerSheet,
+      pageCount: item.pages.length,
+      colorPageIndices: getColorPageIndices(item.pages, item.colorPages),
+      finishing: order.finishing
+    })));
+  }
+
+  return computeOrderCost(configs, {
+    paperSize: order.paperSize,
+    colorMode: order.colorMode,
+    printType: order.printType,
+    copies: order.copies,
+    pagesPerSheet: order.pagesPerSheet,
+    pageCount: order.selectedPages.length,
+    booklet: order.booklet,
+    signatureSize: order.signatureSize,
+    colorPageIndices: getColorPageIndices(order.selectedPages, order.colorPages),
+    finishing: order.finishing
+  });
+}
+
+// Finishing as priced, for the job row. Itemized orders charge per-job
+// options once (quote.finishing) and per-sheet or per-copy options on each
+// document, so those quantities and amounts are summed over the items.
+function getJobFinishing(quote) {
+  const lines = quote.items ? [...quote.finishing, ...quote.items.flatMap(item => item.finishing)] : quote.finishing;
+  if (!lines || lines.length === 0) {
+    return null;
+  }
+
+  const byId = new Map();
+  for (const line of lines) {
+    const total = byId.get(line.id);
+    byId.set(line.id, total
+      ? { ...total, quantity: total.quantity + line.quantity, amount: roundCurrency(total.amount + line.amount) }
+      : { id: line.id, kind: line.kind, name: line.name, priceUnit: line.priceUnit, quantity: line.quantity, unitPrice: line.unitPrice, amount: line.amount });
+  }
+  return [...byId.values()];
+}
+
+// Store the items of a new job. A job without its items would be printed
+// with the wrong settings, so it is removed again if they can't be saved.
+async function insertOrderItems(supabase, job, items, quote) {
+  const { data, error } = await supabase
+    .from('print_job_items')
+    .insert(items.map((item, index) => ({
+      job_id: job.id,
+      position: index + 1,
+      filename: item.filename,
+      page_ranges: formatPageRanges(item.pages),
+      page_count: item.pages.length,
+      copies: item.copies,
+      paper_size: item.paperSize,
+      color_mode: item.colorMode,
+      pages_per_sheet: item.pagesPerSheet,
+      color_pages: item.colorPages.length > 0 ? item.colorPages : null,
+      total_cost: quote.items[index].cost
+    })))
+    .select();
+
+  if (error) {
+    await supabase.from('print_jobs').delete().eq('id', job.id);
+    throw new Error(`Failed to create job items: ${error.message}`);
+  }
+
+  return data;
+}
+
+// Signed-in customers send their Supabase access token. Orders stay
+// possible without one; a token that doesn't check out is refused.
+async function getCustomerId(supabase, authorization) {
+  const token = authorization?.match(/^Bearer\s+(.+)$/i)?.[1];
+  if (!token) {
+    return null;
+  }
+
+  const { data, error } = await supabase.auth.getUser(token);
+  if (error || !data?.user) {
+    throw new OrderError(401, 'Unauthorized', 'Your session has expired. Please sign in again.');
+  }
+
+  return data.user.id;
+}
+
+const hashFileToken = (token) => createHash('sha256').update(token).digest();
+
+// Whether `token` is the file token handed out when the job was created
+function isJobFileToken(job, token) {
+  if (typeof token !== 'string' || !token || !job.file_token_hash) {
+    return false;
+  }
+  const expected = Buffer.from(job.file_token_hash, 'hex');
+  const actual = hashFileToken(token);
+  return expected.length === actual.length && timingSafeEqual(actual, expected);
+}
+
+async function createOrder(body, authorization) {
+  const supabase = getSupabaseAdmin();
+  const order = parseOrderSpec(body);
+  const customerId = await getCustomerId(supabase, authorization);
+
+  const { data: shop, error: shopError } = await supabase
+    .from('shops')
+    .select('id')
+    .eq('id', order.shopId)
+    .eq('is_active', true)
+    .maybeSingle();
+
+  if (shopError) {
+    throw new Error(`Failed to fetch shop: ${shopError.message}`);
+  }
+  if (!shop) {
+    throw new OrderError(404, 'Shop not found', 'Shop not found or inactive');
+  }
+
+  const filePageCount = await getUploadedPageCount(supabase, order.shopId, order.fileUrl);
+  checkFilePageCount(filePageCount, order.selectedPages.length, order.pagesPerSheet);
+
+  order.finishing = await getOrderFinishing(supabase, order);
+  const quote = await quoteOrder(supabase, order);
+  if (quote.error) {
+    throw new OrderError(422, 'Pricing unavailable', quote.error);
+  }
+
+  if (Math.abs(quote.cost - order.clientTotal) > PRICE_TOLERANCE) {
+    throw new OrderError(409, 'Price mismatch', 'The order total has changed. Please review the updated price.', { quote });
+  }
+
+  // Only the browser placing the order gets the token to swap its files in later
+  const fileToken = randomBytes(FILE_TOKEN_BYTES).toString('base64url');
+
+  const { data: job, error: insertError } = await supabase
+    .from('print_jobs')
+    .insert({
+      shop_id: order.shopId,
+      filename: order.filename,
+      file_url: order.fileUrl,
+      copies: order.copies,
+      paper_size: order.paperSize,
+      color_mode: order.colorMode,
+      print_type: order.printType,
+      pages_per_sheet: order.pagesPerSheet,
+      nup_options: order.nupOptions,
+      booklet: order.booklet,
+      signature_size: order.signatureSize || null,
+      color_pages: order.colorPages.length > 0 ? order.colorPages : null,
+      page_count: order.selectedPages.length,
+      page_ranges: formatPageRanges(order.selectedPages),
+      finishing: getJobFinishing(quote),
+      recipe: order.recipe,
+      customer_id: customerId,
+      customer_name: order.customerName,
+      customer_email: order.customerEmail,
+      customer_phone: order.customerPhone,
+      total_cost: quote.cost,
+      payment_status: 'pending',
+      job_status: 'pending',
+      file_token_hash: hashFileToken(fileToken).toString('hex')
+    })
+    .select()
+    .single();
+
+  if (insertError) {
+    throw new Error(`Failed to create job: ${insertError.message}`);
+  }
+  delete job.file_token_hash;
+
+  if (order.items) {
+    job.items = await insertOrderItems(supabase, job, order.items, quote);
+  }
+
+  return { job, quote, fileToken };
+}
+
+// The browser uploads the selected pages of a PDF order after the job is
+// created and swaps them in here, together with the original PDF when the
+// job has a recipe (its page numbers refer to the original). Only an unpaid
+// job that hasn't been picked up can change its files: the new file must
+// have exactly the pages the job was priced for, the original the pages the
+// recipe was made from. The request carries the `file_token` returned when
+// the order was created.
+async function replaceJobFile(jobId, body) {
+  const supabase = getSupabaseAdmin();
+  const fileUrl = body?.file_url;
+  const sourceFileUrl = body?.source_file_url ?? null;
+  if (!fileUrl || typeof fileUrl !== 'string') {
+    throw new OrderError(400, 'Invalid request', 'file_url is required');
+  }
+  if (sourceFileUrl !== null && typeof sourceFileUrl !== 'string') {
+    throw new OrderError(400, 'Invalid request', 'source_file_url must be a string');
+  }
+
+  const { data: job, error } = await supabase
+    .from('print_jobs')
+    .select('id, shop_id, page_count, recipe, job_status, payment_status, file_token_hash')
+    .eq('id', jobId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch job: ${error.message}`);
+  }
+  if (!job) {
+    throw new OrderError(404, 'Job not found', 'Job not found');
+  }
+  if (!isJobFileToken(job, body?.file_token)) {
+    throw new OrderError(403, 'Not allowed', 'Only the browser that placed the order can replace its file');
+  }
+  if (job.job_status !== 'pending' || job.payment_status === 'paid') {
+    throw new OrderError(409, 'Job locked', 'The file of a paid or started job cannot be changed');
+  }
+
+  const filePageCount = await getUploadedPageCount(supabase, job.shop_id, fileUrl);
+  if (filePageCount !== job.page_count) {
+    throw new OrderError(422, 'Invalid file', `The job was priced for ${job.page_count} pages but the file has ${filePageCount}`);
+  }
+
+  const changes = { file_url: fileUrl, updated_at: new Date().toISOString() };
+  if (sourceFileUrl) {
+    if (!job.recipe) {
+      throw new OrderError(400, 'Invalid request', 'source_file_url is only kept for jobs with a recipe');
+    }
+    const sourcePageCount = await getUploadedPageCount(supabase, job.shop_id, sourceFileUrl);
+    if (sourcePageCount !== job.recipe.source.totalPages) {
+      throw new OrderError(422, 'Invalid file', `The recipe was made from ${job.recipe.source.totalPages} pages but the original has ${sourcePageCount}`);
+    }
+    changes.source_file_url = sourceFileUrl;
+  }
+
+  // Re-checked in the update so a payment or pickup in the meantime wins
+  const { data: updated, error: updateError } = await supabase
+    .from('print_jobs')
+    .update(changes)
+    .eq('id', job.id)
+    .eq('job_status', 'pending')
+    .neq('payment_status', 'paid')
+    .select()
+    .maybeSingle();
+
+  if (updated) {
+    delete updated.file_token_hash;
+  }
+
+  if (updateError) {
+    throw new Error(`Failed to update job: ${updateError.message}`);
+  }
+  if (!updated) {
+    throw new OrderError(409, 'Job locked', 'The file of a paid or started job cannot be changed');
+  }
+
+  return updated;
+}
+
+function sendOrderError(res, error, fallbackMessage) {
+  if (error instanceof OrderError) {
+    return res.status(error.status).json({
+      error: error.error,
+      message: error.message,
+      ...error.extra
+    });
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({
+    error: fallbackMessage,
+    message: error.message
+  });
+}
+
+export const ordersRouter = Router();
+
+ordersRouter.post('/', async (req, res) => {
+  try {
+    const { job, quote, fileToken } = await createOrder(req.body, req.get('authorization'));
+    console.log('Order created:', { jobId: job.id, total: quote.cost });
+    res.status(201).json({ job, quote, file_token: fileToken });
+  } catch (error) {
+    sendOrderError(res, error, 'Failed to create order');
+  }
+});
+
+ordersRouter.post('/:jobId/file', async (req, res) => {
+  try {
+    const job = await replaceJobFile(req.params.jobId, req.body);
+    console.log('Order file replaced:', { jobId: job.id });
+    res.json({ job });
+  } catch (error) {
+    sendOrderError(res, error, 'Failed to replace order file');
+  }
+});
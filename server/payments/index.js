@@ -0,0 +1,264 @@
+import { Router } from 'express';
+import { getSupabaseAdmin } from '../supabaseAdmin.js';
+import { getPaymentProvider, isPaymentsEnabled } from './providers.js';
+import { OrderError, verifyJobFile } from '../orders.js';
+
+export { registerPaymentProvider, getPaymentProvider, configurePayments, isPaymentsEnabled, isMockPaymentsEnabled } from './providers.js';
+
+const CURRENCY = 'INR';
+
+// Webhook event type -> print_jobs.payment_status
+const EVENT_STATUS = {
+  'payment.processing': 'pending',
+  'payment.succeeded': 'paid',
+  'payment.failed': 'failed',
+  'payment.refunded': 'refunded'
+};
+
+// Allowed payment_status transitions. A failed payment can be retried,
+// only a paid job can be refunded, and refunds are final.
+const TRANSITIONS = {
+  pending: ['pending', 'paid', 'failed'],
+  failed: ['pending', 'paid', 'failed'],
+  paid: ['refunded'],
+  refunded: []
+};
+
+export function canTransitionPayment(from, to) {
+  return (TRANSITIONS[from || 'pending'] || []).includes(to);
+}
+
+// Intent statuses the customer can still pay
+const OPEN_INTENT_STATUSES = ['requires_payment', 'processing'];
+
+const toMinorUnits = (amount) => Math.round(Number(amount) * 100);
+
+async function getJob(supabase, jobId) {
+  const { data, error } = await supabase
+    .from('print_jobs')
+    .select('id, shop_id, file_url, page_count, pages_per_sheet, total_cost, payment_status, payment_intent_id, payment_provider')
+    .eq('id', jobId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load job: ${error.message}`);
+  }
+  return data;
+}
+
+// The job's current intent, if the customer can still pay it. Reloading the
+// payment page resumes it instead of opening another payment.
+async function findOpenIntent(provider, job) {
+  if (job.payment_status !== 'pending' || job.payment_provider !== provider.name || !job.payment_intent_id) {
+    return null;
+  }
+
+  const intent = await provider.retrieveIntent(job.payment_intent_id);
+  if (!intent || !OPEN_INTENT_STATUSES.includes(intent.status) || intent.amount !== toMinorUnits(job.total_cost)) {
+    return null;
+  }
+  return intent;
+}
+
+const describeIntent = (provider, intent) => ({
+  provider: provider.name,
+  intentId: intent.id,
+  status: intent.status,
+  amount: intent.amount,
+  currency: intent.currency,
+  clientSecret: intent.clientSecret || null,
+  checkoutUrl: intent.checkoutUrl || null
+});
+
+// Start the payment for a job, or resume the one already open. A new intent
+// is only created when there is none or the last one expired or failed.
+// The amount always comes from the job row the server priced, never from the browser.
+export async function createPaymentIntent(jobId) {
+  const supabase = getSupabaseAdmin();
+  const job = await getJob(supabase, jobId);
+
+  if (!job) {
+    return { status: 404, body: { error: 'Job not found' } };
+  }
+  if (job.payment_status === 'paid' || job.payment_status === 'refunded') {
+    return { status: 409, body: { error: 'Payment already settled', paymentStatus: job.payment_status } };
+  }
+
+  // The file could have changed since the job was priced
+  try {
+    await verifyJobFile(supabase, job);
+  } catch (error) {
+    if (error instanceof OrderError) {
+      return { status: error.status, body: { error: 'File does not match the order', message: error.message } };
+    }
+    throw error;
+  }
+
+  const provider = getPaymentProvider();
+  const openIntent = await findOpenIntent(provider, job);
+  if (openIntent) {
+    return { status: 200, body: describeIntent(provider, openIntent) };
+  }
+
+  const intent = await provider.createIntent({
+    amount: toMinorUnits(job.total_cost),
+    currency: CURRENCY,
+    jobId: job.id,
+    description: `Print job ${job.id.slice(0, 8)}`
+  });
+
+  const { error } = await supabase
+    .from('print_jobs')
+    .update({
+      payment_status: 'pending',
+      payment_provider: provider.name,
+      payment_intent_id: intent.id,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', job.id);
+
+  if (error) {
+    throw new Error(`Failed to store payment intent: ${error.message}`);
+  }
+
+  return { status: 201, body: describeIntent(provider, intent) };
+}
+
+async function recordPaymentEvent(supabase, providerName, event) {
+  const { error } = await supabase
+    .from('payment_events')
+    .insert({
+      id: event.id,
+      provider: providerName,
+      job_id: event.jobId,
+      intent_id: event.intentId,
+      type: event.type,
+      amount: event.amount
+    });
+
+  // 23505 = unique violation: a concurrent delivery of the same event got there first
+  if (error && error.code !== '23505') {
+    throw new Error(`Failed to record payment event: ${error.message}`);
+  }
+}
+
+// Verify a gateway webhook and move the job's payment_status
+export async function processPaymentWebhook(providerName, rawBody, headers) {
+  let provider;
+  try {
+    provider = getPaymentProvider(providerName);
+  } catch (error) {
+    return { status: 404, body: { error: error.message } };
+  }
+
+  let event;
+  try {
+    event = provider.verifyWebhook(rawBody, headers);
+  } catch (error) {
+    console.warn(`Rejected ${providerName} webhook:`, error.message);
+    return { status: 400, body: { error: 'Invalid webhook', message: error.message } };
+  }
+
+  const nextStatus = EVENT_STATUS[event.type];
+  if (!nextStatus) {
+    return { status: 200, body: { received: true, ignored: event.type } };
+  }
+
+  const supabase = getSupabaseAdmin();
+
+  // Gateways retry webhooks - handle each event once
+  const { data: seenEvent, error: seenError } = await supabase
+    .from('payment_events')
+    .select('id')
+    .eq('id', event.id)
+    .maybeSingle();
+
+  if (seenError) {
+    throw new Error(`Failed to check payment event: ${seenError.message}`);
+  }
+  if (seenEvent) {
+    return { status: 200, body: { received: true, duplicate: true } };
+  }
+
+  const job = await getJob(supabase, event.jobId);
+  if (!job || job.payment_intent_id !== event.intentId || job.payment_provider !== provider.name) {
+    return { status: 200, body: { received: true, ignored: 'unknown intent' } };
+  }
+
+  if (nextStatus === 'paid' && event.amount !== toMinorUnits(job.total_cost)) {
+    console.error('Payment amount mismatch:', { jobId: job.id, expected: toMinorUnits(job.total_cost), received: event.amount });
+    return { status: 200, body: { received: true, ignored: 'amount mismatch' } };
+  }
+
+  if (!canTransitionPayment(job.payment_status, nextStatus)) {
+    return { status: 200, body: { received: true, ignored: `${job.payment_status} -> ${nextStatus}` } };
+  }
+
+  const { error } = await supabase
+    .from('print_jobs')
+    .update({
+      payment_status: nextStatus,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', job.id);
+
+  if (error) {
+    throw new Error(`Failed to update payment status: ${error.message}`);
+  }
+
+  await recordPaymentEvent(supabase, provider.name, event);
+
+  console.log(`Payment ${event.type} for job ${job.id}: ${job.payment_status} -> ${nextStatus}`);
+  return { status: 200, body: { received: true, paymentStatus: nextStatus } };
+}
+
+export const paymentsRouter = Router();
+
+const sendResult = (res, result) => res.status(result.status).json(result.body);
+
+// Without a configured gateway only the payment routes are down; gateways
+// retry webhooks answered with 503
+paymentsRouter.use((req, res, next) => {
+  if (!isPaymentsEnabled()) {
+    return res.status(503).json({ error: 'Payments unavailable', message: 'Payments are not configured on this server' });
+  }
+  next();
+});
+
+paymentsRouter.post('/intents', async (req, res) => {
+  try {
+    if (!req.body?.jobId) {
+      return res.status(400).json({ error: 'jobId is required' });
+    }
+    sendResult(res, await createPaymentIntent(req.body.jobId));
+  } catch (error) {
+    console.error('Error creating payment intent:', error);
+    res.status(500).json({ error: 'Failed to start payment', message: error.message });
+  }
+});
+
+paymentsRouter.post('/webhook/:provider', async (req, res) => {
+  try {
+    sendResult(res, await processPaymentWebhook(req.params.provider, req.rawBody || Buffer.from(''), req.headers));
+  } catch (error) {
+    console.error('Error processing payment webhook:', error);
+    // Non-2xx makes the gateway retry later
+    res.status(500).json({ error: 'Failed to process webhook' });
+  }
+});
+
+// Offline testing: ask the mock gateway to send the webhook for an outcome.
+// The event goes through the same signature verification as a real webhook.
+// Only mounted when the mock gateway is configured (see configurePayments).
+export const mockPaymentsRouter = Router();
+
+mockPaymentsRouter.post('/mock/:intentId/simulate', async (req, res) => {
+  try {
+    const provider = getPaymentProvider('mock');
+    const { rawBody, headers } = provider.buildWebhook(req.params.intentId, req.body?.outcome || 'succeeded');
+    sendResult(res, await processPaymentWebhook('mock', rawBody, headers));
+  } catch (error) {
+    console.error('Error simulating payment:', error);
+    res.status(400).json({ error: 'Failed to simulate payment', message: error.message });
+  }
+});
@@ -0,0 +1,122 @@
+import { createHmac, randomUUID, timingSafeEqual } from 'crypto';
+
+// Local stand-in for a real payment gateway.
+// Intents live in memory and webhooks are signed the way most gateways do it:
+//   x-mock-signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+
+export const MOCK_SIGNATURE_HEADER = 'x-mock-signature';
+
+// Reject webhooks signed more than 5 minutes ago (replay protection)
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// Unpaid intents expire like a gateway's checkout session would
+const INTENT_LIFETIME_MS = 30 * 60 * 1000;
+
+const OUTCOME_EVENT_TYPES = {
+  processing: 'payment.processing',
+  succeeded: 'payment.succeeded',
+  failed: 'payment.failed',
+  refunded: 'payment.refunded'
+};
+
+function sign(secret, timestamp, rawBody) {
+  return createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+}
+
+function parseSignatureHeader(header) {
+  const parts = Object.fromEntries(
+    String(header || '')
+      .split(',')
+      .map(part => part.trim().split('='))
+      .filter(pair => pair.length === 2)
+  );
+  return { timestamp: Number(parts.t), signature: parts.v1 };
+}
+
+export function createMockProvider({ secret }) {
+  const intents = new Map();
+
+  return {
+    name: 'mock',
+
+    async createIntent({ amount, currency, jobId, description }) {
+      const intent = {
+        id: `mock_pi_${randomUUID()}`,
+        status: 'requires_payment',
+        amount,
+        currency,
+        jobId,
+        description,
+        clientSecret: randomUUID(),
+        expiresAt: Date.now() + INTENT_LIFETIME_MS
+      };
+      intents.set(intent.id, intent);
+      return intent;
+    },
+
+    async retrieveIntent(id) {
+      const intent = intents.get(id);
+      if (!intent) {
+        return null;
+      }
+      if (intent.status === 'requires_payment' && Date.now() > intent.expiresAt) {
+        intent.status = 'expired';
+      }
+      return intent;
+    },
+
+    verifyWebhook(rawBody, headers) {
+      const { timestamp, signature } = parseSignatureHeader(headers[MOCK_SIGNATURE_HEADER]);
+
+      if (!timestamp || !signature) {
+        throw new Error('Missing webhook signature');
+      }
+      if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+        throw new Error('Webhook signature expired');
+      }
+
+      const expected = Buffer.from(sign(secret, timestamp, rawBody.toString('utf8')), 'hex');
+      const received = Buffer.from(signature, 'hex');
+      if (expected.length !== received.length || !timingSafeEqual(expected, received)) {
+        throw new Error('Invalid webhook signature');
+      }
+
+      const event = JSON.parse(rawBody.toString('utf8'));
+      return {
+        id: event.id,
+        type: event.type,
+        intentId: event.data.intentId,
+        jobId: event.data.jobId,
+        amount: event.data.amount
+      };
+    },
+
+    // Build the signed webhook the gateway would send when a payment reaches `outcome`.
+    // Used by the offline "simulate payment" route and by local testing.
+    buildWebhook(intentId, outcome) {
+      const intent = intents.get(intentId);
+      if (!intent) {
+        throw new Error(`Unknown payment intent: ${intentId}`);
+      }
+
+      const type = OUTCOME_EVENT_TYPES[outcome];
+      if (!type) {
+        throw new Error(`Unknown payment outcome: ${outcome}`);
+      }
+
+      intent.status = outcome;
+
+      const rawBody = JSON.stringify({
+        id: `mock_evt_${randomUUID()}`,
+        type,
+        data: { intentId: intent.id, jobId: intent.jobId, amount: intent.amount }
+      });
+      const timestamp = Math.floor(Date.now() / 1000);
+
+      return {
+        rawBody: Buffer.from(rawBody),
+        headers: { [MOCK_SIGNATURE_HEADER]: `t=${timestamp},v1=${sign(secret, timestamp, rawBody)}` }
+      };
+    }
+  };
+}
@@ -0,0 +1,86 @@
+// Payment provider registry
+//
+// A provider adapts one payment gateway to the shape the payment routes use:
+//
+//   name                              - registry key, also stored on print_jobs.payment_provider
+//   createIntent({ amount, currency, jobId, description })
+//                                     - starts a payment; resolves to
+//                                       { id, status, amount, currency, clientSecret?, checkoutUrl? }
+//                                       (amount is in minor units, e.g. paise)
+//   retrieveIntent(id)                - the intent as createIntent returned it, with its current
+//                                       status, or null when the gateway no longer has it
+//   verifyWebhook(rawBody, headers)   - checks the signature and returns a normalized event
+//                                       { id, type, intentId, jobId, amount }; throws on a bad signature
+//
+// Normalized event types: payment.processing, payment.succeeded, payment.failed, payment.refunded
+//
+// Gateway modules call registerPaymentProvider() when they are imported;
+// server/index.js imports them before calling configurePayments().
+
+import { createMockProvider } from './mockProvider.js';
+
+const providers = new Map();
+// The provider chosen with PAYMENT_PROVIDER, once configurePayments() accepted it
+let activeProvider = null;
+
+export function registerPaymentProvider(provider) {
+  if (!provider?.name || typeof provider.createIntent !== 'function' ||
+      typeof provider.retrieveIntent !== 'function' || typeof provider.verifyWebhook !== 'function') {
+    throw new Error('Payment providers need a name, createIntent(), retrieveIntent() and verifyWebhook()');
+  }
+  providers.set(provider.name, provider);
+}
+
+export function getPaymentProvider(name = activeProvider?.name) {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return provider;
+}
+
+export const isPaymentsEnabled = () => activeProvider !== null;
+
+export const isMockPaymentsEnabled = () => activeProvider?.name === 'mock';
+
+// Why PAYMENT_PROVIDER can't be used, or null when it can
+function getConfigurationError(env) {
+  const name = env.PAYMENT_PROVIDER;
+  if (!name) {
+    return 'PAYMENT_PROVIDER is not set';
+  }
+  if (name === 'mock') {
+    if (env.NODE_ENV === 'production') {
+      return 'the mock payment provider cannot be used in production';
+    }
+    if (!env.MOCK_PAYMENT_WEBHOOK_SECRET) {
+      return 'MOCK_PAYMENT_WEBHOOK_SECRET is required for the mock payment provider';
+    }
+    return null;
+  }
+  if (!providers.has(name)) {
+    return `no payment provider named "${name}" is registered`;
+  }
+  return null;
+}
+
+// Called once at startup. Returns the provider payments go through, or null
+// when the configuration is missing or invalid - the payment routes then
+// answer 503 while the rest of the server keeps working. The mock gateway
+// only exists when PAYMENT_PROVIDER=mock is set explicitly, with its own
+// secret, outside production.
+export function configurePayments(env = process.env) {
+  const configurationError = getConfigurationError(env);
+  if (configurationError) {
+    console.error(`Payments are disabled: ${configurationError}`);
+    activeProvider = null;
+    return null;
+  }
+
+  if (env.PAYMENT_PROVIDER === 'mock') {
+    registerPaymentProvider(createMockProvider({ secret: env.MOCK_PAYMENT_WEBHOOK_SECRET }));
+  }
+
+  activeProvider = getPaymentProvider(env.PAYMENT_PROVIDER);
+  return activeProvider;
+}
@@ -0,0 +1,206 @@
+import dgram from 'dgram';
+
+// DNS-SD printer discovery over multicast DNS (RFC 6762/6763).
+//
+// One-shot query for the IPP service types from an ephemeral port: responders
+// answer such "legacy" queries by unicast, so nothing has to bind port 5353
+// (usually taken by the system's own mDNS daemon).
+
+const MDNS_ADDRESS = '224.0.0.251';
+const MDNS_PORT = 5353;
+const DEFAULT_BROWSE_MS = 2000;
+
+export const IPP_SERVICE_TYPES = ['_ipp._tcp.local', '_ipps._tcp.local'];
+
+const TYPE = { A: 1, PTR: 12, TXT: 16, AAAA: 28, SRV: 33 };
+const CLASS_IN = 1;
+
+function encodeName(name) {
+  const labels = name.split('.').filter(Boolean).map(label => {
+    const bytes = Buffer.from(label, 'utf8');
+    return Buffer.concat([Buffer.from([bytes.length]), bytes]);
+  });
+  return Buffer.concat([...labels, Buffer.from([0])]);
+}
+
+export function encodeQuery(serviceTypes, id = 0) {
+  const header = Buffer.alloc(12);
+  header.writeUInt16BE(id, 0);
+  header.writeUInt16BE(serviceTypes.length, 4);
+
+  const questions = serviceTypes.map(type => {
+    const footer = Buffer.alloc(4);
+    footer.writeUInt16BE(TYPE.PTR, 0);
+    footer.writeUInt16BE(CLASS_IN, 2);
+    return Buffer.concat([encodeName(type), footer]);
+  });
+
+  return Buffer.concat([header, ...questions]);
+}
+
+// Names may end in a pointer to an earlier name (compression)
+function decodeName(buffer, offset) {
+  const labels = [];
+  let position = offset;
+  let end = null;
+  let jumps = 0;
+
+  while (position < buffer.length) {
+    const length = buffer.readUInt8(position);
+    if (length === 0) {
+      position += 1;
+      break;
+    }
+    if ((length & 0xc0) === 0xc0) {
+      if (++jumps > 32) throw new Error('Bad DNS name compression');
+      end = end ?? position + 2;
+      position = buffer.readUInt16BE(position) & 0x3fff;
+      continue;
+    }
+    labels.push(buffer.toString('utf8', position + 1, position + 1 + length));
+    position += 1 + length;
+  }
+
+  return { name: labels.join('.'), end: end ?? position };
+}
+
+function decodeTxt(data) {
+  const txt = {};
+  let position = 0;
+
+  while (position < data.length) {
+    const length = data.readUInt8(position);
+    const entry = data.toString('utf8', position + 1, position + 1 + length);
+    const separator = entry.indexOf('=');
+    if (separator > 0) {
+      txt[entry.slice(0, separator).toLowerCase()] = entry.slice(separator + 1);
+    } else if (entry) {
+      txt[entry.toLowerCase()] = true;
+    }
+    position += 1 + length;
+  }
+
+  return txt;
+}
+
+// Resource records of a response (answers and additional records alike)
+export function decodeResponse(buffer) {
+  const questionCount = buffer.readUInt16BE(4);
+  const recordCount = buffer.readUInt16BE(6) + buffer.readUInt16BE(8) + buffer.readUInt16BE(10);
+  let offset = 12;
+
+  for (let i = 0; i < questionCount; i++) {
+    offset = decodeName(buffer, offset).end + 4;
+  }
+
+  const records = [];
+  for (let i = 0; i < recordCount && offset < buffer.length; i++) {
+    const { name, end } = decodeName(buffer, offset);
+    const type = buffer.readUInt16BE(end);
+    const length = buffer.readUInt16BE(end + 8);
+    const dataOffset = end + 10;
+    const data = buffer.subarray(dataOffset, dataOffset + length);
+    offset = dataOffset + length;
+
+    const record = { name, type };
+    if (type === TYPE.PTR) {
+      record.target = decodeName(buffer, dataOffset).name;
+    } else if (type === TYPE.SRV) {
+      record.port = data.readUInt16BE(4);
+      record.target = decodeName(buffer, dataOffset + 6).name;
+    } else if (type === TYPE.TXT) {
+      record.txt = decodeTxt(data);
+    } else if (type === TYPE.A) {
+      record.address = Array.from(data).join('.');
+    } else {
+      continue;
+    }
+    records.push(record);
+  }
+
+  return records;
+}
+
+// Turn the collected records into printers: PTR -> service instance,
+// SRV -> host and port, TXT -> resource path and capabilities, A -> address
+export function resolveServices(records) {
+  const byName = (type, name) => records.find(record => record.type === type && record.name.toLowerCase() === name.toLowerCase());
+  const instances = [...new Set(
+    records
+      .filter(record => record.type === TYPE.PTR && IPP_SERVICE_TYPES.includes(record.name.toLowerCase()))
+      .map(record => record.target)
+  )];
+
+  return instances.flatMap(instance => {
+    const srv = byName(TYPE.SRV, instance);
+    if (!srv) return [];
+
+    const txt = byName(TYPE.TXT, instance)?.txt || {};
+    const address = byName(TYPE.A, srv.target)?.address;
+    const scheme = instance.toLowerCase().endsWith('._ipps._tcp.local') ? 'ipps' : 'ipp';
+    const resourcePath = typeof txt.rp === 'string' ? txt.rp : 'ipp/print';
+
+    return [{
+      name: instance.split('._ipp')[0],
+      host: srv.target,
+      address: address || null,
+      port: srv.port,
+      uri: `${scheme}://${address || srv.target}:${srv.port}/${resourcePath.replace(/^\//, '')}`,
+      makeAndModel: typeof txt.ty === 'string' ? txt.ty : null,
+      colorSupported: txt.color === 'T',
+      duplexSupported: txt.duplex === 'T',
+      uuid: typeof txt.uuid === 'string' ? txt.uuid : null
+    }];
+  });
+}
+
+// Browse for IPP printers on the local network for `timeoutMs`.
+// Resolves to [] when multicast isn't available rather than failing.
+export function browseIppPrinters({ timeoutMs = DEFAULT_BROWSE_MS } = {}) {
+  return new Promise((resolve) => {
+    const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+    const records = [];
+    let finished = false;
+
+    const finish = () => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      socket.close();
+
+      const printers = resolveServices(records);
+      // The same printer often advertises both ipp and ipps; keep the first
+      const seen = new Set();
+      resolve(printers.filter(printer => {
+        const key = printer.uuid || `${printer.host}:${printer.port}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      }));
+    };
+
+    const timer = setTimeout(finish, timeoutMs);
+
+    socket.on('message', (message) => {
+      try {
+        records.push(...decodeResponse(message));
+      } catch (error) {
+        console.warn('Ignoring malformed mDNS response:', error.message);
+      }
+    });
+
+    socket.on('error', (error) => {
+      console.warn('mDNS discovery unavailable:', error.message);
+      finish();
+    });
+
+    socket.bind(0, () => {
+      socket.send(encodeQuery(IPP_SERVICE_TYPES), MDNS_PORT, MDNS_ADDRESS, (error) => {
+        if (error) {
+          console.warn('mDNS query failed:', error.message);
+          finish();
+        }
+      });
+    });
+  });
+}
@@ -0,0 +1,286 @@
+import { Router } from 'express';
+import { createHash } from 'crypto';
+import { getSupabaseAdmin, getStoragePathFromUrl, PRINT_FILES_BUCKET } from '../supabaseAdmin.js';
+import { browseIppPrinters } from './discovery.js';
+import { getPrinterAttributes, submitPrintJob, getJobAttributes } from './ippClient.js';
+import { IppError } from './ipp.js';
+import { PDFDocument } from 'pdf-lib';
+import { isRecipeSourceFile, renderRecipe } from '../../src/utils/pdf/printEngine.js';
+import { RecipeError } from '../../src/utils/pdf/recipeSchema.js';
+
+// Printers the print server sends jobs to. They come from IPP_PRINTERS
+// (comma-separated ipp:// URIs, for printers DNS-SD can't see or the local
+// stand-in in ./standIn.js) and from DNS-SD browsing, unless
+// IPP_DISCOVERY=off.
+
+const CONFIGURED_PRINTER_URIS = (process.env.IPP_PRINTERS || '')
+  .split(',')
+  .map(uri => uri.trim())
+  .filter(Boolean);
+
+const DISCOVERY_ENABLED = process.env.IPP_DISCOVERY !== 'off';
+
+const PRINTER_STATUS = {
+  idle: 'online',
+  processing: 'busy',
+  stopped: 'stopped'
+};
+
+class PrintError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Only a shop's staff may find printers and print. They send the Supabase
+// access token of their dashboard session; req.staffShopIds holds the shops
+// they work for.
+async function getStaffShopIds(authorization) {
+  const token = authorization?.match(/^Bearer\s+(.+)$/i)?.[1];
+  if (!token) {
+    throw new PrintError(401, 'Sign in as shop staff to use the printers');
+  }
+
+  const supabase = getSupabaseAdmin();
+  const { data, error } = await supabase.auth.getUser(token);
+  if (error || !data?.user) {
+    throw new PrintError(401, 'Your session has expired. Please sign in again.');
+  }
+
+  const { data: memberships, error: membershipError } = await supabase
+    .from('shop_staff')
+    .select('shop_id')
+    .eq('user_id', data.user.id);
+
+  if (membershipError) {
+    throw new Error(`Failed to check shop staff: ${membershipError.message}`);
+  }
+  if (memberships.length === 0) {
+    throw new PrintError(403, 'Only shop staff can use the printers');
+  }
+  return memberships.map(membership => membership.shop_id);
+}
+
+async function requireShopStaff(req, res, next) {
+  try {
+    req.staffShopIds = await getStaffShopIds(req.get('authorization'));
+    next();
+  } catch (error) {
+    sendError(res, error, 'Failed to check staff session');
+  }
+}
+
+// Printers found by the last discovery, by id
+const knownPrinters = new Map();
+
+const getPrinterId = (uri) => createHash('sha1').update(uri).digest('hex').slice(0, 12);
+
+async function describePrinter(candidate, isDefault) {
+  const base = {
+    id: getPrinterId(candidate.uri),
+    name: candidate.name || candidate.uri,
+    url: candidate.uri,
+    source: candidate.source,
+    isDefault
+  };
+
+  try {
+    const capabilities = await getPrinterAttributes(candidate.uri);
+    return {
+      ...base,
+      name: capabilities.name || base.name,
+      status: capabilities.acceptingJobs ? (PRINTER_STATUS[capabilities.state] || 'online') : 'stopped',
+      supportedSizes: capabilities.supportedSizes,
+      colorSupported: capabilities.colorSupported,
+      duplexSupported: capabilities.duplexSupported,
+      lastActive: new Date(),
+      description: capabilities.makeAndModel || capabilities.info || 'IPP printer'
+    };
+  } catch (error) {
+    console.warn(`Printer ${candidate.uri} is unreachable:`, error.message);
+    return {
+      ...base,
+      status: 'offline',
+      supportedSizes: [],
+      colorSupported: candidate.colorSupported ?? false,
+      duplexSupported: candidate.duplexSupported ?? false,
+      lastActive: null,
+      description: candidate.makeAndModel || 'IPP printer'
+    };
+  }
+}
+
+// Configured printers first (the first one is the default), then the ones
+// found on the network. Every printer is asked for its capabilities.
+export async function discoverPrinters() {
+  const discovered = DISCOVERY_ENABLED ? await browseIppPrinters() : [];
+  const candidates = [
+    ...CONFIGURED_PRINTER_URIS.map(uri => ({ uri, source: 'configured' })),
+    ...discovered.map(printer => ({ ...printer, source: 'dns-sd' }))
+  ].filter((candidate, index, all) => all.findIndex(other => other.uri === candidate.uri) === index);
+
+  const printers = await Promise.all(candidates.map((candidate, index) => describePrinter(candidate, index === 0)));
+
+  knownPrinters.clear();
+  printers.forEach(printer => knownPrinters.set(printer.id, printer));
+  return printers;
+}
+
+async function findPrinter(printerId) {
+  if (!knownPrinters.has(printerId)) {
+    await discoverPrinters();
+  }
+
+  const printer = knownPrinters.get(printerId);
+  if (!printer) {
+    throw new PrintError(404, 'Printer not found');
+  }
+  return printer;
+}
+
+async function downloadPdf(supabase, fileUrl, shopIds) {
+  const path = getStoragePathFromUrl(fileUrl);
+  if (!path) {
+    throw new PrintError(400, 'jobId or a document.url in the print-files bucket is required');
+  }
+  if (!shopIds.some(shopId => path.startsWith(`${shopId}/`))) {
+    throw new PrintError(403, 'Document does not belong to your shop');
+  }
+
+  const { data, error } = await supabase.storage.from(PRINT_FILES_BUCKET).download(path);
+  if (error || !data) {
+    throw new PrintError(422, 'Document could not be read');
+  }
+
+  const pdf = Buffer.from(await data.arrayBuffer());
+  if (pdf.subarray(0, 5).toString() !== '%PDF-') {
+    throw new PrintError(422, 'Document is not a PDF');
+  }
+  return { pdf, path };
+}
+
+// The PDF to print and the order's settings. Only files in our storage
+// bucket that belong to one of the staff member's shops are printed - never
+// arbitrary URLs. Jobs with a recipe and their original are rendered from
+// it by the print engine, so the printout has the customer's edits and N-up,
+// as are recipe jobs whose file is still the whole original.
+async function loadDocument({ jobId, document }, shopIds) {
+  const supabase = getSupabaseAdmin();
+
+  if (!jobId) {
+    const { pdf, path } = await downloadPdf(supabase, document?.url, shopIds);
+    return { pdf, name: document?.name || path.split('/').pop(), settings: {} };
+  }
+
+  const { data: job, error } = await supabase
+    .from('print_jobs')
+    .select('id, shop_id, filename, file_url, source_file_url, recipe, copies, paper_size, color_mode, print_type, booklet')
+    .eq('id', jobId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load job: ${error.message}`);
+  }
+  if (!job || !shopIds.includes(job.shop_id)) {
+    throw new PrintError(404, 'Job not found');
+  }
+
+  const settings = {
+    copies: job.copies,
+    paperSize: job.paper_size,
+    colorMode: job.color_mode,
+    printType: job.print_type,
+    booklet: job.booklet
+  };
+
+  const { pdf } = await downloadPdf(supabase, job.source_file_url && job.recipe ? job.source_file_url : job.file_url, shopIds);
+  if (!job.recipe) {
+    return { pdf, name: job.filename, settings };
+  }
+
+  try {
+    if (!job.source_file_url && !isRecipeSourceFile(job.recipe, (await PDFDocument.load(pdf)).getPageCount())) {
+      return { pdf, name: job.filename, settings };
+    }
+    return { pdf: Buffer.from(await renderRecipe(pdf, job.recipe)), name: job.filename, settings };
+  } catch (renderError) {
+    if (renderError instanceof RecipeError) {
+      throw new PrintError(422, `Job recipe cannot be printed: ${renderError.message}`);
+    }
+    throw renderError;
+  }
+}
+
+function sendError(res, error, fallbackMessage) {
+  if (error instanceof PrintError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  // The printer answered with an error or couldn't be reached
+  const status = error instanceof IppError ? 502 : 500;
+  console.error(`${fallbackMessage}:`, error);
+  res.status(status).json({ error: fallbackMessage, message: error.message });
+}
+
+export const printersRouter = Router();
+
+printersRouter.use(requireShopStaff);
+
+printersRouter.get('/', async (req, res) => {
+  try {
+    res.json(await discoverPrinters());
+  } catch (error) {
+    sendError(res, error, 'Failed to get printers');
+  }
+});
+
+printersRouter.get('/:id/capabilities', async (req, res) => {
+  try {
+    const printer = await findPrinter(req.params.id);
+    res.json(await getPrinterAttributes(printer.url));
+  } catch (error) {
+    sendError(res, error, 'Failed to get printer capabilities');
+  }
+});
+
+// Progress of a job sent with POST /api/print
+printersRouter.get('/:id/jobs/:jobId', async (req, res) => {
+  try {
+    const printer = await findPrinter(req.params.id);
+    const ippJobId = Number(req.params.jobId);
+    if (!Number.isInteger(ippJobId) || ippJobId < 1) {
+      throw new PrintError(400, 'Invalid job id');
+    }
+    res.json(await getJobAttributes(printer.url, ippJobId));
+  } catch (error) {
+    sendError(res, error, 'Failed to get print job status');
+  }
+});
+
+export const printRouter = Router();
+
+printRouter.use(requireShopStaff);
+
+// Body: { printerId, jobId } to print an order's file with its settings, or
+// { printerId, document: { url, name } }. `options` ({ copies, paperSize,
+// printType, booklet, colorMode }) override the order's settings.
+printRouter.post('/', async (req, res) => {
+  try {
+    const { printerId, jobId, document, options = {} } = req.body || {};
+    const printer = await findPrinter(printerId);
+    const { pdf, name, settings } = await loadDocument({ jobId, document }, req.staffShopIds);
+
+    const result = await submitPrintJob(printer.url, pdf, { ...settings, ...options, jobName: name });
+    console.log('Print job submitted:', { printer: printer.name, document: name, ippJobId: result.jobId });
+
+    res.json({
+      success: true,
+      message: 'Print job submitted successfully',
+      printerId: printer.id,
+      jobId: result.jobId,
+      state: result.state
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to submit print job');
+  }
+});
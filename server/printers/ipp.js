@@ -0,0 +1,311 @@
+// IPP/1.1 message encoding (RFC 8010) - just enough of the protocol for
+// printer discovery, job submission and job progress.
+//
+// A decoded message looks like:
+//   { version, code, requestId, groups: [{ tag, attributes: { name: [values] } }], data }
+// `code` is the operation id for requests and the status code for responses.
+// Attribute values are always arrays; collections decode to plain objects.
+
+export const IPP_VERSION = 0x0101;
+
+export const OPERATIONS = {
+  'Print-Job': 0x0002,
+  'Validate-Job': 0x0004,
+  'Create-Job': 0x0005,
+  'Send-Document': 0x0006,
+  'Cancel-Job': 0x0008,
+  'Get-Job-Attributes': 0x0009,
+  'Get-Jobs': 0x000a,
+  'Get-Printer-Attributes': 0x000b
+};
+
+export const STATUS = {
+  successfulOk: 0x0000,
+  successfulOkIgnoredOrSubstituted: 0x0001,
+  clientErrorBadRequest: 0x0400,
+  clientErrorNotFound: 0x0406,
+  clientErrorDocumentFormatNotSupported: 0x040a,
+  serverErrorInternalError: 0x0500,
+  serverErrorOperationNotSupported: 0x0501
+};
+
+// Delimiter tags start an attribute group
+export const GROUPS = {
+  operation: 0x01,
+  job: 0x02,
+  end: 0x03,
+  printer: 0x04,
+  unsupported: 0x05
+};
+
+export const TAGS = {
+  unsupported: 0x10,
+  unknown: 0x12,
+  noValue: 0x13,
+  integer: 0x21,
+  boolean: 0x22,
+  enum: 0x23,
+  octetString: 0x30,
+  dateTime: 0x31,
+  resolution: 0x32,
+  rangeOfInteger: 0x33,
+  begCollection: 0x34,
+  textWithLanguage: 0x35,
+  nameWithLanguage: 0x36,
+  endCollection: 0x37,
+  text: 0x41,
+  name: 0x42,
+  keyword: 0x44,
+  uri: 0x45,
+  uriScheme: 0x46,
+  charset: 0x47,
+  naturalLanguage: 0x48,
+  mimeMediaType: 0x49,
+  memberAttrName: 0x4a
+};
+
+export const JOB_STATES = {
+  3: 'pending',
+  4: 'pending-held',
+  5: 'processing',
+  6: 'processing-stopped',
+  7: 'canceled',
+  8: 'aborted',
+  9: 'completed'
+};
+
+export const PRINTER_STATES = {
+  3: 'idle',
+  4: 'processing',
+  5: 'stopped'
+};
+
+// statusCode is null when there was no IPP response (printer unreachable,
+// HTTP error) or the printer refused the job up front
+export class IppError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+export const isSuccessStatus = (code) => code < 0x0100;
+
+// ----------------------------------------------------------------------------
+// Encoding
+// ----------------------------------------------------------------------------
+
+function encodeValue(tag, value) {
+  switch (tag) {
+    case TAGS.integer:
+    case TAGS.enum: {
+      const buffer = Buffer.alloc(4);
+      buffer.writeInt32BE(value);
+      return buffer;
+    }
+    case TAGS.boolean:
+      return Buffer.from([value ? 1 : 0]);
+    case TAGS.rangeOfInteger: {
+      const buffer = Buffer.alloc(8);
+      buffer.writeInt32BE(value.lower);
+      buffer.writeInt32BE(value.upper, 4);
+      return buffer;
+    }
+    case TAGS.unsupported:
+    case TAGS.unknown:
+    case TAGS.noValue:
+      return Buffer.alloc(0);
+    default:
+      return Buffer.from(String(value), 'utf8');
+  }
+}
+
+function encodeAttributeValue(tag, name, value) {
+  const nameBuffer = Buffer.from(name, 'utf8');
+  const valueBuffer = encodeValue(tag, value);
+  const header = Buffer.alloc(3);
+  header.writeUInt8(tag);
+  header.writeUInt16BE(nameBuffer.length, 1);
+  const length = Buffer.alloc(2);
+  length.writeUInt16BE(valueBuffer.length);
+  return Buffer.concat([header, nameBuffer, length, valueBuffer]);
+}
+
+// `attributes` is a list of [tag, name, value or [values]]
+function encodeGroup(groupTag, attributes) {
+  const parts = [Buffer.from([groupTag])];
+
+  for (const [tag, name, value] of attributes) {
+    const values = Array.isArray(value) ? value : [value];
+    values.forEach((item, index) => {
+      // Additional values of an attribute repeat the tag with an empty name
+      parts.push(encodeAttributeValue(tag, index === 0 ? name : '', item));
+    });
+  }
+
+  return Buffer.concat(parts);
+}
+
+// Encode a request or response. `groups` is a list of { tag, attributes }
+// with attributes as for encodeGroup; `data` (a document) follows the
+// end-of-attributes tag.
+export function encodeMessage({ version = IPP_VERSION, code, requestId = 1, groups = [], data = null }) {
+  const header = Buffer.alloc(8);
+  header.writeUInt16BE(version);
+  header.writeUInt16BE(code, 2);
+  header.writeUInt32BE(requestId, 4);
+
+  return Buffer.concat([
+    header,
+    ...groups.map(group => encodeGroup(group.tag, group.attributes)),
+    Buffer.from([GROUPS.end]),
+    ...(data ? [data] : [])
+  ]);
+}
+
+// ----------------------------------------------------------------------------
+// Decoding
+// ----------------------------------------------------------------------------
+
+function decodeValue(tag, buffer) {
+  switch (tag) {
+    case TAGS.integer:
+    case TAGS.enum:
+      return buffer.readInt32BE(0);
+    case TAGS.boolean:
+      return buffer.readUInt8(0) !== 0;
+    case TAGS.rangeOfInteger:
+      return { lower: buffer.readInt32BE(0), upper: buffer.readInt32BE(4) };
+    case TAGS.resolution:
+      return { x: buffer.readInt32BE(0), y: buffer.readInt32BE(4), units: buffer.readInt8(8) === 3 ? 'dpi' : 'dpcm' };
+    case TAGS.dateTime: {
+      const date = new Date(Date.UTC(
+        buffer.readUInt16BE(0), buffer.readUInt8(2) - 1, buffer.readUInt8(3),
+        buffer.readUInt8(4), buffer.readUInt8(5), buffer.readUInt8(6), buffer.readUInt8(7) * 100
+      ));
+      // Bytes 8-10 are the offset from UTC ('+'/'-', hours, minutes)
+      const offsetMinutes = (buffer.readUInt8(9) * 60 + buffer.readUInt8(10)) * (buffer.readUInt8(8) === 0x2d ? -1 : 1);
+      return new Date(date.getTime() - offsetMinutes * 60000);
+    }
+    case TAGS.textWithLanguage:
+    case TAGS.nameWithLanguage: {
+      // language length + language, then text length + text
+      const languageLength = buffer.readUInt16BE(0);
+      const textLength = buffer.readUInt16BE(2 + languageLength);
+      return buffer.toString('utf8', 4 + languageLength, 4 + languageLength + textLength);
+    }
+    case TAGS.unsupported:
+    case TAGS.unknown:
+    case TAGS.noValue:
+      return null;
+    default:
+      return buffer.toString('utf8');
+  }
+}
+
+class Reader {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.offset = 0;
+  }
+
+  get done() {
+    return this.offset >= this.buffer.length;
+  }
+
+  uint8() {
+    return this.buffer.readUInt8(this.offset++);
+  }
+
+  bytes(length) {
+    if (this.offset + length > this.buffer.length) {
+      throw new IppError(STATUS.clientErrorBadRequest, 'Truncated IPP message');
+    }
+    const slice = this.buffer.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return slice;
+  }
+
+  // One tag/name/value record
+  attribute(tag) {
+    const name = this.bytes(this.buffer.readUInt16BE(this.offset) + 2).toString('utf8', 2);
+    const value = this.bytes(this.buffer.readUInt16BE(this.offset) + 2).subarray(2);
+    return { tag, name, value };
+  }
+}
+
+// Collection members come as memberAttrName records followed by their values,
+// up to the matching endCollection
+function decodeCollection(reader) {
+  const collection = {};
+  let member = null;
+
+  while (!reader.done) {
+    const tag = reader.uint8();
+    const { value } = reader.attribute(tag);
+
+    if (tag === TAGS.endCollection) {
+      return collection;
+    }
+    if (tag === TAGS.memberAttrName) {
+      member = value.toString('utf8');
+      collection[member] = [];
+    } else if (member) {
+      collection[member].push(tag === TAGS.begCollection ? decodeCollection(reader) : decodeValue(tag, value));
+    }
+  }
+
+  throw new IppError(STATUS.clientErrorBadRequest, 'Unterminated collection');
+}
+
+export function decodeMessage(buffer) {
+  if (buffer.length < 9) {
+    throw new IppError(STATUS.clientErrorBadRequest, 'IPP message is too short');
+  }
+
+  const reader = new Reader(buffer);
+  const version = buffer.readUInt16BE(0);
+  const code = buffer.readUInt16BE(2);
+  const requestId = buffer.readUInt32BE(4);
+  reader.offset = 8;
+
+  const groups = [];
+  let group = null;
+  let lastName = null;
+
+  while (!reader.done) {
+    const tag = reader.uint8();
+
+    if (tag === GROUPS.end) {
+      return { version, code, requestId, groups, data: buffer.subarray(reader.offset) };
+    }
+    if (tag < 0x10) {
+      group = { tag, attributes: {} };
+      groups.push(group);
+      lastName = null;
+      continue;
+    }
+    if (!group) {
+      throw new IppError(STATUS.clientErrorBadRequest, 'Attribute outside of a group');
+    }
+
+    const { name, value } = reader.attribute(tag);
+    const decoded = tag === TAGS.begCollection ? decodeCollection(reader) : decodeValue(tag, value);
+
+    if (name) {
+      lastName = name;
+      group.attributes[name] = [decoded];
+    } else if (lastName) {
+      group.attributes[lastName].push(decoded);
+    }
+  }
+
+  throw new IppError(STATUS.clientErrorBadRequest, 'Missing end-of-attributes tag');
+}
+
+// All attributes of the groups with a tag, merged (e.g. every printer attribute)
+export function getGroupAttributes(message, groupTag) {
+  return message.groups
+    .filter(group => group.tag === groupTag)
+    .reduce((attributes, group) => ({ ...attributes, ...group.attributes }), {});
+}
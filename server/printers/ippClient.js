@@ -0,0 +1,259 @@
+import {
+  OPERATIONS,
+  GROUPS,
+  TAGS,
+  JOB_STATES,
+  PRINTER_STATES,
+  IppError,
+  encodeMessage,
+  decodeMessage,
+  getGroupAttributes,
+  isSuccessStatus
+} from './ipp.js';
+
+// IPP client: printer capabilities, job submission and job progress.
+// Printers are addressed by their ipp:// or ipps:// URI.
+
+const REQUEST_TIMEOUT_MS = 10000;
+// Sending a large PDF to a slow printer takes a while
+const DOCUMENT_TIMEOUT_MS = 120000;
+
+const USER_NAME = 'printflow';
+
+// Order settings -> IPP keywords (PWG 5101.1 media names)
+export const MEDIA_KEYWORDS = {
+  A4: 'iso_a4_210x297mm',
+  A3: 'iso_a3_297x420mm',
+  Letter: 'na_letter_8.5x11in',
+  Legal: 'na_legal_8.5x14in'
+};
+
+// Booklet sheets hold two pages side by side, so they flip on the short edge
+const SIDES_KEYWORDS = {
+  Single: 'one-sided',
+  Double: 'two-sided-long-edge',
+  Booklet: 'two-sided-short-edge'
+};
+
+const COLOR_MODE_KEYWORDS = {
+  BW: 'monochrome',
+  Color: 'color'
+};
+
+const PRINTER_ATTRIBUTES = [
+  'printer-name',
+  'printer-info',
+  'printer-make-and-model',
+  'printer-state',
+  'printer-state-reasons',
+  'printer-is-accepting-jobs',
+  'operations-supported',
+  'document-format-supported',
+  'media-supported',
+  'media-default',
+  'color-supported',
+  'print-color-mode-supported',
+  'sides-supported',
+  'copies-supported'
+];
+
+const JOB_ATTRIBUTES = [
+  'job-id',
+  'job-state',
+  'job-state-reasons',
+  'job-state-message',
+  'job-impressions-completed',
+  'job-media-sheets-completed'
+];
+
+// ipp://host/path -> http://host:631/path (ipps uses TLS on the same port)
+export function getHttpUrl(printerUri) {
+  const url = new URL(printerUri);
+  if (url.protocol !== 'ipp:' && url.protocol !== 'ipps:') {
+    throw new Error(`Not an IPP printer URI: ${printerUri}`);
+  }
+
+  const protocol = url.protocol === 'ipps:' ? 'https:' : 'http:';
+  return `${protocol}//${url.hostname.includes(':') ? `[${url.hostname}]` : url.hostname}:${url.port || 631}${url.pathname}${url.search}`;
+}
+
+let nextRequestId = 1;
+
+// Send one operation and return the decoded response. Unreachable printers
+// and IPP error statuses throw IppError.
+async function sendRequest(printerUri, operationName, { operationAttributes = [], jobAttributes = [], data = null, timeoutMs = REQUEST_TIMEOUT_MS } = {}) {
+  const body = encodeMessage({
+    code: OPERATIONS[operationName],
+    requestId: nextRequestId++,
+    groups: [
+      {
+        tag: GROUPS.operation,
+        attributes: [
+          // Must come first, in this order
+          [TAGS.charset, 'attributes-charset', 'utf-8'],
+          [TAGS.naturalLanguage, 'attributes-natural-language', 'en'],
+          [TAGS.uri, 'printer-uri', printerUri],
+          ...operationAttributes
+        ]
+      },
+      ...(jobAttributes.length > 0 ? [{ tag: GROUPS.job, attributes: jobAttributes }] : [])
+    ],
+    data
+  });
+
+  let response;
+  try {
+    response = await fetch(getHttpUrl(printerUri), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/ipp' },
+      body,
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+  } catch (error) {
+    throw new IppError(null, `${operationName} to ${printerUri} failed: ${error.cause?.message || error.message}`);
+  }
+
+  if (!response.ok) {
+    throw new IppError(null, `${operationName} to ${printerUri} failed: HTTP ${response.status}`);
+  }
+
+  const message = decodeMessage(Buffer.from(await response.arrayBuffer()));
+  if (!isSuccessStatus(message.code)) {
+    const statusMessage = getGroupAttributes(message, GROUPS.operation)['status-message']?.[0];
+    throw new IppError(message.code, `${operationName} failed: ${statusMessage || `status 0x${message.code.toString(16).padStart(4, '0')}`}`);
+  }
+
+  return message;
+}
+
+const first = (attributes, name, fallback = null) => attributes[name]?.[0] ?? fallback;
+
+// What a printer can do, in the terms orders use (paper sizes A4/Letter/...,
+// BW/Color, Single/Double)
+export async function getPrinterAttributes(printerUri) {
+  const response = await sendRequest(printerUri, 'Get-Printer-Attributes', {
+    operationAttributes: [[TAGS.keyword, 'requested-attributes', PRINTER_ATTRIBUTES]]
+  });
+  const attributes = getGroupAttributes(response, GROUPS.printer);
+
+  const media = attributes['media-supported'] || [];
+  const sides = attributes['sides-supported'] || [];
+  const colorModes = attributes['print-color-mode-supported'] || [];
+  const operations = attributes['operations-supported'] || [];
+
+  return {
+    name: first(attributes, 'printer-name'),
+    info: first(attributes, 'printer-info'),
+    makeAndModel: first(attributes, 'printer-make-and-model'),
+    state: PRINTER_STATES[first(attributes, 'printer-state')] || 'unknown',
+    stateReasons: (attributes['printer-state-reasons'] || []).filter(reason => reason !== 'none'),
+    acceptingJobs: first(attributes, 'printer-is-accepting-jobs', true),
+    media,
+    mediaDefault: first(attributes, 'media-default'),
+    supportedSizes: Object.keys(MEDIA_KEYWORDS).filter(size => media.includes(MEDIA_KEYWORDS[size])),
+    colorSupported: first(attributes, 'color-supported', false) || colorModes.includes('color'),
+    duplexSupported: sides.some(side => side.startsWith('two-sided')),
+    documentFormats: attributes['document-format-supported'] || [],
+    maxCopies: first(attributes, 'copies-supported')?.upper ?? 1,
+    // Create-Job + Send-Document lets the printer reject a job before the document is sent
+    createJobSupported: operations.includes(OPERATIONS['Create-Job']) && operations.includes(OPERATIONS['Send-Document'])
+  };
+}
+
+function getJobTemplate({ copies = 1, paperSize, printType, booklet, colorMode }, capabilities) {
+  const attributes = [];
+  const sides = booklet ? 'Booklet' : printType;
+
+  if (copies > 1) {
+    attributes.push([TAGS.integer, 'copies', copies]);
+  }
+  if (MEDIA_KEYWORDS[paperSize] && capabilities.media.includes(MEDIA_KEYWORDS[paperSize])) {
+    attributes.push([TAGS.keyword, 'media', MEDIA_KEYWORDS[paperSize]]);
+  }
+  if (SIDES_KEYWORDS[sides] && (sides === 'Single' || capabilities.duplexSupported)) {
+    attributes.push([TAGS.keyword, 'sides', SIDES_KEYWORDS[sides]]);
+  }
+  if (COLOR_MODE_KEYWORDS[colorMode] && (colorMode === 'BW' || capabilities.colorSupported)) {
+    attributes.push([TAGS.keyword, 'print-color-mode', COLOR_MODE_KEYWORDS[colorMode]]);
+  }
+
+  return attributes;
+}
+
+function getJobSummary(response) {
+  const attributes = getGroupAttributes(response, GROUPS.job);
+  return {
+    jobId: first(attributes, 'job-id'),
+    jobUri: first(attributes, 'job-uri'),
+    state: JOB_STATES[first(attributes, 'job-state')] || 'unknown'
+  };
+}
+
+// Print a PDF. `options` uses order settings: { copies, paperSize, printType,
+// booklet, colorMode, jobName }. Settings the printer can't honour are left to its
+// defaults rather than failing the job.
+export async function submitPrintJob(printerUri, pdf, options = {}, capabilities = null) {
+  const printer = capabilities || await getPrinterAttributes(printerUri);
+
+  if (!printer.acceptingJobs) {
+    throw new IppError(null, `${printer.name || printerUri} is not accepting jobs`);
+  }
+  if (printer.documentFormats.length > 0 && !printer.documentFormats.includes('application/pdf')) {
+    throw new IppError(null, `${printer.name || printerUri} does not print PDF`);
+  }
+
+  const jobName = options.jobName || 'PrintFlow job';
+  const jobAttributes = getJobTemplate(options, printer);
+  const documentAttributes = [
+    [TAGS.name, 'requesting-user-name', USER_NAME],
+    [TAGS.mimeMediaType, 'document-format', 'application/pdf']
+  ];
+
+  if (!printer.createJobSupported) {
+    const response = await sendRequest(printerUri, 'Print-Job', {
+      operationAttributes: [...documentAttributes, [TAGS.name, 'job-name', jobName]],
+      jobAttributes,
+      data: pdf,
+      timeoutMs: DOCUMENT_TIMEOUT_MS
+    });
+    return getJobSummary(response);
+  }
+
+  const created = getJobSummary(await sendRequest(printerUri, 'Create-Job', {
+    operationAttributes: [[TAGS.name, 'requesting-user-name', USER_NAME], [TAGS.name, 'job-name', jobName]],
+    jobAttributes
+  }));
+
+  const response = await sendRequest(printerUri, 'Send-Document', {
+    operationAttributes: [
+      [TAGS.integer, 'job-id', created.jobId],
+      ...documentAttributes,
+      [TAGS.boolean, 'last-document', true]
+    ],
+    data: pdf,
+    timeoutMs: DOCUMENT_TIMEOUT_MS
+  });
+
+  return { ...created, ...getJobSummary(response), jobId: created.jobId };
+}
+
+// Progress of a submitted job
+export async function getJobAttributes(printerUri, jobId) {
+  const response = await sendRequest(printerUri, 'Get-Job-Attributes', {
+    operationAttributes: [
+      [TAGS.integer, 'job-id', jobId],
+      [TAGS.name, 'requesting-user-name', USER_NAME],
+      [TAGS.keyword, 'requested-attributes', JOB_ATTRIBUTES]
+    ]
+  });
+  const attributes = getGroupAttributes(response, GROUPS.job);
+
+  return {
+    jobId: first(attributes, 'job-id', jobId),
+    state: JOB_STATES[first(attributes, 'job-state')] || 'unknown',
+    stateReasons: (attributes['job-state-reasons'] || []).filter(reason => reason !== 'none'),
+    message: first(attributes, 'job-state-message'),
+    impressionsCompleted: first(attributes, 'job-impressions-completed', 0),
+    sheetsCompleted: first(attributes, 'job-media-sheets-completed', 0)
+  };
+}
@@ -0,0 +1,187 @@
+import http from 'http';
+import { fileURLToPath } from 'url';
+import {
+  OPERATIONS,
+  STATUS,
+  GROUPS,
+  TAGS,
+  encodeMessage,
+  decodeMessage,
+  getGroupAttributes
+} from './ipp.js';
+
+// Local stand-in for an IPP printer, so discovery-free printing can be run
+// and tested without hardware. Jobs live in memory and move from pending to
+// processing to completed on timers; received documents are kept on the job.
+//
+//   node server/printers/standIn.js        # listens on IPP_STAND_IN_PORT (8631)
+//   IPP_PRINTERS=ipp://localhost:8631/ipp/print node server/index.js
+
+const JOB_STATE_CODES = { pending: 3, processing: 5, canceled: 7, completed: 9 };
+
+export function createIppStandIn({
+  name = 'PrintFlow Stand-in',
+  media = ['iso_a4_210x297mm', 'na_letter_8.5x11in', 'iso_a3_297x420mm'],
+  color = true,
+  duplex = true,
+  createJob = true,
+  startDelayMs = 500,
+  printDurationMs = 2000
+} = {}) {
+  const jobs = new Map();
+  let nextJobId = 1;
+  let printerUri = null;
+
+  const operations = [
+    OPERATIONS['Print-Job'],
+    OPERATIONS['Validate-Job'],
+    OPERATIONS['Get-Job-Attributes'],
+    OPERATIONS['Get-Printer-Attributes'],
+    ...(createJob ? [OPERATIONS['Create-Job'], OPERATIONS['Send-Document']] : [])
+  ];
+
+  const printerAttributes = () => [
+    [TAGS.uri, 'printer-uri-supported', printerUri],
+    [TAGS.name, 'printer-name', name],
+    [TAGS.text, 'printer-info', name],
+    [TAGS.text, 'printer-make-and-model', 'PrintFlow IPP Stand-in'],
+    [TAGS.enum, 'printer-state', [...jobs.values()].some(job => job.state === 'processing') ? 4 : 3],
+    [TAGS.keyword, 'printer-state-reasons', 'none'],
+    [TAGS.boolean, 'printer-is-accepting-jobs', true],
+    [TAGS.enum, 'operations-supported', operations],
+    [TAGS.mimeMediaType, 'document-format-supported', ['application/pdf', 'application/octet-stream']],
+    [TAGS.keyword, 'media-supported', media],
+    [TAGS.keyword, 'media-default', media[0]],
+    [TAGS.boolean, 'color-supported', color],
+    [TAGS.keyword, 'print-color-mode-supported', color ? ['monochrome', 'color'] : ['monochrome']],
+    [TAGS.keyword, 'sides-supported', duplex ? ['one-sided', 'two-sided-long-edge', 'two-sided-short-edge'] : ['one-sided']],
+    [TAGS.rangeOfInteger, 'copies-supported', { lower: 1, upper: 999 }]
+  ];
+
+  const jobAttributes = (job) => [
+    [TAGS.integer, 'job-id', job.id],
+    [TAGS.uri, 'job-uri', `${printerUri.replace(/\/$/, '')}/jobs/${job.id}`],
+    [TAGS.enum, 'job-state', JOB_STATE_CODES[job.state]],
+    [TAGS.keyword, 'job-state-reasons', job.state === 'completed' ? 'job-completed-successfully' : 'none'],
+    [TAGS.integer, 'job-impressions-completed', job.state === 'completed' ? job.copies : 0]
+  ];
+
+  // pending -> processing -> completed, starting once the document is in
+  const startJob = (job) => {
+    setTimeout(() => {
+      job.state = 'processing';
+      setTimeout(() => {
+        job.state = 'completed';
+      }, printDurationMs).unref();
+    }, startDelayMs).unref();
+  };
+
+  const createJobFromRequest = (request) => {
+    const operation = getGroupAttributes(request, GROUPS.operation);
+    const template = getGroupAttributes(request, GROUPS.job);
+    const job = {
+      id: nextJobId++,
+      state: 'pending',
+      name: operation['job-name']?.[0] || 'Untitled',
+      copies: template.copies?.[0] || 1,
+      media: template.media?.[0] || media[0],
+      sides: template.sides?.[0] || 'one-sided',
+      colorMode: template['print-color-mode']?.[0] || 'monochrome',
+      document: null
+    };
+    jobs.set(job.id, job);
+    return job;
+  };
+
+  const handlers = {
+    [OPERATIONS['Get-Printer-Attributes']]: () => ({ groups: [{ tag: GROUPS.printer, attributes: printerAttributes() }] }),
+
+    [OPERATIONS['Validate-Job']]: () => ({ groups: [] }),
+
+    [OPERATIONS['Print-Job']]: (request) => {
+      const job = createJobFromRequest(request);
+      job.document = request.data;
+      startJob(job);
+      return { groups: [{ tag: GROUPS.job, attributes: jobAttributes(job) }] };
+    },
+
+    [OPERATIONS['Create-Job']]: (request) => {
+      const job = createJobFromRequest(request);
+      return { groups: [{ tag: GROUPS.job, attributes: jobAttributes(job) }] };
+    },
+
+    [OPERATIONS['Send-Document']]: (request) => {
+      const job = jobs.get(getGroupAttributes(request, GROUPS.operation)['job-id']?.[0]);
+      if (!job) return { status: STATUS.clientErrorNotFound, message: 'No such job' };
+
+      job.document = request.data;
+      startJob(job);
+      return { groups: [{ tag: GROUPS.job, attributes: jobAttributes(job) }] };
+    },
+
+    [OPERATIONS['Get-Job-Attributes']]: (request) => {
+      const job = jobs.get(getGroupAttributes(request, GROUPS.operation)['job-id']?.[0]);
+      if (!job) return { status: STATUS.clientErrorNotFound, message: 'No such job' };
+
+      return { groups: [{ tag: GROUPS.job, attributes: jobAttributes(job) }] };
+    }
+  };
+
+  const respond = (res, requestId, { status = STATUS.successfulOk, message = null, groups = [] }) => {
+    const operationAttributes = [
+      [TAGS.charset, 'attributes-charset', 'utf-8'],
+      [TAGS.naturalLanguage, 'attributes-natural-language', 'en'],
+      ...(message ? [[TAGS.text, 'status-message', message]] : [])
+    ];
+    res.writeHead(200, { 'Content-Type': 'application/ipp' });
+    res.end(encodeMessage({ code: status, requestId, groups: [{ tag: GROUPS.operation, attributes: operationAttributes }, ...groups] }));
+  };
+
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'POST' || req.headers['content-type'] !== 'application/ipp') {
+      res.writeHead(400).end();
+      return;
+    }
+
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      let request;
+      try {
+        request = decodeMessage(Buffer.concat(chunks));
+      } catch (error) {
+        respond(res, 0, { status: STATUS.clientErrorBadRequest, message: error.message });
+        return;
+      }
+
+      const handler = handlers[request.code];
+      respond(res, request.requestId, handler
+        ? handler(request)
+        : { status: STATUS.serverErrorOperationNotSupported, message: 'Operation not supported' });
+    });
+  });
+
+  return {
+    jobs,
+
+    listen(port = 0, host = '127.0.0.1') {
+      return new Promise((resolve) => {
+        server.listen(port, host, () => {
+          printerUri = `ipp://${host}:${server.address().port}/ipp/print`;
+          resolve(printerUri);
+        });
+      });
+    },
+
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const standIn = createIppStandIn();
+  standIn.listen(Number(process.env.IPP_STAND_IN_PORT) || 8631).then((uri) => {
+    console.log(`IPP stand-in printer listening at ${uri}`);
+  });
+}
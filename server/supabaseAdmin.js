@@ -0,0 +1,39 @@
+import { createClient } from '@supabase/supabase-js';
+
+// Server-side Supabase client. Uses the service role key so the server can
+// write rows that browsers are no longer allowed to insert directly.
+const supabaseUrl = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL;
+const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+let adminClient = null;
+
+export const PRINT_FILES_BUCKET = 'print-files';
+
+export function getSupabaseAdmin() {
+  if (!supabaseUrl || !serviceRoleKey) {
+    throw new Error('Missing Supabase server configuration. Please set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
+  }
+
+  if (!adminClient) {
+    adminClient = createClient(supabaseUrl, serviceRoleKey, {
+      auth: {
+        persistSession: false,
+        autoRefreshToken: false
+      }
+    });
+  }
+
+  return adminClient;
+}
+
+// Convert a public storage URL back into an object path inside the print-files bucket.
+// Returns null for URLs that do not point at our bucket.
+export function getStoragePathFromUrl(fileUrl) {
+  if (!supabaseUrl || typeof fileUrl !== 'string') return null;
+
+  const prefix = `${supabaseUrl.replace(/\/$/, '')}/storage/v1/object/public/${PRINT_FILES_BUCKET}/`;
+  if (!fileUrl.startsWith(prefix)) return null;
+
+  const path = decodeURIComponent(fileUrl.slice(prefix.length).split('?')[0]);
+  return path.includes('..') ? null : path;
+}
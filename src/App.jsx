@@ -5,6 +5,10 @@ import ShopPage from './pages/ShopPage'
 import OrderPage from './pages/OrderPage'
 import PaymentPage from './pages/PaymentPage'
 import StatusPage from './pages/StatusPage'
+import MyOrdersPage from './pages/MyOrdersPage'
+import DashboardPage from './pages/DashboardPage'
+import PricingPage from './pages/PricingPage'
+import PrintAgentPage from './pages/PrintAgentPage'
 import DesignMockup from './pages/DesignMockup'
 
 function App() {
@@ -17,6 +21,10 @@ function App() {
         <Route path="/shop/:shopId/order" element={<OrderPage />} />
         <Route path="/payment/:jobId" element={<PaymentPage />} />
         <Route path="/status/:jobId" element={<StatusPage />} />
+        <Route path="/orders" element={<MyOrdersPage />} />
+        <Route path="/dashboard/:shopId" element={<DashboardPage />} />
+        <Route path="/dashboard/:shopId/pricing" element={<PricingPage />} />
+        <Route path="/dashboard/:shopId/agent" element={<PrintAgentPage />} />
         <Route path="*" element={<Navigate to="/" replace />} />
       </Routes>
     </Router>
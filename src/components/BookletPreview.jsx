@@ -0,0 +1,97 @@
+import { useState, useEffect } from 'react'
+import { BookOpen } from 'lucide-react'
+import { loadPdfDocument } from '../utils/pdf/pdfjs'
+
+// Imposed booklets alternate front and back sides, so PDF page n is
+// the front of sheet ceil(n/2) when n is odd and its back when even
+const renderSide = async (pdf, pageNum) => {
+  const page = await pdf.getPage(pageNum)
+  const viewport = page.getViewport({ scale: 0.5 })
+
+  const canvas = document.createElement('canvas')
+  const context = canvas.getContext('2d')
+  canvas.width = viewport.width
+  canvas.height = viewport.height
+
+  await page.render({
+    canvasContext: context,
+    viewport: viewport
+  }).promise
+
+  return {
+    pageNum,
+    sheet: Math.ceil(pageNum / 2),
+    side: pageNum % 2 === 1 ? 'Front' : 'Back',
+    dataUrl: canvas.toDataURL('image/jpeg', 0.8)
+  }
+}
+
+export default function BookletPreview({ pdfBytes }) {
+  const [sides, setSides] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    if (!pdfBytes) return
+
+    let cancelled = false
+
+    const loadPDF = async () => {
+      try {
+        setLoading(true)
+        // pdf.js detaches the buffer it is given, so pass a copy
+        const pdf = await loadPdfDocument({ data: pdfBytes.slice() })
+
+        const renderedSides = []
+        for (let i = 1; i <= pdf.numPages; i++) {
+          renderedSides.push(await renderSide(pdf, i))
+        }
+
+        if (!cancelled) {
+          setSides(renderedSides)
+          setLoading(false)
+        }
+      } catch (error) {
+        console.error('Error loading booklet preview:', error)
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    loadPDF()
+    return () => { cancelled = true }
+  }, [pdfBytes])
+
+  if (!pdfBytes) return null
+
+  return (
+    <div className="mt-6 p-4 bg-white border border-gray-200 rounded-lg">
+      <div className="flex items-center gap-2 mb-1">
+        <BookOpen className="w-4 h-4 text-blue-600" />
+        <h3 className="text-sm font-bold text-gray-900">Booklet Sheets</h3>
+      </div>
+      <p className="text-xs text-gray-600 mb-3">
+        Print double-sided, flipping on the short edge. Stack the sheets in order and fold them in half.
+      </p>
+
+      {loading ? (
+        <div className="flex items-center justify-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        </div>
+      ) : (
+        <div className="grid grid-cols-2 gap-3">
+          {sides.map((side) => (
+            <div key={side.pageNum} className="border border-gray-200 rounded overflow-hidden">
+              <img
+                src={side.dataUrl}
+                alt={`Sheet ${side.sheet} ${side.side}`}
+                className="w-full h-auto"
+              />
+              <div className="px-2 py-1 text-xs text-center text-gray-700 bg-gray-50">
+                Sheet {side.sheet} – {side.side}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,102 @@
+import React, { useState } from 'react'
+import { Undo2, Redo2, History } from 'lucide-react'
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+
+// Undo/redo buttons with a dropdown list of the edit history.
+// `history` is a CommandHistory state: { entries, position, canUndo, canRedo }
+const EditHistoryControls = ({ history, onUndo, onRedo, onGoTo, variant = 'light', disabled = false }) => {
+  const [isOpen, setIsOpen] = useState(false)
+  const isDark = variant === 'dark'
+
+  const buttonClass = `p-1.5 rounded transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${
+    isDark ? 'bg-white/15 hover:bg-white/25 text-white' : 'bg-gray-100 hover:bg-gray-200 text-gray-700'
+  }`
+
+  const goTo = (position) => {
+    setIsOpen(false)
+    onGoTo(position)
+  }
+
+  return (
+    <div className="relative flex items-center gap-1">
+      <button
+        type="button"
+        onClick={onUndo}
+        disabled={disabled || !history.canUndo}
+        className={buttonClass}
+        title="Undo (Ctrl+Z)"
+        aria-label="Undo"
+      >
+        <Undo2 className="w-4 h-4" />
+      </button>
+      <button
+        type="button"
+        onClick={onRedo}
+        disabled={disabled || !history.canRedo}
+        className={buttonClass}
+        title="Redo (Ctrl+Shift+Z)"
+        aria-label="Redo"
+      >
+        <Redo2 className="w-4 h-4" />
+      </button>
+      <button
+        type="button"
+        onClick={() => setIsOpen(open => !open)}
+        disabled={history.entries.length === 0}
+        className={buttonClass}
+        title="Edit history"
+        aria-label="Edit history"
+        aria-expanded={isOpen}
+      >
+        <History className="w-4 h-4" />
+      </button>
+
+      {isOpen && (
+        <>
+          <div className="fixed inset-0 z-40" onClick={() => setIsOpen(false)} />
+          <div className="absolute right-0 top-full mt-1 z-50 w-64 bg-white rounded-lg shadow-xl border border-gray-200 py-1 text-gray-800">
+            <p className="px-3 py-1.5 text-xs font-semibold text-gray-500 uppercase tracking-wide">Edit history</p>
+            <ul className="max-h-72 overflow-y-auto">
+              {[...history.entries].reverse().map((entry, reversedIndex) => {
+                const position = history.entries.length - reversedIndex
+                const isUndone = position > history.position
+                const isCurrent = position === history.position
+
+                return (
+                  <li key={entry.id}>
+                    <button
+                      type="button"
+                      onClick={() => goTo(position)}
+                      disabled={disabled || isCurrent}
+                      className={`w-full flex items-center justify-between gap-2 px-3 py-1.5 text-left text-sm hover:bg-gray-50 ${
+                        isCurrent ? 'bg-blue-50 text-blue-700 font-medium' : ''
+                      } ${isUndone ? 'text-gray-400 line-through' : ''}`}
+                    >
+                      <span className="truncate">{entry.label}</span>
+                      <span className="text-xs text-gray-400 flex-shrink-0">{formatTime(entry.timestamp)}</span>
+                    </button>
+                  </li>
+                )
+              })}
+              <li>
+                <button
+                  type="button"
+                  onClick={() => goTo(0)}
+                  disabled={disabled || history.position === 0}
+                  className={`w-full px-3 py-1.5 text-left text-sm hover:bg-gray-50 ${
+                    history.position === 0 ? 'bg-blue-50 text-blue-700 font-medium' : 'text-gray-600'
+                  }`}
+                >
+                  Original document
+                </button>
+              </li>
+            </ul>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default EditHistoryControls
@@ -0,0 +1,279 @@
+import React, { useState, useEffect } from 'react'
+import { Plus, Trash2, Save } from 'lucide-react'
+import {
+  getAllShopFinishingOptions,
+  saveFinishingOption,
+  deleteFinishingOption
+} from '../utils/supabase'
+import { FINISHING_KINDS, FINISHING_PRICE_UNITS } from '../utils/finishing'
+
+let nextDraftKey = 1
+
+const toRow = (option) => ({ key: option.id, saved: option, draft: { ...option } })
+
+const newRow = (shopId, sortOrder) => ({
+  key: `new-${nextDraftKey++}`,
+  saved: null,
+  draft: {
+    shop_id: shopId,
+    kind: 'staple',
+    name: FINISHING_KINDS.staple.label,
+    price: 0,
+    price_unit: 'job',
+    min_sheets: null,
+    max_sheets: null,
+    is_active: true,
+    sort_order: sortOrder
+  }
+})
+
+const toSheetCount = (value) => (value === '' || value == null ? null : Number(value))
+
+const getEditableFields = ({ kind, name, price, price_unit, min_sheets, max_sheets, is_active, sort_order }) => ({
+  kind,
+  name,
+  price: Number(price),
+  price_unit,
+  min_sheets: toSheetCount(min_sheets),
+  max_sheets: toSheetCount(max_sheets),
+  is_active,
+  sort_order
+})
+
+const isDirty = (row) => !row.saved || JSON.stringify(getEditableFields(row.saved)) !== JSON.stringify(getEditableFields(row.draft))
+
+const isSheetCount = (value) => value == null || (Number.isInteger(value) && value > 0)
+
+const getFieldErrors = ({ draft }) => {
+  const errors = []
+
+  if (!draft.name?.trim()) {
+    errors.push('Name is required')
+  }
+  const price = Number(draft.price)
+  if (draft.price === '' || !Number.isFinite(price) || price < 0) {
+    errors.push('Price must be 0 or more')
+  }
+  const minSheets = toSheetCount(draft.min_sheets)
+  const maxSheets = toSheetCount(draft.max_sheets)
+  if (!isSheetCount(minSheets) || !isSheetCount(maxSheets)) {
+    errors.push('Sheet limits must be whole numbers above 0')
+  } else if (minSheets && maxSheets && minSheets > maxSheets) {
+    errors.push('Minimum sheets must not exceed the maximum')
+  }
+
+  return errors
+}
+
+// Finishing catalog for shop owners: the options customers can add to an
+// order (see utils/finishing), priced per job, sheet or copy
+const FinishingCatalogEditor = ({ shopId }) => {
+  const [rows, setRows] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [busyKey, setBusyKey] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+
+    const loadCatalog = async () => {
+      setLoading(true)
+      const { data, error } = await getAllShopFinishingOptions(shopId)
+      if (cancelled) return
+
+      setRows(data.map(toRow))
+      setError(error?.message || null)
+      setLoading(false)
+    }
+
+    loadCatalog()
+
+    return () => {
+      cancelled = true
+    }
+  }, [shopId])
+
+  const updateDraft = (key, changes) => {
+    setRows(prev => prev.map(row => (row.key === key ? { ...row, draft: { ...row.draft, ...changes } } : row)))
+  }
+
+  // Options keep their kind's label as a name until it is changed
+  const handleKindChange = (row, kind) => {
+    const usesKindLabel = row.draft.name === FINISHING_KINDS[row.draft.kind]?.label
+    updateDraft(row.key, usesKindLabel ? { kind, name: FINISHING_KINDS[kind].label } : { kind })
+  }
+
+  // New options go to the end of the catalog
+  const handleAdd = () => {
+    const sortOrder = rows.reduce((max, row) => Math.max(max, row.draft.sort_order + 1), 0)
+    setRows(prev => [...prev, newRow(shopId, sortOrder)])
+  }
+
+  const saveRow = async (row, fields) => {
+    setBusyKey(row.key)
+    const { data, error } = await saveFinishingOption({ id: row.saved?.id, shop_id: shopId, ...fields })
+    setBusyKey(null)
+
+    if (error) {
+      alert(error.message)
+      return
+    }
+    setRows(prev => prev.map(existing => (
+      existing.key === row.key ? { key: data.id, saved: data, draft: { ...existing.draft, ...fields } } : existing
+    )))
+  }
+
+  const handleSave = (row) => {
+    saveRow(row, { ...getEditableFields(row.draft), name: row.draft.name.trim() })
+  }
+
+  // Saved options are switched on and off right away; other edits stay as drafts
+  const handleToggleActive = (row) => {
+    const isActive = !row.draft.is_active
+    updateDraft(row.key, { is_active: isActive })
+    if (row.saved) {
+      saveRow(row, { is_active: isActive })
+    }
+  }
+
+  const handleDelete = async (row) => {
+    if (row.saved) {
+      if (!window.confirm(`Delete ${row.saved.name}? Deactivating keeps it for later.`)) return
+
+      setBusyKey(row.key)
+      const { error } = await deleteFinishingOption(row.saved.id)
+      setBusyKey(null)
+      if (error) {
+        alert(error.message)
+        return
+      }
+    }
+    setRows(prev => prev.filter(existing => existing.key !== row.key))
+  }
+
+  const handleRevert = (row) => {
+    setRows(prev => prev.map(existing => (existing.key === row.key ? toRow(row.saved) : existing)))
+  }
+
+  const renderRow = (row) => {
+    const fieldErrors = getFieldErrors(row)
+    const dirty = isDirty(row)
+    const isBusy = busyKey === row.key
+
+    return (
+      <li key={row.key} className={`p-3 sm:p-4 space-y-2 ${row.draft.is_active ? '' : 'bg-gray-50'}`}>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <select
+            value={row.draft.kind}
+            onChange={(e) => handleKindChange(row, e.target.value)}
+            className="border rounded px-2 py-1"
+          >
+            {Object.entries(FINISHING_KINDS).map(([kind, { label }]) => <option key={kind} value={kind}>{label}</option>)}
+          </select>
+          <input
+            value={row.draft.name}
+            onChange={(e) => updateDraft(row.key, { name: e.target.value })}
+            placeholder="Name shown to customers"
+            className="border rounded px-2 py-1 w-40"
+          />
+          <label className="flex items-center gap-1">
+            <span className="text-gray-500">₹</span>
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={row.draft.price}
+              onChange={(e) => updateDraft(row.key, { price: e.target.value })}
+              className="border rounded px-2 py-1 w-20"
+              title="Price"
+            />
+          </label>
+          <select
+            value={row.draft.price_unit}
+            onChange={(e) => updateDraft(row.key, { price_unit: e.target.value })}
+            className="border rounded px-2 py-1"
+          >
+            {FINISHING_PRICE_UNITS.map(unit => <option key={unit} value={unit}>per {unit}</option>)}
+          </select>
+          <label className="flex items-center gap-1">
+            <span className="text-gray-500">Sheets</span>
+            <input
+              type="number"
+              min="1"
+              value={row.draft.min_sheets ?? ''}
+              onChange={(e) => updateDraft(row.key, { min_sheets: e.target.value })}
+              placeholder="min"
+              className="border rounded px-2 py-1 w-16"
+            />
+            <span className="text-gray-500">to</span>
+            <input
+              type="number"
+              min="1"
+              value={row.draft.max_sheets ?? ''}
+              onChange={(e) => updateDraft(row.key, { max_sheets: e.target.value })}
+              placeholder="max"
+              className="border rounded px-2 py-1 w-16"
+            />
+          </label>
+          <label className="flex items-center gap-1 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={row.draft.is_active}
+              onChange={() => handleToggleActive(row)}
+              disabled={isBusy}
+            />
+            Active
+          </label>
+
+          <div className="flex items-center gap-2 ml-auto">
+            {row.saved && dirty && (
+              <button onClick={() => handleRevert(row)} className="text-gray-600 text-xs hover:underline">Revert</button>
+            )}
+            {dirty && (
+              <button
+                onClick={() => handleSave(row)}
+                disabled={isBusy || fieldErrors.length > 0}
+                className="flex items-center gap-1 bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700 disabled:opacity-50"
+              >
+                <Save className="w-4 h-4" />
+                Save
+              </button>
+            )}
+            <button onClick={() => handleDelete(row)} disabled={isBusy} className="text-red-600 p-1 disabled:opacity-50" title="Delete">
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+
+        {fieldErrors.map(message => (
+          <p key={message} className="text-xs text-red-600">{message}</p>
+        ))}
+      </li>
+    )
+  }
+
+  return (
+    <section>
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-sm font-semibold text-gray-700">Finishing</h2>
+        <button onClick={handleAdd} className="flex items-center gap-1 text-blue-600 text-sm hover:underline">
+          <Plus className="w-4 h-4" />
+          Add option
+        </button>
+      </div>
+      {loading ? (
+        <div className="bg-white rounded-lg shadow-md p-6 text-center text-sm text-gray-600">Loading finishing options...</div>
+      ) : error ? (
+        <div className="bg-white rounded-lg shadow-md p-6 text-center text-sm text-red-600">{error}</div>
+      ) : rows.length === 0 ? (
+        <div className="bg-white rounded-lg shadow-md p-6 text-center text-sm text-gray-600">
+          No finishing options yet. Customers only see the options listed here.
+        </div>
+      ) : (
+        <ul className="bg-white rounded-lg shadow-md divide-y">{rows.map(renderRow)}</ul>
+      )}
+    </section>
+  )
+}
+
+export default FinishingCatalogEditor
@@ -1,30 +1,21 @@
 import React, { useState, useEffect, useRef, useCallback, useImperativeHandle, forwardRef, useMemo } from 'react'
-import * as pdfjsLib from 'pdfjs-dist/legacy/build/pdf'
-import pdfjsWorker from 'pdfjs-dist/legacy/build/pdf.worker.min.js?url'
-import { 
-  PDFDocument,
-  pushGraphicsState,
-  popGraphicsState,
-  concatTransformationMatrix,
-  moveTo,
-  lineTo,
-  closePath,
-  clip,
-  endPath
-} from 'pdf-lib'
-import { X, Save, RotateCw, RotateCcw, Crop, RefreshCw, ZoomIn, ZoomOut, Move, Grid2x2 as Grid, Scissors, Check, CreditCard as Edit3, FileText, Maximize2, AlertCircle, Square, SquareCheck as CheckSquare, Loader2 } from 'lucide-react'
+import { PDFDocument } from 'pdf-lib'
+import { X, Save, RotateCw, RotateCcw, Crop, RefreshCw, ZoomIn, ZoomOut, Move, Grid2x2 as Grid, Scissors, Check, CreditCard as Edit3, FileText, Maximize2, AlertCircle, Square, SquareCheck as CheckSquare, Loader2, GripHorizontal } from 'lucide-react'
 import { ShimmerLoader } from './ThumbnailLoadingStates'
 import LoadingExperience from './LoadingExperience'
 import { getPageSize, DEFAULT_PAGE_SIZE, PAGE_SIZES } from '../utils/pageSizes'
 import { buildGeometricTransform, buildCanonicalTransform, calculateScaleToFit, remapCropBetweenRotations } from '../utils/pdf/geometry'
 import { renderPage, applyStoredSettingsToPage, generateThumbnail } from '../utils/pdf/rendering'
 import { applyColorFilter } from '../utils/pdf/filters'
+import { hasGeometricEdits, replaceWithTransformedPage } from '../utils/pdf/vectorExport'
 import { USE_NEW_RENDERER, createRenderPageToCanvas } from '../utils/pdf/CanvasRendererAdapter'
 import { combineConsecutivePagesForGrid } from '../utils/pdf/grid'
 import { createPerformanceLogger } from '../utils/pdf/performanceLogger'
 import { createMemoryTracker } from '../utils/memoryTracker'
+import { loadPdfDocument } from '../utils/pdf/pdfjs'
 import Dropdown from './Dropdown'
 import UnsavedChangesPopup from './UnsavedChangesPopup'
+import EditHistoryControls from './EditHistoryControls'
 import usePDFStore from '../stores/pdfStore'
 
 import { 
@@ -37,6 +28,12 @@ import {
   ZoomPanHandler,
   ApplyWorkflowHandler,
   usePdfController,
+  usePageReorder,
+  normalizePageOrder,
+  CommandHistory,
+  MetadataStore,
+  commandsForTransforms,
+  isModernController,
   USE_NEW_PDF_CONTROLLER
 } from '../utils/pdf2'
 import { setControllerBlocking } from '../stores/pdfStore'
@@ -45,8 +42,6 @@ if (USE_NEW_PDF_CONTROLLER) {
   setControllerBlocking(true)
 }
 
-pdfjsLib.GlobalWorkerOptions.workerSrc = pdfjsWorker
-
 // Module-level cache to survive React Strict Mode remounts
 // Key: file signature (name_size_lastModified)
 // Value: { loading: boolean, controller: AbortController, pdf: PDFDocumentProxy }
@@ -62,8 +57,15 @@ const PDFEditor = forwardRef(({
   onPageSizeChange, 
   colorMode = 'BW', 
   pagesPerSheet = 1,
+  nupOptions = null,
+  paperSize = null, // sheet paper for N-up; defaults to pageSize
   selectedPages = [],
-  onPageSelect = null
+  onPageSelect = null,
+  colorPages = [],
+  onToggleColorPage = null,
+  pageOrder = null,
+  onPageOrderChange = null,
+  initialPageEdits = null // { [pageNumber]: editHistory } restored from a saved draft
 }, ref) => {
   console.log('📄 PDFEditor mounted with pagesPerSheet:', pagesPerSheet, 'Type:', typeof pagesPerSheet)
   
@@ -75,6 +77,11 @@ const PDFEditor = forwardRef(({
     }
   }, [])
   
+  // Pages marked as Color print in color even when the job is B&W
+  const getPageColorMode = (pageNumber) => (
+    colorMode === 'BW' && colorPages.includes(pageNumber) ? 'Color' : colorMode
+  )
+
   const [pages, setPages] = useState([])
   const [originalPages, setOriginalPages] = useState([])
   const [allPages, setAllPages] = useState([]) // Track ALL pages (loaded + placeholders)
@@ -147,6 +154,7 @@ const PDFEditor = forwardRef(({
   const debounceTimeoutRef = useRef(null)
   const loadingRemainingRef = useRef(false)
   const applyAllSettingsRef = useRef(null) // Store "Apply All" settings for lazy-loaded pages
+  const restoredEditsRef = useRef(initialPageEdits) // Draft edits still to be baked into pages as they load
   const loadingPagesRef = useRef(new Set()) // Track pages currently being loaded to prevent duplicates
   
   // Performance optimization refs
@@ -217,6 +225,21 @@ const PDFEditor = forwardRef(({
     }
   }, [])
 
+  // Undo/redo history of saved edits. The editor keeps its own MetadataStore
+  // (the controller's one drives previews) and the history lives as long as
+  // the editor, so it survives closing and reopening the edit popup.
+  const [commandHistory] = useState(() => new CommandHistory(new MetadataStore()))
+  const [historyState, setHistoryState] = useState(() => commandHistory.getState())
+  const historySnapshotsRef = useRef(new Map()) // History entry id -> editor state { before, after } the entry
+  const editorStateRef = useRef({ pages: [], originalPages: [], allPages: [] }) // Latest page state for snapshots
+  const reloadPopupRef = useRef(false) // Reload the open popup's settings once restored pages render
+
+  useEffect(() => commandHistory.subscribe(setHistoryState), [commandHistory])
+
+  useEffect(() => {
+    editorStateRef.current = { pages, originalPages, allPages }
+  }, [pages, originalPages, allPages])
+
   // ============================================
   // PDF2 CONTROLLER (NEW MODULAR ARCHITECTURE)
   // When USE_NEW_PDF_CONTROLLER is true, file loading and preview
@@ -245,6 +268,35 @@ const PDFEditor = forwardRef(({
       setControllerBlocking(false)
     }
   }, [pdfController, setControllerActive, setControllerRequested])
+
+  // Print order - pages can be dragged into a new order when shown one per sheet
+  const printOrder = useMemo(
+    () => normalizePageOrder(pageOrder, pdf?.numPages || allPages.length),
+    [pageOrder, pdf, allPages.length]
+  )
+  const printPositions = useMemo(
+    () => new Map(printOrder.map((pageNumber, index) => [pageNumber, index])),
+    [printOrder]
+  )
+  const pageReorder = usePageReorder({
+    order: printOrder,
+    onOrderChange: pagesPerSheet === 1 ? onPageOrderChange : null
+  })
+
+  // Keep the controller's PageState in the same order (N-up sheets and recipe follow it)
+  useEffect(() => {
+    if (pdfController && controllerReady && isModernController(pdfController)) {
+      pdfController.setPageOrder(printOrder)
+    }
+  }, [pdfController, controllerReady, printOrder])
+
+  // Lay out the controller's N-up sheets with the order's paper and N-up options
+  useEffect(() => {
+    if (pdfController && controllerReady && isModernController(pdfController)) {
+      const sheetPaper = paperSize || pageSize
+      pdfController.setSheetLayout(pagesPerSheet, sheetPaper, getPageSize(sheetPaper?.toUpperCase()), nupOptions)
+    }
+  }, [pdfController, controllerReady, pagesPerSheet, paperSize, pageSize, nupOptions])
   
   const cropDragController = cropDragControllerRef.current
 
@@ -347,7 +399,7 @@ const PDFEditor = forwardRef(({
     } else {
       console.log('⚠️ Skipping updateGridThumbnails - no originalPages yet')
     }
-  }, [pagesPerSheet, colorMode])
+  }, [pagesPerSheet, colorMode, colorPages])
   
   // In N-up mode, update sheets when new pages are loaded
   useEffect(() => {
@@ -404,7 +456,57 @@ const PDFEditor = forwardRef(({
         cancelAnimationFrame(rafRef.current)
       }
     }
-  }, [settings, editingPageIndex, showEditPopup, currentPageSize, colorMode, pagesPerSheet])
+  }, [settings, editingPageIndex, showEditPopup, currentPageSize, colorMode, colorPages, pagesPerSheet])
+
+  // Settings to bake into a page as it loads: "Apply All" settings, else the page's edits from a restored draft
+  const getStoredSettingsForPage = (pageNumber) => {
+    if (applyAllSettingsRef.current) return applyAllSettingsRef.current
+
+    const editHistory = restoredEditsRef.current?.[pageNumber]
+    if (!editHistory) return null
+    return {
+      settings: {
+        rotation: editHistory.rotation || 0,
+        scale: editHistory.scale ?? 100,
+        offsetX: editHistory.offsetX || 0,
+        offsetY: editHistory.offsetY || 0,
+        fitCropToPage: editHistory.fitCropToPage || false
+      },
+      userScale: editHistory.scale ?? 100,
+      currentPageSize,
+      cropInfo: editHistory.cropArea || null
+    }
+  }
+
+  // Controller pages load as thumbnails only, so draft edits are rendered onto a preview once loading is done
+  const applyRestoredEdits = async () => {
+    const pageNumbers = Object.keys(restoredEditsRef.current || {}).map(Number)
+
+    for (const pageNumber of pageNumbers) {
+      try {
+        const metadata = pdfController.getPageMetadata(pageNumber)
+        const previewCanvas = await pdfController.getPagePreviewAsync(pageNumber, 800, 600)
+        const editedPage = await applyStoredSettingsToPage({
+          pageNumber,
+          width: metadata?.originalDimensions?.width || previewCanvas.width,
+          height: metadata?.originalDimensions?.height || previewCanvas.height,
+          canvas: previewCanvas,
+          originalCanvas: previewCanvas,
+          pristineOriginal: previewCanvas
+        }, getStoredSettingsForPage(pageNumber), getPageSize)
+
+        const withEdits = prev => prev.map(page => (
+          page.pageNumber === pageNumber ? { ...page, ...editedPage, isLoaded: true, isLoading: false } : page
+        ))
+        setPages(withEdits)
+        setOriginalPages(withEdits)
+        setAllPages(withEdits)
+        setThumbnail(pageNumber, editedPage.thumbnail)
+      } catch (err) {
+        console.warn(`⚠️ [PDFEditor] Could not restore edits for page ${pageNumber}:`, err)
+      }
+    }
+  }
 
   const loadPDF = async () => {
     // ============================================
@@ -510,6 +612,8 @@ const PDFEditor = forwardRef(({
           }
           console.log('✅ [PDFEditor] All thumbnails loaded')
         }
+
+        await applyRestoredEdits()
         
         return
       } catch (err) {
@@ -605,7 +709,7 @@ const PDFEditor = forwardRef(({
       
       // Stage 2: Parse PDF document (pdfjs-dist - lightweight)
       perfLogger.current.mark('PDF Parse Start')
-      const pdfDoc = await pdfjsLib.getDocument({ data: arrayBuffer }).promise
+      const pdfDoc = await loadPdfDocument({ data: arrayBuffer })
       perfLogger.current.mark('PDF Parse Complete')
       perfLogger.current.measure('PDF Parsing', 'PDF Parse Start', 'PDF Parse Complete', {
         pages: pdfDoc.numPages
@@ -853,9 +957,10 @@ const PDFEditor = forwardRef(({
             }
             
             // Apply stored "Apply All" settings if they exist
-            if (applyAllSettingsRef.current) {
-              console.log(`📝 [BACKGROUND LOAD] Applying stored Apply All settings to page ${pageNum}`, applyAllSettingsRef.current.settings)
-              displayPage = await applyStoredSettingsToPage(page, applyAllSettingsRef.current, getPageSize)
+            const storedSettings = getStoredSettingsForPage(pageNum)
+            if (storedSettings) {
+              console.log(`📝 [BACKGROUND LOAD] Applying stored settings to page ${pageNum}`, storedSettings.settings)
+              displayPage = await applyStoredSettingsToPage(page, storedSettings, getPageSize)
               console.log(`✅ [BACKGROUND LOAD] Apply All settings applied to page ${pageNum}`)
               
               // Update pageData to include the edits
@@ -1019,9 +1124,10 @@ const PDFEditor = forwardRef(({
         let originalPageForSave = pristineOriginal
         
         // Apply stored "Apply All" settings if they exist
-        if (applyAllSettingsRef.current) {
-          console.log(`📝 [LAZY LOAD] Applying stored settings to page ${pageNumber}`, applyAllSettingsRef.current.settings)
-          displayPage = await applyStoredSettingsToPage(renderedPage, applyAllSettingsRef.current, getPageSize)
+        const storedSettings = getStoredSettingsForPage(pageNumber)
+        if (storedSettings) {
+          console.log(`📝 [LAZY LOAD] Applying stored settings to page ${pageNumber}`, storedSettings.settings)
+          displayPage = await applyStoredSettingsToPage(renderedPage, storedSettings, getPageSize)
           console.log(`✅ [LAZY LOAD] Settings applied to page ${pageNumber} successfully`)
           
           // IMPORTANT: Also store the edited version in originalPages so it gets saved with editHistory
@@ -1148,9 +1254,10 @@ const PDFEditor = forwardRef(({
           let originalPageForSave = pristineOriginal
           
           // Apply stored "Apply All" settings if they exist
-          if (applyAllSettingsRef.current) {
-            console.log(`📝 [LAZY LOAD BATCH] Applying stored settings to page ${page.pageNumber}`, applyAllSettingsRef.current.settings)
-            page = await applyStoredSettingsToPage(page, applyAllSettingsRef.current, getPageSize)
+          const storedSettings = getStoredSettingsForPage(page.pageNumber)
+          if (storedSettings) {
+            console.log(`📝 [LAZY LOAD BATCH] Applying stored settings to page ${page.pageNumber}`, storedSettings.settings)
+            page = await applyStoredSettingsToPage(page, storedSettings, getPageSize)
             console.log(`✅ [LAZY LOAD BATCH] Settings applied to page ${page.pageNumber} successfully`)
             
             // IMPORTANT: Also store the edited version in originalPages so it gets saved with editHistory
@@ -1219,10 +1326,10 @@ const PDFEditor = forwardRef(({
           continue
         }
 
-        const filtered1 = applyColorFilter(page1.canvas, colorMode)
+        const filtered1 = applyColorFilter(page1.canvas, getPageColorMode(page1.pageNumber))
 
         if (page2 && page2.canvas) {
-          const filtered2 = applyColorFilter(page2.canvas, colorMode)
+          const filtered2 = applyColorFilter(page2.canvas, getPageColorMode(page2.pageNumber))
           const combinedCanvas = combineConsecutivePagesForGrid(filtered1, filtered2, getOrientationAwarePageSize(currentPageSize))
 
           const sheet = {
@@ -1313,7 +1420,7 @@ const PDFEditor = forwardRef(({
             thumbnail: page.thumbnail
           }
         }
-        const filtered = applyColorFilter(page.canvas, colorMode)
+        const filtered = applyColorFilter(page.canvas, getPageColorMode(page.pageNumber))
         return {
           ...page,
           canvas: filtered,
@@ -1392,9 +1499,10 @@ const PDFEditor = forwardRef(({
       }
       
       let displayPage = renderedPage
-      if (applyAllSettingsRef.current) {
-        console.log(`📝 [ON-DEMAND LOAD] Applying stored settings to page ${pageNumber}`, applyAllSettingsRef.current.settings)
-        displayPage = await applyStoredSettingsToPage(renderedPage, applyAllSettingsRef.current, getPageSize)
+      const storedSettings = getStoredSettingsForPage(pageNumber)
+      if (storedSettings) {
+        console.log(`📝 [ON-DEMAND LOAD] Applying stored settings to page ${pageNumber}`, storedSettings.settings)
+        displayPage = await applyStoredSettingsToPage(renderedPage, storedSettings, getPageSize)
         console.log(`✅ [ON-DEMAND LOAD] Settings applied to page ${pageNumber} successfully`)
       }
       
@@ -1618,6 +1726,7 @@ const PDFEditor = forwardRef(({
     if (!pages[pageIndex]) return
 
     console.log('🔄 Clearing all edits for page', pages[pageIndex].pageNumber)
+    const historyBefore = captureEditorSnapshot()
 
     // Reset transform settings
     setSettings({
@@ -1659,6 +1768,7 @@ const PDFEditor = forwardRef(({
     }
 
     setPages(updatedPages)
+    recordEditHistory([updatedPages[pageIndex]], historyBefore, `Reset page ${page.pageNumber}`)
 
     // Also update originalPages if in single page mode
     if (pagesPerSheet !== 2 || !page.isSheet) {
@@ -1820,7 +1930,7 @@ const PDFEditor = forwardRef(({
         }
         
         // Apply color mode filter if needed
-        if (colorMode === 'BW') {
+        if (getPageColorMode(sourceOriginalPage.pageNumber) === 'BW') {
           const tempCanvas = document.createElement('canvas')
           tempCanvas.width = targetCanvas.width
           tempCanvas.height = targetCanvas.height
@@ -1888,7 +1998,7 @@ const PDFEditor = forwardRef(({
       targetCtx.restore()
 
       // Apply color mode filter
-      if (colorMode === 'BW') {
+      if (getPageColorMode(sourceOriginalPage.pageNumber) === 'BW') {
         const tempCanvas = document.createElement('canvas')
         tempCanvas.width = targetCanvas.width
         tempCanvas.height = targetCanvas.height
@@ -1905,7 +2015,7 @@ const PDFEditor = forwardRef(({
 
     // ADAPTER: Create adapter-based renderer if feature flag is enabled
     const adapterRenderPageToCanvas = USE_NEW_RENDERER 
-      ? createRenderPageToCanvas({ colorMode, targetPageSize })
+      ? createRenderPageToCanvas({ colorMode, getPageColorMode, targetPageSize })
       : null
 
     // WRAPPER: Switch between legacy and adapter based on feature flag
@@ -2562,6 +2672,8 @@ const PDFEditor = forwardRef(({
         setPendingCropPreview(null)
       }
       
+      const historyBefore = captureEditorSnapshot()
+
       // Store settings for lazy-loaded pages (for pages that will load later)
       applyAllSettingsRef.current = {
         settings: { ...settings },
@@ -2692,7 +2804,7 @@ const PDFEditor = forwardRef(({
       }
 
       // Apply color mode filter
-      if (colorMode === 'BW') {
+      if (getPageColorMode(originalPage.pageNumber) === 'BW') {
         const tempCanvas = document.createElement('canvas')
         tempCanvas.width = finalCanvas.width
         tempCanvas.height = finalCanvas.height
@@ -2744,10 +2856,10 @@ const PDFEditor = forwardRef(({
         const page1 = processedPages[i]
         const page2 = processedPages[i + 1]
 
-        const filtered1 = applyColorFilter(page1.canvas, colorMode)
+        const filtered1 = applyColorFilter(page1.canvas, getPageColorMode(page1.pageNumber))
 
         if (page2) {
-          const filtered2 = applyColorFilter(page2.canvas, colorMode)
+          const filtered2 = applyColorFilter(page2.canvas, getPageColorMode(page2.pageNumber))
           const combinedCanvas = combineConsecutivePagesForGrid(filtered1, filtered2, getOrientationAwarePageSize(currentPageSize))
 
           processedSheets.push({
@@ -2814,13 +2926,25 @@ const PDFEditor = forwardRef(({
       }))
     }
     
+    // One history entry for the whole batch - unloaded pages get the same settings when they load
+    const unloadedPages = allPages
+      .filter(placeholder => !processedPages.some(page => page.pageNumber === placeholder.pageNumber))
+      .map(placeholder => ({
+        pageNumber: placeholder.pageNumber,
+        width: placeholder.width || targetPageSize.width,
+        height: placeholder.height || targetPageSize.height,
+        editHistory: { ...settings, cropArea: currentPageCropInfo || null }
+      }))
+    recordEditHistory([...processedPages, ...unloadedPages], historyBefore, 'Apply to all pages')
+    
     // Create notification for all pages
     const editedPagesMap = {}
     processedPages.forEach(page => {
       editedPagesMap[page.pageNumber] = {
         thumbnail: page.thumbnail,
         edited: true,
-        canvas: page.canvas
+        canvas: page.canvas,
+        editHistory: page.editHistory
       }
     })
     
@@ -2864,6 +2988,8 @@ const PDFEditor = forwardRef(({
   
   const clearAllEdits = async () => {
     console.log('🧹 Clearing all edits and resetting to original state...')
+    clearEditHistory()
+    restoredEditsRef.current = null
     
     try {
       // Reset internal state
@@ -3062,6 +3188,7 @@ const PDFEditor = forwardRef(({
       originalPages: [...originalPages],
       settings: { ...settings },
       colorMode,
+      colorPages,
       pagesPerSheet,
       directPageEdit,
       pendingCropPreview: pendingCropPreview
@@ -3102,9 +3229,220 @@ const PDFEditor = forwardRef(({
     }
   }
 
+  // Export the document with the edits of the given loaded pages (plus Apply All settings) applied as vectors
+  const exportFinalPdf = async (pagesList) => {
+    try {
+      const editedPagesMapForExport = new Map()
+      pagesList.forEach(page => {
+        if (page.edited) {
+          editedPagesMapForExport.set(page.pageNumber, page)
+        }
+      })
+      
+      const hasApplyAllSettings = applyAllSettingsRef.current !== null
+      
+      // Only export if there are edits
+      if (editedPagesMapForExport.size > 0 || hasApplyAllSettings) {
+        const arrayBuffer = await file.arrayBuffer()
+        const pdfDoc = await PDFDocument.load(arrayBuffer)
+        
+        console.log(`🔧 Exporting ${editedPagesMapForExport.size} edited pages using VECTOR methods`)
+        
+        // Combine all pages for vector processing
+        const allTransformedPages = new Map()
+        
+        // Add already-loaded edited pages
+        for (const [pageNum, editedPage] of editedPagesMapForExport.entries()) {
+          allTransformedPages.set(pageNum, editedPage)
+        }
+        
+        // If "Apply All" was used, add settings for unloaded pages
+        if (hasApplyAllSettings) {
+          const totalPages = pdfDoc.getPageCount()
+          const storedSettings = applyAllSettingsRef.current
+          
+          for (let pageNum = 1; pageNum <= totalPages; pageNum++) {
+            if (!editedPagesMapForExport.has(pageNum)) {
+              allTransformedPages.set(pageNum, {
+                pageNumber: pageNum,
+                editHistory: {
+                  ...storedSettings.settings,
+                  cropArea: storedSettings.cropInfo || null
+                }
+              })
+            }
+          }
+        }
+        
+        // Apply ALL transformations using vector-preserving methods
+        for (const [pageNum, editedPage] of allTransformedPages.entries()) {
+          const history = editedPage.editHistory
+          
+          if (!hasGeometricEdits(history)) continue
+          
+          // Crop, rotation, scale and offset as a Form XObject (vectors preserved!)
+          await replaceWithTransformedPage(pdfDoc, pageNum - 1, history)
+        }
+        
+        const pdfBytes = await pdfDoc.save()
+        console.log(`✅ Vector-based finalPDF exported successfully (ZERO rasterization!)`)
+        return new File([pdfBytes], file.name, { type: 'application/pdf' })
+      }
+    } catch (error) {
+      console.error('❌ Error exporting finalPDF:', error)
+      // Continue without finalPDF - OrderPage will regenerate if needed
+    }
+    return null
+  }
+
+  // ============================================
+  // UNDO / REDO
+  // Saved edits are recorded as CommandHistory entries. The history holds
+  // the transforms; the editor keeps its page state (canvases, thumbnails)
+  // from before and after each entry so undo/redo can put it back.
+  // ============================================
+
+  const captureEditorSnapshot = () => ({
+    ...editorStateRef.current,
+    applyAllSettings: applyAllSettingsRef.current
+  })
+
+  const toPageTransforms = (editHistory) => ({
+    crop: editHistory?.cropArea || null,
+    rotation: editHistory?.rotation || 0,
+    scale: editHistory?.scale ?? 100,
+    offsetX: editHistory?.offsetX || 0,
+    offsetY: editHistory?.offsetY || 0
+  })
+
+  const sameTransforms = (a, b) => {
+    const sameCrop = (!a.crop && !b.crop) || (!!a.crop && !!b.crop &&
+      ['x', 'y', 'width', 'height'].every(key => Math.abs(a.crop[key] - b.crop[key]) < 1e-6))
+    return sameCrop &&
+      ((a.rotation % 360) + 360) % 360 === b.rotation &&
+      a.scale === b.scale &&
+      a.offsetX === b.offsetX &&
+      a.offsetY === b.offsetY
+  }
+
+  // Record saved pages as one history entry - pages whose transforms didn't change are left out
+  const recordEditHistory = (editedPages, before, label) => {
+    const edits = []
+    editedPages.forEach(page => {
+      if (!page || page.isSheet) return
+      commandHistory.trackPage(page.pageNumber, { width: page.width, height: page.height })
+      const transforms = toPageTransforms(page.editHistory)
+      if (sameTransforms(transforms, commandHistory.getTransforms(page.pageNumber))) return
+      commandsForTransforms(transforms).forEach(command => edits.push({ pageNumber: page.pageNumber, command }))
+    })
+
+    const entry = commandHistory.applyBatch(edits, label)
+    if (!entry) return
+
+    // Forget editor state of entries the history dropped (undone tail, oldest entries)
+    const liveIds = new Set(commandHistory.getState().entries.map(historyEntry => historyEntry.id))
+    for (const id of historySnapshotsRef.current.keys()) {
+      if (!liveIds.has(id)) historySnapshotsRef.current.delete(id)
+    }
+    historySnapshotsRef.current.set(entry.id, { before, after: null })
+  }
+
+  const clearEditHistory = () => {
+    commandHistory.clear()
+    historySnapshotsRef.current.clear()
+  }
+
+  // Put editor state back and send the restored pages to the order page
+  const restoreEditorSnapshot = async (snapshot, pageNumbers) => {
+    setPages(snapshot.pages)
+    setOriginalPages(snapshot.originalPages)
+    setAllPages(snapshot.allPages)
+    applyAllSettingsRef.current = snapshot.applyAllSettings
+    setPendingCropPreview(null)
+    setHasAppliedToAll(false)
+    reloadPopupRef.current = showEditPopup
+
+    const editedPagesMap = {}
+    pageNumbers.forEach(pageNumber => {
+      const page = snapshot.originalPages.find(p => p.pageNumber === pageNumber)
+      editedPagesMap[pageNumber] = page?.edited
+        ? { thumbnail: page.thumbnail, edited: true, canvas: page.canvas, editHistory: page.editHistory }
+        : { thumbnail: page?.thumbnail, edited: false, canvas: null, editHistory: null }
+    })
+
+    const finalPDF = await exportFinalPdf(snapshot.originalPages)
+    window.dispatchEvent(new CustomEvent('pdfEditorUpdate', {
+      detail: {
+        editedPages: editedPagesMap,
+        finalPDF: finalPDF || file
+      }
+    }))
+  }
+
+  // Undo or redo until `position` entries are applied, then restore the editor state there
+  const goToHistoryPosition = async (position) => {
+    if (isApplying || isApplyingAll) return
+
+    let current = captureEditorSnapshot()
+    let target = null
+    const touchedPages = new Set()
+
+    while (commandHistory.getState().position > position) {
+      const entry = commandHistory.undo()
+      const snapshots = entry && historySnapshotsRef.current.get(entry.id)
+      if (!snapshots) break
+      snapshots.after = current
+      current = target = snapshots.before
+      entry.pageNumbers.forEach(pageNumber => touchedPages.add(pageNumber))
+    }
+    while (commandHistory.getState().position < position) {
+      const entry = commandHistory.redo()
+      const snapshots = entry && historySnapshotsRef.current.get(entry.id)
+      if (!snapshots?.after) break
+      target = snapshots.after
+      entry.pageNumbers.forEach(pageNumber => touchedPages.add(pageNumber))
+    }
+
+    if (target) {
+      await restoreEditorSnapshot(target, [...touchedPages])
+    }
+  }
+
+  const undoEdit = () => goToHistoryPosition(historyState.position - 1)
+  const redoEdit = () => goToHistoryPosition(historyState.position + 1)
+
+  // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes (except while typing in a field)
+  useEffect(() => {
+    const handleHistoryKeys = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return
+      const key = e.key.toLowerCase()
+      if (key !== 'z' && key !== 'y') return
+      if (e.target?.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target?.tagName)) return
+
+      e.preventDefault()
+      if (key === 'y' || e.shiftKey) {
+        redoEdit()
+      } else {
+        undoEdit()
+      }
+    }
+
+    window.addEventListener('keydown', handleHistoryKeys)
+    return () => window.removeEventListener('keydown', handleHistoryKeys)
+  })
+
+  // After undo/redo with the popup open, reload its settings from the restored page
+  useEffect(() => {
+    if (reloadPopupRef.current && showEditPopup) {
+      reloadPopupRef.current = false
+      openEditPopup(editingPageIndex)
+    }
+  })
+
   const performFinalizeSave = async (capturedState, updateProgress) => {
     // Destructure captured state
-    const { pageIndex, currentCanvas, pages: capturedPages, originalPages: capturedOriginalPages, settings, colorMode, pagesPerSheet, directPageEdit, pendingCropPreview: capturedPendingCrop } = capturedState
+    const { pageIndex, currentCanvas, pages: capturedPages, originalPages: capturedOriginalPages, settings, colorMode, colorPages, pagesPerSheet, directPageEdit, pendingCropPreview: capturedPendingCrop } = capturedState
+    const historyBefore = captureEditorSnapshot()
     
     // Use mutable copies for pages that we'll update
     let pages = [...capturedPages]
@@ -3301,7 +3639,7 @@ const PDFEditor = forwardRef(({
         pageCtx.restore()
 
         // Apply color mode filter - optimized using canvas filter
-        if (colorMode === 'BW') {
+        if (colorMode === 'BW' && !colorPages.includes(originalPage.pageNumber)) {
           const tempCanvas = document.createElement('canvas')
           tempCanvas.width = pageCanvas.width
           tempCanvas.height = pageCanvas.height
@@ -3370,7 +3708,7 @@ const PDFEditor = forwardRef(({
               // Single page sheet - check if it was updated
               const updatedPage = updatedPagesMap.get(sheet.pageNumber)
               if (updatedPage) {
-                const filtered = applyColorFilter(updatedPage.canvas, colorMode)
+                const filtered = applyColorFilter(updatedPage.canvas, getPageColorMode(updatedPage.pageNumber))
                 return {
                   ...updatedPage,
                   canvas: filtered,
@@ -3404,10 +3742,10 @@ const PDFEditor = forwardRef(({
             }
 
             // We have complete data - regenerate this sheet
-            const filtered1 = applyColorFilter(actualPage1.canvas, colorMode)
+            const filtered1 = applyColorFilter(actualPage1.canvas, getPageColorMode(actualPage1.pageNumber))
 
             if (actualPage2) {
-              const filtered2 = applyColorFilter(actualPage2.canvas, colorMode)
+              const filtered2 = applyColorFilter(actualPage2.canvas, getPageColorMode(actualPage2.pageNumber))
               const combinedCanvas = combineConsecutivePagesForGrid(filtered1, filtered2, getOrientationAwarePageSize(currentPageSize))
 
               return {
@@ -3451,7 +3789,7 @@ const PDFEditor = forwardRef(({
           return prevPages.map(page => {
             const updatedPage = updatedPagesMap.get(page.pageNumber)
             if (updatedPage) {
-              const filtered = applyColorFilter(updatedPage.canvas, colorMode)
+              const filtered = applyColorFilter(updatedPage.canvas, getPageColorMode(updatedPage.pageNumber))
               return {
                 ...updatedPage,
                 canvas: filtered,
@@ -3587,116 +3925,18 @@ const PDFEditor = forwardRef(({
             
             // Apply ALL transformations using vector-preserving methods (including crop)
             for (const [pageNum, editedPage] of allTransformedPages.entries()) {
-              const pageIndex = pageNum - 1
-              const srcPage = pdfDoc.getPage(pageIndex)
-              const { width, height } = srcPage.getSize()
               const history = editedPage.editHistory
               
-              if (!history) continue
-              
-              const hasCrop = !!history.cropArea
-              const hasRotation = !!history.rotation
-              const hasScale = history.scale && history.scale !== 100
+              if (!hasGeometricEdits(history)) continue
               
               console.log(`📝 Processing page ${pageNum} with VECTORS:`, {
-                hasCrop,
-                hasRotation,
-                hasScale
+                hasCrop: !!history.cropArea,
+                hasRotation: !!history.rotation,
+                hasScale: history.scale && history.scale !== 100
               })
               
-              // Use CANONICAL transformation helper (robust for all edit combinations)
-              const transform = buildCanonicalTransform(
-                { width, height },
-                { width, height },
-                history
-              )
-              
-              // Embed source page as Form XObject (preserves vectors!)
-              const [embeddedPage] = await pdfDoc.embedPages([srcPage])
-              
-              // Replace page
-              pdfDoc.removePage(pageIndex)
-              const newPage = pdfDoc.insertPage(pageIndex, [width, height])
-              
-              // White background
-              newPage.drawRectangle({
-                x: 0,
-                y: 0,
-                width: width,
-                height: height,
-                color: { type: 'RGB', red: 1, green: 1, blue: 1 }
-              })
-              
-              // Apply transformations using graphics state and operators
-              newPage.pushOperators(pushGraphicsState())
-              
-              // Get crop coordinates in PDF space
-              const cropX = transform.sourceRect.x
-              const pdfCropY = height - transform.sourceRect.y - transform.sourceRect.height
-              const cropWidth = transform.sourceRect.width
-              const cropHeight = transform.sourceRect.height
-              
-              // Step 1: Center the crop on the page
-              const centerOffsetX = (width - cropWidth) / 2
-              const centerOffsetY = (height - cropHeight) / 2
-              newPage.pushOperators(
-                concatTransformationMatrix(1, 0, 0, 1, centerOffsetX, centerOffsetY)
-              )
-              
-              // Step 2: Apply rotation and scale
-              if (hasRotation || hasScale) {
-                const rotation = history.rotation || 0
-                const radians = (-rotation * Math.PI) / 180
-                const cos = Math.cos(radians)
-                const sin = Math.sin(radians)
-                const scale = transform.finalScale
-                
-                const centerX = cropWidth / 2
-                const centerY = cropHeight / 2
-                
-                newPage.pushOperators(
-                  concatTransformationMatrix(1, 0, 0, 1, centerX, centerY)
-                )
-                
-                newPage.pushOperators(
-                  concatTransformationMatrix(
-                    scale * cos, scale * sin, -scale * sin, scale * cos, 0, 0
-                  )
-                )
-                
-                newPage.pushOperators(
-                  concatTransformationMatrix(1, 0, 0, 1, -centerX, -centerY)
-                )
-                
-                console.log(`  ↻ Applied rotation ${rotation}° and scale ${scale.toFixed(3)}x (VECTOR)`)
-              }
-              
-              // Step 3: Apply clipping (vector-based!)
-              if (hasCrop) {
-                newPage.pushOperators(
-                  moveTo(0, 0),
-                  lineTo(cropWidth, 0),
-                  lineTo(cropWidth, cropHeight),
-                  lineTo(0, cropHeight),
-                  closePath(),
-                  clip(),
-                  endPath()
-                )
-                console.log(`  ✂️ Crop applied (VECTOR clip, no rasterization)`)
-              }
-              
-              // Step 4: Draw the embedded page (vectors preserved!)
-              const drawX = -cropX
-              const drawY = -pdfCropY
-              
-              newPage.drawPage(embeddedPage, {
-                x: drawX,
-                y: drawY,
-                width: width,
-                height: height
-              })
-              
-              newPage.pushOperators(popGraphicsState())
+              // Crop, rotation, scale and offset as a Form XObject (vectors preserved!)
+              await replaceWithTransformedPage(pdfDoc, pageNum - 1, history)
               
               console.log(`  ✅ Page transformed - ALL VECTORS PRESERVED!`)
             }
@@ -3728,174 +3968,18 @@ const PDFEditor = forwardRef(({
           editedPagesMap[page.pageNumber] = {
             thumbnail: page.thumbnail,
             edited: true,
-            canvas: page.canvas
+            canvas: page.canvas,
+            editHistory: page.editHistory
           }
         }
       })
 
+      recordEditHistory(originalPageIndices.map(origIdx => updatedOriginalPages[origIdx]), historyBefore)
+
       console.log(`📢 Preparing vector-based finalPDF for ${Object.keys(editedPagesMap).length} edited pages`)
 
       // CRITICAL: Export vector-based finalPDF (same logic as directPageEdit mode)
-      let finalPDF = null
-      try {
-        const editedPagesMapForExport = new Map()
-        updatedOriginalPages.forEach(page => {
-          if (page.edited) {
-            editedPagesMapForExport.set(page.pageNumber, page)
-          }
-        })
-        
-        const hasApplyAllSettings = applyAllSettingsRef.current !== null
-        
-        // Only export if there are edits
-        if (editedPagesMapForExport.size > 0 || hasApplyAllSettings) {
-          const arrayBuffer = await file.arrayBuffer()
-          const pdfDoc = await PDFDocument.load(arrayBuffer)
-          
-          console.log(`🔧 Exporting ${editedPagesMapForExport.size} edited pages using VECTOR methods`)
-          
-          // Combine all pages for vector processing
-          const allTransformedPages = new Map()
-          
-          // Add already-loaded edited pages
-          for (const [pageNum, editedPage] of editedPagesMapForExport.entries()) {
-            allTransformedPages.set(pageNum, editedPage)
-          }
-          
-          // If "Apply All" was used, add settings for unloaded pages
-          if (hasApplyAllSettings) {
-            const totalPages = pdfDoc.getPageCount()
-            const storedSettings = applyAllSettingsRef.current
-            
-            for (let pageNum = 1; pageNum <= totalPages; pageNum++) {
-              if (!editedPagesMapForExport.has(pageNum)) {
-                allTransformedPages.set(pageNum, {
-                  pageNumber: pageNum,
-                  editHistory: {
-                    ...storedSettings.settings,
-                    cropArea: storedSettings.cropInfo || null
-                  }
-                })
-              }
-            }
-          }
-          
-          // Apply ALL transformations using vector-preserving methods
-          for (const [pageNum, editedPage] of allTransformedPages.entries()) {
-            const pageIndex = pageNum - 1
-            const srcPage = pdfDoc.getPage(pageIndex)
-            const { width, height } = srcPage.getSize()
-            const history = editedPage.editHistory
-            
-            if (!history) continue
-            
-            const hasCrop = !!history.cropArea
-            const hasRotation = !!history.rotation
-            const hasScale = history.scale && history.scale !== 100
-            
-            if (!hasCrop && !hasRotation && !hasScale) continue
-            
-            // Use CANONICAL transformation helper (robust for all edit combinations)
-            const transform = buildCanonicalTransform(
-              { width, height },
-              { width, height },
-              history
-            )
-            
-            // Embed source page as Form XObject (preserves vectors!)
-            const [embeddedPage] = await pdfDoc.embedPages([srcPage])
-            
-            // Replace page
-            pdfDoc.removePage(pageIndex)
-            const newPage = pdfDoc.insertPage(pageIndex, [width, height])
-            
-            // White background
-            newPage.drawRectangle({
-              x: 0,
-              y: 0,
-              width: width,
-              height: height,
-              color: { type: 'RGB', red: 1, green: 1, blue: 1 }
-            })
-            
-            // Apply transformations using graphics state and operators
-            newPage.pushOperators(pushGraphicsState())
-            
-            // Get crop coordinates in PDF space
-            const cropX = transform.sourceRect.x
-            const pdfCropY = height - transform.sourceRect.y - transform.sourceRect.height
-            const cropWidth = transform.sourceRect.width
-            const cropHeight = transform.sourceRect.height
-            
-            // Step 1: Center the crop on the page
-            const centerOffsetX = (width - cropWidth) / 2
-            const centerOffsetY = (height - cropHeight) / 2
-            newPage.pushOperators(
-              concatTransformationMatrix(1, 0, 0, 1, centerOffsetX, centerOffsetY)
-            )
-            
-            // Step 2: Apply rotation and scale
-            if (hasRotation || hasScale) {
-              const rotation = history.rotation || 0
-              const radians = (-rotation * Math.PI) / 180
-              const cos = Math.cos(radians)
-              const sin = Math.sin(radians)
-              const scale = transform.finalScale
-              
-              const centerX = cropWidth / 2
-              const centerY = cropHeight / 2
-              
-              newPage.pushOperators(
-                concatTransformationMatrix(1, 0, 0, 1, centerX, centerY)
-              )
-              
-              newPage.pushOperators(
-                concatTransformationMatrix(
-                  scale * cos, scale * sin, -scale * sin, scale * cos, 0, 0
-                )
-              )
-              
-              newPage.pushOperators(
-                concatTransformationMatrix(1, 0, 0, 1, -centerX, -centerY)
-              )
-            }
-            
-            // Step 3: Apply clipping (vector-based!)
-            if (hasCrop) {
-              newPage.pushOperators(
-                moveTo(0, 0),
-                lineTo(cropWidth, 0),
-                lineTo(cropWidth, cropHeight),
-                lineTo(0, cropHeight),
-                closePath(),
-                clip(),
-                endPath()
-              )
-            }
-            
-            // Step 4: Draw the embedded page (vectors preserved!)
-            const drawX = -cropX
-            const drawY = -pdfCropY
-            
-            newPage.drawPage(embeddedPage, {
-              x: drawX,
-              y: drawY,
-              width: width,
-              height: height
-            })
-            
-            newPage.pushOperators(popGraphicsState())
-          }
-          
-          const pdfBytes = await pdfDoc.save()
-          finalPDF = new File([pdfBytes], file.name, { type: 'application/pdf' })
-          
-          console.log(`✅ Vector-based finalPDF exported successfully (ZERO rasterization!)`)
-        }
-      } catch (error) {
-        console.error('❌ Error exporting finalPDF:', error)
-        // Continue without finalPDF - OrderPage will regenerate if needed
-      }
+      const finalPDF = await exportFinalPdf(updatedOriginalPages)
 
       const updateEvent = new CustomEvent('pdfEditorUpdate', {
         detail: { 
@@ -4022,133 +4106,18 @@ const PDFEditor = forwardRef(({
       let processedCount = 0
       // Apply all transformations using vector-preserving methods
       for (const [pageNum, editedPage] of transformedPages.entries()) {
-        const pageIndex = pageNum - 1
-        const srcPage = pdfDoc.getPage(pageIndex)
-        const { width, height} = srcPage.getSize()
         const history = editedPage.editHistory
         
-        if (!history) continue
-        
-        const hasCrop = !!history.cropArea
-        const hasRotation = !!history.rotation
-        const hasScale = history.scale && history.scale !== 100
+        if (!hasGeometricEdits(history)) continue
         
         console.log(`📝 Processing page ${pageNum}:`, {
-          hasCrop,
-          hasRotation,
-          hasScale,
-          method: 'Vector-preserving (transformation matrix + clipping)'
+          hasCrop: !!history.cropArea,
+          hasRotation: !!history.rotation,
+          hasScale: history.scale && history.scale !== 100,
+          method: 'Vector-preserving (Form XObject matrix + crop BBox)'
         })
         
-        // Use CANONICAL transformation helper (robust for all edit combinations)
-        const transform = buildCanonicalTransform(
-          { width, height },
-          { width, height },
-          history
-        )
-        
-        // Embed source page as Form XObject
-        const [embeddedPage] = await pdfDoc.embedPages([srcPage])
-        
-        // Replace page
-        pdfDoc.removePage(pageIndex)
-        const newPage = pdfDoc.insertPage(pageIndex, [width, height])
-        
-        // White background
-        newPage.drawRectangle({
-          x: 0,
-          y: 0,
-          width: width,
-          height: height,
-          color: { type: 'RGB', red: 1, green: 1, blue: 1 }
-        })
-        
-        // Apply transformations using graphics state and operators
-        newPage.pushOperators(pushGraphicsState())
-        
-        // CRITICAL ORDER: Center crop → Rotate/Scale → Clip → Draw
-        // This centers the cropped content on the page while preserving vectors
-        
-        // Get crop coordinates in PDF space (bottom-left origin)
-        const cropX = transform.sourceRect.x
-        const pdfCropY = height - transform.sourceRect.y - transform.sourceRect.height
-        const cropWidth = transform.sourceRect.width
-        const cropHeight = transform.sourceRect.height
-        
-        // Step 1: Translate to CENTER the crop on the page AND apply user offset
-        // This positions (0,0) in user space at the location where the crop should start
-        const centerOffsetX = (width - cropWidth) / 2 + transform.offsetX
-        const centerOffsetY = (height - cropHeight) / 2 + transform.offsetY
-        newPage.pushOperators(
-          concatTransformationMatrix(1, 0, 0, 1, centerOffsetX, centerOffsetY)
-        )
-        console.log(`  📐 Centering crop + user offset: [${centerOffsetX.toFixed(1)}, ${centerOffsetY.toFixed(1)}] (user offset: ${transform.offsetX}, ${transform.offsetY})`)
-        
-        // Step 2: Apply rotation and scale (around crop region center)
-        if (hasRotation || hasScale) {
-          const rotation = history.rotation || 0
-          const radians = (-rotation * Math.PI) / 180  // Negate for CCW
-          const cos = Math.cos(radians)
-          const sin = Math.sin(radians)
-          const scale = transform.finalScale
-          
-          // Center of rotation is crop center (in current coordinates)
-          const centerX = cropWidth / 2
-          const centerY = cropHeight / 2
-          
-          // Translate to center
-          newPage.pushOperators(
-            concatTransformationMatrix(1, 0, 0, 1, centerX, centerY)
-          )
-          
-          // Rotate and scale
-          newPage.pushOperators(
-            concatTransformationMatrix(
-              scale * cos,  // a
-              scale * sin,  // b
-              -scale * sin, // c
-              scale * cos,  // d
-              0,            // e
-              0             // f
-            )
-          )
-          
-          // Translate back from center
-          newPage.pushOperators(
-            concatTransformationMatrix(1, 0, 0, 1, -centerX, -centerY)
-          )
-          
-          console.log(`  ↻ Applied rotation ${rotation}° and scale ${scale.toFixed(3)}x around crop center`)
-        }
-        
-        // Step 3: Apply clipping (at origin with crop dimensions)
-        if (hasCrop) {
-          // Clip rectangle at (0,0) with crop dimensions
-          newPage.pushOperators(
-            moveTo(0, 0),
-            lineTo(cropWidth, 0),
-            lineTo(cropWidth, cropHeight),
-            lineTo(0, cropHeight),
-            closePath(),
-            clip(),
-            endPath()
-          )
-          console.log(`  ✂️ Crop clip: [0, 0, ${cropWidth.toFixed(1)}×${cropHeight.toFixed(1)}]`)
-        }
-        
-        // Step 4: Draw the embedded page
-        // Position it so the crop region appears at (0,0) in current space
-        const drawX = -cropX
-        const drawY = -pdfCropY
-        
-        newPage.drawPage(embeddedPage, {
-          x: drawX,
-          y: drawY,
-          width: width,
-          height: height
-        })
-        
-        newPage.pushOperators(popGraphicsState())
+        await replaceWithTransformedPage(pdfDoc, pageNum - 1, history)
         
         console.log(`  ✅ Page transformed (vectors preserved)`)
         
@@ -4178,7 +4147,8 @@ const PDFEditor = forwardRef(({
           editedPagesNotification[page.pageNumber] = {
             thumbnail: page.thumbnail,
             edited: true,
-            canvas: page.canvas
+            canvas: page.canvas,
+            editHistory: page.editHistory
           }
         }
       })
@@ -4238,6 +4208,13 @@ const PDFEditor = forwardRef(({
               {pages.length > 0 ? `${pdf?.numPages || allPages.length} pages` : 'Loading...'}
             </p>
           </div>
+          <EditHistoryControls
+            history={historyState}
+            onUndo={undoEdit}
+            onRedo={redoEdit}
+            onGoTo={goToHistoryPosition}
+            disabled={isApplying || isApplyingAll}
+          />
         </div>
 
         {/* Loading Banner - Single top-level progress indicator */}
@@ -4249,20 +4226,40 @@ const PDFEditor = forwardRef(({
 
         {/* Pages Grid - Always render from allPages for scroll detection */}
         <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-5 xl:grid-cols-6 gap-2 sm:gap-3">
-          {allPages.map((page, index) => {
+          {(pageReorder.enabled
+            ? [...allPages].sort((a, b) => printPositions.get(a.pageNumber) - printPositions.get(b.pageNumber))
+            : allPages
+          ).map((page, index) => {
             const isSelected = onPageSelect && selectedPages.includes(page.pageNumber)
+            const isGrayscale = !page.isSheet && getPageColorMode(page.pageNumber) === 'BW'
+            const isDragged = pageReorder.dragState?.pageNumber === page.pageNumber
+            const isDropTarget = pageReorder.dragState?.targetPageNumber === page.pageNumber && !isDragged
             
             return (
             <div
               key={page.pageNumber}
               ref={el => pageRefs.current[page.pageNumber] = el}
               data-page-number={page.pageNumber}
+              data-reorder-page={pageReorder.enabled ? page.pageNumber : undefined}
               className={`relative bg-white border-2 rounded-lg p-2 hover:shadow-lg transition-all overflow-hidden ${
                 isSelected 
                   ? 'border-blue-500 bg-blue-50' 
                   : 'border-gray-200 hover:border-blue-400'
-              }`}
+              } ${isDragged ? 'opacity-50' : ''} ${isDropTarget ? 'ring-2 ring-blue-400 ring-offset-1' : ''}`}
             >
+              {/* Drag handle - reorders the page in the print order */}
+              {pageReorder.enabled && !page.isSheet && (
+                <div className="absolute top-1 left-1/2 -translate-x-1/2 z-10">
+                  <button
+                    type="button"
+                    {...pageReorder.getHandleProps(page.pageNumber)}
+                    className="bg-white rounded shadow-sm px-1.5 py-0.5 hover:bg-gray-50 cursor-grab active:cursor-grabbing touch-none focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    <GripHorizontal className="w-4 h-4 text-gray-500" />
+                  </button>
+                </div>
+              )}
+
               {/* Selection Checkbox - Only show if onPageSelect is provided */}
               {onPageSelect && !page.isSheet && (
                 <div className="absolute top-1 left-1 z-10">
@@ -4296,7 +4293,7 @@ const PDFEditor = forwardRef(({
                     <img
                       src={page.thumbnail}
                       alt={`Page ${page.pageNumber}`}
-                      className="w-full h-full object-contain p-1 animate-fade-in"
+                      className={`w-full h-full object-contain p-1 animate-fade-in ${isGrayscale ? 'grayscale' : ''}`}
                     />
                   ) : (
                     <ShimmerLoader width="100%" height="100%" />
@@ -4314,8 +4311,25 @@ const PDFEditor = forwardRef(({
               {/* Page Info */}
               <div className="text-center mb-1.5">
                 <h3 className="font-semibold text-gray-800 text-xs">{page.isSheet ? `Pages ${page.pageNumber}` : `Page ${page.pageNumber}`}</h3>
+                {pageReorder.enabled && printPositions.get(page.pageNumber) !== page.pageNumber - 1 && (
+                  <p className="text-[10px] text-blue-600">Prints #{printPositions.get(page.pageNumber) + 1}</p>
+                )}
               </div>
 
+              {/* Per-page color toggle for B&W jobs */}
+              {onToggleColorPage && colorMode === 'BW' && !page.isSheet && (
+                <button
+                  onClick={() => onToggleColorPage(page.pageNumber)}
+                  className={`w-full mb-1.5 px-2 py-1 rounded text-[10px] font-semibold transition-colors ${
+                    isGrayscale
+                      ? 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                      : 'bg-pink-500 text-white hover:bg-pink-600'
+                  }`}
+                >
+                  {isGrayscale ? '⚫ B&W' : '🎨 Color'}
+                </button>
+              )}
+
               {/* Edit Button */}
               <button
                 onClick={() => {
@@ -4363,11 +4377,11 @@ const PDFEditor = forwardRef(({
             <div className="flex items-center gap-2 min-w-0 flex-1">
               <h2 className="text-sm sm:text-base font-bold truncate">Page {currentPage?.pageNumber}</h2>
               <div className={`px-2 py-0.5 rounded-full text-xs font-bold ${
-                colorMode === 'Color'
+                getPageColorMode(currentPage?.pageNumber) === 'Color'
                   ? 'bg-pink-500 text-white'
                   : 'bg-white/25 text-white'
               }`}>
-                {colorMode === 'Color' ? '🎨' : '⚫'}
+                {getPageColorMode(currentPage?.pageNumber) === 'Color' ? '🎨' : '⚫'}
               </div>
             </div>
           </div>
@@ -4390,6 +4404,15 @@ const PDFEditor = forwardRef(({
                 <ZoomIn className="w-3 h-3" />
               </button>
             </div>
+
+            <EditHistoryControls
+              history={historyState}
+              onUndo={undoEdit}
+              onRedo={redoEdit}
+              onGoTo={goToHistoryPosition}
+              variant="dark"
+              disabled={isApplying || isApplyingAll}
+            />
             
             <button
               onClick={closeEditPopup}
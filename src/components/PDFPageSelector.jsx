@@ -1,16 +1,14 @@
 import React, { useState, useEffect, lazy, Suspense } from 'react'
-import * as pdfjsLib from 'pdfjs-dist/legacy/build/pdf'
-import pdfjsWorker from 'pdfjs-dist/legacy/build/pdf.worker.min.js?url'
 import { PDFDocument } from 'pdf-lib'
-import { SquareCheck as CheckSquare, Square, Eye, FileText, Loader, Search, ChevronDown, ChevronUp, ChevronLeft, ChevronRight, CreditCard as Edit, Scissors, RotateCw } from 'lucide-react'
+import { SquareCheck as CheckSquare, Square, Eye, FileText, Loader, Search, ChevronDown, ChevronUp, ChevronLeft, ChevronRight, CreditCard as Edit, Scissors, RotateCw, GripHorizontal } from 'lucide-react'
 import { getPageSize, DEFAULT_PAGE_SIZE } from '../utils/pageSizes'
+import { parsePageRanges, formatPageRanges } from '../utils/pageRanges'
+import { loadPdfDocument } from '../utils/pdf/pdfjs'
 import usePDFStore, { CONTROLLER_BLOCKING } from '../stores/pdfStore'
-import { USE_NEW_PDF_CONTROLLER } from '../utils/pdf2'
+import { USE_NEW_PDF_CONTROLLER, usePageReorder, normalizePageOrder } from '../utils/pdf2'
 
 const PDFEditor = lazy(() => import('./PDFEditor'))
 
-pdfjsLib.GlobalWorkerOptions.workerSrc = pdfjsWorker
-
 const PAGES_PER_BATCH = 2 // Load 2 pages at a time for faster first paint
 
 const QUALITY_TIERS = {
@@ -40,7 +38,16 @@ const CACHE_LIMITS = {
   [QUALITY_TIERS.BEST]: 12
 }
 
-const PDFPageSelector = ({ file, selectedPages, onPagesSelected, pageSize = DEFAULT_PAGE_SIZE, colorMode = 'BW', pagesPerSheet = 1, onEditPage, viewMode = 'grid' }) => {
+// A plain number in the search box jumps to (and filters by) that page.
+// Anything else is a range expression that sets the selection.
+const isPageNumberSearch = (term) => /^\d+$/.test(term.trim())
+
+const matchesSearch = (page, term) => {
+  if (!isPageNumberSearch(term)) return true
+  return page.pageNumber.toString().includes(term.trim())
+}
+
+const PDFPageSelector = ({ file, selectedPages, onPagesSelected, pageOrder = null, onPageOrderChange = null, initialPageEdits = null, pageSize = DEFAULT_PAGE_SIZE, colorMode = 'BW', colorPages = [], onColorPagesChange, pagesPerSheet = 1, nupOptions = null, paperSize = null, onEditPage, viewMode = 'grid' }) => {
   const { controllerRequested, controllerActive, thumbnails, totalPages: storeTotalPages } = usePDFStore()
   
   const shouldSkipLoading = CONTROLLER_BLOCKING || controllerRequested || controllerActive
@@ -55,6 +62,7 @@ const PDFPageSelector = ({ file, selectedPages, onPagesSelected, pageSize = DEFA
   const [initialBatchLoaded, setInitialBatchLoaded] = useState(false) // Track first batch completion
   const [previewPage, setPreviewPage] = useState(null)
   const [searchTerm, setSearchTerm] = useState('')
+  const [rangeErrors, setRangeErrors] = useState([]) // Invalid tokens in the range expression
   const [showAllSelected, setShowAllSelected] = useState(false)
   const [pdf, setPdf] = useState(null)
   const [fitToPageEnabled, setFitToPageEnabled] = useState(true)
@@ -70,6 +78,8 @@ const PDFPageSelector = ({ file, selectedPages, onPagesSelected, pageSize = DEFA
   const [singlePageEditorOpen, setSinglePageEditorOpen] = useState(false) // Control PDFEditor popup
   const [singlePageEditorIndex, setSinglePageEditorIndex] = useState(0) // Which page to edit
   const [gridExpanded, setGridExpanded] = useState(false) // Toggle between compact and full grid view
+  const [colorRangeInput, setColorRangeInput] = useState('') // Range expression for pages printed in color
+  const [colorRangeError, setColorRangeError] = useState(null)
   const observerRef = React.useRef(null)
   const scrollObserverRef = React.useRef(null)
   const loadMoreTriggerRef = React.useRef(null)
@@ -77,6 +87,14 @@ const PDFPageSelector = ({ file, selectedPages, onPagesSelected, pageSize = DEFA
   const abortControllerRef = React.useRef(null) // Abort ongoing loads when file changes
   const editorRef = React.useRef(null) // Ref to PDFEditor for calling exportPDF
   const justClearedRef = React.useRef(false) // Track if we just cleared edits
+
+  // Print order of all pages - the grid shows pages (and pairs 2-up sheets) in this order
+  const printOrder = React.useMemo(() => normalizePageOrder(pageOrder, totalPages), [pageOrder, totalPages])
+  const hasCustomOrder = printOrder.some((pageNumber, index) => pageNumber !== index + 1)
+  const pageReorder = usePageReorder({
+    order: printOrder,
+    onOrderChange: currentPagesPerSheet === 1 ? onPageOrderChange : null
+  })
   
   // Refs to track current state for cleanup (prevent memory leaks)
   const originalPagesRef = React.useRef(originalPages)
@@ -244,7 +262,7 @@ const PDFPageSelector = ({ file, selectedPages, onPagesSelected, pageSize = DEFA
       console.log('📚 Applying settings to pages...', currentPagesPerSheet)
       applyPrintSettingsToPages()
     }
-  }, [currentColorMode, currentPagesPerSheet, totalPages, reloadVersion])
+  }, [currentColorMode, colorPages, currentPagesPerSheet, totalPages, reloadVersion, printOrder])
 
   // Reset currentPageIndex when entering single-page mode
   useEffect(() => {
@@ -252,10 +270,7 @@ const PDFPageSelector = ({ file, selectedPages, onPagesSelected, pageSize = DEFA
       // Focus on first selected page if selections exist, otherwise reset to 0
       if (selectedPages && selectedPages.length > 0 && pages.length > 0) {
         // Compute filtered pages based on searchTerm
-        const filtered = pages.filter(page => {
-          if (!searchTerm) return true
-          return page.pageNumber.toString().includes(searchTerm)
-        })
+        const filtered = pages.filter(page => matchesSearch(page, searchTerm))
         
         if (filtered.length > 0) {
           // Find the index of the first selected page in filtered pages
@@ -275,10 +290,7 @@ const PDFPageSelector = ({ file, selectedPages, onPagesSelected, pageSize = DEFA
   useEffect(() => {
     if (viewMode === 'single' && pages.length > 0) {
       // Compute filtered pages based on searchTerm
-      const filtered = pages.filter(page => {
-        if (!searchTerm) return true
-        return page.pageNumber.toString().includes(searchTerm)
-      })
+      const filtered = pages.filter(page => matchesSearch(page, searchTerm))
       
       if (filtered.length === 0) {
         // Reset to 0 when no results
@@ -301,7 +313,7 @@ const PDFPageSelector = ({ file, selectedPages, onPagesSelected, pageSize = DEFA
       console.log('🔄 Reloading existing pages after edit...')
       
       const arrayBuffer = await file.arrayBuffer()
-      const pdfDoc = await pdfjsLib.getDocument({ data: arrayBuffer }).promise
+      const pdfDoc = await loadPdfDocument({ data: arrayBuffer })
       const newTotalPages = pdfDoc.numPages
       
       console.log(`📊 Page count: old=${totalPages}, new=${newTotalPages}`)
@@ -381,7 +393,7 @@ const PDFPageSelector = ({ file, selectedPages, onPagesSelected, pageSize = DEFA
       console.log('📄 File converted to array buffer, size:', (arrayBuffer.byteLength / 1024 / 1024).toFixed(2), 'MB')
       
       // Load PDF document
-      const pdfDoc = await pdfjsLib.getDocument({ data: arrayBuffer }).promise
+      const pdfDoc = await loadPdfDocument({ data: arrayBuffer })
       const total = pdfDoc.numPages
       
       console.log(`📄 PDF ready: ${total} pages detected`)
@@ -797,6 +809,11 @@ const PDFPageSelector = ({ file, selectedPages, onPagesSelected, pageSize = DEFA
     return null
   }
 
+  // Pages marked as Color keep their colors in a B&W job
+  const getPageColorMode = (pageNumber) => (
+    currentColorMode === 'BW' && colorPages.includes(pageNumber) ? 'Color' : currentColorMode
+  )
+
   const applyColorFilter = (sourceCanvas, colorMode) => {
     const canvas = document.createElement('canvas')
     const ctx = canvas.getContext('2d')
@@ -866,7 +883,7 @@ const PDFPageSelector = ({ file, selectedPages, onPagesSelected, pageSize = DEFA
 
         // Only apply color filter (N-up is handled at a higher level)
         let processedCanvas = tempCanvas
-        processedCanvas = applyColorFilter(processedCanvas, currentColorMode)
+        processedCanvas = applyColorFilter(processedCanvas, getPageColorMode(page.pageNumber))
 
         resolve({
           ...page,
@@ -888,9 +905,9 @@ const PDFPageSelector = ({ file, selectedPages, onPagesSelected, pageSize = DEFA
       // This ensures we maintain all 200 sheets for a 200-page PDF
       const sheets = []
 
-      for (let i = 1; i <= totalPages; i += 2) {
-        const pageNumber1 = i
-        const pageNumber2 = i + 1 <= totalPages ? i + 1 : null
+      for (let i = 0; i < printOrder.length; i += 2) {
+        const pageNumber1 = printOrder[i]
+        const pageNumber2 = i + 1 < printOrder.length ? printOrder[i + 1] : null
 
         // Check if these pages are loaded
         const page1 = originalPages.find(p => p.pageNumber === pageNumber1)
@@ -899,7 +916,7 @@ const PDFPageSelector = ({ file, selectedPages, onPagesSelected, pageSize = DEFA
         if (pageNumber2) {
           // Two-page sheet (pages i and i+1)
           if (page1 && page2) {
-            const cacheKey = `${pageNumber1}|${pageNumber2}|${currentPageSize}|${currentColorMode}`
+            const cacheKey = `${pageNumber1}|${pageNumber2}|${currentPageSize}|${getPageColorMode(pageNumber1)}|${getPageColorMode(pageNumber2)}`
             let cachedSheet = nupCacheRef.current.get(cacheKey)
             
             if (!cachedSheet) {
@@ -949,7 +966,7 @@ const PDFPageSelector = ({ file, selectedPages, onPagesSelected, pageSize = DEFA
         } else {
           // Last page (odd page count) - single page sheet
           if (page1) {
-            const cacheKey = `${pageNumber1}|${currentPageSize}|${currentColorMode}`
+            const cacheKey = `${pageNumber1}|${currentPageSize}|${getPageColorMode(pageNumber1)}`
             let cachedSheet = nupCacheRef.current.get(cacheKey)
             
             if (!cachedSheet) {
@@ -1002,8 +1019,8 @@ const PDFPageSelector = ({ file, selectedPages, onPagesSelected, pageSize = DEFA
       // Normal 1-page mode - FIX: Create placeholders for ALL pages
       const allPagesList = []
       
-      for (let i = 1; i <= totalPages; i++) {
-        const loadedPage = originalPages.find(p => p.pageNumber === i)
+      for (const pageNumber of printOrder) {
+        const loadedPage = originalPages.find(p => p.pageNumber === pageNumber)
         
         if (loadedPage) {
           // Page is loaded - process it
@@ -1012,7 +1029,7 @@ const PDFPageSelector = ({ file, selectedPages, onPagesSelected, pageSize = DEFA
         } else {
           // Page not loaded - create placeholder
           allPagesList.push({
-            pageNumber: i,
+            pageNumber,
             thumbnail: null,
             originalThumbnail: null,
             width: 595,
@@ -1142,6 +1159,25 @@ const PDFPageSelector = ({ file, selectedPages, onPagesSelected, pageSize = DEFA
     onPagesSelected([])
   }
 
+  const toggleColorPage = (pageNumber) => {
+    const newColorPages = colorPages.includes(pageNumber)
+      ? colorPages.filter(p => p !== pageNumber)
+      : [...colorPages, pageNumber].sort((a, b) => a - b)
+
+    onColorPagesChange(newColorPages)
+  }
+
+  const handleColorRangeSubmit = (e) => {
+    e.preventDefault()
+    const { pages: rangePages, errors } = parsePageRanges(colorRangeInput, totalPages)
+    const rangeError = errors.map(error => error.message).join('; ')
+    setColorRangeError(rangeError || null)
+    if (!rangeError) {
+      onColorPagesChange([...new Set([...colorPages, ...rangePages])].sort((a, b) => a - b))
+      setColorRangeInput('')
+    }
+  }
+
   const showPreview = async (page) => {
     if (!page || !pdf) return
     
@@ -1185,8 +1221,8 @@ const PDFPageSelector = ({ file, selectedPages, onPagesSelected, pageSize = DEFA
           await page2.render({ canvasContext: context2, viewport: viewport2 }).promise
 
           // Apply color filter if needed
-          const filtered1 = applyColorFilter(canvas1, currentColorMode)
-          const filtered2 = applyColorFilter(canvas2, currentColorMode)
+          const filtered1 = applyColorFilter(canvas1, getPageColorMode(pageNumber1))
+          const filtered2 = applyColorFilter(canvas2, getPageColorMode(pageNumber2))
 
           // Combine them for preview
           const previewCanvas = combineConsecutivePagesForPreview(filtered1, filtered2)
@@ -1215,7 +1251,7 @@ const PDFPageSelector = ({ file, selectedPages, onPagesSelected, pageSize = DEFA
 
           await page1.render({ canvasContext: context1, viewport: viewport1 }).promise
 
-          const filtered1 = applyColorFilter(canvas1, currentColorMode)
+          const filtered1 = applyColorFilter(canvas1, getPageColorMode(pageNumber1))
 
           setPreviewPage({
             ...page,
@@ -1392,7 +1428,7 @@ const PDFPageSelector = ({ file, selectedPages, onPagesSelected, pageSize = DEFA
       await page.render({ canvasContext: ctx, viewport: scaledViewport }).promise
       ctx.restore()
 
-      if (currentColorMode === 'BW') {
+      if (getPageColorMode(pageNumber) === 'BW') {
         const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height)
         const data = imageData.data
         for (let i = 0; i < data.length; i += 4) {
@@ -1447,18 +1483,31 @@ const PDFPageSelector = ({ file, selectedPages, onPagesSelected, pageSize = DEFA
     setPreviewScale(1) // Reset zoom when closing
   }
 
+  const applyRangeExpression = () => {
+    const { pages: rangePages, errors } = parsePageRanges(searchTerm, totalPages)
+    setRangeErrors(errors)
+
+    if (errors.length === 0 && rangePages.length > 0) {
+      onPagesSelected(rangePages)
+      setSearchTerm('')
+      jumpToPage(rangePages[0])
+    }
+  }
+
   const handleSearchSubmit = (e) => {
     e.preventDefault()
+    if (!isPageNumberSearch(searchTerm)) {
+      applyRangeExpression()
+      return
+    }
+
     const pageNumber = parseInt(searchTerm)
     if (pageNumber && pageNumber >= 1 && pageNumber <= totalPages) {
       jumpToPage(pageNumber)
     }
   }
 
-  const filteredPages = pages.filter(page => {
-    if (!searchTerm) return true
-    return page.pageNumber.toString().includes(searchTerm)
-  })
+  const filteredPages = pages.filter(page => matchesSearch(page, searchTerm))
 
   if (!file || file.type !== 'application/pdf') {
     return null
@@ -1480,9 +1529,26 @@ const PDFPageSelector = ({ file, selectedPages, onPagesSelected, pageSize = DEFA
     <div className="space-y-4">
       {/* Header */}
       <div className="flex flex-col sm:flex-row items-start sm:items-center justify-between gap-3">
-        <h3 className="text-sm sm:text-base font-medium text-gray-900">
-          Selected Pages ({selectedPages.length}/{totalPages})
-        </h3>
+        <div className="min-w-0">
+          <h3 className="text-sm sm:text-base font-medium text-gray-900">
+            Selected Pages ({selectedPages.length}/{totalPages})
+          </h3>
+          {selectedPages.length > 0 && (selectedPages.length < totalPages || hasCustomOrder) && (
+            <p className="text-xs text-gray-500 truncate">Pages {formatPageRanges(selectedPages)}</p>
+          )}
+          {onPageOrderChange && hasCustomOrder && (
+            <p className="text-xs text-blue-600">
+              Custom page order •{' '}
+              <button
+                type="button"
+                onClick={() => onPageOrderChange(printOrder.slice().sort((a, b) => a - b))}
+                className="underline hover:text-blue-800"
+              >
+                Reset order
+              </button>
+            </p>
+          )}
+        </div>
         <div className="flex flex-wrap gap-2">
           <button
             onClick={selectAllPages}
@@ -1499,17 +1565,22 @@ const PDFPageSelector = ({ file, selectedPages, onPagesSelected, pageSize = DEFA
         </div>
       </div>
 
-      {/* Search and Navigation */}
-      <div className="flex flex-col sm:flex-row items-start sm:items-center gap-2 sm:gap-4">
+      {/* Search and Navigation - a page number jumps, a range expression selects */}
+      <div className="space-y-1">
         <form onSubmit={handleSearchSubmit} className="flex gap-2 w-full sm:w-auto">
           <div className="relative flex-1 sm:flex-initial">
             <Search className="absolute left-2 sm:left-3 top-1/2 transform -translate-y-1/2 w-3 h-3 sm:w-4 sm:h-4 text-gray-400" />
             <input
               type="text"
-              placeholder="Page number..."
+              placeholder="Page or range, e.g. 1-5, 8, odd"
               value={searchTerm}
-              onChange={(e) => setSearchTerm(e.target.value)}
-              className="pl-8 sm:pl-10 pr-2 sm:pr-4 py-1.5 sm:py-2 border border-gray-300 rounded-lg text-xs sm:text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 w-full sm:w-36"
+              onChange={(e) => {
+                setSearchTerm(e.target.value)
+                setRangeErrors([])
+              }}
+              className={`pl-8 sm:pl-10 pr-2 sm:pr-4 py-1.5 sm:py-2 border rounded-lg text-xs sm:text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 w-full sm:w-56 ${
+                rangeErrors.length > 0 ? 'border-red-400' : 'border-gray-300'
+              }`}
             />
           </div>
           <button
@@ -1518,9 +1589,68 @@ const PDFPageSelector = ({ file, selectedPages, onPagesSelected, pageSize = DEFA
           >
             Go
           </button>
+          <button
+            type="button"
+            onClick={applyRangeExpression}
+            disabled={!searchTerm.trim()}
+            className="px-3 sm:px-4 py-1.5 sm:py-2 bg-blue-100 text-blue-700 rounded-lg text-xs sm:text-sm hover:bg-blue-200 transition-colors disabled:opacity-50"
+          >
+            Select
+          </button>
         </form>
+        {rangeErrors.map(({ token, message }) => (
+          <p key={token} className="text-xs text-red-600">{message}</p>
+        ))}
+        {searchTerm.trim() && rangeErrors.length === 0 && (
+          <p className="text-xs text-gray-500">
+            Supports page numbers, ranges (3-7, 10-end), odd, even and last N
+          </p>
+        )}
       </div>
 
+      {/* Color pages - only for B&W jobs */}
+      {onColorPagesChange && currentColorMode === 'BW' && (
+        <div className="space-y-1">
+          <form onSubmit={handleColorRangeSubmit} className="flex flex-col sm:flex-row items-start sm:items-center gap-2">
+            <label className="text-xs sm:text-sm font-medium text-gray-700">Print in color:</label>
+            <div className="flex gap-2 w-full sm:w-auto">
+              <input
+                type="text"
+                placeholder="e.g. 3, 10-14"
+                value={colorRangeInput}
+                onChange={(e) => {
+                  setColorRangeInput(e.target.value)
+                  setColorRangeError(null)
+                }}
+                className={`px-2 sm:px-3 py-1.5 sm:py-2 border rounded-lg text-xs sm:text-sm focus:ring-2 focus:ring-pink-500 focus:border-pink-500 flex-1 sm:w-40 ${
+                  colorRangeError ? 'border-red-400' : 'border-gray-300'
+                }`}
+              />
+              <button
+                type="submit"
+                className="px-3 sm:px-4 py-1.5 sm:py-2 bg-pink-500 text-white rounded-lg text-xs sm:text-sm hover:bg-pink-600 transition-colors"
+              >
+                Add
+              </button>
+            </div>
+          </form>
+          {colorRangeError && (
+            <p className="text-xs text-red-600">{colorRangeError}</p>
+          )}
+          {colorPages.length > 0 && (
+            <div className="flex items-center gap-2 text-xs text-gray-600">
+              <span>🎨 Color: pages {formatPageRanges(colorPages)} - the rest print in B&W</span>
+              <button
+                onClick={() => onColorPagesChange([])}
+                className="text-pink-600 hover:underline"
+              >
+                Clear
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Conditional Rendering: Single Page View vs Grid View */}
       {viewMode === 'single' ? (
         /* === SINGLE PAGE VIEW === */
@@ -1529,10 +1659,7 @@ const PDFPageSelector = ({ file, selectedPages, onPagesSelected, pageSize = DEFA
           const sourcePages = currentPagesPerSheet === 1 ? originalPages : pages
           
           // Apply filtering
-          const singleViewFilteredPages = sourcePages.filter(page => {
-            if (!searchTerm) return true
-            return page.pageNumber.toString().includes(searchTerm)
-          })
+          const singleViewFilteredPages = sourcePages.filter(page => matchesSearch(page, searchTerm))
           
           const currentPage = singleViewFilteredPages[currentPageIndex]
           // Show editor immediately when PDF metadata is loaded (don't wait for pages)
@@ -1578,9 +1705,16 @@ const PDFPageSelector = ({ file, selectedPages, onPagesSelected, pageSize = DEFA
                       pageSize={currentPageSize}
                       onPageSizeChange={(newSize) => setCurrentPageSize(newSize)}
                       colorMode={currentColorMode}
+                      colorPages={colorPages}
+                      onToggleColorPage={onColorPagesChange ? toggleColorPage : null}
                       pagesPerSheet={currentPagesPerSheet}
+                      nupOptions={nupOptions}
+                      paperSize={paperSize}
                       selectedPages={selectedPages}
                       onPageSelect={togglePageSelection}
+                      pageOrder={printOrder}
+                      onPageOrderChange={onPageOrderChange}
+                      initialPageEdits={initialPageEdits}
                     />
                   </Suspense>
                 ) : (
@@ -1601,12 +1735,28 @@ const PDFPageSelector = ({ file, selectedPages, onPagesSelected, pageSize = DEFA
               key={page.pageNumber}
               id={`page-${page.pageNumber}`}
               data-page-number={page.pageNumber}
+              data-reorder-page={pageReorder.enabled && !page.isSheet ? page.pageNumber : undefined}
               className={`relative border-2 rounded-lg p-1 sm:p-2 transition-all cursor-pointer ${
                 isPageSelected(page)
                   ? 'border-blue-500 bg-blue-50'
                   : 'border-gray-200 bg-white hover:border-gray-300'
+              } ${pageReorder.dragState?.pageNumber === page.pageNumber ? 'opacity-50' : ''} ${
+                pageReorder.dragState?.targetPageNumber === page.pageNumber ? 'ring-2 ring-blue-400 ring-offset-1' : ''
               }`}
             >
+              {/* Drag handle - reorders the page in the print order */}
+              {pageReorder.enabled && !page.isSheet && (
+                <div className="absolute top-1 left-1/2 -translate-x-1/2 z-10">
+                  <button
+                    type="button"
+                    {...pageReorder.getHandleProps(page.pageNumber)}
+                    className="bg-white rounded shadow-sm px-1 py-0.5 cursor-grab active:cursor-grabbing touch-none focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    <GripHorizontal className="w-3 h-3 text-gray-500" />
+                  </button>
+                </div>
+              )}
+
               {/* Selection Checkbox */}
               <div className="absolute top-1 left-1 z-10">
                 <button
@@ -1,8 +1,6 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { ZoomIn, ZoomOut, RotateCcw } from 'lucide-react';
-import * as pdfjsLib from 'pdfjs-dist';
-
-pdfjsLib.GlobalWorkerOptions.workerSrc = `https://cdn.jsdelivr.net/npm/pdfjs-dist@${pdfjsLib.version}/build/pdf.worker.min.mjs`;
+import { loadPdfDocument } from '../utils/pdf/pdfjs';
 
 const PDFPreview = ({ file }) => {
   const [pdfDoc, setPdfDoc] = useState(null);
@@ -16,7 +14,7 @@ const PDFPreview = ({ file }) => {
     const loadPDF = async () => {
       try {
         const arrayBuffer = await file.arrayBuffer();
-        const doc = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
+        const doc = await loadPdfDocument({ data: arrayBuffer });
         setPdfDoc(doc);
       } catch (error) {
         console.error('Error loading PDF for preview:', error);
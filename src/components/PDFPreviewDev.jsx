@@ -1,8 +1,6 @@
 import { useState, useEffect } from 'react'
-import * as pdfjsLib from 'pdfjs-dist'
 import { X, ZoomIn, ZoomOut, ChevronLeft, ChevronRight } from 'lucide-react'
-
-pdfjsLib.GlobalWorkerOptions.workerSrc = `//cdnjs.cloudflare.com/ajax/libs/pdf.js/${pdfjsLib.version}/pdf.worker.min.js`
+import { loadPdfDocument } from '../utils/pdf/pdfjs'
 
 export default function PDFPreviewDev({ pdfBytes }) {
   const [pages, setPages] = useState([])
@@ -17,8 +15,7 @@ export default function PDFPreviewDev({ pdfBytes }) {
     const loadPDF = async () => {
       try {
         setLoading(true)
-        const loadingTask = pdfjsLib.getDocument({ data: pdfBytes })
-        const pdf = await loadingTask.promise
+        const pdf = await loadPdfDocument({ data: pdfBytes })
         
         const totalPages = Math.min(4, pdf.numPages)
         const pagePromises = []
@@ -0,0 +1,106 @@
+import React, { useState } from 'react'
+import { Mail } from 'lucide-react'
+import { sendSignInEmail, verifySignInCode } from '../utils/supabase'
+
+// Email sign-in: sends a magic link with a one-time code, then accepts the
+// code for devices where opening the link is awkward. The auth store picks
+// up the session either way.
+const SignInForm = ({ redirectPath = '/orders', defaultEmail = '' }) => {
+  const [email, setEmail] = useState(defaultEmail)
+  const [code, setCode] = useState('')
+  const [step, setStep] = useState('email') // 'email' or 'code'
+  const [isBusy, setIsBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  const handleSendEmail = async (e) => {
+    e.preventDefault()
+    setIsBusy(true)
+    setError(null)
+
+    const { error } = await sendSignInEmail(email.trim(), redirectPath)
+    setIsBusy(false)
+
+    if (error) {
+      setError(error.message)
+      return
+    }
+    setStep('code')
+  }
+
+  const handleVerifyCode = async (e) => {
+    e.preventDefault()
+    setIsBusy(true)
+    setError(null)
+
+    const { error } = await verifySignInCode(email.trim(), code.trim())
+    setIsBusy(false)
+
+    if (error) {
+      setError(error.message)
+    }
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 max-w-sm mx-auto">
+      <div className="flex items-center gap-2 mb-4">
+        <Mail className="w-5 h-5 text-blue-600" />
+        <h2 className="text-lg font-semibold text-gray-900">Sign in</h2>
+      </div>
+
+      {step === 'email' ? (
+        <form onSubmit={handleSendEmail} className="space-y-3">
+          <p className="text-sm text-gray-600">We'll email you a sign-in link and code. No password needed.</p>
+          <input
+            type="email"
+            required
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="you@example.com"
+            className="w-full p-3 border rounded-lg"
+            autoComplete="email"
+          />
+          <button
+            type="submit"
+            disabled={isBusy || !email.trim()}
+            className="w-full bg-blue-600 text-white py-2.5 rounded-lg font-medium hover:bg-blue-700 disabled:opacity-50"
+          >
+            {isBusy ? 'Sending...' : 'Email me a sign-in link'}
+          </button>
+        </form>
+      ) : (
+        <form onSubmit={handleVerifyCode} className="space-y-3">
+          <p className="text-sm text-gray-600">
+            Check <span className="font-medium">{email}</span> and open the link, or enter the code from the email.
+          </p>
+          <input
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder="6-digit code"
+            className="w-full p-3 border rounded-lg tracking-widest text-center"
+          />
+          <button
+            type="submit"
+            disabled={isBusy || !code.trim()}
+            className="w-full bg-blue-600 text-white py-2.5 rounded-lg font-medium hover:bg-blue-700 disabled:opacity-50"
+          >
+            {isBusy ? 'Checking...' : 'Sign in'}
+          </button>
+          <button
+            type="button"
+            onClick={() => { setStep('email'); setCode(''); setError(null) }}
+            className="w-full text-sm text-gray-600 hover:underline"
+          >
+            Use a different email
+          </button>
+        </form>
+      )}
+
+      {error && <p className="text-sm text-red-600 mt-3">{error}</p>}
+    </div>
+  )
+}
+
+export default SignInForm
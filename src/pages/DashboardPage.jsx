@@ -0,0 +1,424 @@
+import React, { useState, useEffect } from 'react'
+import { useParams, Link } from 'react-router-dom'
+import { Printer, CheckCircle, XCircle, Download, Eye, LogOut, FileText, Tag, Bot } from 'lucide-react'
+import {
+  getShopInfo,
+  getShopStaffRole,
+  getShopJobs,
+  subscribeToAllJobUpdates,
+  markJobAsPrinting,
+  markJobAsCompleted,
+  markJobAsCancelled,
+  signOut,
+  formatCurrency
+} from '../utils/supabase'
+import { estimatePrintMinutes } from '../utils/printAgent'
+import useAuthStore from '../stores/authStore'
+import SignInForm from '../components/SignInForm'
+
+const STATUS_FILTERS = [
+  { value: 'active', label: 'Queue', statuses: ['pending', 'printing'] },
+  { value: 'pending', label: 'Pending', statuses: ['pending'] },
+  { value: 'printing', label: 'Printing', statuses: ['printing'] },
+  { value: 'completed', label: 'Completed', statuses: ['completed'] },
+  { value: 'cancelled', label: 'Cancelled', statuses: ['cancelled'] },
+  { value: 'all', label: 'All', statuses: null }
+]
+
+const STATUS_BADGES = {
+  pending: 'text-yellow-600 bg-yellow-100',
+  printing: 'text-blue-600 bg-blue-100',
+  completed: 'text-green-600 bg-green-100',
+  cancelled: 'text-red-600 bg-red-100'
+}
+
+const PAYMENT_BADGES = {
+  paid: 'text-green-700',
+  pending: 'text-yellow-700',
+  failed: 'text-red-700',
+  refunded: 'text-gray-600'
+}
+
+const ETA_CHOICES = [15, 30, 60, 120]
+
+const startOfToday = () => {
+  const date = new Date()
+  date.setHours(0, 0, 0, 0)
+  return date
+}
+
+const formatMinutes = (minutes) => (minutes < 60 ? `${minutes} min` : `${Math.round(minutes / 6) / 10} h`)
+
+// Totals for jobs placed today; cancelled jobs don't count
+const getDailyTotals = (jobs) => {
+  const today = startOfToday()
+  const todaysJobs = jobs.filter(job => new Date(job.created_at) >= today && job.job_status !== 'cancelled')
+
+  return {
+    orders: todaysJobs.length,
+    completed: todaysJobs.filter(job => job.job_status === 'completed').length,
+    pages: todaysJobs.reduce((sum, job) => sum + (job.page_count || 0) * (job.copies || 1), 0),
+    revenue: todaysJobs
+      .filter(job => job.payment_status === 'paid')
+      .reduce((sum, job) => sum + (Number(job.total_cost) || 0), 0)
+  }
+}
+
+// Job queue for shop staff: live incoming jobs, status changes and today's totals
+const DashboardPage = () => {
+  const { shopId } = useParams()
+  const user = useAuthStore(state => state.user)
+  const authLoading = useAuthStore(state => state.loading)
+  const [shop, setShop] = useState(null)
+  const [role, setRole] = useState(null)
+  const [jobs, setJobs] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [statusFilter, setStatusFilter] = useState('active')
+  const [etaChoices, setEtaChoices] = useState({}) // jobId -> minutes picked instead of the estimate
+  const [busyJobId, setBusyJobId] = useState(null)
+
+  useEffect(() => {
+    if (!user) return
+
+    let cancelled = false
+    let subscription = null
+
+    const loadDashboard = async () => {
+      setLoading(true)
+      setError(null)
+
+      const [shopResult, roleResult] = await Promise.all([
+        getShopInfo(shopId),
+        getShopStaffRole(shopId, user.id)
+      ])
+      if (cancelled) return
+
+      if (shopResult.error || roleResult.error) {
+        setError((shopResult.error || roleResult.error).message)
+        setLoading(false)
+        return
+      }
+
+      setShop(shopResult.data)
+      setRole(roleResult.data)
+      if (!roleResult.data) {
+        setLoading(false)
+        return
+      }
+
+      const { data, error } = await getShopJobs(shopId, startOfToday())
+      if (cancelled) return
+      setJobs(data)
+      setError(error?.message || null)
+      setLoading(false)
+
+      subscription = subscribeToAllJobUpdates(shopId, (payload) => {
+        setJobs(prev => {
+          if (payload.eventType === 'DELETE') {
+            return prev.filter(job => job.id !== payload.old.id)
+          }
+          if (!prev.some(job => job.id === payload.new.id)) {
+            return [payload.new, ...prev]
+          }
+          return prev.map(job => (job.id === payload.new.id ? payload.new : job))
+        })
+      })
+    }
+
+    loadDashboard()
+
+    return () => {
+      cancelled = true
+      subscription?.unsubscribe?.()
+    }
+  }, [shopId, user])
+
+  // Apply the update right away; the realtime event brings the same row
+  const runTransition = async (job, transition) => {
+    setBusyJobId(job.id)
+    const { data, error } = await transition()
+    setBusyJobId(null)
+
+    if (error) {
+      alert(`Couldn't update ${job.filename}: ${error.message}`)
+      return
+    }
+    setJobs(prev => prev.map(existing => (existing.id === data.id ? data : existing)))
+  }
+
+  const handleStartPrinting = (job) => {
+    const minutes = etaChoices[job.id] || estimatePrintMinutes(job)
+    const estimatedCompletion = new Date(Date.now() + minutes * 60000).toISOString()
+    runTransition(job, () => markJobAsPrinting(job.id, estimatedCompletion))
+  }
+
+  const handleComplete = (job) => {
+    runTransition(job, () => markJobAsCompleted(job.id))
+  }
+
+  const handleCancel = (job) => {
+    if (!window.confirm(`Cancel ${job.filename} for ${job.customer_name}?`)) return
+    runTransition(job, () => markJobAsCancelled(job.id))
+  }
+
+  // Storage URLs are on another origin, where the download attribute is ignored
+  const handleDownload = async (job) => {
+    try {
+      const response = await fetch(job.file_url)
+      if (!response.ok) {
+        throw new Error(response.statusText)
+      }
+      const url = URL.createObjectURL(await response.blob())
+      const link = document.createElement('a')
+      link.href = url
+      link.download = job.filename
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (error) {
+      console.error('❌ Download error:', error)
+      alert(`Couldn't download ${job.filename}: ${error.message}`)
+    }
+  }
+
+  if (authLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <div className="animate-spin rounded-full h-8 w-8 border-2 border-blue-600 border-t-transparent"></div>
+      </div>
+    )
+  }
+
+  if (!user) {
+    return (
+      <div className="min-h-screen bg-gray-50 px-4 py-8 sm:py-16">
+        <h1 className="text-xl sm:text-2xl font-bold text-center mb-2">Shop Dashboard</h1>
+        <p className="text-sm text-gray-600 text-center mb-6">Sign in with your shop staff email to manage orders.</p>
+        <SignInForm redirectPath={`/dashboard/${shopId}`} />
+      </div>
+    )
+  }
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <div className="animate-spin rounded-full h-8 w-8 border-2 border-blue-600 border-t-transparent"></div>
+      </div>
+    )
+  }
+
+  if (error || !role) {
+    return (
+      <div className="min-h-screen bg-gray-50 px-4 py-8 sm:py-16">
+        <div className="bg-white rounded-lg shadow-md p-6 max-w-sm mx-auto text-center">
+          <p className="text-gray-900 font-medium mb-2">{error ? 'Something went wrong' : 'No access to this shop'}</p>
+          <p className="text-sm text-gray-600 mb-4">
+            {error || `${user.email} isn't on the staff list${shop ? ` of ${shop.name}` : ''}.`}
+          </p>
+          <button onClick={signOut} className="text-blue-600 hover:underline text-sm">Sign in with another email</button>
+        </div>
+      </div>
+    )
+  }
+
+  const totals = getDailyTotals(jobs)
+  const filter = STATUS_FILTERS.find(option => option.value === statusFilter)
+  const visibleJobs = jobs
+    .filter(job => !filter.statuses || filter.statuses.includes(job.job_status))
+    // The queue is worked oldest first
+    .sort((a, b) => (filter.value === 'active' ? 1 : -1) * (new Date(a.created_at) - new Date(b.created_at)))
+  const countFor = (option) => jobs.filter(job => !option.statuses || option.statuses.includes(job.job_status)).length
+
+  const renderJob = (job) => {
+    const estimate = estimatePrintMinutes(job)
+    const isBusy = busyJobId === job.id
+
+    return (
+      <li key={job.id} className="p-4 space-y-3">
+        <div className="flex flex-col sm:flex-row sm:items-start gap-3">
+          <div className="flex items-start gap-3 flex-1 min-w-0">
+            <FileText className="w-5 h-5 text-gray-400 flex-shrink-0 mt-0.5" />
+            <div className="min-w-0">
+              <p className="font-medium text-gray-900 truncate">{job.filename}</p>
+              <p className="text-xs sm:text-sm text-gray-500">
+                {job.customer_name}
+                {job.customer_phone && ` • ${job.customer_phone}`}
+                {' • '}{new Date(job.created_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+              </p>
+              <p className="text-xs text-gray-500">
+                {job.copies} {job.copies === 1 ? 'copy' : 'copies'} • {job.page_count || '?'} pages • {job.paper_size} {job.color_mode} {job.print_type}
+                {job.pages_per_sheet > 1 && ` • ${job.pages_per_sheet}-up`}
+                {job.booklet && ' • Booklet'}
+                {job.page_ranges && ` • Pages ${job.page_ranges}`}
+              </p>
+              {job.finishing?.length > 0 && (
+                <p className="text-xs text-gray-500">Finishing: {job.finishing.map(line => line.name).join(', ')}</p>
+              )}
+              {job.job_status === 'printing' && job.estimated_completion && (
+                <p className="text-xs text-blue-600">
+                  Due {new Date(job.estimated_completion).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                </p>
+              )}
+            </div>
+          </div>
+          <div className="flex flex-row sm:flex-col items-center sm:items-end gap-2 flex-shrink-0">
+            <span className={`px-2 py-1 rounded-full text-xs font-medium ${STATUS_BADGES[job.job_status] || 'text-gray-600 bg-gray-100'}`}>
+              {job.job_status}
+            </span>
+            <span className="text-sm font-medium">
+              {formatCurrency(job.total_cost)}
+              <span className={`ml-1 text-xs ${PAYMENT_BADGES[job.payment_status] || 'text-gray-600'}`}>({job.payment_status})</span>
+            </span>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2">
+          {job.file_url && (
+            <>
+              <a
+                href={job.file_url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="flex items-center gap-1.5 border px-3 py-1.5 rounded-lg text-xs sm:text-sm hover:bg-gray-50"
+              >
+                <Eye className="w-4 h-4" />
+                Preview
+              </a>
+              <button
+                onClick={() => handleDownload(job)}
+                className="flex items-center gap-1.5 border px-3 py-1.5 rounded-lg text-xs sm:text-sm hover:bg-gray-50"
+              >
+                <Download className="w-4 h-4" />
+                Download
+              </button>
+            </>
+          )}
+
+          {job.job_status === 'pending' && (
+            <>
+              <select
+                value={etaChoices[job.id] || ''}
+                onChange={(e) => setEtaChoices(prev => ({ ...prev, [job.id]: Number(e.target.value) || undefined }))}
+                className="border rounded-lg px-2 py-1.5 text-xs sm:text-sm"
+                title="Estimated time to finish"
+              >
+                <option value="">Ready in ~{formatMinutes(estimate)}</option>
+                {ETA_CHOICES.map(minutes => (
+                  <option key={minutes} value={minutes}>Ready in {formatMinutes(minutes)}</option>
+                ))}
+              </select>
+              <button
+                onClick={() => handleStartPrinting(job)}
+                disabled={isBusy}
+                className="flex items-center gap-1.5 bg-blue-600 text-white px-3 py-1.5 rounded-lg text-xs sm:text-sm hover:bg-blue-700 disabled:opacity-50"
+              >
+                <Printer className="w-4 h-4" />
+                Start printing
+              </button>
+            </>
+          )}
+
+          {job.job_status === 'printing' && (
+            <button
+              onClick={() => handleComplete(job)}
+              disabled={isBusy}
+              className="flex items-center gap-1.5 bg-green-600 text-white px-3 py-1.5 rounded-lg text-xs sm:text-sm hover:bg-green-700 disabled:opacity-50"
+            >
+              <CheckCircle className="w-4 h-4" />
+              Ready for pickup
+            </button>
+          )}
+
+          {(job.job_status === 'pending' || job.job_status === 'printing') && (
+            <button
+              onClick={() => handleCancel(job)}
+              disabled={isBusy}
+              className="flex items-center gap-1.5 text-red-600 px-3 py-1.5 rounded-lg text-xs sm:text-sm hover:bg-red-50 disabled:opacity-50"
+            >
+              <XCircle className="w-4 h-4" />
+              Cancel
+            </button>
+          )}
+        </div>
+      </li>
+    )
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-4xl mx-auto px-4 py-4 sm:py-8">
+        <div className="flex items-center justify-between mb-4 sm:mb-6 gap-3">
+          <div>
+            <h1 className="text-xl sm:text-2xl font-bold">{shop.name}</h1>
+            <p className="text-xs sm:text-sm text-gray-500">{user.email} • {role}</p>
+          </div>
+          <div className="flex items-center gap-4">
+            <Link to={`/dashboard/${shopId}/agent`} className="flex items-center gap-1.5 text-blue-600 text-xs sm:text-sm hover:underline">
+              <Bot className="w-4 h-4" />
+              Print agent
+            </Link>
+            {role === 'owner' && (
+              <Link to={`/dashboard/${shopId}/pricing`} className="flex items-center gap-1.5 text-blue-600 text-xs sm:text-sm hover:underline">
+                <Tag className="w-4 h-4" />
+                Pricing
+              </Link>
+            )}
+            <button
+              onClick={signOut}
+              className="flex items-center gap-1.5 text-gray-600 text-xs sm:text-sm hover:underline"
+            >
+              <LogOut className="w-4 h-4" />
+              Sign out
+            </button>
+          </div>
+        </div>
+
+        {/* Today */}
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mb-4 sm:mb-6">
+          {[
+            { label: 'Orders today', value: totals.orders },
+            { label: 'Completed', value: totals.completed },
+            { label: 'Pages', value: totals.pages },
+            { label: 'Paid revenue', value: formatCurrency(totals.revenue) }
+          ].map(stat => (
+            <div key={stat.label} className="bg-white rounded-lg shadow-md p-3 sm:p-4">
+              <p className="text-xs text-gray-500">{stat.label}</p>
+              <p className="text-lg sm:text-xl font-bold text-gray-900">{stat.value}</p>
+            </div>
+          ))}
+        </div>
+
+        <div className="flex flex-wrap gap-2 mb-3">
+          {STATUS_FILTERS.map(option => (
+            <button
+              key={option.value}
+              onClick={() => setStatusFilter(option.value)}
+              className={`px-3 py-1.5 rounded-full text-xs sm:text-sm border ${
+                statusFilter === option.value ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {option.label} ({countFor(option)})
+            </button>
+          ))}
+        </div>
+
+        {visibleJobs.length === 0 ? (
+          <div className="bg-white rounded-lg shadow-md p-8 text-center text-gray-600">
+            No {filter.value === 'all' ? '' : `${filter.label.toLowerCase()} `}jobs right now.
+          </div>
+        ) : (
+          <ul className="bg-white rounded-lg shadow-md divide-y">{visibleJobs.map(renderJob)}</ul>
+        )}
+
+        <p className="text-xs text-gray-400 text-center mt-4">
+          Showing open jobs and everything placed today. Updates arrive live.
+        </p>
+        <p className="text-center mt-2">
+          <Link to={`/shop/${shopId}`} className="text-blue-600 hover:underline text-sm">Open the shop's order page</Link>
+        </p>
+      </div>
+    </div>
+  )
+}
+
+export default DashboardPage
@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useRef } from 'react'
 import { Link } from 'react-router-dom'
 import { getAllActiveShops } from '../utils/supabase'
+import useAuthStore from '../stores/authStore'
 import { Printer, Search, Store, Clock, Star, MapPin, Phone, ArrowRight, Zap, Shield, Award, Globe, Upload, Settings, FileCheck, Package, Mail, Facebook, Twitter, Instagram, Linkedin, Sparkles } from 'lucide-react'
 
 const HomePage = () => {
@@ -10,6 +11,7 @@ const HomePage = () => {
   const [error, setError] = useState(null)
   const [searchTerm, setSearchTerm] = useState('')
   const howItWorksRef = useRef(null)
+  const user = useAuthStore(state => state.user)
 
   useEffect(() => {
     loadShops()
@@ -90,6 +92,16 @@ const HomePage = () => {
           }} />
         </div>
 
+        <div className="relative max-w-7xl mx-auto px-4 pt-4 flex justify-end">
+          <Link
+            to="/orders"
+            className="inline-flex items-center gap-2 px-4 py-2 bg-white/80 backdrop-blur-sm rounded-full border border-blue-200/50 text-sm font-medium text-blue-700 hover:bg-white transition-colors"
+          >
+            <Package className="w-4 h-4" />
+            {user ? 'My Orders' : 'Sign in'}
+          </Link>
+        </div>
+
         <div className="relative max-w-7xl mx-auto px-4 py-20 sm:py-32">
           <div className="text-center animate-fadeInUp">
             {/* Badge */}
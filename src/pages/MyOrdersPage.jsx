@@ -0,0 +1,177 @@
+import React, { useState, useEffect } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import { RotateCcw, LogOut, FileText } from 'lucide-react'
+import { getMyOrders, subscribeToCustomerJobUpdates, signOut, formatCurrency } from '../utils/supabase'
+import useAuthStore from '../stores/authStore'
+import SignInForm from '../components/SignInForm'
+
+const ACTIVE_STATUSES = ['pending', 'printing']
+
+const STATUS_BADGES = {
+  pending: 'text-yellow-600 bg-yellow-100',
+  printing: 'text-blue-600 bg-blue-100',
+  completed: 'text-green-600 bg-green-100',
+  cancelled: 'text-red-600 bg-red-100'
+}
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  printing: 'Printing',
+  completed: 'Completed',
+  cancelled: 'Cancelled'
+}
+
+// Orders placed while signed in, with live status and reordering
+const MyOrdersPage = () => {
+  const navigate = useNavigate()
+  const user = useAuthStore(state => state.user)
+  const authLoading = useAuthStore(state => state.loading)
+  const [orders, setOrders] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (!user) return
+
+    let cancelled = false
+    getMyOrders(user.id).then(({ data, error }) => {
+      if (cancelled) return
+      setOrders(data)
+      setError(error?.message || null)
+      setLoading(false)
+    })
+
+    // Realtime rows don't carry the joined shop, so keep the one already loaded
+    const subscription = subscribeToCustomerJobUpdates(user.id, (payload) => {
+      setOrders(prev => {
+        if (payload.eventType === 'DELETE') {
+          return prev.filter(order => order.id !== payload.old.id)
+        }
+        const existing = prev.find(order => order.id === payload.new.id)
+        if (!existing) {
+          return [payload.new, ...prev]
+        }
+        return prev.map(order => (order.id === payload.new.id ? { ...payload.new, shops: existing.shops } : order))
+      })
+    })
+
+    return () => {
+      cancelled = true
+      subscription?.unsubscribe?.()
+    }
+  }, [user])
+
+  const handleReorder = (order) => {
+    navigate(`/shop/${order.shop_id}/order?reorder=${order.id}`)
+  }
+
+  if (authLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <div className="animate-spin rounded-full h-8 w-8 border-2 border-blue-600 border-t-transparent"></div>
+      </div>
+    )
+  }
+
+  if (!user) {
+    return (
+      <div className="min-h-screen bg-gray-50 px-4 py-8 sm:py-16">
+        <h1 className="text-xl sm:text-2xl font-bold text-center mb-2">My Orders</h1>
+        <p className="text-sm text-gray-600 text-center mb-6">Sign in to see your orders and print them again.</p>
+        <SignInForm redirectPath="/orders" />
+        <p className="text-center mt-6">
+          <Link to="/" className="text-blue-600 hover:underline text-sm">Back to Home</Link>
+        </p>
+      </div>
+    )
+  }
+
+  const activeOrders = orders.filter(order => ACTIVE_STATUSES.includes(order.job_status))
+  const pastOrders = orders.filter(order => !ACTIVE_STATUSES.includes(order.job_status))
+
+  const renderOrder = (order) => (
+    <li key={order.id} className="p-4 flex flex-col sm:flex-row sm:items-center gap-3">
+      <Link to={`/status/${order.id}`} className="flex items-start gap-3 flex-1 min-w-0 group">
+        <FileText className="w-5 h-5 text-gray-400 flex-shrink-0 mt-0.5" />
+        <div className="min-w-0">
+          <p className="font-medium text-gray-900 truncate group-hover:text-blue-600">{order.filename}</p>
+          <p className="text-xs sm:text-sm text-gray-500">
+            {order.shops?.name && `${order.shops.name} • `}
+            {new Date(order.created_at).toLocaleString()} • {formatCurrency(order.total_cost)}
+          </p>
+          <p className="text-xs text-gray-500">
+            {order.copies} {order.copies === 1 ? 'copy' : 'copies'} • {order.paper_size} {order.color_mode} {order.print_type}
+            {order.page_count && ` • ${order.page_count} ${order.page_count === 1 ? 'page' : 'pages'}`}
+          </p>
+        </div>
+      </Link>
+      <div className="flex items-center gap-2 flex-shrink-0">
+        <span className={`px-2 py-1 rounded-full text-xs font-medium ${STATUS_BADGES[order.job_status] || 'text-gray-600 bg-gray-100'}`}>
+          {STATUS_LABELS[order.job_status] || 'Unknown'}
+        </span>
+        <button
+          onClick={() => handleReorder(order)}
+          title="Start a new order with this file and settings"
+          className="flex items-center gap-1.5 bg-blue-600 text-white px-3 py-1.5 rounded-lg text-xs sm:text-sm hover:bg-blue-700 transition-colors"
+        >
+          <RotateCcw className="w-4 h-4" />
+          Reorder
+        </button>
+      </div>
+    </li>
+  )
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-3xl mx-auto px-4 py-4 sm:py-8">
+        <div className="flex items-center justify-between mb-4 sm:mb-6 gap-3">
+          <div>
+            <h1 className="text-xl sm:text-2xl font-bold">My Orders</h1>
+            <p className="text-xs sm:text-sm text-gray-500">{user.email}</p>
+          </div>
+          <button
+            onClick={signOut}
+            className="flex items-center gap-1.5 text-gray-600 text-xs sm:text-sm hover:underline"
+          >
+            <LogOut className="w-4 h-4" />
+            Sign out
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-2 border-blue-600 border-t-transparent"></div>
+          </div>
+        ) : error ? (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-700">{error}</div>
+        ) : orders.length === 0 ? (
+          <div className="bg-white rounded-lg shadow-md p-8 text-center">
+            <p className="text-gray-600 mb-4">You haven't placed any orders while signed in yet.</p>
+            <Link to="/" className="text-blue-600 hover:underline">Find a print shop</Link>
+          </div>
+        ) : (
+          <div className="space-y-6">
+            {activeOrders.length > 0 && (
+              <section>
+                <h2 className="text-sm font-semibold text-gray-700 mb-2">Active</h2>
+                <ul className="bg-white rounded-lg shadow-md divide-y">{activeOrders.map(renderOrder)}</ul>
+              </section>
+            )}
+            {pastOrders.length > 0 && (
+              <section>
+                <h2 className="text-sm font-semibold text-gray-700 mb-2">Past orders</h2>
+                <ul className="bg-white rounded-lg shadow-md divide-y">{pastOrders.map(renderOrder)}</ul>
+              </section>
+            )}
+          </div>
+        )}
+
+        <p className="text-center mt-6">
+          <Link to="/" className="text-blue-600 hover:underline text-sm">Back to Home</Link>
+        </p>
+      </div>
+    </div>
+  )
+}
+
+export default MyOrdersPage
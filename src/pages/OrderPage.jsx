@@ -1,24 +1,118 @@
 import React, { useState, useEffect, useRef, lazy, Suspense } from 'react'
-import { useParams, useNavigate } from 'react-router-dom'
-import { getShopInfo, getShopPricing, calculateOrderCost, uploadFile, uploadFileChunked, submitPrintJob, formatCurrency, updatePaymentStatus, updatePrintJob } from '../utils/supabase'
+import { useParams, useNavigate, useSearchParams, Link } from 'react-router-dom'
+import { getShopInfo, getJobStatus, getShopPricing, getShopFinishingOptions, calculateOrderCost, calculateItemizedOrderCost, uploadFile, uploadFileChunked, submitPrintJob, formatCurrency, replaceJobFile, isWordFile, convertWordToPDF } from '../utils/supabase'
 import PDFPageSelector from '../components/PDFPageSelector'
 import Dropdown from '../components/Dropdown'
 import PDFPreview from '../components/PDFPreview'
 import PDFPreviewDev from '../components/PDFPreviewDev'
-import { PDFDocument } from 'pdf-lib'
-import { CreditCard as Edit, FileText, Image as ImageIcon, Info, Clock, CircleDot, Maximize2, Home, ChevronRight, Copy, Layers, BookOpen, Square, Grid2x2, FlipHorizontal2, MoreHorizontal, Columns2, ArrowLeftRight } from 'lucide-react'
+import BookletPreview from '../components/BookletPreview'
+import { PDFDocument, rgb } from 'pdf-lib'
+import { CreditCard as Edit, FileText, Image as ImageIcon, Info, Clock, CircleDot, Maximize2, Home, ChevronRight, Copy, Layers, BookOpen, Square, Grid2x2, FlipHorizontal2, MoreHorizontal, Columns2, ArrowLeftRight, History, ChevronUp, ChevronDown, X, Plus } from 'lucide-react'
 import { PAGE_SIZES, DEFAULT_PAGE_SIZE, getPageSize } from '../utils/pageSizes'
+import { formatPageRanges, parsePageRanges, expandPageRanges } from '../utils/pageRanges'
+import { saveDraft, loadDraft, deleteDraft, serializePageEdits } from '../utils/orderDrafts'
 import { getTodayDayName, getTodayHours, isShopOpen } from '../utils/shop'
 import { normalizePdfToA4 } from '../utils/pdf/normalizeToA4'
+import { addTransformedPage, hasGeometricEdits, needsRasterization } from '../utils/pdf/vectorExport'
+import { computeNupLayout, fitPageInCell, imposeNup, normalizeNupOptions, DEFAULT_NUP_OPTIONS } from '../utils/pdf/nup'
+import { computeBookletPlan, imposeBooklet, extractBookletPages } from '../utils/pdf/booklet'
+import { getDocumentOffsets, getDocumentPageNumbers, remapDocumentPages, mergeDocumentFiles } from '../utils/pdf/merge'
+import { getPageColorMode, setPageColorFlags } from '../utils/pdf/colorPages'
+import { scanColorPages } from '../utils/pdf/colorScanner'
+import { generatePrintRecipe, validateRecipe } from '../utils/pdf/RecipeExporter'
+import { computeOrderCost, calculatePrintVolume, getColorPageIndices } from '../utils/pricing'
+import { getFinishingAvailability, filterAvailableFinishing, formatFinishingUnit } from '../utils/finishing'
+import { sortPagesByOrder } from '../utils/pdf2'
+import useAuthStore from '../stores/authStore'
 
 const PDFEditor = lazy(() => import('../components/PDFEditor'))
 const ImageEditor = lazy(() => import('../components/ImageEditor'))
 
+
+const MORE_NUP_OPTIONS = [4, 6, 8, 9, 16].map(count => ({ value: count, label: `${count} Pages` }))
+
+const NUP_ORDER_LABELS = [
+  { value: 'horizontal', label: 'Across' },
+  { value: 'vertical', label: 'Down' },
+  { value: 'rtl', label: 'Right to Left' }
+]
+
+const SIGNATURE_OPTIONS = [
+  { value: 0, label: 'Whole document' },
+  ...[16, 32, 48, 64].map(count => ({ value: count, label: `${count} pages` }))
+]
+
+const loadSelectedPages = async (pdfBytes, selectedPages) => {
+  const srcDoc = await PDFDocument.load(pdfBytes)
+  const pageIndices = selectedPages.length > 0
+    ? selectedPages.map(page => page - 1)
+    : srcDoc.getPageIndices()
+
+  const selectedDoc = await PDFDocument.create()
+  const copiedPages = await selectedDoc.copyPages(srcDoc, pageIndices)
+  copiedPages.forEach(page => selectedDoc.addPage(page))
+  return selectedDoc
+}
+
+// Lay out the selected pages of a PDF on N-up sheets
+const imposeSelectedPages = async (pdfBytes, selectedPages, pagesPerSheet, paperSize, nupOptions) => {
+  const selectedDoc = await loadSelectedPages(pdfBytes, selectedPages)
+  const sheetsDoc = await imposeNup(selectedDoc, pagesPerSheet, getPageSize(paperSize?.toUpperCase()), nupOptions)
+  return sheetsDoc.save()
+}
+
+// Reorder the selected pages of a PDF into booklet spreads.
+// A side is flagged Color when either of its pages is a color page.
+const imposeSelectedBooklet = async (pdfBytes, selectedPages, paperSize, signatureSize, colorMode = 'BW', colorPages = []) => {
+  const selectedDoc = await loadSelectedPages(pdfBytes, selectedPages)
+  const { pdfDoc, plan } = await imposeBooklet(selectedDoc, getPageSize(paperSize?.toUpperCase()), signatureSize)
+
+  const originalPageNumber = (position) => (selectedPages.length > 0 ? selectedPages[position - 1] : position)
+  const sideMode = (side) => ([side.left, side.right].some(position =>
+    position !== null && getPageColorMode(originalPageNumber(position), colorMode, colorPages) === 'Color'
+  ) ? 'Color' : colorMode)
+  setPageColorFlags(pdfDoc, plan.sheets.flatMap(sheet => [sideMode(sheet.front), sideMode(sheet.back)]))
+
+  return pdfDoc.save()
+}
+
+// One entry in a multi-file order. `file` is the document as a PDF,
+// `pageSelection` a range expression used in per-file selection mode and
+// `settings` the document's own copies/paperSize/colorMode/pagesPerSheet.
+const createDocument = (name, file, pageCount) => ({
+  id: `${Date.now()}-${Math.random().toString(36).slice(2, 9)}`,
+  name,
+  file,
+  pageCount,
+  pageSelection: '',
+  settings: {}
+})
+
+const ITEM_PAGES_PER_SHEET = [1, 2, ...MORE_NUP_OPTIONS.map(option => option.value)]
+
+// Merged page numbers picked by each document's range (blank or unreadable = whole document)
+const selectPagesPerDocument = (documents) => {
+  const offsets = getDocumentOffsets(documents)
+  return documents.flatMap((document, index) => {
+    const { pages } = parsePageRanges(document.pageSelection, document.pageCount)
+    const documentPages = pages.length > 0 ? pages : Array.from({ length: document.pageCount }, (_, i) => i + 1)
+    return documentPages.map(page => offsets[index] + page)
+  })
+}
+
+// Selection to store for per-file mode - empty when every document prints in full
+const getPerFileSelection = (documents) => (
+  documents.every(document => !document.pageSelection.trim()) ? [] : selectPagesPerDocument(documents)
+)
+
 const OrderPage = () => {
   const { shopId } = useParams()
   const navigate = useNavigate()
+  const [searchParams, setSearchParams] = useSearchParams()
+  const user = useAuthStore(state => state.user)
   const [shop, setShop] = useState(null)
   const [pricing, setPricing] = useState([])
+  const [finishingOptions, setFinishingOptions] = useState([]) // Shop's finishing catalog
   const [availablePaperSizes, setAvailablePaperSizes] = useState(['A4'])
   const [previewPageSize, setPreviewPageSize] = useState(DEFAULT_PAGE_SIZE)
   const [orderData, setOrderData] = useState({
@@ -27,11 +121,20 @@ const OrderPage = () => {
     filename: '',
     selectedPages: [],
     selectedImages: [],
+    documents: [], // Documents merged into `file`, in print order
+    pageSelectionMode: 'combined', // 'combined' (pages of the merged file) or 'perFile' (a range per document)
+    perDocumentSettings: false, // Each document is priced and printed with its own settings
+    finishing: [], // Chosen finishing_options ids
     copies: 1,
     paperSize: 'A4',
     colorMode: 'BW',
     printType: 'Single',
     pagesPerSheet: 1,
+    nupOptions: DEFAULT_NUP_OPTIONS,
+    booklet: false,
+    signatureSize: 0,
+    colorPages: [], // Pages printed in color when colorMode is BW
+    pageOrder: [], // Print order of all pages, empty for page number order
     customerName: '',
     customerEmail: '',
     customerPhone: ''
@@ -56,6 +159,7 @@ const OrderPage = () => {
   const [isConvertingToPDF, setIsConvertingToPDF] = useState(false)
   const [conversionProgress, setConversionProgress] = useState(0)
   const [conversionMessage, setConversionMessage] = useState('')
+  const [conversionSource, setConversionSource] = useState('images') // 'images' or 'word'
 
   // PDF normalization state
   const [isNormalizingPDF, setIsNormalizingPDF] = useState(false)
@@ -102,6 +206,13 @@ const OrderPage = () => {
   // N-up conversion loading state
   const [isConvertingNup, setIsConvertingNup] = useState(false)
 
+  // Color page detection - runs in the background for every PDF
+  const [colorScan, setColorScan] = useState({ status: 'idle', scanned: 0, total: 0, colorPages: [] })
+
+  // Draft recovery - the in-progress order is kept in IndexedDB across reloads
+  const [savedDraft, setSavedDraft] = useState(null) // Draft found on arrival, offered for resuming
+  const [restoredPageEdits, setRestoredPageEdits] = useState(null) // Page transforms from a resumed draft, for the editor
+
   // Handle pagesPerSheet change with async conversion
   const handlePagesPerSheetChange = (newValue) => {
     // Update button state immediately
@@ -113,23 +224,120 @@ const OrderPage = () => {
     }, 300)
   }
 
+  const updateNupOptions = (changes) => {
+    setOrderData(prev => ({ ...prev, nupOptions: { ...prev.nupOptions, ...changes } }))
+  }
+
+  // Booklets are always printed as 2-up, double-sided spreads
+  const handleBookletChange = (enabled) => {
+    setOrderData(prev => ({
+      ...prev,
+      booklet: enabled,
+      ...(enabled ? { printType: 'Double', pagesPerSheet: 2 } : {})
+    }))
+  }
+
+  const isBookletOrder = orderData.booklet && orderData.file?.type === 'application/pdf'
+
   // Convert readyPDFBlob to bytes for preview
+  // N-up PDFs and booklets are previewed as the sheets the shop will print
   useEffect(() => {
     if (readyPDFBlob) {
+      let cancelled = false
       const convertToBytes = async () => {
         const arrayBuffer = await readyPDFBlob.arrayBuffer()
-        setFinalPDFBytes(new Uint8Array(arrayBuffer))
+        let bytes = new Uint8Array(arrayBuffer)
+
+        if (isBookletOrder) {
+          try {
+            bytes = await imposeSelectedBooklet(bytes, orderData.selectedPages, orderData.paperSize, orderData.signatureSize, orderData.colorMode, orderData.colorPages)
+          } catch (error) {
+            console.error('❌ Error imposing booklet preview:', error)
+          }
+        } else if (orderData.file?.type === 'application/pdf' && orderData.pagesPerSheet > 1) {
+          try {
+            bytes = await imposeSelectedPages(bytes, orderData.selectedPages, orderData.pagesPerSheet, orderData.paperSize, orderData.nupOptions)
+          } catch (error) {
+            console.error('❌ Error imposing N-up preview:', error)
+          }
+        }
+
+        if (!cancelled) setFinalPDFBytes(bytes)
       }
       convertToBytes()
+      return () => { cancelled = true }
     } else {
       setFinalPDFBytes(null)
     }
-  }, [readyPDFBlob])
+  }, [readyPDFBlob, orderData.file, orderData.selectedPages, orderData.pagesPerSheet, orderData.paperSize, orderData.nupOptions, isBookletOrder, orderData.signatureSize, orderData.colorMode, orderData.colorPages])
+
+  // Look for pages that really contain color so mixed printing can be suggested
+  useEffect(() => {
+    if (orderData.file?.type !== 'application/pdf') {
+      setColorScan({ status: 'idle', scanned: 0, total: 0, colorPages: [] })
+      return
+    }
+
+    setColorScan({ status: 'scanning', scanned: 0, total: 0, colorPages: [] })
+    const scan = scanColorPages(orderData.file, {
+      onProgress: (scanned, total) => setColorScan(prev => ({ ...prev, scanned, total }))
+    })
+
+    scan.promise
+      .then(result => {
+        if (result.aborted) return
+        console.log(`🎨 Color scan: ${result.colorPages.length} color, ${result.monochromePages.length} monochrome pages`)
+        setColorScan(prev => ({ ...prev, status: 'done', colorPages: result.colorPages }))
+      })
+      .catch(error => {
+        console.error('❌ Color scan failed:', error)
+        setColorScan({ status: 'idle', scanned: 0, total: 0, colorPages: [] })
+      })
+
+    return () => scan.abort()
+  }, [orderData.file])
 
   useEffect(() => {
     loadShopData()
   }, [shopId])
 
+  // Signed-in customers don't have to type their email
+  useEffect(() => {
+    if (!user?.email) return
+    setOrderData(prev => (prev.customerEmail ? prev : { ...prev, customerEmail: user.email }))
+  }, [user])
+
+  // Offer to resume an order left unfinished for this shop
+  useEffect(() => {
+    let cancelled = false
+    setSavedDraft(null)
+
+    loadDraft(shopId)
+      .then(draft => {
+        if (!cancelled && draft?.orderData?.file) setSavedDraft(draft)
+      })
+      .catch(error => console.warn('⚠️ Could not read saved draft:', error))
+
+    return () => { cancelled = true }
+  }, [shopId])
+
+  // Save the in-progress order (debounced) whenever it changes
+  useEffect(() => {
+    if (!orderData.file) return
+
+    const timer = setTimeout(() => {
+      saveDraft(shopId, {
+        orderData,
+        pageEdits: serializePageEdits(editedPages),
+        readyPDF: readyPDFBlob !== orderData.file ? readyPDFBlob : null,
+        pdfPageCount,
+        previewPageSize
+      }).catch(error => console.warn('⚠️ Could not save draft:', error))
+    }, 1000)
+
+    return () => clearTimeout(timer)
+  }, [shopId, orderData, editedPages, readyPDFBlob, pdfPageCount, previewPageSize])
+
   // Listen for PDF editor updates (crop, adjustments, etc.)
   useEffect(() => {
     const handlePDFEditorUpdate = (event) => {
@@ -168,13 +376,13 @@ const OrderPage = () => {
     return () => {
       window.removeEventListener('pdfEditorUpdate', handlePDFEditorUpdate)
     }
-  }, [orderData.files, orderData.selectedImages, previewPageSize, orderData.pagesPerSheet])
+  }, [orderData.files, orderData.selectedImages, orderData.colorMode, orderData.colorPages, previewPageSize, orderData.pagesPerSheet, orderData.nupOptions])
 
   useEffect(() => {
     if (pricing.length > 0) {
       calculateCost()
     }
-  }, [orderData.copies, orderData.paperSize, orderData.colorMode, orderData.printType, pricing])
+  }, [orderData.copies, orderData.paperSize, orderData.colorMode, orderData.colorPages, orderData.printType, orderData.pagesPerSheet, isBookletOrder, orderData.selectedPages, orderData.selectedImages, orderData.documents, orderData.perDocumentSettings, orderData.finishing, finishingOptions, pdfPageCount, pricing])
 
   // Alternate text labels every 4 seconds
   useEffect(() => {
@@ -198,10 +406,11 @@ const OrderPage = () => {
       setLoading(true)
       setError(null)
       
-      // Load shop info and pricing in parallel
-      const [shopResult, pricingResult] = await Promise.all([
+      // Load shop info, pricing and finishing options in parallel
+      const [shopResult, pricingResult, finishingResult] = await Promise.all([
         getShopInfo(shopId),
-        getShopPricing(shopId)
+        getShopPricing(shopId),
+        getShopFinishingOptions(shopId)
       ])
       
       if (shopResult.error) {
@@ -234,6 +443,15 @@ const OrderPage = () => {
       } else {
         console.warn('⚠️ No pricing configurations found for this shop')
       }
+
+      setFinishingOptions(finishingResult.data)
+
+      // "Reorder" from My Orders - drop the parameter so a reload doesn't start over
+      const reorderJobId = searchParams.get('reorder')
+      if (reorderJobId) {
+        setSearchParams({}, { replace: true })
+        loadReorder(reorderJobId, finishingResult.data)
+      }
       
     } catch (error) {
       console.error('❌ Error loading shop data:', error)
@@ -243,17 +461,164 @@ const OrderPage = () => {
     }
   }
 
+  // Page numbers that will actually be printed (drives sheet/impression pricing)
+  const getSelectedPageNumbers = () => {
+    if (orderData.selectedPages.length > 0) return orderData.selectedPages
+    if (orderData.selectedImages.length > 0) return orderData.selectedImages
+    return Array.from({ length: pdfPageCount || 1 }, (_, i) => i + 1)
+  }
+
+  const getSelectedPageCount = () => getSelectedPageNumbers().length
+
+  // Color pages only apply to B&W PDF orders, and only if they are being printed
+  const getSelectedColorPages = (colorMode = orderData.colorMode, colorPages = orderData.colorPages) => {
+    if (colorMode !== 'BW' || orderData.file?.type !== 'application/pdf') return []
+    const selected = new Set(getSelectedPageNumbers())
+    return colorPages.filter(page => selected.has(page))
+  }
+
+  // Chosen finishing options, in catalog order
+  const getChosenFinishing = () => finishingOptions.filter(option => orderData.finishing.includes(option.id))
+
+  // Pricing input for the order, optionally with a different color setup
+  const getCostSpec = (colorMode = orderData.colorMode, colorPages = orderData.colorPages) => ({
+    paperSize: orderData.paperSize,
+    colorMode,
+    printType: orderData.printType,
+    copies: orderData.copies,
+    pagesPerSheet: orderData.pagesPerSheet,
+    pageCount: getSelectedPageCount(),
+    booklet: isBookletOrder,
+    signatureSize: orderData.signatureSize,
+    colorPageIndices: getColorPageIndices(getSelectedPageNumbers(), getSelectedColorPages(colorMode, colorPages)),
+    finishing: getChosenFinishing()
+  })
+
+  // A document's settings - its own where set, the order's otherwise
+  const getDocumentSettings = (document) => ({
+    copies: orderData.copies,
+    paperSize: orderData.paperSize,
+    colorMode: orderData.colorMode,
+    pagesPerSheet: orderData.pagesPerSheet,
+    ...document.settings
+  })
+
+  // Items of an order with per-document settings: each document's selected
+  // pages (in print order) with its settings. Null when the order-wide
+  // settings apply to every page.
+  const getOrderItems = () => {
+    if (!orderData.perDocumentSettings || orderData.documents.length < 2 || isBookletOrder) return null
+
+    const selectedPages = getSelectedPageNumbers()
+    const offsets = getDocumentOffsets(orderData.documents)
+
+    return orderData.documents.flatMap((document, index) => {
+      const pages = selectedPages.filter(page => page > offsets[index] && page <= offsets[index] + document.pageCount)
+      if (pages.length === 0) return []
+
+      const settings = getDocumentSettings(document)
+      const colorPages = settings.colorMode === 'BW' ? orderData.colorPages.filter(page => pages.includes(page)) : []
+      return [{ documentId: document.id, filename: document.name, pages, colorPages, ...settings }]
+    })
+  }
+
+  const getItemCostSpec = (item) => ({
+    label: item.filename,
+    paperSize: item.paperSize,
+    colorMode: item.colorMode,
+    printType: orderData.printType,
+    copies: item.copies,
+    pagesPerSheet: item.pagesPerSheet,
+    pageCount: item.pages.length,
+    colorPageIndices: getColorPageIndices(item.pages, item.colorPages),
+    finishing: getChosenFinishing()
+  })
+
+  // Print volumes finishing has to fit - one per document when they have their own settings
+  const getFinishingVolumes = () => {
+    const items = getOrderItems()
+    return items ? items.map(item => calculatePrintVolume(getItemCostSpec(item))) : [calculatePrintVolume(getCostSpec())]
+  }
+
+  // Whether a finishing option can be chosen alongside the other chosen ones
+  const getFinishingStatus = (option) => {
+    const others = getChosenFinishing().filter(other => other.id !== option.id)
+    for (const volume of getFinishingVolumes()) {
+      const status = getFinishingAvailability(option, volume, others)
+      if (!status.available) return status
+    }
+    return { available: true, reason: null }
+  }
+
+  // Chosen finishing that fits the job as it is now - what gets priced and ordered
+  const getAppliedFinishing = () => {
+    const volumes = getFinishingVolumes()
+    return getChosenFinishing().filter(option => (
+      volumes.every(volume => filterAvailableFinishing(getChosenFinishing(), volume).includes(option))
+    ))
+  }
+
+  // Edit instructions for the shop, relative to the customer's PDF: the
+  // selected pages in print order with their crop/rotate/scale/offset and the
+  // print settings. Booklets and per-document orders are uploaded rearranged,
+  // so they go without one. Null when there is no valid recipe - the order
+  // still goes through with just the flattened file.
+  const buildOrderRecipe = async (orderItems) => {
+    if (isBookletOrder || orderItems || orderData.file?.type !== 'application/pdf') return null
+
+    try {
+      const pdfDoc = await PDFDocument.load(await orderData.file.arrayBuffer())
+      const recipe = generatePrintRecipe({
+        file: { name: orderData.filename, size: orderData.file.size, type: orderData.file.type },
+        totalPages: pdfDoc.getPageCount(),
+        pages: getSelectedPageNumbers().map(pageNumber => {
+          const { width, height } = pdfDoc.getPage(pageNumber - 1).getSize()
+          const editedPage = editedPages[pageNumber]
+          return { pageNumber, width, height, edited: !!editedPage?.edited, editHistory: editedPage?.editHistory }
+        }),
+        printSettings: {
+          paperSize: orderData.paperSize,
+          colorMode: orderData.colorMode,
+          duplex: orderData.printType === 'Double',
+          copies: Number(orderData.copies),
+          pagesPerSheet: orderData.pagesPerSheet,
+          nup: normalizeNupOptions(orderData.nupOptions),
+          colorPages: getSelectedColorPages(),
+          finishing: getAppliedFinishing()
+        },
+        shopId
+      })
+
+      const { valid, errors } = validateRecipe(recipe)
+      if (!valid) {
+        console.warn('⚠️ Order recipe is invalid, sending the order without it:', errors)
+        return null
+      }
+      return recipe
+    } catch (error) {
+      console.warn('⚠️ Could not build order recipe:', error)
+      return null
+    }
+  }
+
+  const handleFinishingToggle = (optionId) => {
+    setOrderData(prev => ({
+      ...prev,
+      finishing: prev.finishing.includes(optionId)
+        ? prev.finishing.filter(id => id !== optionId)
+        : [...prev.finishing, optionId]
+    }))
+  }
+
   const calculateCost = async () => {
     if (!orderData.paperSize || !orderData.colorMode || !orderData.printType) {
       return
     }
     
-    const result = await calculateOrderCost(shopId, {
-      paperSize: orderData.paperSize,
-      colorMode: orderData.colorMode,
-      printType: orderData.printType,
-      copies: orderData.copies
-    })
+    const items = getOrderItems()
+    const result = items
+      ? await calculateItemizedOrderCost(shopId, items.map(getItemCostSpec))
+      : await calculateOrderCost(shopId, getCostSpec())
     
     setCostInfo(result)
   }
@@ -364,125 +729,271 @@ const OrderPage = () => {
     }
   }
 
-  const handleFileChange = async (filesOrFile) => {
-    if (!filesOrFile) return
-
-    // Handle both single file and multiple files
-    const fileList = filesOrFile.length ? Array.from(filesOrFile) : [filesOrFile]
-    const firstFile = fileList[0]
+  // Convert a Word document to PDF on the print server with progress tracking
+  const convertWordToPDFWithProgress = async (wordFile) => {
+    try {
+      setConversionSource('word')
+      setIsConvertingToPDF(true)
+      setConversionProgress(0)
+      setConversionMessage(`Uploading ${wordFile.name}...`)
+      
+      // Upload takes the first 40%, conversion the next 50%, download the rest
+      let convertTimer = null
+      const result = await convertWordToPDF(wordFile, (stage, percentage) => {
+        if (stage === 'uploading') {
+          setConversionProgress(Math.round(percentage * 0.4))
+        } else if (stage === 'converting') {
+          setConversionMessage('Converting document to PDF...')
+          // The server doesn't report conversion progress - creep towards 90%
+          convertTimer = setInterval(() => {
+            setConversionProgress(prev => Math.min(90, prev + 2))
+          }, 500)
+        } else if (stage === 'downloading') {
+          clearInterval(convertTimer)
+          setConversionMessage('Downloading converted PDF...')
+          setConversionProgress(90 + Math.round(percentage * 0.1))
+        }
+      }).finally(() => clearInterval(convertTimer))
+      
+      setConversionProgress(100)
+      setConversionMessage(`Conversion complete! ${result.pageCount} ${result.pageCount === 1 ? 'page' : 'pages'}`)
+      await new Promise(resolve => setTimeout(resolve, 300))
+      
+      return result
+    } finally {
+      setIsConvertingToPDF(false)
+      setConversionProgress(0)
+      setConversionMessage('')
+      setConversionSource('images')
+    }
+  }
 
-    console.log('📁 Files selected:', fileList.length, 'files')
-    console.log('📄 First file type:', firstFile.type, 'Name:', firstFile.name)
+  // Normalize a PDF to A4 with smart orientation
+  const normalizePdf = async (pdfFile) => {
+    try {
+      console.log('📄 Normalizing PDF to A4 with smart orientation...')
+
+      const normalizeResult = await normalizePdfToA4(pdfFile, {
+        skipIfA4: true,
+        onProgress: (progress, message) => {
+          setIsNormalizingPDF(true)
+          setNormalizationProgress(progress)
+          setNormalizationMessage(message)
+        }
+      })
 
-    // Clear any pre-generated PDF and pre-uploaded URL from previous upload
-    setReadyPDFBlob(null)
-    setPreUploadedFileUrl(null)
-    preUploadedFileUrlRef.current = null
-    setEditedPages({})
-    setUploadProgress(0)
-    
-    // Check if it's PDF or images
-    console.log('🔍 Checking file type... isPDF?', firstFile.type === 'application/pdf')
-    if (firstFile.type === 'application/pdf') {
-      // Single PDF file - normalize to A4 with smart orientation
-      try {
-        console.log('📄 Normalizing PDF to A4 with smart orientation...')
-        
-        const normalizeResult = await normalizePdfToA4(firstFile, {
-          skipIfA4: true,
-          onProgress: (progress, message) => {
-            setIsNormalizingPDF(true)
-            setNormalizationProgress(progress)
-            setNormalizationMessage(message)
-          }
-        })
+      if (normalizeResult.wasNormalized) {
+        console.log(`✅ PDF normalized: ${normalizeResult.pageCount} pages`)
+        console.log(`📐 Orientations: ${normalizeResult.orientations.join(', ')}`)
+        console.log(`📄 Normalized file size: ${(normalizeResult.normalizedFile.size / 1024 / 1024).toFixed(2)} MB`)
+      } else {
+        console.log('ℹ️ PDF already A4-sized, skipped normalization')
+      }
 
-        const finalPdfFile = normalizeResult.normalizedFile
+      return { pdfFile: normalizeResult.normalizedFile, pageCount: normalizeResult.pageCount }
+    } finally {
+      setIsNormalizingPDF(false)
+      setNormalizationProgress(0)
+      setNormalizationMessage('')
+    }
+  }
 
-        if (normalizeResult.wasNormalized) {
-          console.log(`✅ PDF normalized: ${normalizeResult.pageCount} pages`)
-          console.log(`📐 Orientations: ${normalizeResult.orientations.join(', ')}`)
-          console.log(`📄 Normalized file size: ${(finalPdfFile.size / 1024 / 1024).toFixed(2)} MB`)
-        } else {
-          console.log('ℹ️ PDF already A4-sized, skipped normalization')
-        }
+  // Turn uploaded files into order documents: one per PDF or Word file,
+  // one for all the images picked together. Files that fail are skipped.
+  const prepareDocuments = async (fileList) => {
+    const documents = []
 
-        console.log(`🔄 Setting orderData.file to normalized PDF (${finalPdfFile.name}, ${(finalPdfFile.size / 1024 / 1024).toFixed(2)} MB)`)
+    for (const file of fileList) {
+      if (file.type.startsWith('image/')) continue
 
-        // Store page count for display
-        setPdfPageCount(normalizeResult.pageCount)
+      try {
+        let pdfFile = file
+        if (isWordFile(file)) {
+          // Word documents are converted to PDF first, then handled like any other PDF
+          pdfFile = (await convertWordToPDFWithProgress(file)).pdfFile
+        } else if (file.type !== 'application/pdf') {
+          console.warn(`⚠️ Skipping unsupported file: ${file.name}`)
+          continue
+        }
 
-        setOrderData(prev => ({
-          ...prev,
-          file: finalPdfFile,
-          files: [],
-          filename: firstFile.name,
-          selectedPages: [],
-          selectedImages: []
-        }))
-        setShowEditor(false)
-        
-        // Pre-generate PDF immediately for instant submit
-        console.log('🚀 Pre-generating PDF for instant submission...')
-        generateInitialPDF(finalPdfFile, [])
-
-        // Clear normalization state
-        setIsNormalizingPDF(false)
-        setNormalizationProgress(0)
-        setNormalizationMessage('')
-        
+        const normalized = await normalizePdf(pdfFile)
+        documents.push(createDocument(pdfFile.name, normalized.pdfFile, normalized.pageCount))
       } catch (error) {
-        console.error('❌ Error normalizing PDF:', error)
-        alert('Failed to normalize PDF: ' + (error?.message || 'Unknown error'))
-        setIsNormalizingPDF(false)
-        setNormalizationProgress(0)
-        setNormalizationMessage('')
+        console.error(`❌ Error preparing ${file.name}:`, error)
+        alert(`Failed to prepare ${file.name}: ` + (error?.message || 'Unknown error'))
       }
-    } else if (firstFile.type.startsWith('image/')) {
-      // Images - auto-convert to PDF
+    }
+
+    const imageFiles = fileList.filter(file => file.type.startsWith('image/'))
+    if (imageFiles.length > 0) {
       try {
-        const allImages = fileList.filter(f => f.type.startsWith('image/'))
-        console.log(`🖼️ Auto-converting ${allImages.length} image(s) to PDF...`)
-        
-        // Convert images to PDF with progress tracking
-        const { pdfFile, pageCount } = await convertImagesToPDFWithProgress(allImages)
-        
-        // Auto-select all pages - no need for page selector delay!
-        const allPages = Array.from({ length: pageCount }, (_, i) => i + 1)
-        
-        // Store page count for display
-        setPdfPageCount(pageCount)
-        
-        // Set the converted PDF as the file with ALL pages pre-selected
-        setOrderData(prev => ({
-          ...prev,
-          file: pdfFile,
-          files: [],
-          filename: pdfFile.name,
-          selectedPages: allPages, // Auto-select all pages - no need for page selector!
-          selectedImages: []
-        }))
-        
-        setShowEditor(false)
-        
-        // Show success message
-        console.log(`✅ Images automatically converted to PDF (${pageCount} pages, all selected)`)
-        
-        // Pre-generate PDF immediately after conversion (for instant submit)
-        console.log('🚀 Pre-generating PDF for instant submission...')
-        generateInitialPDF(pdfFile, allPages)
-        
+        console.log(`🖼️ Auto-converting ${imageFiles.length} image(s) to PDF...`)
+        setConversionSource('images')
+        const { pdfFile, pageCount } = await convertImagesToPDFWithProgress(imageFiles)
+        console.log(`✅ Images automatically converted to PDF (${pageCount} pages)`)
+        documents.push(createDocument(pdfFile.name, pdfFile, pageCount))
       } catch (error) {
         console.error('❌ Error converting images:', error)
-        console.error('Error details:', error?.message, error?.stack)
-        const errorMsg = error?.message || 'Unknown error occurred'
-        alert('Failed to convert images to PDF: ' + errorMsg)
-        // Reset state
-        setIsConvertingToPDF(false)
-        setConversionProgress(0)
-        setConversionMessage('')
+        alert('Failed to convert images to PDF: ' + (error?.message || 'Unknown error occurred'))
+      }
+    }
+
+    return documents
+  }
+
+  // The documents in this order - a file from before multi-file orders
+  // (e.g. a resumed draft) counts as a single document
+  const getCurrentDocuments = () => {
+    if (orderData.documents.length > 0) return orderData.documents
+    if (!orderData.file) return []
+    return [createDocument(orderData.filename, orderData.file, pdfPageCount)]
+  }
+
+  // Make a new document list the order's file: merge it, carry the page
+  // selection and color pages over, and start the upload again.
+  // `addedIds` are new documents, selected in full if pages were picked.
+  const applyDocuments = async (documents, previousDocuments, { addedIds = [] } = {}) => {
+    if (documents.length === 0) {
+      handleRemoveFile()
+      return
+    }
+
+    let file = documents[0].file
+    let filename = documents[0].name
+    if (documents.length > 1) {
+      filename = `${documents[0].name.replace(/\.[^.]+$/, '')} + ${documents.length - 1} more.pdf`
+      try {
+        console.log(`📚 Merging ${documents.length} documents...`)
+        file = await mergeDocumentFiles(documents, filename)
+      } catch (error) {
+        console.error('❌ Error merging documents:', error)
+        alert('Failed to merge documents: ' + (error?.message || 'Unknown error'))
+        return
+      }
+    }
+
+    const pageCount = documents.reduce((sum, document) => sum + document.pageCount, 0)
+    const remap = (pages) => remapDocumentPages(pages, previousDocuments, documents)
+
+    // Edits, the prepared PDF and the upload belong to the old merged file
+    setReadyPDFBlob(null)
+    setPreUploadedFileUrl(null)
+    preUploadedFileUrlRef.current = null
+    setEditedPages({})
+    setRestoredPageEdits(null)
+    setUploadProgress(0)
+    setPdfPageCount(pageCount)
+
+    setOrderData(prev => {
+      let selectedPages = []
+      if (prev.pageSelectionMode === 'perFile') {
+        selectedPages = getPerFileSelection(documents)
+      } else if (prev.selectedPages.length > 0) {
+        selectedPages = [...remap(prev.selectedPages), ...getDocumentPageNumbers(documents, addedIds)]
       }
+
+      return {
+        ...prev,
+        file,
+        files: [],
+        filename,
+        documents,
+        selectedPages,
+        selectedImages: [],
+        colorPages: remap(prev.colorPages),
+        pageOrder: []
+      }
+    })
+    setShowEditor(false)
+
+    // Pre-generate PDF immediately for instant submit
+    console.log('🚀 Pre-generating PDF for instant submission...')
+    generateInitialPDF(file, [])
+  }
+
+  // Changing the document list rebuilds the merged file, which drops page edits
+  const confirmDocumentChange = () => (
+    Object.keys(editedPages).length === 0 ||
+    window.confirm('Changing the documents clears your page edits. Continue?')
+  )
+
+  const handleFileChange = async (filesOrFile, { append = false } = {}) => {
+    if (!filesOrFile) return
+
+    // Handle both single file and multiple files
+    const fileList = filesOrFile.length ? Array.from(filesOrFile) : [filesOrFile]
+    if (fileList.length === 0) return
+    if (append && !confirmDocumentChange()) return
+
+    console.log('📁 Files selected:', fileList.length, 'files', append ? '(adding to order)' : '')
+
+    // A new upload replaces any draft that was on offer
+    setSavedDraft(null)
+
+    const previousDocuments = append ? getCurrentDocuments() : []
+    const addedDocuments = await prepareDocuments(fileList)
+    if (addedDocuments.length === 0) return
+
+    if (!append) {
+      setOrderData(prev => ({ ...prev, selectedPages: [], colorPages: [], pageSelectionMode: 'combined' }))
     }
+
+    await applyDocuments(
+      [...previousDocuments, ...addedDocuments],
+      previousDocuments,
+      { addedIds: addedDocuments.map(document => document.id) }
+    )
+  }
+
+  const handleMoveDocument = (documentId, direction) => {
+    const documents = [...orderData.documents]
+    const index = documents.findIndex(document => document.id === documentId)
+    const target = index + direction
+    if (index === -1 || target < 0 || target >= documents.length || !confirmDocumentChange()) return
+
+    const [moved] = documents.splice(index, 1)
+    documents.splice(target, 0, moved)
+    applyDocuments(documents, orderData.documents)
+  }
+
+  const handleRemoveDocument = (documentId) => {
+    if (!confirmDocumentChange()) return
+    applyDocuments(orderData.documents.filter(document => document.id !== documentId), orderData.documents)
+  }
+
+  // Per-file mode: a page range typed for one document
+  const handleDocumentSelectionChange = (documentId, pageSelection) => {
+    setOrderData(prev => {
+      const documents = prev.documents.map(document => (
+        document.id === documentId ? { ...document, pageSelection } : document
+      ))
+      return {
+        ...prev,
+        documents,
+        selectedPages: sortPagesByOrder(getPerFileSelection(documents), prev.pageOrder)
+      }
+    })
+  }
+
+  // Per-document settings: one of copies, paperSize, colorMode or pagesPerSheet
+  const handleDocumentSettingChange = (documentId, key, value) => {
+    setOrderData(prev => ({
+      ...prev,
+      documents: prev.documents.map(document => (
+        document.id === documentId ? { ...document, settings: { ...document.settings, [key]: value } } : document
+      ))
+    }))
+  }
+
+  const handleSelectionModeChange = (pageSelectionMode) => {
+    setOrderData(prev => ({
+      ...prev,
+      pageSelectionMode,
+      // Combined mode starts from the pages the ranges picked
+      selectedPages: pageSelectionMode === 'perFile'
+        ? sortPagesByOrder(getPerFileSelection(prev.documents), prev.pageOrder)
+        : prev.selectedPages
+    }))
   }
 
   const handleDrag = (e) => {
@@ -512,13 +1023,139 @@ const OrderPage = () => {
     }))
   }
 
+  // Selected pages are kept in print order so every export follows the custom order
   const handlePagesSelected = (pages) => {
+    setOrderData(prev => {
+      // Picking pages by hand in the selector overrides the per-file ranges
+      const perFilePages = prev.pageSelectionMode === 'perFile' ? selectPagesPerDocument(prev.documents) : null
+      const matchesPerFile = perFilePages && perFilePages.length === pages.length && perFilePages.every(page => pages.includes(page))
+
+      return {
+        ...prev,
+        selectedPages: sortPagesByOrder(pages, prev.pageOrder),
+        pageSelectionMode: perFilePages && !matchesPerFile ? 'combined' : prev.pageSelectionMode
+      }
+    })
+  }
+
+  const handlePageOrderChange = (pageOrder) => {
     setOrderData(prev => ({
       ...prev,
-      selectedPages: pages
+      pageOrder,
+      selectedPages: sortPagesByOrder(prev.selectedPages, pageOrder)
     }))
   }
 
+  // Start a new order from a previous job: its uploaded file and print settings
+  const loadReorder = async (jobId, shopFinishing) => {
+    const { data: job, error } = await getJobStatus(jobId)
+    if (error || !job || job.shop_id !== shopId) {
+      alert('That order could not be found for this shop')
+      return
+    }
+
+    try {
+      console.log('🔁 Reordering job:', jobId)
+      setSavedDraft(null)
+
+      const response = await fetch(job.file_url)
+      if (!response.ok) {
+        throw new Error(`The file is no longer available (${response.status})`)
+      }
+      // Booklets are stored as imposed spreads - cut them back into the printed pages
+      let fileBytes = await response.arrayBuffer()
+      if (job.booklet) {
+        const pagesDoc = await extractBookletPages(await PDFDocument.load(fileBytes), job.page_count, job.signature_size || 0)
+        fileBytes = await pagesDoc.save()
+      }
+      const file = new File([fileBytes], job.filename.replace(/\.[^.]+$/, '') + '.pdf', { type: 'application/pdf' })
+
+      const [document] = await prepareDocuments([file])
+      if (!document) return
+
+      // The stored file is the original document (page_ranges picks the printed
+      // pages), exactly the printed pages, or sheets already laid out N-up
+      const printedCount = job.page_count || document.pageCount
+      const hasUnprintedPages = document.pageCount > printedCount
+      const isPreImposed = document.pageCount < printedCount
+      const { pages: rangePages, errors } = parsePageRanges(job.page_ranges, document.pageCount)
+      const selectedPages = hasUnprintedPages && errors.length === 0 ? rangePages : []
+      const finishingIds = (job.finishing || []).map(line => line.id)
+      // A booklet's color pages are numbered in the original; its pages are now in print order
+      const printedPages = expandPageRanges(job.page_ranges)
+      const colorPages = job.booklet
+        ? printedPages.flatMap((page, index) => ((job.color_pages || []).includes(page) ? [index + 1] : []))
+        : (job.color_pages || []).filter(page => page <= document.pageCount)
+
+      setOrderData(prev => ({
+        ...prev,
+        copies: job.copies,
+        paperSize: job.paper_size,
+        colorMode: job.color_mode,
+        printType: job.booklet ? 'Double' : job.print_type,
+        pagesPerSheet: job.booklet ? 2 : isPreImposed ? 1 : job.pages_per_sheet || 1,
+        nupOptions: job.nup_options ? { ...DEFAULT_NUP_OPTIONS, ...job.nup_options } : DEFAULT_NUP_OPTIONS,
+        booklet: !!job.booklet,
+        signatureSize: job.booklet ? job.signature_size || 0 : 0,
+        pageSelectionMode: 'combined',
+        selectedPages: [],
+        finishing: shopFinishing.filter(option => finishingIds.includes(option.id)).map(option => option.id),
+        customerName: prev.customerName || job.customer_name || '',
+        customerEmail: prev.customerEmail || job.customer_email || '',
+        customerPhone: prev.customerPhone || job.customer_phone || ''
+      }))
+
+      await applyDocuments([document], [])
+
+      setOrderData(prev => ({
+        ...prev,
+        selectedPages,
+        colorPages: isPreImposed ? [] : colorPages
+      }))
+    } catch (error) {
+      console.error('❌ Error reordering job:', error)
+      alert('Failed to reorder: ' + (error?.message || 'Unknown error'))
+    }
+  }
+
+  // Rebuild the order from a saved draft: file, settings, selection, order and page edits
+  const handleResumeDraft = () => {
+    const draft = savedDraft
+    if (!draft) return
+
+    const pageEdits = draft.pageEdits || {}
+    const restoredEditedPages = {}
+    Object.entries(pageEdits).forEach(([pageNumber, editHistory]) => {
+      restoredEditedPages[pageNumber] = { edited: true, canvas: null, thumbnail: null, editHistory }
+    })
+
+    setSavedDraft(null)
+    setOrderData(prev => ({ ...prev, ...draft.orderData }))
+    setPdfPageCount(draft.pdfPageCount || 0)
+    if (draft.previewPageSize) setPreviewPageSize(draft.previewPageSize)
+    setEditedPages(restoredEditedPages)
+    setRestoredPageEdits(Object.keys(pageEdits).length > 0 ? pageEdits : null)
+    setShowEditor(false)
+
+    if (draft.readyPDF) {
+      setReadyPDFBlob(draft.readyPDF)
+      uploadInBackground(draft.readyPDF)
+    } else {
+      generateInitialPDF(draft.orderData.file, draft.orderData.selectedPages)
+    }
+  }
+
+  const handleDiscardDraft = () => {
+    setSavedDraft(null)
+    deleteDraft(shopId).catch(error => console.warn('⚠️ Could not delete draft:', error))
+  }
+
+  const handleRemoveFile = () => {
+    setOrderData(prev => ({ ...prev, file: null, files: [], filename: '', documents: [], pageSelectionMode: 'combined', selectedPages: [], selectedImages: [], pageOrder: [] }))
+    setRestoredPageEdits(null)
+    deleteDraft(shopId).catch(error => console.warn('⚠️ Could not delete draft:', error))
+  }
+
   const handleEditFile = (pageIndex) => {
     if (!orderData.file) return
 
@@ -589,7 +1226,7 @@ const OrderPage = () => {
     setIsDirectPageEdit(false) // Reset direct page edit flag
   }
 
-  const processSelectedPages = async (originalFile, selectedPages) => {
+  const processSelectedPages = async (originalFile, selectedPages, colorMode = 'BW', colorPages = []) => {
     try {
       if (!selectedPages || selectedPages.length === 0) {
         throw new Error('No pages selected')
@@ -600,7 +1237,7 @@ const OrderPage = () => {
       const pdfDoc = await PDFDocument.load(arrayBuffer)
       const totalPages = pdfDoc.getPageCount()
       
-      if (selectedPages.length === totalPages && 
+      if (selectedPages.length === totalPages && colorPages.length === 0 &&
           selectedPages.every((page, index) => page === index + 1)) {
         console.log('✅ All pages selected, using original file')
         return originalFile
@@ -608,20 +1245,16 @@ const OrderPage = () => {
 
       console.log(`📄 Processing ${selectedPages.length} selected pages from ${totalPages} total pages`)
       
-      // Remove unselected pages (in reverse order to maintain indices)
-      const pagesToRemove = []
-      for (let i = 1; i <= totalPages; i++) {
-        if (!selectedPages.includes(i)) {
-          pagesToRemove.push(i - 1) // Convert to 0-based index
-        }
+      // Copy the selected pages in print order (which may differ from page number order)
+      const selectedDoc = await PDFDocument.create()
+      const copiedPages = await selectedDoc.copyPages(pdfDoc, selectedPages.map(page => page - 1))
+      copiedPages.forEach(page => selectedDoc.addPage(page))
+
+      if (colorPages.length > 0) {
+        setPageColorFlags(selectedDoc, selectedPages.map(page => getPageColorMode(page, colorMode, colorPages)))
       }
       
-      // Remove pages in reverse order
-      pagesToRemove.reverse().forEach(pageIndex => {
-        pdfDoc.removePage(pageIndex)
-      })
-      
-      const modifiedPdfBytes = await pdfDoc.save()
+      const modifiedPdfBytes = await selectedDoc.save()
       const modifiedFile = new File([modifiedPdfBytes], originalFile.name, {
         type: 'application/pdf'
       })
@@ -739,11 +1372,12 @@ const OrderPage = () => {
           orderData.selectedImages, 
           previewPageSize, 
           orderData.pagesPerSheet,
-          editedPagesData
+          editedPagesData,
+          orderData.nupOptions
         )
       } else if (orderData.file && orderData.file.type === 'application/pdf') {
         // PDF with edits case - generate final PDF with edits applied
-        pdfBlob = await generateEditedPDF(orderData.file, orderData.selectedPages, editedPagesData)
+        pdfBlob = await generateEditedPDF(orderData.file, orderData.selectedPages, editedPagesData, orderData.colorMode, orderData.colorPages)
       }
       
       if (pdfBlob) {
@@ -762,7 +1396,7 @@ const OrderPage = () => {
   }
   
   // Generate final PDF with edits applied
-  const generateEditedPDF = async (pdfFile, selectedPages, editedPagesData) => {
+  const generateEditedPDF = async (pdfFile, selectedPages, editedPagesData, colorMode, colorPages = []) => {
     try {
       console.log('📄 Generating PDF with edits...', {
         hasEdits: Object.keys(editedPagesData).length,
@@ -789,8 +1423,8 @@ const OrderPage = () => {
         const pageIndex = pageNum - 1
         const editedPage = editedPagesData[pageNum]
         
-        if (editedPage && editedPage.canvas) {
-          // Use edited canvas - Optimized JPEG quality (85% is excellent for print, much faster than 98%)
+        if (editedPage && editedPage.canvas && (needsRasterization(getPageColorMode(pageNum, colorMode, colorPages)) || !editedPage.editHistory)) {
+          // Grayscale has no vector equivalent (and canvas-only edits carry no geometry) - use the canvas
           const dataUrl = editedPage.canvas.toDataURL('image/jpeg', 0.85)
           const imageBytes = await fetch(dataUrl).then(res => res.arrayBuffer())
           const embeddedImage = await newPdfDoc.embedJpg(imageBytes)
@@ -805,12 +1439,17 @@ const OrderPage = () => {
             width,
             height
           })
+        } else if (editedPage && hasGeometricEdits(editedPage.editHistory)) {
+          // Crop/rotate/scale/offset as a Form XObject - text and line art stay vectors
+          await addTransformedPage(newPdfDoc, pdfDoc.getPage(pageIndex), editedPage.editHistory)
         } else {
           // Copy original page
           const [copiedPage] = await newPdfDoc.copyPages(pdfDoc, [pageIndex])
           newPdfDoc.addPage(copiedPage)
         }
       }
+
+      setPageColorFlags(newPdfDoc, pagesToInclude.map(pageNum => getPageColorMode(pageNum, colorMode, colorPages)))
       
       const pdfBytes = await newPdfDoc.save()
       const pdfBlob = new File([pdfBytes], pdfFile.name, { type: 'application/pdf' })
@@ -824,7 +1463,7 @@ const OrderPage = () => {
     }
   }
 
-  const createPDFFromImages = async (imageFiles, selectedImageIndices, pageSize, pagesPerSheet, editedPagesOverride = null) => {
+  const createPDFFromImages = async (imageFiles, selectedImageIndices, pageSize, pagesPerSheet, editedPagesOverride = null, nupOptions = DEFAULT_NUP_OPTIONS) => {
     try {
       console.log('📄 Creating PDF from images...', {
         totalImages: imageFiles.length,
@@ -891,45 +1530,51 @@ const OrderPage = () => {
       }
 
       // Embed images based on N-up setting
-      if (pagesPerSheet === 2) {
-        // 2-up layout: 2 images side by side per page
-        for (let i = 0; i < loadedImages.length; i += 2) {
-          const page = pdfDoc.addPage([pageDimensions.width, pageDimensions.height])
+      if (pagesPerSheet > 1) {
+        // N-up layout: shared with the PDF export so previews and output match
+        let layout = null
+        let page = null
 
-          const halfWidth = pageDimensions.width / 2
-          const positions = [
-            { x: 0, width: halfWidth }, // Left
-            { x: halfWidth, width: halfWidth } // Right
-          ]
-
-          for (let j = 0; j < 2 && (i + j) < loadedImages.length; j++) {
-            const { dataUrl } = loadedImages[i + j]
-            const imageBytes = await fetch(dataUrl).then(res => res.arrayBuffer())
-
-            // Always use JPEG for smaller file size
-            let embeddedImage
-            if (dataUrl.startsWith('data:image/jpeg')) {
-              embeddedImage = await pdfDoc.embedJpg(imageBytes)
-            } else if (dataUrl.startsWith('data:image/png')) {
-              embeddedImage = await pdfDoc.embedPng(imageBytes)
-            } else {
-              embeddedImage = await pdfDoc.embedJpg(imageBytes)
-            }
+        for (let i = 0; i < loadedImages.length; i++) {
+          const { dataUrl } = loadedImages[i]
+          const imageBytes = await fetch(dataUrl).then(res => res.arrayBuffer())
 
-            const imgDims = embeddedImage.scale(1)
-            const scale = Math.min(
-              positions[j].width / imgDims.width,
-              pageDimensions.height / imgDims.height
-            ) * 0.95
+          let embeddedImage
+          if (dataUrl.startsWith('data:image/png')) {
+            embeddedImage = await pdfDoc.embedPng(imageBytes)
+          } else {
+            embeddedImage = await pdfDoc.embedJpg(imageBytes)
+          }
 
-            const scaledWidth = imgDims.width * scale
-            const scaledHeight = imgDims.height * scale
+          // Orientation is decided from the first image so all sheets match
+          if (!layout) {
+            layout = computeNupLayout(pagesPerSheet, pageDimensions, embeddedImage.scale(1), nupOptions)
+          }
 
-            page.drawImage(embeddedImage, {
-              x: positions[j].x + (positions[j].width - scaledWidth) / 2,
-              y: (pageDimensions.height - scaledHeight) / 2,
-              width: scaledWidth,
-              height: scaledHeight
+          const cellIndex = i % pagesPerSheet
+          if (cellIndex === 0) {
+            page = pdfDoc.addPage([layout.sheetWidth, layout.sheetHeight])
+          }
+
+          const cell = layout.cells[cellIndex]
+          const rect = fitPageInCell(cell, embeddedImage.scale(1))
+
+          // Layout is top-left based, PDF is bottom-left
+          page.drawImage(embeddedImage, {
+            x: rect.x,
+            y: layout.sheetHeight - rect.y - rect.height,
+            width: rect.width,
+            height: rect.height
+          })
+
+          if (nupOptions?.border) {
+            page.drawRectangle({
+              x: cell.x,
+              y: layout.sheetHeight - cell.y - cell.height,
+              width: cell.width,
+              height: cell.height,
+              borderColor: rgb(0.6, 0.6, 0.6),
+              borderWidth: 0.5
             })
           }
         }
@@ -1013,7 +1658,10 @@ const OrderPage = () => {
       let fileUrl = null
       
       // ⚡ INSTANT SUBMIT: Check if we already uploaded the file in background
-      if (preUploadedFileUrl) {
+      // Booklets skip this - the background upload holds pages, not spreads
+      if (isBookletOrder) {
+        console.log('📖 Booklet order - imposing spreads before upload')
+      } else if (preUploadedFileUrl) {
         console.log('⚡⚡⚡ [TIMING] INSTANT SUBMIT! Using pre-uploaded file URL')
         console.log('📎 Pre-uploaded URL:', preUploadedFileUrl)
         fileUrl = preUploadedFileUrl
@@ -1068,7 +1716,12 @@ const OrderPage = () => {
 
         // Handle different file types
         const fileSelectionStart = performance.now()
-        if (orderData.file) {
+        if (isBookletOrder) {
+          setSubmitPopupMessage('Arranging booklet pages...')
+          const sourceBytes = new Uint8Array(await (readyPDFBlob || orderData.file).arrayBuffer())
+          const bookletBytes = await imposeSelectedBooklet(sourceBytes, orderData.selectedPages, orderData.paperSize, orderData.signatureSize, orderData.colorMode, orderData.colorPages)
+          fileToUpload = new File([bookletBytes], orderData.filename.replace(/\.pdf$/i, '') + '-booklet.pdf', { type: 'application/pdf' })
+        } else if (orderData.file) {
           // Check if we have pre-generated PDF with edits
           if (hasEdits && readyPDFBlob) {
             console.log('⚡ Using pre-generated PDF with edits')
@@ -1090,7 +1743,7 @@ const OrderPage = () => {
             setSubmitPopupMessage('Creating PDF from images...')
             console.log('📤 Combining images into PDF...')
             const pdfGenStart = performance.now()
-            fileToUpload = await createPDFFromImages(orderData.files, orderData.selectedImages, previewPageSize, orderData.pagesPerSheet)
+            fileToUpload = await createPDFFromImages(orderData.files, orderData.selectedImages, previewPageSize, orderData.pagesPerSheet, null, orderData.nupOptions)
             console.log(`⏱️ [TIMING] PDF generation took: ${((performance.now() - pdfGenStart) / 1000).toFixed(2)}s`)
           }
         } else {
@@ -1120,6 +1773,8 @@ const OrderPage = () => {
       // Create job record with the uploaded file URL
       setSubmitPopupMessage('Finalizing order...')
       const dbStart = performance.now()
+      const orderItems = getOrderItems()
+      const recipe = await buildOrderRecipe(orderItems)
       const jobData = {
         shop_id: shopId,
         filename: orderData.filename,
@@ -1129,17 +1784,70 @@ const OrderPage = () => {
         color_mode: orderData.colorMode,
         print_type: orderData.printType,
         pages_per_sheet: orderData.pagesPerSheet,
+        nup_options: orderData.pagesPerSheet > 1 && !isBookletOrder ? orderData.nupOptions : null,
+        booklet: isBookletOrder,
+        signature_size: isBookletOrder ? orderData.signatureSize : 0,
+        color_pages: orderItems ? [] : getSelectedColorPages(),
+        finishing: getAppliedFinishing().map(option => option.id),
+        items: orderItems?.map(item => ({
+          filename: item.filename,
+          pages: item.pages,
+          copies: item.copies,
+          paper_size: item.paperSize,
+          color_mode: item.colorMode,
+          pages_per_sheet: item.pagesPerSheet,
+          color_pages: item.colorPages
+        })),
+        recipe,
         customer_name: orderData.customerName,
         customer_email: orderData.customerEmail || null,
         customer_phone: orderData.customerPhone || null,
+        selected_pages: getSelectedPageNumbers(),
         total_cost: costInfo.cost
       }
 
       const jobResult = await submitPrintJob(jobData)
       console.log(`⏱️ [TIMING] Database job creation took: ${((performance.now() - dbStart) / 1000).toFixed(3)}s`)
+      if (jobResult.error?.code === 'price_mismatch') {
+        // Show the server's price and let the customer confirm it before resubmitting
+        setCostInfo(jobResult.error.quote)
+        setIsCostBreakupExpanded(true)
+        setShowSubmitPopup(false)
+        setIsSubmitting(false)
+        alert(`The price for this order is ${formatCurrency(jobResult.error.quote.cost)}. Please review it and submit again.`)
+        return
+      }
       if (jobResult.error) throw new Error('Failed to submit order: ' + jobResult.error.message)
 
       const jobId = jobResult.data.id
+      const { fileToken } = jobResult
+
+      // Swap the selected pages in before payment: the file can't change once
+      // the job is paid, and the shop prints and downloads file_url
+      if (!isBookletOrder && orderData.file?.type === 'application/pdf' && orderData.selectedPages.length > 0) {
+        setSubmitPopupMessage('Preparing your pages...')
+        console.log('📄 Processing PDF with selected pages...')
+        const processedFile = await processSelectedPages(orderData.file, orderData.selectedPages, orderData.colorMode, orderData.colorPages)
+        const processedResult = await uploadFileChunked(processedFile, shopId)
+        if (processedResult.error) throw new Error('File upload failed: ' + processedResult.error.message)
+
+        // The recipe refers to the original's pages - keep it so the shop can print from it
+        let sourceFileUrl = null
+        if (recipe) {
+          const sourceResult = processedFile === orderData.file
+            ? processedResult
+            : await uploadFileChunked(orderData.file, shopId)
+          if (sourceResult.error) {
+            console.warn('⚠️ Could not upload the original PDF, the job prints from the processed file:', sourceResult.error)
+          } else {
+            sourceFileUrl = sourceResult.data.publicUrl
+          }
+        }
+
+        const { error: replaceError } = await replaceJobFile(jobId, fileToken, processedResult.data.publicUrl, sourceFileUrl)
+        if (replaceError) throw new Error(replaceError.message)
+        console.log('✅ Updated the order with the processed PDF')
+      }
 
       const totalTime = ((performance.now() - submitStartTime) / 1000).toFixed(2)
       console.log(`⏱️ [TIMING] === TOTAL SUBMISSION TIME: ${totalTime}s ===`)
@@ -1153,33 +1861,9 @@ const OrderPage = () => {
         await new Promise(resolve => setTimeout(resolve, minPopupTime - popupElapsed))
       }
 
-      // Navigate to status page
-      navigate(`/status/${jobId}`)
-
-      // BACKGROUND: Process PDF pages if needed (after navigation)
-      if (orderData.file?.type === 'application/pdf' && orderData.selectedPages.length > 0 && orderData.selectedPages.length < orderData.file.size) {
-        console.log('📄 Background: Processing PDF with selected pages...')
-        ;(async () => {
-          try {
-            const processedFile = await processSelectedPages(orderData.file, orderData.selectedPages)
-            const processedResult = await uploadFileChunked(processedFile, shopId)
-
-            if (processedResult.error) {
-              console.error('❌ Background processing failed:', processedResult.error)
-              return
-            }
-
-            // Update with processed file
-            await updatePrintJob(jobId, { file_url: processedResult.data.publicUrl })
-            console.log('✅ Background processing completed - Updated with processed PDF')
-          } catch (bgError) {
-            console.error('❌ Background processing error:', bgError)
-          }
-        })()
-      }
-
-      // Mark payment as paid (fast, no blocking)
-      await updatePaymentStatus(jobId, 'paid')
+      // Job is created unpaid by the server - continue to payment
+      deleteDraft(shopId).catch(error => console.warn('⚠️ Could not delete draft:', error))
+      navigate(`/payment/${jobId}`)
 
     } catch (error) {
       console.error('❌ Error submitting order:', error)
@@ -1281,6 +1965,8 @@ const OrderPage = () => {
                 onPageSizeChange={setPreviewPageSize}
                 colorMode={orderData.colorMode}
                 pagesPerSheet={orderData.pagesPerSheet}
+                nupOptions={orderData.nupOptions}
+                paperSize={orderData.paperSize}
               />
             </Suspense>
           </div>
@@ -1433,6 +2119,36 @@ const OrderPage = () => {
           </div>
         )}
 
+        {/* Resume Draft - offered when an unfinished order for this shop was saved */}
+        {savedDraft && !orderData.file && (
+          <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-4 sm:mb-6 flex flex-col sm:flex-row sm:items-center gap-3">
+            <div className="flex items-start gap-3 flex-1 min-w-0">
+              <History className="w-5 h-5 text-blue-600 flex-shrink-0 mt-0.5" />
+              <div className="min-w-0">
+                <p className="text-sm font-semibold text-gray-900">Resume your draft</p>
+                <p className="text-xs sm:text-sm text-gray-600 truncate">
+                  {savedDraft.orderData.filename} • saved {new Date(savedDraft.savedAt).toLocaleString()}
+                  {savedDraft.orderData.selectedPages.length > 0 && ` • ${savedDraft.orderData.selectedPages.length} pages selected`}
+                </p>
+              </div>
+            </div>
+            <div className="flex gap-2 flex-shrink-0">
+              <button
+                onClick={handleResumeDraft}
+                className="bg-blue-600 text-white px-4 py-2 rounded-lg text-xs sm:text-sm hover:bg-blue-700 transition-colors"
+              >
+                Resume
+              </button>
+              <button
+                onClick={handleDiscardDraft}
+                className="text-gray-600 text-xs sm:text-sm hover:underline px-3 py-2"
+              >
+                Discard
+              </button>
+            </div>
+          </div>
+        )}
+
         <div className="bg-white rounded-lg shadow-md p-4 sm:p-6 space-y-4 sm:space-y-6">
           {/* File Upload */}
           <div>
@@ -1453,7 +2169,7 @@ const OrderPage = () => {
                     <div className="flex items-center justify-center mb-4">
                       <div className="relative">
                         <div className="w-16 h-16 bg-blue-100 rounded-full flex items-center justify-center">
-                          {isConvertingToPDF ? (
+                          {isConvertingToPDF && conversionSource === 'images' ? (
                             <ImageIcon className="w-8 h-8 text-blue-600 animate-pulse" />
                           ) : (
                             <FileText className="w-8 h-8 text-blue-600 animate-pulse" />
@@ -1497,7 +2213,9 @@ const OrderPage = () => {
                     
                     <p className="text-xs text-gray-500 text-center">
                       {isConvertingToPDF 
-                        ? 'Please wait while we prepare your images...'
+                        ? (conversionSource === 'word'
+                          ? 'Please wait while we convert your document...'
+                          : 'Please wait while we prepare your images...')
                         : 'Optimizing pages with smart orientation detection...'
                       }
                     </p>
@@ -1516,7 +2234,8 @@ const OrderPage = () => {
                     <div className="flex-1">
                       <p className="text-green-600 font-medium">{orderData.filename}</p>
                       <p className="text-sm text-gray-500">
-                        {orderData.file?.type === 'application/pdf' ? 'PDF Document' :
+                        {orderData.documents.length > 1 ? `${orderData.documents.length} Documents • ${pdfPageCount} pages` :
+                         orderData.file?.type === 'application/pdf' ? 'PDF Document' :
                          orderData.files.length > 1 ? `${orderData.files.length} Images` : 'Image File'} •
                         {orderData.file ? (orderData.file.size / 1024 / 1024).toFixed(2) :
                          (orderData.files.reduce((sum, f) => sum + f.size, 0) / 1024 / 1024).toFixed(2)} MB
@@ -1524,6 +2243,148 @@ const OrderPage = () => {
                     </div>
                   </div>
 
+                  {/* Documents merged into this order, in print order */}
+                  {orderData.documents.length > 1 && (
+                    <div className="mb-3 text-left">
+                      <div className="flex items-center justify-between mb-1.5">
+                        <span className="text-xs font-medium text-gray-700">Documents</span>
+                        <div className="flex gap-1">
+                          {[
+                            { value: 'combined', label: 'Combined' },
+                            { value: 'perFile', label: 'Per file' }
+                          ].map(({ value, label }) => (
+                            <button
+                              key={value}
+                              onClick={() => handleSelectionModeChange(value)}
+                              className={`px-2 py-1 text-xs font-medium rounded transition-all ${
+                                orderData.pageSelectionMode === value
+                                  ? 'bg-blue-600 text-white'
+                                  : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                              }`}
+                              title={value === 'combined' ? 'Select pages of the merged document' : 'Select a page range in each document'}
+                            >
+                              {label}
+                            </button>
+                          ))}
+                        </div>
+                      </div>
+                      <ul className="border border-gray-200 rounded-lg divide-y divide-gray-200">
+                        {orderData.documents.map((document, index) => {
+                          const rangeErrors = orderData.pageSelectionMode === 'perFile'
+                            ? parsePageRanges(document.pageSelection, document.pageCount).errors
+                            : []
+
+                          return (
+                            <li key={document.id} className="px-3 py-2">
+                              <div className="flex items-center gap-2">
+                                <span className="text-xs text-gray-400 w-4">{index + 1}</span>
+                                <span className="flex-1 min-w-0 truncate text-sm text-gray-800">{document.name}</span>
+                                <span className="text-xs text-gray-500 flex-shrink-0">
+                                  {document.pageCount} {document.pageCount === 1 ? 'page' : 'pages'}
+                                </span>
+                                <button
+                                  onClick={() => handleMoveDocument(document.id, -1)}
+                                  disabled={index === 0}
+                                  className="p-1 rounded text-gray-500 hover:bg-gray-100 disabled:opacity-30"
+                                  aria-label={`Move ${document.name} up`}
+                                >
+                                  <ChevronUp className="w-4 h-4" />
+                                </button>
+                                <button
+                                  onClick={() => handleMoveDocument(document.id, 1)}
+                                  disabled={index === orderData.documents.length - 1}
+                                  className="p-1 rounded text-gray-500 hover:bg-gray-100 disabled:opacity-30"
+                                  aria-label={`Move ${document.name} down`}
+                                >
+                                  <ChevronDown className="w-4 h-4" />
+                                </button>
+                                <button
+                                  onClick={() => handleRemoveDocument(document.id)}
+                                  className="p-1 rounded text-red-500 hover:bg-red-50"
+                                  aria-label={`Remove ${document.name}`}
+                                >
+                                  <X className="w-4 h-4" />
+                                </button>
+                              </div>
+                              {orderData.perDocumentSettings && !isBookletOrder && (() => {
+                                const settings = getDocumentSettings(document)
+                                const selectClass = 'px-1.5 py-1 text-xs border border-gray-300 rounded bg-white focus:outline-none focus:ring-1 focus:ring-blue-500'
+
+                                return (
+                                  <div className="mt-1.5 pl-6 flex flex-wrap items-center gap-1.5">
+                                    <input
+                                      type="number"
+                                      min="1"
+                                      value={settings.copies}
+                                      onChange={(e) => handleDocumentSettingChange(document.id, 'copies', Math.max(1, parseInt(e.target.value) || 1))}
+                                      className={`${selectClass} w-14`}
+                                      aria-label={`Copies of ${document.name}`}
+                                    />
+                                    <span className="text-xs text-gray-500">{settings.copies === 1 ? 'copy' : 'copies'}</span>
+                                    <select
+                                      value={settings.paperSize}
+                                      onChange={(e) => handleDocumentSettingChange(document.id, 'paperSize', e.target.value)}
+                                      className={selectClass}
+                                      aria-label={`Paper size of ${document.name}`}
+                                    >
+                                      {availablePaperSizes.map(size => <option key={size} value={size}>{size}</option>)}
+                                    </select>
+                                    <select
+                                      value={settings.colorMode}
+                                      onChange={(e) => handleDocumentSettingChange(document.id, 'colorMode', e.target.value)}
+                                      className={selectClass}
+                                      aria-label={`Color mode of ${document.name}`}
+                                    >
+                                      <option value="BW">B&W</option>
+                                      <option value="Color">Color</option>
+                                    </select>
+                                    <select
+                                      value={settings.pagesPerSheet}
+                                      onChange={(e) => handleDocumentSettingChange(document.id, 'pagesPerSheet', Number(e.target.value))}
+                                      className={selectClass}
+                                      aria-label={`Pages per side for ${document.name}`}
+                                    >
+                                      {ITEM_PAGES_PER_SHEET.map(count => (
+                                        <option key={count} value={count}>{count} per side</option>
+                                      ))}
+                                    </select>
+                                  </div>
+                                )
+                              })()}
+                              {orderData.pageSelectionMode === 'perFile' && (
+                                <div className="mt-1.5 pl-6">
+                                  <input
+                                    type="text"
+                                    value={document.pageSelection}
+                                    onChange={(e) => handleDocumentSelectionChange(document.id, e.target.value)}
+                                    placeholder="All pages, or e.g. 1-3, 5, last 2"
+                                    className={`w-full px-2 py-1 text-xs border rounded focus:outline-none focus:ring-1 ${
+                                      rangeErrors.length > 0 ? 'border-red-400 focus:ring-red-400' : 'border-gray-300 focus:ring-blue-500'
+                                    }`}
+                                  />
+                                  {rangeErrors.length > 0 && (
+                                    <p className="text-xs text-red-600 mt-0.5">{rangeErrors[0].message}</p>
+                                  )}
+                                </div>
+                              )}
+                            </li>
+                          )
+                        })}
+                      </ul>
+                      {!isBookletOrder && (
+                        <label className="flex items-center gap-2 mt-2 text-xs text-gray-700 cursor-pointer">
+                          <input
+                            type="checkbox"
+                            checked={orderData.perDocumentSettings}
+                            onChange={(e) => setOrderData(prev => ({ ...prev, perDocumentSettings: e.target.checked }))}
+                            className="rounded border-gray-300"
+                          />
+                          Different copies, paper, color or layout for each document
+                        </label>
+                      )}
+                    </div>
+                  )}
+
                   <div className="flex flex-col sm:flex-row gap-2">
                     <button
                       onClick={handleEditFile}
@@ -1532,11 +2393,33 @@ const OrderPage = () => {
                       <Edit className="w-4 h-4" />
                       Edit {orderData.file?.type === 'application/pdf' ? 'PDF' : orderData.files.length > 1 ? 'Images' : 'Image'}
                     </button>
+                    {orderData.file?.type === 'application/pdf' && (
+                      <>
+                        <input
+                          type="file"
+                          onChange={(e) => {
+                            handleFileChange(e.target.files, { append: true })
+                            e.target.value = ''
+                          }}
+                          accept=".pdf,.doc,.docx,.jpg,.png,.jpeg"
+                          multiple
+                          className="hidden"
+                          id="file-upload-more"
+                        />
+                        <label
+                          htmlFor="file-upload-more"
+                          className="flex items-center justify-center gap-2 bg-gray-100 text-gray-700 px-4 py-2 rounded-lg text-xs sm:text-sm hover:bg-gray-200 transition-colors cursor-pointer"
+                        >
+                          <Plus className="w-4 h-4" />
+                          Add Files
+                        </label>
+                      </>
+                    )}
                     <button
-                      onClick={() => setOrderData(prev => ({ ...prev, file: null, files: [], filename: '', selectedPages: [], selectedImages: [] }))}
+                      onClick={handleRemoveFile}
                       className="text-red-600 text-xs sm:text-sm hover:underline px-4 py-2"
                     >
-                      Remove
+                      {orderData.documents.length > 1 ? 'Remove All' : 'Remove'}
                     </button>
                   </div>
                 </div>
@@ -1558,7 +2441,7 @@ const OrderPage = () => {
                     Choose Files
                   </label>
                   <p className="text-xs text-gray-500 mt-2">
-                    Supported: PDF, Images (JPG, PNG) - Multiple images allowed
+                    Supported: PDF, Word (DOC, DOCX), Images (JPG, PNG) - Multiple images allowed
                   </p>
                 </div>
               )}
@@ -1632,8 +2515,50 @@ const OrderPage = () => {
                   </div>
                 </div>
 
-                {/* Pages/Sheet + Print Type - Same Row */}
-                <div className="grid grid-cols-2 gap-4">
+                {/* Detected color pages - suggest mixed printing */}
+                {colorScan.status === 'scanning' && (
+                  <p className="text-xs text-gray-500">
+                    Checking pages for color{colorScan.total > 0 && `... ${colorScan.scanned}/${colorScan.total}`}
+                  </p>
+                )}
+                {colorScan.status === 'done' && pricing.length > 0 && (() => {
+                  const selectedPages = getSelectedPageNumbers()
+                  const detected = getSelectedColorPages('BW', colorScan.colorPages)
+                  if (detected.length === 0 || detected.length === selectedPages.length) return null
+
+                  const mixedQuote = computeOrderCost(pricing, getCostSpec('BW', detected))
+                  const colorQuote = computeOrderCost(pricing, getCostSpec('Color', []))
+                  const isApplied = orderData.colorMode === 'BW' &&
+                    formatPageRanges(getSelectedColorPages()) === formatPageRanges(detected)
+
+                  return (
+                    <div className="bg-pink-50 border border-pink-200 rounded-lg p-2.5 space-y-1.5">
+                      <p className="text-xs text-gray-700">
+                        🎨 Only {detected.length} of {selectedPages.length} pages contain color (pages {formatPageRanges(detected)}).
+                      </p>
+                      {!mixedQuote.error && !colorQuote.error && (
+                        <p className="text-xs text-gray-600">
+                          Printing just those in color costs {formatCurrency(mixedQuote.cost)} instead of {formatCurrency(colorQuote.cost)} for all color
+                          {colorQuote.cost > mixedQuote.cost && ` (save ${formatCurrency(colorQuote.cost - mixedQuote.cost)})`}.
+                        </p>
+                      )}
+                      {isApplied ? (
+                        <p className="text-xs font-medium text-green-600">✓ Only detected color pages print in color</p>
+                      ) : (
+                        <button
+                          onClick={() => setOrderData(prev => ({ ...prev, colorMode: 'BW', colorPages: detected }))}
+                          disabled={!!mixedQuote.error}
+                          className="w-full px-2 py-1.5 text-xs font-medium rounded-lg bg-pink-500 text-white hover:bg-pink-600 transition-colors disabled:opacity-50"
+                        >
+                          Print only detected color pages in color
+                        </button>
+                      )}
+                    </div>
+                  )
+                })()}
+
+                {/* Pages/Sheet + Print Type - Same Row (fixed for booklets) */}
+                <div className={`grid grid-cols-2 gap-4 ${isBookletOrder ? 'opacity-50 pointer-events-none' : ''}`}>
                   {/* Pages Per Sheet */}
                   <div>
                     <label className="block text-xs font-medium text-gray-700 mb-1.5">Pages/Sheet</label>
@@ -1721,6 +2646,13 @@ const OrderPage = () => {
                           </span>
                         )}
                       </button>
+                      <Dropdown
+                        value={orderData.pagesPerSheet > 2 ? orderData.pagesPerSheet : ''}
+                        onChange={(value) => handlePagesPerSheetChange(Number(value))}
+                        options={MORE_NUP_OPTIONS}
+                        placeholder="More per sheet"
+                        disabled={isConvertingNup}
+                      />
                     </div>
                   </div>
 
@@ -1825,6 +2757,149 @@ const OrderPage = () => {
                   </div>
                 </div>
 
+                {/* Booklet */}
+                {orderData.file?.type === 'application/pdf' && (
+                  <div className="bg-gray-50 rounded-lg p-2.5 space-y-2.5">
+                    <button
+                      onClick={() => handleBookletChange(!orderData.booklet)}
+                      className={`w-full flex items-center justify-center gap-2 px-2 py-2 text-xs font-medium rounded-lg transition-all ${
+                        orderData.booklet
+                          ? 'bg-gradient-to-r from-blue-600 to-purple-600 text-white shadow-md'
+                          : 'bg-white text-gray-700 hover:bg-gray-200 border border-gray-200'
+                      }`}
+                    >
+                      <BookOpen className="w-4 h-4" />
+                      <span>Booklet</span>
+                    </button>
+                    {orderData.booklet && (() => {
+                      const plan = computeBookletPlan(getSelectedPageCount(), orderData.signatureSize)
+                      return (
+                        <>
+                          <div>
+                            <label className="block text-xs font-medium text-gray-700 mb-1.5">Signatures</label>
+                            <Dropdown
+                              value={orderData.signatureSize}
+                              onChange={(value) => setOrderData(prev => ({ ...prev, signatureSize: Number(value) }))}
+                              options={SIGNATURE_OPTIONS}
+                            />
+                          </div>
+                          <p className="text-xs text-gray-600">
+                            {plan.sheets.length} {plan.sheets.length === 1 ? 'sheet' : 'sheets'}
+                            {plan.signatures > 1 && ` in ${plan.signatures} signatures`}
+                            {plan.blankPages > 0 && `, ${plan.blankPages} blank ${plan.blankPages === 1 ? 'page' : 'pages'} added at the end`}
+                            . Printed double-sided, 2 pages per side.
+                          </p>
+                        </>
+                      )
+                    })()}
+                  </div>
+                )}
+
+                {/* N-up Layout Options */}
+                {orderData.pagesPerSheet > 1 && !isBookletOrder && (
+                  <div className="bg-gray-50 rounded-lg p-2.5 space-y-2.5">
+                    <div>
+                      <label className="block text-xs font-medium text-gray-700 mb-1.5">Page Order</label>
+                      <div className="grid grid-cols-3 gap-1.5">
+                        {NUP_ORDER_LABELS.map(({ value, label }) => (
+                          <button
+                            key={value}
+                            onClick={() => updateNupOptions({ order: value })}
+                            className={`px-2 py-1.5 text-xs font-medium rounded-lg transition-all ${
+                              orderData.nupOptions.order === value
+                                ? 'bg-blue-600 text-white shadow-md'
+                                : 'bg-white text-gray-700 hover:bg-gray-200 border border-gray-200'
+                            }`}
+                          >
+                            {label}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                    <div className="grid grid-cols-2 gap-2">
+                      <label className="text-xs font-medium text-gray-700">
+                        Gutter (mm)
+                        <input
+                          type="number"
+                          min="0"
+                          max="30"
+                          value={orderData.nupOptions.gutter}
+                          onChange={(e) => updateNupOptions({ gutter: Math.min(30, Math.max(0, Number(e.target.value) || 0)) })}
+                          className="mt-1 w-full p-1.5 border-2 border-gray-300 rounded-lg focus:border-blue-500 text-center"
+                        />
+                      </label>
+                      <label className="text-xs font-medium text-gray-700">
+                        Margin (mm)
+                        <input
+                          type="number"
+                          min="0"
+                          max="30"
+                          value={orderData.nupOptions.margin}
+                          onChange={(e) => updateNupOptions({ margin: Math.min(30, Math.max(0, Number(e.target.value) || 0)) })}
+                          className="mt-1 w-full p-1.5 border-2 border-gray-300 rounded-lg focus:border-blue-500 text-center"
+                        />
+                      </label>
+                    </div>
+                    <div className="flex flex-wrap gap-4">
+                      <label className="flex items-center gap-2 text-xs font-medium text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={orderData.nupOptions.border}
+                          onChange={(e) => updateNupOptions({ border: e.target.checked })}
+                        />
+                        Border around pages
+                      </label>
+                      <label className="flex items-center gap-2 text-xs font-medium text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={orderData.nupOptions.autoRotate}
+                          onChange={(e) => updateNupOptions({ autoRotate: e.target.checked })}
+                        />
+                        Landscape when it fits better
+                      </label>
+                    </div>
+                  </div>
+                )}
+
+                {/* Finishing - shop's catalog, options that don't fit the job are disabled */}
+                {finishingOptions.length > 0 && (
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 mb-1.5">Finishing</label>
+                    <div className="space-y-1.5">
+                      {finishingOptions.map(option => {
+                        const isChosen = orderData.finishing.includes(option.id)
+                        const status = getFinishingStatus(option)
+
+                        return (
+                          <button
+                            key={option.id}
+                            onClick={() => handleFinishingToggle(option.id)}
+                            disabled={!status.available && !isChosen}
+                            className={`w-full flex items-center justify-between gap-2 px-3 py-2 text-xs rounded-lg border transition-all disabled:opacity-50 disabled:cursor-not-allowed ${
+                              isChosen && status.available
+                                ? 'bg-blue-50 border-blue-500 text-blue-800'
+                                : 'bg-white border-gray-200 text-gray-700 hover:bg-gray-50'
+                            }`}
+                            aria-pressed={isChosen}
+                          >
+                            <span className="text-left">
+                              <span className="font-medium">{option.name}</span>
+                              {!status.available && (
+                                <span className={`block ${isChosen ? 'text-red-600' : 'text-gray-500'}`}>
+                                  {isChosen ? `Not applied - ${status.reason}` : status.reason}
+                                </span>
+                              )}
+                            </span>
+                            <span className="flex-shrink-0 text-gray-600">
+                              {formatCurrency(option.price)} {formatFinishingUnit(option)}
+                            </span>
+                          </button>
+                        )
+                      })}
+                    </div>
+                  </div>
+                )}
+
                 {/* Copies - Full Width Layout */}
                 <div>
                   <label className="block text-xs font-medium text-gray-700 mb-1.5">Copies</label>
@@ -1910,9 +2985,16 @@ const OrderPage = () => {
                   file={orderData.file}
                   selectedPages={orderData.selectedPages}
                   onPagesSelected={handlePagesSelected}
+                  pageOrder={orderData.pageOrder}
+                  onPageOrderChange={handlePageOrderChange}
+                  initialPageEdits={restoredPageEdits}
                   pageSize={previewPageSize}
                   colorMode={orderData.colorMode}
+                  colorPages={orderData.colorPages}
+                  onColorPagesChange={(colorPages) => setOrderData(prev => ({ ...prev, colorPages }))}
                   pagesPerSheet={orderData.pagesPerSheet}
+                  nupOptions={orderData.nupOptions}
+                  paperSize={orderData.paperSize}
                   onEditPage={handleEditFile}
                   viewMode="single"
                 />
@@ -1922,6 +3004,11 @@ const OrderPage = () => {
 
           {/* Customer Info */}
           <div className="space-y-3 sm:space-y-4">
+            <p className="text-xs text-gray-500">
+              {user
+                ? <>Signed in as {user.email} - this order will appear in <Link to="/orders" className="text-blue-600 hover:underline">My Orders</Link></>
+                : <><Link to="/orders" className="text-blue-600 hover:underline">Sign in</Link> to find this order later in My Orders (your order is kept while you sign in)</>}
+            </p>
             <div>
               <label className="block text-xs sm:text-sm font-medium mb-2">Your Name *</label>
               <input
@@ -1983,9 +3070,35 @@ const OrderPage = () => {
                     </div>
                   )}
                   
-                  <div className="text-xs text-gray-600">
-                    <p>Price per page: {formatCurrency(costInfo.pricePerPage)}</p>
-                    <p>{orderData.copies} copies × {formatCurrency(costInfo.pricePerPage)} = {formatCurrency(costInfo.cost)}</p>
+                  <div className="text-xs text-gray-600 space-y-0.5">
+                    {(costInfo.breakdown || []).map(item => (
+                      <div
+                        key={item.key}
+                        className={`flex justify-between ${
+                          item.key === 'total' ? 'font-semibold text-gray-900 border-t border-blue-200 pt-1 mt-1' :
+                          item.key.startsWith('discount') ? 'text-green-600' : ''
+                        }`}
+                      >
+                        <span>
+                          {item.label}
+                          {item.unitPrice !== undefined && ` × ${formatCurrency(item.unitPrice)}`}
+                        </span>
+                        <span>
+                          {item.amount !== undefined
+                            ? formatCurrency(item.amount)
+                            : `${item.quantity} ${item.unit}`}
+                        </span>
+                      </div>
+                    ))}
+                    {costInfo.items ? (
+                      <p className="pt-1">{costInfo.items.length} documents, each priced with its own settings</p>
+                    ) : (
+                      <p className="pt-1">
+                        {orderData.copies} {orderData.copies === 1 ? 'copy' : 'copies'} • {costInfo.colorImpressions > 0
+                          ? `${formatPageRanges(getSelectedColorPages())} in color`
+                          : `Price per impression: ${formatCurrency(costInfo.pricePerPage)}`}
+                      </p>
+                    )}
                   </div>
                 </div>
               )}
@@ -1995,7 +3108,9 @@ const OrderPage = () => {
               <p className="text-yellow-800 text-sm">
                 {pricing.length === 0 
                   ? "This shop hasn't set up pricing yet. Please contact them directly."
-                  : `No pricing found for ${orderData.paperSize} ${orderData.colorMode} ${orderData.printType}. Try a different combination.`
+                  : costInfo.items && costInfo.error
+                    ? `${costInfo.error}. Try a different combination.`
+                    : `No pricing found for ${orderData.paperSize} ${orderData.colorMode} ${orderData.printType}. Try a different combination.`
                 }
               </p>
             </div>
@@ -2044,6 +3159,9 @@ const OrderPage = () => {
             </p>
           )}
 
+          {/* Booklet sheets as they will be printed */}
+          {isBookletOrder && <BookletPreview pdfBytes={finalPDFBytes} />}
+
           {/* Development Preview - Shows FINAL exported PDF after all edits */}
           <PDFPreviewDev pdfBytes={finalPDFBytes} />
 
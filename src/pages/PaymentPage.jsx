@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react'
 import { useParams, useNavigate, Link } from 'react-router-dom'
-import { getJobStatus, updatePaymentStatus, getShopInfo, formatCurrency } from '../utils/supabase'
+import { getJobStatus, getShopInfo, formatCurrency, createPaymentIntent, simulateMockPayment, subscribeToJobUpdates } from '../utils/supabase'
 
 const PaymentPage = () => {
   const { jobId } = useParams()
@@ -10,11 +10,37 @@ const PaymentPage = () => {
   const [paymentConfirmed, setPaymentConfirmed] = useState(false)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
+  const [intent, setIntent] = useState(null)
+  const [isStartingPayment, setIsStartingPayment] = useState(false)
+  const [isSimulating, setIsSimulating] = useState(false)
 
   useEffect(() => {
     loadJobDetails()
+
+    // payment_status is moved by the server's webhook handler - follow it live
+    const subscription = subscribeToJobUpdates(jobId, (updatedJob) => {
+      setJob(updatedJob)
+    })
+
+    return () => {
+      if (subscription && subscription.unsubscribe) {
+        subscription.unsubscribe()
+      }
+    }
   }, [jobId])
 
+  const isPaid = job?.payment_status === 'paid'
+
+  useEffect(() => {
+    if (!isPaid) return
+
+    setPaymentConfirmed(true)
+    const redirectTimer = setTimeout(() => {
+      navigate(`/status/${jobId}`)
+    }, 2000)
+    return () => clearTimeout(redirectTimer)
+  }, [isPaid, jobId, navigate])
+
   const loadJobDetails = async () => {
     try {
       setLoading(true)
@@ -37,6 +63,10 @@ const PaymentPage = () => {
       if (shopData) {
         setShop(shopData)
       }
+
+      if (jobData.payment_status === 'pending') {
+        await startPayment()
+      }
       
     } catch (error) {
       console.error('❌ Error loading job details:', error)
@@ -46,23 +76,43 @@ const PaymentPage = () => {
     }
   }
 
-  const handlePaymentConfirmation = async () => {
+  // Resume the job's open payment intent, or create one (also used to retry
+  // after a failed payment) - the server decides which
+  const startPayment = async () => {
+    setIsStartingPayment(true)
     try {
-      const { error } = await updatePaymentStatus(jobId, 'paid')
+      const { data, error } = await createPaymentIntent(jobId)
       
       if (error) {
-        throw new Error('Failed to update payment status: ' + error.message)
+        throw new Error('Failed to start payment: ' + error.message)
       }
       
-      setPaymentConfirmed(true)
-      
-      setTimeout(() => {
-        navigate(`/status/${jobId}`)
-      }, 2000)
-      
+      setIntent(data)
+      setJob(prev => prev ? { ...prev, payment_status: 'pending' } : prev)
     } catch (error) {
-      console.error('❌ Payment confirmation error:', error)
-      alert('Failed to confirm payment: ' + error.message)
+      console.error('❌ Payment start error:', error)
+      alert(error.message)
+    } finally {
+      setIsStartingPayment(false)
+    }
+  }
+
+  const handleSimulatePayment = async (outcome) => {
+    if (!intent) return
+    
+    setIsSimulating(true)
+    const { error } = await simulateMockPayment(intent.intentId, outcome)
+    setIsSimulating(false)
+    
+    if (error) {
+      alert('Failed to simulate payment: ' + error.message)
+      return
+    }
+    
+    // Realtime usually delivers the update first; refresh in case it doesn't
+    const { data } = await getJobStatus(jobId)
+    if (data) {
+      setJob(data)
     }
   }
 
@@ -180,22 +230,71 @@ const PaymentPage = () => {
               <li>Scan the QR code above</li>
               <li>Enter the exact amount: {formatCurrency(job.total_cost)}</li>
               <li>Complete the payment</li>
-              <li>Click the button below after payment is complete</li>
+              <li>This page updates automatically once the payment is confirmed</li>
             </ol>
           </div>
 
-          {/* Payment Confirmation */}
-          <div className="text-center">
-            <button
-              onClick={handlePaymentConfirmation}
-              className="w-full sm:w-auto bg-green-600 text-white px-6 py-2.5 sm:py-3 rounded-lg font-medium hover:bg-green-700 text-sm sm:text-base"
-            >
-              Payment Complete
-            </button>
-            <p className="text-xs text-gray-500 mt-2">
-              Click after payment
-            </p>
-          </div>
+          {/* Payment Action */}
+          {job.payment_status === 'failed' ? (
+            <div className="text-center">
+              <div className="bg-red-50 border border-red-200 rounded-lg p-3 mb-3">
+                <p className="text-sm font-medium text-red-800">Payment failed</p>
+                <p className="text-xs text-red-600">No money was taken. You can try again.</p>
+              </div>
+              <button
+                onClick={startPayment}
+                disabled={isStartingPayment}
+                className="w-full sm:w-auto bg-blue-600 text-white px-6 py-2.5 sm:py-3 rounded-lg font-medium hover:bg-blue-700 disabled:opacity-50 text-sm sm:text-base"
+              >
+                {isStartingPayment ? 'Starting...' : 'Try Again'}
+              </button>
+            </div>
+          ) : job.payment_status === 'refunded' ? (
+            <div className="bg-gray-50 border border-gray-200 rounded-lg p-3 text-center">
+              <p className="text-sm font-medium text-gray-800">This order has been refunded</p>
+            </div>
+          ) : !intent ? (
+            <div className="text-center text-sm text-gray-600">
+              <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600 mx-auto mb-2"></div>
+              Preparing payment...
+            </div>
+          ) : (
+            <div className="text-center space-y-2">
+              <div className="flex items-center justify-center gap-2 text-sm text-gray-600">
+                <div className="w-2 h-2 rounded-full bg-yellow-500 animate-pulse"></div>
+                Waiting for payment confirmation...
+              </div>
+              {intent.checkoutUrl && (
+                <a
+                  href={intent.checkoutUrl}
+                  className="inline-block w-full sm:w-auto bg-green-600 text-white px-6 py-2.5 sm:py-3 rounded-lg font-medium hover:bg-green-700 text-sm sm:text-base"
+                >
+                  Pay {formatCurrency(job.total_cost)}
+                </a>
+              )}
+              {intent.provider === 'mock' && (
+                <div className="border border-dashed border-gray-300 rounded-lg p-3">
+                  <p className="text-xs text-gray-500 mb-2">Test mode - simulate the gateway</p>
+                  <div className="flex flex-col sm:flex-row gap-2 justify-center">
+                    <button
+                      onClick={() => handleSimulatePayment('succeeded')}
+                      disabled={isSimulating}
+                      className="bg-green-600 text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-green-700 disabled:opacity-50"
+                    >
+                      Simulate Success
+                    </button>
+                    <button
+                      onClick={() => handleSimulatePayment('failed')}
+                      disabled={isSimulating}
+                      className="bg-red-600 text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-red-700 disabled:opacity-50"
+                    >
+                      Simulate Failure
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
         </div>
       </div>
     </div>
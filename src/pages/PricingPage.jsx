@@ -0,0 +1,576 @@
+import React, { useState, useEffect } from 'react'
+import { useParams, Link } from 'react-router-dom'
+import { Plus, Trash2, Save, ChevronDown, ChevronUp, History } from 'lucide-react'
+import {
+  getShopInfo,
+  getShopStaffRole,
+  getAllShopPricing,
+  saveCostConfig,
+  deleteCostConfig,
+  getPricingAuditLog,
+  formatCurrency
+} from '../utils/supabase'
+import { computeOrderCost, validateBulkTiers } from '../utils/pricing'
+import useAuthStore from '../stores/authStore'
+import SignInForm from '../components/SignInForm'
+import FinishingCatalogEditor from '../components/FinishingCatalogEditor'
+
+const PAPER_SIZE_SUGGESTIONS = ['A4', 'A3', 'Letter', 'Legal']
+const COLOR_MODES = ['BW', 'Color']
+const PRINT_TYPES = ['Single', 'Double']
+
+// Typical orders for the quote simulator, priced on the chosen paper size
+const SAMPLE_ORDERS = [
+  { label: 'Single page', pageCount: 1, copies: 1, colorMode: 'BW', printType: 'Single' },
+  { label: 'Class notes, 30 copies', pageCount: 40, copies: 30, colorMode: 'BW', printType: 'Double' },
+  { label: 'Report, 2 per side', pageCount: 120, copies: 5, colorMode: 'BW', printType: 'Double', pagesPerSheet: 2 },
+  { label: 'Color flyers', pageCount: 1, copies: 100, colorMode: 'Color', printType: 'Single' },
+  { label: 'Color brochure', pageCount: 12, copies: 20, colorMode: 'Color', printType: 'Double' }
+]
+
+const AUDITED_FIELDS = {
+  paper_size: 'paper',
+  color_mode: 'color',
+  print_type: 'sides',
+  base_price: 'price',
+  is_active: 'active'
+}
+
+let nextDraftKey = 1
+
+const toRow = (config) => ({ key: config.id, saved: config, draft: { ...config, bulk_tiers: config.bulk_tiers || [] } })
+
+const newRow = (shopId) => ({
+  key: `new-${nextDraftKey++}`,
+  saved: null,
+  draft: {
+    shop_id: shopId,
+    paper_size: 'A4',
+    color_mode: 'BW',
+    print_type: 'Single',
+    base_price: 0,
+    bulk_tiers: [],
+    is_active: true
+  }
+})
+
+const getEditableFields = ({ paper_size, color_mode, print_type, base_price, bulk_tiers, is_active }) => (
+  { paper_size, color_mode, print_type, base_price: Number(base_price), bulk_tiers: bulk_tiers || [], is_active }
+)
+
+const isDirty = (row) => !row.saved || JSON.stringify(getEditableFields(row.saved)) !== JSON.stringify(getEditableFields(row.draft))
+
+const describeConfig = (config) => `${config.paper_size} ${config.color_mode} ${config.print_type}`
+
+// Problems with a row's own fields (bulk tiers are checked separately).
+// Only one active price per combination, or orders would be priced from
+// whichever row the database returns first.
+const getFieldErrors = (row, rows) => {
+  const { draft } = row
+  const errors = []
+
+  if (!draft.paper_size?.trim()) {
+    errors.push('Paper size is required')
+  }
+  const price = Number(draft.base_price)
+  if (draft.base_price === '' || !Number.isFinite(price) || price < 0) {
+    errors.push('Price must be 0 or more')
+  }
+  if (draft.is_active && rows.some(other => (
+    other.key !== row.key && other.draft.is_active && describeConfig(other.draft) === describeConfig(draft)
+  ))) {
+    errors.push(`Another active price covers ${describeConfig(draft)}`)
+  }
+
+  return errors
+}
+
+// One line per audit entry: what changed and how
+const describeAuditEntry = (entry) => {
+  const config = entry.new_data || entry.old_data
+  if (entry.action === 'insert') {
+    return `Added ${describeConfig(config)} at ${formatCurrency(config.base_price)}`
+  }
+  if (entry.action === 'delete') {
+    return `Deleted ${describeConfig(config)}`
+  }
+
+  const changes = Object.entries(AUDITED_FIELDS)
+    .filter(([field]) => entry.old_data[field] !== entry.new_data[field])
+    .map(([field, label]) => `${label} ${entry.old_data[field]} → ${entry.new_data[field]}`)
+  if (JSON.stringify(entry.old_data.bulk_tiers) !== JSON.stringify(entry.new_data.bulk_tiers)) {
+    changes.push('bulk tiers')
+  }
+
+  return `Changed ${describeConfig(config)}${changes.length > 0 ? `: ${changes.join(', ')}` : ''}`
+}
+
+// Price editor for shop owners: cost configs, bulk tiers, the finishing
+// catalog, a quote simulator comparing saved and edited prices, and the
+// history of changes
+const PricingPage = () => {
+  const { shopId } = useParams()
+  const user = useAuthStore(state => state.user)
+  const authLoading = useAuthStore(state => state.loading)
+  const [shop, setShop] = useState(null)
+  const [role, setRole] = useState(null)
+  const [rows, setRows] = useState([])
+  const [auditLog, setAuditLog] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [expandedKey, setExpandedKey] = useState(null) // Row whose bulk tiers are open
+  const [busyKey, setBusyKey] = useState(null)
+  const [samplePaperSize, setSamplePaperSize] = useState('A4')
+
+  useEffect(() => {
+    if (!user) return
+
+    let cancelled = false
+
+    const loadPricing = async () => {
+      setLoading(true)
+      setError(null)
+
+      const [shopResult, roleResult] = await Promise.all([
+        getShopInfo(shopId),
+        getShopStaffRole(shopId, user.id)
+      ])
+      if (cancelled) return
+
+      if (shopResult.error || roleResult.error) {
+        setError((shopResult.error || roleResult.error).message)
+        setLoading(false)
+        return
+      }
+
+      setShop(shopResult.data)
+      setRole(roleResult.data)
+      if (roleResult.data !== 'owner') {
+        setLoading(false)
+        return
+      }
+
+      const [pricingResult, auditResult] = await Promise.all([
+        getAllShopPricing(shopId),
+        getPricingAuditLog(shopId)
+      ])
+      if (cancelled) return
+
+      setRows(pricingResult.data.map(toRow))
+      setAuditLog(auditResult.data)
+      setError(pricingResult.error?.message || null)
+      if (pricingResult.data.length > 0) {
+        setSamplePaperSize(pricingResult.data[0].paper_size)
+      }
+      setLoading(false)
+    }
+
+    loadPricing()
+
+    return () => {
+      cancelled = true
+    }
+  }, [shopId, user])
+
+  const refreshAuditLog = async () => {
+    const { data } = await getPricingAuditLog(shopId)
+    setAuditLog(data)
+  }
+
+  const updateDraft = (key, changes) => {
+    setRows(prev => prev.map(row => (row.key === key ? { ...row, draft: { ...row.draft, ...changes } } : row)))
+  }
+
+  const updateTier = (key, index, changes) => {
+    const row = rows.find(candidate => candidate.key === key)
+    updateDraft(key, {
+      bulk_tiers: row.draft.bulk_tiers.map((tier, i) => (i === index ? { ...tier, ...changes } : tier))
+    })
+  }
+
+  // New tiers start where the last one ends
+  const handleAddTier = (key) => {
+    const row = rows.find(candidate => candidate.key === key)
+    const tiers = [...row.draft.bulk_tiers]
+    const last = tiers[tiers.length - 1]
+    if (last && last.max_impressions == null) {
+      tiers[tiers.length - 1] = { ...last, max_impressions: (last.min_impressions || 1) * 5 - 1 }
+    }
+    const minImpressions = last ? (tiers[tiers.length - 1].max_impressions + 1) : 100
+    updateDraft(key, { bulk_tiers: [...tiers, { name: '', min_impressions: minImpressions, max_impressions: null, discount: 0.1 }] })
+  }
+
+  const handleRemoveTier = (key, index) => {
+    const row = rows.find(candidate => candidate.key === key)
+    updateDraft(key, { bulk_tiers: row.draft.bulk_tiers.filter((_, i) => i !== index) })
+  }
+
+  // Saving only some fields keeps the row's other unsaved edits
+  const saveRow = async (row, fields) => {
+    setBusyKey(row.key)
+    const { data, error } = await saveCostConfig({ id: row.saved?.id, shop_id: shopId, ...fields })
+    setBusyKey(null)
+
+    if (error) {
+      alert(error.message)
+      return
+    }
+    setRows(prev => prev.map(existing => (
+      existing.key === row.key ? { key: data.id, saved: data, draft: { ...existing.draft, ...fields } } : existing
+    )))
+    if (expandedKey === row.key) setExpandedKey(data.id)
+    refreshAuditLog()
+  }
+
+  const handleSave = (row) => {
+    // Tiers are kept in ascending order with unnamed tiers stored without a name
+    const bulkTiers = [...row.draft.bulk_tiers]
+      .sort((a, b) => a.min_impressions - b.min_impressions)
+      .map(({ name, ...tier }) => (name?.trim() ? { name: name.trim(), ...tier } : tier))
+    saveRow(row, { ...getEditableFields(row.draft), paper_size: row.draft.paper_size.trim(), bulk_tiers: bulkTiers })
+  }
+
+  // Saved rows are switched on and off right away; other edits stay as drafts
+  const handleToggleActive = (row) => {
+    const isActive = !row.draft.is_active
+    if (!row.saved) {
+      updateDraft(row.key, { is_active: isActive })
+      return
+    }
+    const errors = getFieldErrors({ ...row, draft: { ...row.saved, is_active: isActive } }, rows)
+    if (isActive && errors.length > 0) {
+      alert(errors[0])
+      return
+    }
+    updateDraft(row.key, { is_active: isActive })
+    saveRow(row, { is_active: isActive })
+  }
+
+  const handleDelete = async (row) => {
+    if (row.saved) {
+      if (!window.confirm(`Delete the ${describeConfig(row.saved)} price? Deactivating keeps it for later.`)) return
+
+      setBusyKey(row.key)
+      const { error } = await deleteCostConfig(row.saved.id)
+      setBusyKey(null)
+      if (error) {
+        alert(error.message)
+        return
+      }
+      refreshAuditLog()
+    }
+    setRows(prev => prev.filter(existing => existing.key !== row.key))
+  }
+
+  const handleRevert = (row) => {
+    setRows(prev => prev.map(existing => (existing.key === row.key ? toRow(row.saved) : existing)))
+  }
+
+  if (authLoading || (user && loading)) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <div className="animate-spin rounded-full h-8 w-8 border-2 border-blue-600 border-t-transparent"></div>
+      </div>
+    )
+  }
+
+  if (!user) {
+    return (
+      <div className="min-h-screen bg-gray-50 px-4 py-8 sm:py-16">
+        <h1 className="text-xl sm:text-2xl font-bold text-center mb-2">Shop Pricing</h1>
+        <p className="text-sm text-gray-600 text-center mb-6">Sign in with the shop owner's email to edit prices.</p>
+        <SignInForm redirectPath={`/dashboard/${shopId}/pricing`} />
+      </div>
+    )
+  }
+
+  if (error || role !== 'owner') {
+    return (
+      <div className="min-h-screen bg-gray-50 px-4 py-8 sm:py-16">
+        <div className="bg-white rounded-lg shadow-md p-6 max-w-sm mx-auto text-center">
+          <p className="text-gray-900 font-medium mb-2">{error ? 'Something went wrong' : 'Only shop owners can edit prices'}</p>
+          <p className="text-sm text-gray-600 mb-4">{error || `${user.email} isn't an owner${shop ? ` of ${shop.name}` : ''}.`}</p>
+          <Link to={`/dashboard/${shopId}`} className="text-blue-600 hover:underline text-sm">Back to the dashboard</Link>
+        </div>
+      </div>
+    )
+  }
+
+  const savedConfigs = rows.filter(row => row.saved?.is_active).map(row => row.saved)
+  const draftConfigs = rows.filter(row => row.draft.is_active).map(row => ({ ...row.draft, base_price: Number(row.draft.base_price) }))
+  const paperSizes = [...new Set([...rows.map(row => row.draft.paper_size), ...PAPER_SIZE_SUGGESTIONS])].filter(Boolean)
+  const hasUnsavedChanges = rows.some(isDirty)
+
+  const renderTierEditor = (row, tierErrors) => (
+    <div className="bg-gray-50 rounded-lg p-3 space-y-2">
+      <p className="text-xs text-gray-600">
+        Discounts apply to the impressions (printed sides) of an order. Leave the last tier's maximum empty to cover everything above it.
+      </p>
+      {row.draft.bulk_tiers.map((tier, index) => (
+        <div key={index} className="flex flex-wrap items-center gap-2 text-sm">
+          <input
+            value={tier.name || ''}
+            onChange={(e) => updateTier(row.key, index, { name: e.target.value })}
+            placeholder="Name (optional)"
+            className="border rounded px-2 py-1 w-36"
+          />
+          <label className="flex items-center gap-1">
+            <span className="text-gray-500">From</span>
+            <input
+              type="number"
+              min="1"
+              value={tier.min_impressions ?? ''}
+              onChange={(e) => updateTier(row.key, index, { min_impressions: e.target.value === '' ? null : Number(e.target.value) })}
+              className="border rounded px-2 py-1 w-20"
+            />
+          </label>
+          <label className="flex items-center gap-1">
+            <span className="text-gray-500">to</span>
+            <input
+              type="number"
+              min="1"
+              value={tier.max_impressions ?? ''}
+              onChange={(e) => updateTier(row.key, index, { max_impressions: e.target.value === '' ? null : Number(e.target.value) })}
+              placeholder="no limit"
+              className="border rounded px-2 py-1 w-24"
+            />
+            <span className="text-gray-500">impressions</span>
+          </label>
+          <input
+            type="number"
+            min="0"
+            max="99"
+            step="0.5"
+            value={Math.round(tier.discount * 1000) / 10}
+            onChange={(e) => updateTier(row.key, index, { discount: Number(e.target.value) / 100 })}
+            className="border rounded px-2 py-1 w-20"
+            title="Discount"
+          />
+          <span className="text-gray-500">% off</span>
+          <button onClick={() => handleRemoveTier(row.key, index)} className="text-red-600 p-1" title="Remove tier">
+            <Trash2 className="w-4 h-4" />
+          </button>
+        </div>
+      ))}
+      <button onClick={() => handleAddTier(row.key)} className="flex items-center gap-1 text-blue-600 text-sm hover:underline">
+        <Plus className="w-4 h-4" />
+        Add tier
+      </button>
+      {tierErrors.map(message => (
+        <p key={message} className="text-xs text-red-600">{message}</p>
+      ))}
+    </div>
+  )
+
+  const renderRow = (row) => {
+    const fieldErrors = getFieldErrors(row, rows)
+    const tierErrors = validateBulkTiers(row.draft.bulk_tiers)
+    const dirty = isDirty(row)
+    const isBusy = busyKey === row.key
+    const isExpanded = expandedKey === row.key
+
+    return (
+      <li key={row.key} className={`p-3 sm:p-4 space-y-2 ${row.draft.is_active ? '' : 'bg-gray-50'}`}>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <input
+            list="pricing-paper-sizes"
+            value={row.draft.paper_size}
+            onChange={(e) => updateDraft(row.key, { paper_size: e.target.value })}
+            className="border rounded px-2 py-1 w-24"
+            title="Paper size"
+          />
+          <select
+            value={row.draft.color_mode}
+            onChange={(e) => updateDraft(row.key, { color_mode: e.target.value })}
+            className="border rounded px-2 py-1"
+          >
+            {COLOR_MODES.map(mode => <option key={mode} value={mode}>{mode === 'BW' ? 'B&W' : mode}</option>)}
+          </select>
+          <select
+            value={row.draft.print_type}
+            onChange={(e) => updateDraft(row.key, { print_type: e.target.value })}
+            className="border rounded px-2 py-1"
+          >
+            {PRINT_TYPES.map(type => <option key={type} value={type}>{type}-sided</option>)}
+          </select>
+          <label className="flex items-center gap-1">
+            <span className="text-gray-500">₹</span>
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={row.draft.base_price}
+              onChange={(e) => updateDraft(row.key, { base_price: e.target.value })}
+              className="border rounded px-2 py-1 w-20"
+              title="Price per impression"
+            />
+            <span className="text-gray-500 text-xs">per side</span>
+          </label>
+          <button
+            onClick={() => setExpandedKey(isExpanded ? null : row.key)}
+            className="flex items-center gap-1 text-gray-700 border rounded px-2 py-1 hover:bg-gray-50"
+          >
+            {row.draft.bulk_tiers.length} {row.draft.bulk_tiers.length === 1 ? 'tier' : 'tiers'}
+            {isExpanded ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+          </button>
+          <label className="flex items-center gap-1 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={row.draft.is_active}
+              onChange={() => handleToggleActive(row)}
+              disabled={isBusy}
+            />
+            Active
+          </label>
+
+          <div className="flex items-center gap-2 ml-auto">
+            {row.saved && dirty && (
+              <button onClick={() => handleRevert(row)} className="text-gray-600 text-xs hover:underline">Revert</button>
+            )}
+            {dirty && (
+              <button
+                onClick={() => handleSave(row)}
+                disabled={isBusy || fieldErrors.length > 0 || tierErrors.length > 0}
+                className="flex items-center gap-1 bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700 disabled:opacity-50"
+              >
+                <Save className="w-4 h-4" />
+                Save
+              </button>
+            )}
+            <button onClick={() => handleDelete(row)} disabled={isBusy} className="text-red-600 p-1 disabled:opacity-50" title="Delete">
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+
+        {isExpanded && renderTierEditor(row, tierErrors)}
+        {/* The open tier editor lists its own problems */}
+        {[...fieldErrors, ...(isExpanded ? [] : tierErrors)].map(message => (
+          <p key={message} className="text-xs text-red-600">{message}</p>
+        ))}
+      </li>
+    )
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <datalist id="pricing-paper-sizes">
+        {PAPER_SIZE_SUGGESTIONS.map(size => <option key={size} value={size} />)}
+      </datalist>
+
+      <div className="max-w-4xl mx-auto px-4 py-4 sm:py-8 space-y-4 sm:space-y-6">
+        <div className="flex items-center justify-between gap-3">
+          <div>
+            <h1 className="text-xl sm:text-2xl font-bold">Pricing</h1>
+            <p className="text-xs sm:text-sm text-gray-500">{shop.name}</p>
+          </div>
+          <Link to={`/dashboard/${shopId}`} className="text-blue-600 hover:underline text-sm">Back to the dashboard</Link>
+        </div>
+
+        <section>
+          <div className="flex items-center justify-between mb-2">
+            <h2 className="text-sm font-semibold text-gray-700">Prices per printed side</h2>
+            <button
+              onClick={() => setRows(prev => [...prev, newRow(shopId)])}
+              className="flex items-center gap-1 text-blue-600 text-sm hover:underline"
+            >
+              <Plus className="w-4 h-4" />
+              Add price
+            </button>
+          </div>
+          {rows.length === 0 ? (
+            <div className="bg-white rounded-lg shadow-md p-6 text-center text-sm text-gray-600">
+              No prices yet. Customers can't order until the shop has at least one.
+            </div>
+          ) : (
+            <ul className="bg-white rounded-lg shadow-md divide-y">{rows.map(renderRow)}</ul>
+          )}
+          {hasUnsavedChanges && (
+            <p className="text-xs text-yellow-700 mt-2">Unsaved changes aren't used for orders until you save them.</p>
+          )}
+        </section>
+
+        <FinishingCatalogEditor shopId={shopId} />
+
+        {/* Quote simulator: computeOrderCost is what calculateOrderCost and the print server price with */}
+        <section>
+          <div className="flex items-center justify-between mb-2 gap-2">
+            <h2 className="text-sm font-semibold text-gray-700">Quote simulator</h2>
+            <select
+              value={samplePaperSize}
+              onChange={(e) => setSamplePaperSize(e.target.value)}
+              className="border rounded px-2 py-1 text-sm"
+            >
+              {paperSizes.map(size => <option key={size} value={size}>{size}</option>)}
+            </select>
+          </div>
+          <div className="bg-white rounded-lg shadow-md overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 border-b">
+                  <th className="p-3 font-medium">Sample order</th>
+                  <th className="p-3 font-medium text-right">Saved prices</th>
+                  <th className="p-3 font-medium text-right">With your edits</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y">
+                {SAMPLE_ORDERS.map(sample => {
+                  const orderData = { ...sample, paperSize: samplePaperSize }
+                  const savedQuote = computeOrderCost(savedConfigs, orderData)
+                  const draftQuote = computeOrderCost(draftConfigs, orderData)
+                  const changed = !savedQuote.error && !draftQuote.error && savedQuote.cost !== draftQuote.cost
+
+                  return (
+                    <tr key={sample.label}>
+                      <td className="p-3">
+                        <p className="font-medium text-gray-900">{sample.label}</p>
+                        <p className="text-xs text-gray-500">
+                          {sample.pageCount} {sample.pageCount === 1 ? 'page' : 'pages'} × {sample.copies} • {sample.colorMode === 'BW' ? 'B&W' : 'Color'} {sample.printType}-sided
+                          {sample.pagesPerSheet > 1 && ` • ${sample.pagesPerSheet} per side`}
+                        </p>
+                      </td>
+                      <td className="p-3 text-right">
+                        {savedQuote.error ? <span className="text-xs text-gray-400">No price</span> : formatCurrency(savedQuote.cost)}
+                      </td>
+                      <td className={`p-3 text-right ${changed ? 'font-semibold text-blue-700' : ''}`}>
+                        {draftQuote.error ? <span className="text-xs text-gray-400">No price</span> : formatCurrency(draftQuote.cost)}
+                        {!draftQuote.error && draftQuote.appliedTier && (
+                          <p className="text-xs text-green-600 font-normal">
+                            {draftQuote.appliedTier.name || `${Math.round(draftQuote.appliedTier.discount * 100)}% off`}
+                          </p>
+                        )}
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
+        </section>
+
+        <section>
+          <h2 className="flex items-center gap-1.5 text-sm font-semibold text-gray-700 mb-2">
+            <History className="w-4 h-4" />
+            History
+          </h2>
+          {auditLog.length === 0 ? (
+            <div className="bg-white rounded-lg shadow-md p-6 text-center text-sm text-gray-600">No changes recorded yet.</div>
+          ) : (
+            <ul className="bg-white rounded-lg shadow-md divide-y text-sm">
+              {auditLog.map(entry => (
+                <li key={entry.id} className="p-3">
+                  <p className="text-gray-900">{describeAuditEntry(entry)}</p>
+                  <p className="text-xs text-gray-500">
+                    {new Date(entry.created_at).toLocaleString()} • {entry.changed_by_email || 'Admin'}
+                  </p>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+      </div>
+    </div>
+  )
+}
+
+export default PricingPage
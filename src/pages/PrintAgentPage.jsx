@@ -0,0 +1,328 @@
+import React, { useState, useEffect } from 'react'
+import { useParams, Link } from 'react-router-dom'
+import { Play, Square, RefreshCw, CheckCircle, RotateCcw, SkipForward } from 'lucide-react'
+import { getShopInfo, getShopStaffRole } from '../utils/supabase'
+import { AGENT_MODES, getPrinterProfile, describeRecipe } from '../utils/printAgent'
+import usePrintAgentStore, { isAgentAvailable } from '../stores/printAgentStore'
+import useAuthStore from '../stores/authStore'
+import SignInForm from '../components/SignInForm'
+
+const PAPER_SIZES = ['A4', 'A3', 'Letter', 'Legal']
+
+const MODE_LABELS = {
+  auto: { label: 'Automatic', description: 'Paid jobs print as soon as they arrive.' },
+  review: { label: 'Hold for review', description: 'Each job waits until you approve it.' },
+  paused: { label: 'Paused', description: 'Jobs are collected but nothing prints.' }
+}
+
+const ENTRY_BADGES = {
+  queued: { label: 'Queued', className: 'text-gray-700 bg-gray-100' },
+  held: { label: 'Needs review', className: 'text-yellow-700 bg-yellow-100' },
+  no_printer: { label: 'No printer', className: 'text-orange-700 bg-orange-100' },
+  printing: { label: 'Printing', className: 'text-blue-600 bg-blue-100' },
+  retrying: { label: 'Retrying', className: 'text-orange-700 bg-orange-100' },
+  failed: { label: 'Failed', className: 'text-red-600 bg-red-100' },
+  done: { label: 'Printed', className: 'text-green-600 bg-green-100' }
+}
+
+// Print agent controls for shop staff: mode, printer setup and the agent's queue
+const PrintAgentPage = () => {
+  const { shopId } = useParams()
+  const user = useAuthStore(state => state.user)
+  const authLoading = useAuthStore(state => state.loading)
+  const agent = usePrintAgentStore()
+  const [shop, setShop] = useState(null)
+  const [role, setRole] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (!user) return
+
+    let cancelled = false
+
+    const loadAccess = async () => {
+      setLoading(true)
+      setError(null)
+
+      const [shopResult, roleResult] = await Promise.all([
+        getShopInfo(shopId),
+        getShopStaffRole(shopId, user.id)
+      ])
+      if (cancelled) return
+
+      setShop(shopResult.data)
+      setRole(roleResult.data)
+      setError((shopResult.error || roleResult.error)?.message || null)
+      setLoading(false)
+    }
+
+    loadAccess()
+
+    return () => {
+      cancelled = true
+    }
+  }, [shopId, user])
+
+  // Keep the printer list current while the agent is stopped; start() reads it too
+  useEffect(() => {
+    const { running, refreshPrinters } = usePrintAgentStore.getState()
+    if (isAgentAvailable() && !running) {
+      refreshPrinters()
+    }
+  }, [])
+
+  if (authLoading || (user && loading)) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <div className="animate-spin rounded-full h-8 w-8 border-2 border-blue-600 border-t-transparent"></div>
+      </div>
+    )
+  }
+
+  if (!user) {
+    return (
+      <div className="min-h-screen bg-gray-50 px-4 py-8 sm:py-16">
+        <h1 className="text-xl sm:text-2xl font-bold text-center mb-2">Print Agent</h1>
+        <p className="text-sm text-gray-600 text-center mb-6">Sign in with your shop staff email to run the print agent.</p>
+        <SignInForm redirectPath={`/dashboard/${shopId}/agent`} />
+      </div>
+    )
+  }
+
+  if (error || !role) {
+    return (
+      <div className="min-h-screen bg-gray-50 px-4 py-8 sm:py-16">
+        <div className="bg-white rounded-lg shadow-md p-6 max-w-sm mx-auto text-center">
+          <p className="text-gray-900 font-medium mb-2">{error ? 'Something went wrong' : 'No access to this shop'}</p>
+          <p className="text-sm text-gray-600 mb-4">{error || `${user.email} isn't on the staff list${shop ? ` of ${shop.name}` : ''}.`}</p>
+          <Link to={`/dashboard/${shopId}`} className="text-blue-600 hover:underline text-sm">Back to the dashboard</Link>
+        </div>
+      </div>
+    )
+  }
+
+  const available = isAgentAvailable()
+  const runningHere = agent.running && agent.shopId === shopId
+  const printerName = (printerId) => agent.printers.find(printer => printer.id === printerId)?.name || printerId
+
+  const togglePaperSize = (printer, profile, size) => {
+    const paperSizes = profile.paperSizes.includes(size)
+      ? profile.paperSizes.filter(existing => existing !== size)
+      : [...profile.paperSizes, size]
+    agent.setPrinterProfile(printer.id, { paperSizes })
+  }
+
+  const renderEntry = (entry) => {
+    const badge = ENTRY_BADGES[entry.status]
+
+    return (
+      <li key={entry.job.id} className="p-3 sm:p-4 flex flex-col sm:flex-row sm:items-center gap-2">
+        <div className="flex-1 min-w-0">
+          <p className="font-medium text-gray-900 truncate">{entry.job.filename}</p>
+          <p className="text-xs text-gray-500">
+            {entry.job.customer_name} • {describeRecipe(entry.recipe)}
+            {entry.printerId && ` • ${printerName(entry.printerId)}`}
+            {entry.spoolerJobId && ` (job ${entry.spoolerJobId})`}
+          </p>
+          {entry.error && (
+            <p className="text-xs text-red-600">
+              {entry.error}
+              {entry.status === 'retrying' && ` • next try ${new Date(entry.nextAttemptAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' })}`}
+            </p>
+          )}
+        </div>
+        <div className="flex items-center gap-2 flex-shrink-0">
+          <span className={`px-2 py-1 rounded-full text-xs font-medium ${badge.className}`}>{badge.label}</span>
+          {entry.status === 'held' && (
+            <button
+              onClick={() => agent.approve(entry.job.id)}
+              className="flex items-center gap-1 bg-blue-600 text-white px-2.5 py-1 rounded-lg text-xs hover:bg-blue-700"
+            >
+              <CheckCircle className="w-3.5 h-3.5" />
+              Print
+            </button>
+          )}
+          {entry.status === 'failed' && (
+            <button
+              onClick={() => agent.retry(entry.job.id)}
+              className="flex items-center gap-1 border px-2.5 py-1 rounded-lg text-xs hover:bg-gray-50"
+            >
+              <RotateCcw className="w-3.5 h-3.5" />
+              Retry
+            </button>
+          )}
+          {entry.status !== 'printing' && entry.status !== 'done' && (
+            <button
+              onClick={() => agent.skip(entry.job.id)}
+              className="flex items-center gap-1 text-gray-600 px-2.5 py-1 rounded-lg text-xs hover:bg-gray-100"
+              title="Leave this job for printing by hand"
+            >
+              <SkipForward className="w-3.5 h-3.5" />
+              Skip
+            </button>
+          )}
+        </div>
+      </li>
+    )
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-4xl mx-auto px-4 py-4 sm:py-8 space-y-4 sm:space-y-6">
+        <div className="flex items-center justify-between gap-3">
+          <div>
+            <h1 className="text-xl sm:text-2xl font-bold">Print Agent</h1>
+            <p className="text-xs sm:text-sm text-gray-500">{shop.name}</p>
+          </div>
+          <Link to={`/dashboard/${shopId}`} className="text-blue-600 hover:underline text-xs sm:text-sm">Back to the dashboard</Link>
+        </div>
+
+        {!available && (
+          <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 text-sm text-yellow-800">
+            The print agent runs in the PrintFlow desktop app, which can reach this computer's printers. Open this page there to start it.
+          </div>
+        )}
+
+        {agent.error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-700">{agent.error}</div>
+        )}
+
+        {/* Agent */}
+        <div className="bg-white rounded-lg shadow-md p-4 space-y-4">
+          <div className="flex items-center justify-between gap-3">
+            <p className="text-sm">
+              <span className={`inline-block w-2 h-2 rounded-full mr-2 ${runningHere ? 'bg-green-500' : 'bg-gray-300'}`}></span>
+              {runningHere ? 'Running' : agent.running ? 'Running for another shop' : 'Stopped'}
+            </p>
+            {runningHere ? (
+              <button
+                onClick={agent.stop}
+                className="flex items-center gap-1.5 border px-3 py-1.5 rounded-lg text-sm hover:bg-gray-50"
+              >
+                <Square className="w-4 h-4" />
+                Stop
+              </button>
+            ) : (
+              <button
+                onClick={() => agent.start(shopId)}
+                disabled={!available}
+                className="flex items-center gap-1.5 bg-blue-600 text-white px-3 py-1.5 rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50"
+              >
+                <Play className="w-4 h-4" />
+                Start
+              </button>
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+            {AGENT_MODES.map(mode => (
+              <button
+                key={mode}
+                onClick={() => agent.setMode(mode)}
+                disabled={!available}
+                className={`text-left border rounded-lg p-3 disabled:opacity-50 ${
+                  agent.mode === mode ? 'border-blue-600 bg-blue-50' : 'hover:bg-gray-50'
+                }`}
+              >
+                <p className="text-sm font-medium">{MODE_LABELS[mode].label}</p>
+                <p className="text-xs text-gray-500">{MODE_LABELS[mode].description}</p>
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Printers */}
+        <div className="bg-white rounded-lg shadow-md">
+          <div className="flex items-center justify-between p-4 border-b">
+            <div>
+              <h2 className="font-semibold">Printers</h2>
+              <p className="text-xs text-gray-500">Jobs go to the first enabled printer loaded with their paper; color jobs need a color printer.</p>
+            </div>
+            <button
+              onClick={agent.refreshPrinters}
+              disabled={!available}
+              className="flex items-center gap-1.5 text-blue-600 text-sm hover:underline disabled:opacity-50"
+            >
+              <RefreshCw className="w-4 h-4" />
+              Refresh
+            </button>
+          </div>
+          {agent.printers.length === 0 ? (
+            <p className="p-4 text-sm text-gray-600">No printers found.</p>
+          ) : (
+            <ul className="divide-y">
+              {agent.printers.map(printer => {
+                const profile = getPrinterProfile(printer, agent.profiles)
+                return (
+                  <li key={printer.id} className={`p-3 sm:p-4 space-y-2 ${profile.enabled ? '' : 'bg-gray-50'}`}>
+                    <div className="flex items-center justify-between gap-2">
+                      <label className="flex items-center gap-2 text-sm font-medium">
+                        <input
+                          type="checkbox"
+                          checked={profile.enabled}
+                          onChange={(e) => agent.setPrinterProfile(printer.id, { enabled: e.target.checked })}
+                        />
+                        {printer.name}
+                        {printer.isDefault && <span className="text-xs text-gray-500 font-normal">(default)</span>}
+                      </label>
+                      <span className="text-xs text-gray-500">{printer.status}</span>
+                    </div>
+                    <div className="flex flex-wrap items-center gap-3 text-xs text-gray-700 pl-6">
+                      {PAPER_SIZES.map(size => (
+                        <label key={size} className="flex items-center gap-1">
+                          <input
+                            type="checkbox"
+                            checked={profile.paperSizes.includes(size)}
+                            onChange={() => togglePaperSize(printer, profile, size)}
+                          />
+                          {size}
+                        </label>
+                      ))}
+                      <label className="flex items-center gap-1">
+                        <input
+                          type="checkbox"
+                          checked={profile.color}
+                          onChange={(e) => agent.setPrinterProfile(printer.id, { color: e.target.checked })}
+                        />
+                        Color
+                      </label>
+                    </div>
+                  </li>
+                )
+              })}
+            </ul>
+          )}
+        </div>
+
+        {/* Queue */}
+        <div className="bg-white rounded-lg shadow-md">
+          <h2 className="font-semibold p-4 border-b">Jobs</h2>
+          {agent.entries.length === 0 ? (
+            <p className="p-4 text-sm text-gray-600">
+              {runningHere ? 'Waiting for paid jobs.' : 'Start the agent to pick up paid jobs.'}
+            </p>
+          ) : (
+            <ul className="divide-y">{agent.entries.map(renderEntry)}</ul>
+          )}
+        </div>
+
+        {agent.activity.length > 0 && (
+          <div className="bg-white rounded-lg shadow-md p-4">
+            <h2 className="font-semibold mb-2">Activity</h2>
+            <ul className="space-y-1 text-xs">
+              {agent.activity.map((item, index) => (
+                <li key={index} className={item.level === 'error' ? 'text-red-600' : 'text-gray-600'}>
+                  <span className="text-gray-400 mr-2">{item.at.toLocaleTimeString()}</span>
+                  {item.message}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default PrintAgentPage
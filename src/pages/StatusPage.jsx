@@ -1,10 +1,13 @@
 import React, { useState, useEffect } from 'react'
 import { useParams, Link } from 'react-router-dom'
-import { getJobStatus, getShopInfo, subscribeToJobUpdates, startJobStatusPolling, formatCurrency } from '../utils/supabase'
+import { getJobStatus, getJobItems, getShopInfo, subscribeToJobUpdates, startJobStatusPolling, formatCurrency } from '../utils/supabase'
+import useAuthStore from '../stores/authStore'
 
 const StatusPage = () => {
   const { jobId } = useParams()
   const [job, setJob] = useState(null)
+  const user = useAuthStore(state => state.user)
+  const [items, setItems] = useState([]) // Documents with their own settings, for multi-file orders
   const [shop, setShop] = useState(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
@@ -63,6 +66,10 @@ const StatusPage = () => {
       setJob(jobData)
       setLastUpdated(new Date())
       
+      // Items never change after the order is placed, so they aren't part of the live updates
+      const { data: itemData } = await getJobItems(jobId)
+      setItems(itemData)
+      
       // Load shop info
       const { data: shopData } = await getShopInfo(jobData.shop_id)
       if (shopData) {
@@ -113,6 +120,15 @@ const StatusPage = () => {
     }
   }
 
+  const getPaymentStatusInfo = (status) => {
+    switch (status) {
+      case 'paid': return { text: 'Paid', description: 'Payment confirmed', icon: '✓', color: 'text-green-600', badge: 'bg-green-100 text-green-600' }
+      case 'failed': return { text: 'Failed', description: 'Payment failed - please try again', icon: '✕', color: 'text-red-600', badge: 'bg-red-100 text-red-600' }
+      case 'refunded': return { text: 'Refunded', description: 'Payment refunded', icon: '↩', color: 'text-gray-600', badge: 'bg-gray-100 text-gray-600' }
+      default: return { text: 'Pending', description: 'Waiting for payment', icon: '💳', color: 'text-yellow-600', badge: 'bg-gray-100 text-gray-400' }
+    }
+  }
+
   if (loading) {
     return (
       <div className="min-h-screen flex items-center justify-center bg-gray-50">
@@ -212,17 +228,15 @@ const StatusPage = () => {
             </div>
             
             <div className="flex items-center">
-              <div className={`w-8 h-8 rounded-full flex items-center justify-center mr-4 ${
-                job.payment_status === 'paid' ? 'bg-green-100 text-green-600' : 'bg-gray-100 text-gray-400'
-              }`}>
-                {job.payment_status === 'paid' ? '✓' : '💳'}
+              <div className={`w-8 h-8 rounded-full flex items-center justify-center mr-4 ${getPaymentStatusInfo(job.payment_status).badge}`}>
+                {getPaymentStatusInfo(job.payment_status).icon}
               </div>
               <div>
                 <p className="font-medium">Payment</p>
                 <p className="text-sm text-gray-500">
-                  {job.payment_status === 'paid' ? 'Payment confirmed' : 'Waiting for payment'}
+                  {getPaymentStatusInfo(job.payment_status).description}
                 </p>
-                {job.payment_status === 'paid' && (
+                {job.payment_status !== 'pending' && (
                   <p className="text-xs text-gray-400">{new Date(job.updated_at).toLocaleString()}</p>
                 )}
               </div>
@@ -309,6 +323,27 @@ const StatusPage = () => {
               </div>
             )}
             
+            {job.job_status === 'pending' && (job.payment_status === 'pending' || job.payment_status === 'failed') && (
+              <div className={`${job.payment_status === 'failed' ? 'bg-red-50 border-red-200' : 'bg-yellow-50 border-yellow-200'} border rounded-lg p-4 text-center`}>
+                <p className={`${job.payment_status === 'failed' ? 'text-red-800' : 'text-yellow-800'} font-medium`}>
+                  {job.payment_status === 'failed' ? '💳 Payment failed' : '💳 Waiting for payment'}
+                </p>
+                <p className={`${job.payment_status === 'failed' ? 'text-red-600' : 'text-yellow-600'} text-sm mt-1`}>
+                  Printing starts once your payment is confirmed
+                </p>
+                <Link to={`/payment/${job.id}`} className="inline-block mt-2 text-sm text-blue-600 hover:underline">
+                  {job.payment_status === 'failed' ? 'Try paying again' : 'Go to payment'}
+                </Link>
+              </div>
+            )}
+
+            {job.payment_status === 'refunded' && (
+              <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 text-center mt-3">
+                <p className="text-gray-800 font-medium">↩ Your payment has been refunded</p>
+                <p className="text-gray-600 text-sm mt-1">Refunds can take a few days to reach your account</p>
+              </div>
+            )}
+            
             {job.job_status === 'cancelled' && (
               <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-center">
                 <p className="text-red-800 font-medium">❌ Your order has been cancelled</p>
@@ -329,14 +364,43 @@ const StatusPage = () => {
                 <span>File:</span>
                 <span>{job.filename}</span>
               </div>
-              <div className="flex justify-between">
-                <span>Copies:</span>
-                <span>{job.copies}</span>
-              </div>
-              <div className="flex justify-between">
-                <span>Specifications:</span>
-                <span>{job.paper_size} {job.color_mode} {job.print_type}</span>
-              </div>
+              {items.length === 0 ? (
+                <>
+                  <div className="flex justify-between">
+                    <span>Copies:</span>
+                    <span>{job.copies}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span>Specifications:</span>
+                    <span>{job.paper_size} {job.color_mode} {job.print_type}</span>
+                  </div>
+                </>
+              ) : (
+                <div>
+                  <span>Documents ({job.print_type === 'Double' ? 'double-sided' : 'single-sided'}):</span>
+                  <ul className="mt-1 border rounded-lg divide-y">
+                    {items.map(item => (
+                      <li key={item.id} className="px-3 py-2">
+                        <div className="flex justify-between gap-2">
+                          <span className="truncate">{item.position}. {item.filename}</span>
+                          <span className="flex-shrink-0">{formatCurrency(item.total_cost)}</span>
+                        </div>
+                        <p className="text-xs text-gray-500">
+                          {item.copies} {item.copies === 1 ? 'copy' : 'copies'} • {item.paper_size} {item.color_mode}
+                          {item.pages_per_sheet > 1 && ` • ${item.pages_per_sheet} per side`}
+                          {' • '}{item.page_count} {item.page_count === 1 ? 'page' : 'pages'} ({item.page_ranges})
+                        </p>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              {job.finishing?.length > 0 && (
+                <div className="flex justify-between gap-2">
+                  <span>Finishing:</span>
+                  <span className="text-right">{job.finishing.map(line => line.name).join(', ')}</span>
+                </div>
+              )}
               <div className="flex justify-between">
                 <span>Customer:</span>
                 <span>{job.customer_name}</span>
@@ -347,8 +411,8 @@ const StatusPage = () => {
               </div>
               <div className="flex justify-between">
                 <span>Payment Status:</span>
-                <span className={job.payment_status === 'paid' ? 'text-green-600' : 'text-yellow-600'}>
-                  {job.payment_status === 'paid' ? 'Paid' : 'Pending'}
+                <span className={getPaymentStatusInfo(job.payment_status).color}>
+                  {getPaymentStatusInfo(job.payment_status).text}
                 </span>
               </div>
             </div>
@@ -362,6 +426,14 @@ const StatusPage = () => {
             >
               Back to Shop
             </Link>
+            {user && (
+              <>
+                <span className="text-gray-300 mx-3">|</span>
+                <Link to="/orders" className="text-blue-600 hover:underline">
+                  My Orders
+                </Link>
+              </>
+            )}
           </div>
         </div>
       </div>
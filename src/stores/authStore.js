@@ -0,0 +1,24 @@
+import { create } from 'zustand'
+import { supabase } from '../utils/supabase'
+
+// Signed-in customer, kept in sync with Supabase Auth.
+// `loading` stays true until the stored session has been read.
+const useAuthStore = create((set) => ({
+  session: null,
+  user: null,
+  loading: true,
+
+  setSession: (session) => set({ session, user: session?.user || null, loading: false })
+}))
+
+// Read the stored session once and follow sign-ins, sign-outs and token refreshes
+supabase.auth.getSession().then(({ data }) => {
+  useAuthStore.getState().setSession(data.session)
+})
+
+supabase.auth.onAuthStateChange((event, session) => {
+  console.log('🔐 Auth state:', event)
+  useAuthStore.getState().setSession(session)
+})
+
+export default useAuthStore
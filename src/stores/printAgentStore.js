@@ -0,0 +1,377 @@
+import { create } from 'zustand'
+import { PDFDocument } from 'pdf-lib'
+import {
+  getShopJobs,
+  getJobItems,
+  subscribeToAllJobUpdates,
+  markJobAsPrinting,
+  markJobAsCompleted,
+  updateJobStatus
+} from '../utils/supabase'
+import {
+  MAX_PRINT_ATTEMPTS,
+  isReadyToPrint,
+  getRetryDelay,
+  estimatePrintMinutes,
+  getJobRecipe,
+  getPrintRuns,
+  getItemFilePages,
+  buildItemRecipe,
+  getPrintOptions,
+  pickPrinter,
+  describeRecipe
+} from '../utils/printAgent'
+import { isRecipeSourceFile, renderRecipe } from '../utils/pdf/printEngine'
+
+// Desktop print agent: follows a shop's jobs and prints each paid one on a
+// printer that fits it. Runs in the desktop app's window and keeps running
+// while staff move between the dashboard pages.
+//
+// Entry statuses:
+//   queued     - waiting for its turn
+//   held       - waiting for someone to approve it (review mode)
+//   no_printer - no enabled printer has the paper/color it needs
+//   printing   - being downloaded, rendered, spooled and printed
+//   retrying   - failed, tried again at nextAttemptAt
+//   failed     - gave up after MAX_PRINT_ATTEMPTS; retry by hand
+//   done       - printed
+
+const TICK_INTERVAL_MS = 5000
+const MAX_ACTIVITY = 50
+
+// Loop handles live outside the store state - nothing renders them
+let subscription = null
+let timer = null
+let busy = false
+
+// Jobs staff chose to handle by hand; realtime updates don't re-add them
+const skippedJobIds = new Set()
+
+export const isAgentAvailable = () => typeof window !== 'undefined' && !!window.electron?.printDocument
+
+const downloadDocument = async (fileUrl) => {
+  const response = await fetch(fileUrl)
+  if (!response.ok) {
+    throw new Error(`Download failed: HTTP ${response.status}`)
+  }
+
+  const document = new Uint8Array(await response.arrayBuffer())
+  if (new TextDecoder().decode(document.subarray(0, 5)) !== '%PDF-') {
+    throw new Error('Downloaded file is not a PDF')
+  }
+  return document
+}
+
+// The print-ready PDF of each run. Jobs with a recipe and their original
+// are rendered from it; items are cut from the job file with their own
+// settings. Both go through the print engine, so edits, N-up and B&W pages
+// come out as ordered, as does a recipe job whose file is still the whole
+// original. Other jobs print their file as uploaded.
+const prepareDocuments = async (job, runs) => {
+  if (runs[0].item) {
+    const file = await downloadDocument(job.file_url)
+    const pdfDoc = await PDFDocument.load(file)
+    const pageSizes = pdfDoc.getPages().map(page => page.getSize())
+    const items = runs.map(run => run.item)
+    const filePages = getItemFilePages(items, pageSizes.length, job.page_count)
+    return Promise.all(items.map((item, index) => renderRecipe(file, buildItemRecipe(job, item, filePages[index], pageSizes))))
+  }
+
+  if (job.recipe && job.source_file_url) {
+    return [await renderRecipe(await downloadDocument(job.source_file_url), job.recipe)]
+  }
+
+  // A recipe job whose selected pages never arrived still holds the original
+  const file = await downloadDocument(job.file_url)
+  if (job.recipe && isRecipeSourceFile(job.recipe, (await PDFDocument.load(file)).getPageCount())) {
+    return [await renderRecipe(file, job.recipe)]
+  }
+  return [file]
+}
+
+// Resolves once the spooler has printed the job, or has lost track of it
+// ('unknown' - the watcher gives up after repeated failed checks, which is
+// taken as printed); rejects if it was cancelled or aborted at the printer
+const waitForPrintJob = (printerId, jobId) => new Promise((resolve, reject) => {
+  window.electron.watchPrintJob(printerId, jobId, (printJob) => {
+    if (!printJob?.done) return
+    if (printJob.state === 'completed' || printJob.state === 'unknown') {
+      resolve(printJob.state)
+    } else {
+      reject(new Error(`Print job ${printJob.state} at the printer`))
+    }
+  })
+})
+
+const usePrintAgentStore = create((set, get) => ({
+  shopId: null,
+  running: false,
+  mode: 'review',
+  printers: [],
+  // Printer capabilities as set on the agent page, by printer id
+  profiles: {},
+  entries: [],
+  activity: [],
+  error: null,
+
+  log: (message, level = 'info') => {
+    console.log(level === 'error' ? '❌' : '🖨️', message)
+    set(state => ({ activity: [{ at: new Date(), message, level }, ...state.activity].slice(0, MAX_ACTIVITY) }))
+  },
+
+  updateEntry: (jobId, changes) => set(state => ({
+    entries: state.entries.map(entry => (entry.job.id === jobId ? { ...entry, ...changes } : entry))
+  })),
+
+  removeEntry: (jobId) => set(state => ({ entries: state.entries.filter(entry => entry.job.id !== jobId) })),
+
+  addJob: (job) => {
+    const { entries, mode } = get()
+    if (skippedJobIds.has(job.id) || entries.some(entry => entry.job.id === job.id)) return
+
+    const entry = {
+      job,
+      recipe: getJobRecipe(job),
+      // Spooler jobs to send, once the job's items are loaded, and how
+      // many of them have printed (a retry carries on from there)
+      runs: null,
+      printedRuns: 0,
+      status: mode === 'review' ? 'held' : 'queued',
+      attempts: 0,
+      error: null,
+      printerId: null,
+      spoolerJobId: null,
+      nextAttemptAt: null
+    }
+    set(state => ({ entries: [...state.entries, entry] }))
+  },
+
+  // Realtime changes to the shop's jobs, including the agent's own updates
+  handleJobChange: (payload) => {
+    const { entries, addJob, updateEntry, removeEntry, log } = get()
+
+    if (payload.eventType === 'DELETE') {
+      removeEntry(payload.old?.id)
+      return
+    }
+
+    const job = payload.new
+    const entry = entries.find(item => item.job.id === job.id)
+
+    if (!entry) {
+      if (isReadyToPrint(job)) addJob(job)
+      return
+    }
+
+    if (entry.status === 'printing' || entry.status === 'done' || isReadyToPrint(job)) {
+      updateEntry(job.id, { job, recipe: getJobRecipe(job) })
+      return
+    }
+
+    // Cancelled or picked up by someone else
+    removeEntry(job.id)
+    log(`${job.filename}: now ${job.job_status}, dropped from the agent`)
+  },
+
+  start: async (shopId) => {
+    if (get().running) {
+      if (get().shopId === shopId) return
+      get().stop()
+    }
+
+    if (!isAgentAvailable()) {
+      set({ error: 'The print agent only runs in the desktop app' })
+      return
+    }
+
+    set({ shopId, running: true, entries: [], activity: [], error: null })
+    skippedJobIds.clear()
+
+    const settings = (await window.electron.getSettings()) || {}
+    set({
+      mode: settings.printAgent?.mode || 'review',
+      profiles: settings.printAgent?.profiles || {}
+    })
+    await get().refreshPrinters()
+
+    // Paid jobs that came in while the agent wasn't running
+    const { data, error } = await getShopJobs(shopId, new Date())
+    if (error) {
+      set({ error: error.message })
+    }
+    data.filter(isReadyToPrint).reverse().forEach(job => get().addJob(job))
+
+    subscription = subscribeToAllJobUpdates(shopId, (payload) => get().handleJobChange(payload), `print_agent_${shopId}`)
+    timer = setInterval(() => get().tick(), TICK_INTERVAL_MS)
+    get().log(`Agent started in ${get().mode} mode`)
+    get().tick()
+  },
+
+  stop: () => {
+    subscription?.unsubscribe?.()
+    subscription = null
+    clearInterval(timer)
+    timer = null
+    set({ running: false })
+    get().log('Agent stopped')
+  },
+
+  refreshPrinters: async () => {
+    try {
+      const printers = await window.electron.getPrinters()
+      set({ printers: printers || [] })
+    } catch (error) {
+      get().log(`Could not list printers: ${error.message}`, 'error')
+    }
+  },
+
+  saveAgentSettings: async () => {
+    const { mode, profiles } = get()
+    const settings = (await window.electron.getSettings()) || {}
+    await window.electron.saveSettings({ ...settings, printAgent: { mode, profiles } })
+  },
+
+  setMode: (mode) => {
+    set(state => ({
+      mode,
+      // Leaving review mode releases what was waiting for approval
+      entries: mode === 'review'
+        ? state.entries
+        : state.entries.map(entry => (entry.status === 'held' ? { ...entry, status: 'queued' } : entry))
+    }))
+    get().saveAgentSettings()
+    get().log(`Mode set to ${mode}`)
+    get().tick()
+  },
+
+  setPrinterProfile: (printerId, changes) => {
+    set(state => ({
+      profiles: { ...state.profiles, [printerId]: { ...state.profiles[printerId], ...changes } }
+    }))
+    get().saveAgentSettings()
+    get().tick()
+  },
+
+  approve: (jobId) => {
+    get().updateEntry(jobId, { status: 'queued' })
+    get().tick()
+  },
+
+  retry: (jobId) => {
+    get().updateEntry(jobId, { status: 'queued', attempts: 0, error: null, nextAttemptAt: null })
+    get().tick()
+  },
+
+  // Leave a job for staff to print by hand
+  skip: (jobId) => {
+    skippedJobIds.add(jobId)
+    get().removeEntry(jobId)
+  },
+
+  // Print the next job that's due, one at a time
+  tick: async () => {
+    const { running, mode, entries, printers, profiles } = get()
+    if (!running || mode === 'paused' || busy) return
+
+    const now = Date.now()
+    const next = entries.find(entry => (
+      entry.status === 'queued' ||
+      (entry.status === 'retrying' && entry.nextAttemptAt <= now) ||
+      // Picked up again once a printer is enabled or set up for it
+      (entry.status === 'no_printer' && (entry.runs || [entry.recipe]).every(run => pickPrinter(printers, profiles, run)))
+    ))
+    if (!next) return
+
+    busy = true
+    try {
+      await get().printEntry(next)
+    } finally {
+      busy = false
+    }
+
+    // Carry on with the rest of the queue
+    get().tick()
+  },
+
+  printEntry: async ({ job, recipe, attempts, printedRuns }) => {
+    const { printers, profiles, updateEntry, removeEntry, log } = get()
+
+    const recordFailure = (error) => {
+      const attemptsMade = attempts + 1
+      if (attemptsMade >= MAX_PRINT_ATTEMPTS) {
+        updateEntry(job.id, { status: 'failed', attempts: attemptsMade, error: error.message })
+        log(`${job.filename}: failed ${attemptsMade} times, giving up - ${error.message}`, 'error')
+      } else {
+        updateEntry(job.id, {
+          status: 'retrying',
+          attempts: attemptsMade,
+          error: error.message,
+          nextAttemptAt: Date.now() + getRetryDelay(attemptsMade)
+        })
+        log(`${job.filename}: print failed, retrying - ${error.message}`, 'error')
+      }
+    }
+
+    const { data: items, error: itemsError } = await getJobItems(job.id)
+    if (itemsError) {
+      recordFailure(itemsError)
+      return
+    }
+
+    const runs = getPrintRuns(recipe, items)
+    const runPrinters = runs.map(run => pickPrinter(printers, profiles, run))
+    const missing = runs.find((run, index) => !runPrinters[index])
+    if (missing) {
+      updateEntry(job.id, { status: 'no_printer', runs, error: `No printer for ${describeRecipe(missing)}` })
+      return
+    }
+
+    updateEntry(job.id, { status: 'printing', runs, printerId: runPrinters[0].id, spoolerJobId: null, error: null })
+
+    const estimatedCompletion = new Date(Date.now() + estimatePrintMinutes(job) * 60000).toISOString()
+    const { error: claimError } = await markJobAsPrinting(job.id, estimatedCompletion, 'pending')
+    if (claimError) {
+      removeEntry(job.id)
+      log(`${job.filename}: not printed - ${claimError.message}`)
+      return
+    }
+
+    try {
+      const documents = await prepareDocuments(job, runs)
+      for (let index = printedRuns; index < runs.length; index++) {
+        const run = runs[index]
+        const printer = runPrinters[index]
+        const jobName = run.item ? `${job.filename} - ${run.item.filename}` : job.filename
+        const { jobId: spoolerJobId } = await window.electron.printDocument({
+          printerId: printer.id,
+          document: documents[index],
+          options: { ...getPrintOptions(run), jobName }
+        })
+        updateEntry(job.id, { printerId: printer.id, spoolerJobId })
+        const printState = await waitForPrintJob(printer.id, spoolerJobId)
+        if (printState === 'unknown') {
+          log(`${jobName}: ${printer.name} lost track of spooler job ${spoolerJobId}, taken as printed`)
+        }
+        updateEntry(job.id, { printedRuns: index + 1 })
+      }
+    } catch (error) {
+      // Back to pending so the dashboard shows it waiting and it can be claimed again
+      await updateJobStatus(job.id, 'pending')
+      recordFailure(error)
+      return
+    }
+
+    // Jobs with finishing stay in printing until staff have bound/stapled them
+    if (recipe.finishing.length === 0) {
+      const { error } = await markJobAsCompleted(job.id)
+      if (error) {
+        log(`${job.filename}: printed, but could not be marked ready - ${error.message}`, 'error')
+      }
+    }
+
+    updateEntry(job.id, { status: 'done', attempts: attempts + 1 })
+    log(`${job.filename}: printed on ${[...new Set(runPrinters.map(printer => printer.name))].join(', ')}`)
+  }
+}))
+
+export default usePrintAgentStore
@@ -0,0 +1,87 @@
+// Finishing options (stapling, hole punch, binding, lamination, cover sheets)
+// Pure functions shared by the web app and the print server, like pricing.js.
+//
+// Each shop keeps its own catalog in `finishing_options`. An option is one
+// of the kinds below and is priced per job, per sheet or per copy.
+
+export const FINISHING_KINDS = {
+  staple: { label: 'Stapling', minSheets: 2, excludes: ['binding'], noBooklet: true },
+  hole_punch: { label: 'Hole punch', minSheets: 1, excludes: ['binding'] },
+  binding: { label: 'Binding', minSheets: 2, excludes: ['staple', 'hole_punch'], noBooklet: true },
+  lamination: { label: 'Lamination', minSheets: 1, excludes: [] },
+  cover: { label: 'Cover sheet', minSheets: 1, excludes: [] }
+}
+
+export const FINISHING_PRICE_UNITS = ['job', 'sheet', 'copy']
+
+const UNIT_NAMES = {
+  job: ['job', 'jobs'],
+  sheet: ['sheet', 'sheets'],
+  copy: ['copy', 'copies']
+}
+
+const getPriceUnit = (option) => (FINISHING_PRICE_UNITS.includes(option.price_unit) ? option.price_unit : 'job')
+
+// Options charged once for the whole job, however many documents it has
+export const isPricedPerJob = (option) => getPriceUnit(option) === 'job'
+
+// "per sheet", "per copy", ... for showing an option's price
+export const formatFinishingUnit = (option) => `per ${UNIT_NAMES[getPriceUnit(option)][0]}`
+
+// Whether an option can be added to a job, and why not.
+// `volume` is calculatePrintVolume's result, `selected` the other chosen options.
+export const getFinishingAvailability = (option, volume, selected = []) => {
+  const kind = FINISHING_KINDS[option.kind]
+  if (!kind) {
+    return { available: false, reason: 'Not available' }
+  }
+
+  if (kind.noBooklet && volume.booklet) {
+    return { available: false, reason: 'Booklets are already folded and stapled' }
+  }
+
+  const minSheets = Math.max(kind.minSheets, option.min_sheets || 0)
+  if (volume.sheetsPerCopy < minSheets) {
+    return { available: false, reason: `Needs at least ${minSheets} sheets per copy` }
+  }
+
+  if (option.max_sheets && volume.sheetsPerCopy > option.max_sheets) {
+    return { available: false, reason: `Up to ${option.max_sheets} sheets per copy` }
+  }
+
+  const conflict = selected.find(other => other.id !== option.id && kind.excludes.includes(other.kind))
+  if (conflict) {
+    return { available: false, reason: `Can't be combined with ${conflict.name}` }
+  }
+
+  return { available: true, reason: null }
+}
+
+// Keep the chosen options that still fit the job, in catalog order.
+// Earlier options win when two of them exclude each other.
+export const filterAvailableFinishing = (options, volume) => {
+  return (options || []).reduce((kept, option) => (
+    getFinishingAvailability(option, volume, kept).available ? [...kept, option] : kept
+  ), [])
+}
+
+// Price chosen options for a print volume: one line per option (amounts
+// are rounded by computeOrderCost)
+export const priceFinishing = (options, volume) => {
+  return (options || []).map(option => {
+    const unit = getPriceUnit(option)
+    const quantity = unit === 'sheet' ? volume.sheets : unit === 'copy' ? volume.copies : 1
+    const unitPrice = Number(option.price) || 0
+
+    return {
+      id: option.id,
+      kind: option.kind,
+      name: option.name,
+      priceUnit: unit,
+      quantity,
+      quantityLabel: `${quantity} ${UNIT_NAMES[unit][quantity === 1 ? 0 : 1]}`,
+      unitPrice,
+      amount: unitPrice * quantity
+    }
+  })
+}
@@ -0,0 +1,90 @@
+// In-progress orders kept in IndexedDB, one draft per shop, so a reload
+// doesn't lose the uploaded file, page edits, selection or print settings.
+// Records are structured-cloned, so File/Blob values are stored as they are.
+
+const DB_NAME = 'printflow-drafts'
+const DB_VERSION = 1
+const STORE_NAME = 'orderDrafts'
+
+// Drafts older than this are treated as abandoned
+export const DRAFT_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000
+
+let dbPromise = null
+
+const openDatabase = () => {
+  if (dbPromise) return dbPromise
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available'))
+      return
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+    request.onupgradeneeded = () => {
+      const db = request.result
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        db.createObjectStore(STORE_NAME, { keyPath: 'shopId' })
+      }
+    }
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  }).catch(error => {
+    dbPromise = null // Allow a retry later (e.g. private mode refusing storage)
+    throw error
+  })
+
+  return dbPromise
+}
+
+const runRequest = async (mode, operation) => {
+  const db = await openDatabase()
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode)
+    const request = operation(transaction.objectStore(STORE_NAME))
+    transaction.oncomplete = () => resolve(request.result)
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+// Page edits without canvases - only the transforms survive a reload,
+// canvases are rebuilt from the file when the editor loads the page
+export const serializePageEdits = (editedPages) => {
+  const edits = {}
+
+  Object.entries(editedPages || {}).forEach(([pageNumber, page]) => {
+    const history = page?.editHistory
+    if (!page?.edited || !history) return
+
+    edits[pageNumber] = {
+      rotation: history.rotation || 0,
+      scale: history.scale ?? 100,
+      offsetX: history.offsetX || 0,
+      offsetY: history.offsetY || 0,
+      cropArea: history.cropArea || null,
+      fitCropToPage: history.fitCropToPage || false
+    }
+  })
+
+  return edits
+}
+
+// Save the draft for a shop (replaces the previous one)
+export const saveDraft = (shopId, draft) =>
+  runRequest('readwrite', store => store.put({ ...draft, shopId, savedAt: Date.now() }))
+
+// Load the draft for a shop, or null if there is none or it has expired
+export const loadDraft = async (shopId) => {
+  const draft = await runRequest('readonly', store => store.get(shopId))
+  if (!draft) return null
+
+  if (Date.now() - draft.savedAt > DRAFT_MAX_AGE_MS) {
+    await deleteDraft(shopId)
+    return null
+  }
+  return draft
+}
+
+export const deleteDraft = (shopId) =>
+  runRequest('readwrite', store => store.delete(shopId))
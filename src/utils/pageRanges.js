@@ -0,0 +1,81 @@
+// Page range expressions like "1-5, 8, 10-end, odd, even, last 3"
+// Shared by the page selector inputs and the job summaries stored with orders.
+
+const rangeOf = (start, end) => Array.from({ length: end - start + 1 }, (_, i) => start + i)
+
+// Resolve one comma-separated token to page numbers, or an error message
+const resolveToken = (token, totalPages) => {
+  const text = token.toLowerCase()
+
+  if (text === 'odd' || text === 'even') {
+    return { pages: rangeOf(1, totalPages).filter(page => page % 2 === (text === 'odd' ? 1 : 0)) }
+  }
+
+  const last = text.match(/^last(?:\s+(\d+))?$/)
+  if (last) {
+    const count = last[1] ? parseInt(last[1]) : 1
+    if (count < 1) return { error: `"${token}" must include at least one page` }
+    return { pages: rangeOf(Math.max(1, totalPages - count + 1), totalPages) }
+  }
+
+  const range = text.match(/^(\d+|end)(?:\s*-\s*(\d+|end))?$/)
+  if (!range) {
+    return { error: `"${token}" is not a page, range, odd, even or last N` }
+  }
+
+  const toPage = (value) => (value === 'end' ? totalPages : parseInt(value))
+  const start = toPage(range[1])
+  const end = range[2] ? toPage(range[2]) : start
+
+  if (start > end) return { error: `"${token}" runs backwards` }
+  if (start < 1 || end > totalPages) return { error: `"${token}" is outside pages 1-${totalPages}` }
+
+  return { pages: rangeOf(start, end) }
+}
+
+// Parse a range expression into sorted, unique page numbers.
+// Returns { pages, errors } - one { token, message } per token that couldn't be read.
+export const parsePageRanges = (expression, totalPages) => {
+  const pages = new Set()
+  const errors = []
+  const tokens = String(expression || '').split(',').map(token => token.trim()).filter(Boolean)
+
+  for (const token of tokens) {
+    const result = resolveToken(token, totalPages)
+    if (result.error) {
+      errors.push({ token, message: result.error })
+    } else {
+      result.pages.forEach(page => pages.add(page))
+    }
+  }
+
+  return { pages: [...pages].sort((a, b) => a - b), errors }
+}
+
+// Collapse page numbers into a compact expression, keeping their order,
+// e.g. [1, 2, 3, 5] -> "1-3, 5" and [4, 5, 1] -> "4-5, 1"
+export const formatPageRanges = (pages) => {
+  const ordered = [...new Set(pages || [])]
+  const ranges = []
+
+  for (let i = 0; i < ordered.length; i++) {
+    const start = ordered[i]
+    while (i + 1 < ordered.length && ordered[i + 1] === ordered[i] + 1) i++
+    ranges.push(ordered[i] === start ? `${start}` : `${start}-${ordered[i]}`)
+  }
+
+  return ranges.join(', ')
+}
+
+// Expand an expression written by formatPageRanges back into its pages,
+// keeping their order, e.g. "4-5, 1" -> [4, 5, 1]
+export const expandPageRanges = (expression) => (
+  String(expression || '')
+    .split(',')
+    .map(token => token.trim())
+    .filter(Boolean)
+    .flatMap(token => {
+      const [start, end = start] = token.split('-').map(value => parseInt(value))
+      return rangeOf(start, end)
+    })
+)
@@ -24,11 +24,12 @@ export const USE_NEW_RENDERER = true
  * 
  * @param {Object} config - Configuration
  * @param {string} config.colorMode - 'BW' or 'Color'
+ * @param {Function} [config.getPageColorMode] - Per-page override, called with the page number
  * @param {Object} config.targetPageSize - { width, height } of target page
  * @returns {Function} renderPageToCanvas function
  */
 export function createRenderPageToCanvas(config) {
-  const { colorMode = 'Color', targetPageSize } = config
+  const { colorMode = 'Color', getPageColorMode, targetPageSize } = config
 
   return function renderPageToCanvas(targetCanvas, sourceOriginalPage, applySettings) {
     const ctx = targetCanvas.getContext('2d', { alpha: false })
@@ -102,7 +103,8 @@ export function createRenderPageToCanvas(config) {
     ctx.restore()
 
     // STEP 6: Apply color filter
-    if (colorMode === 'BW') {
+    const pageColorMode = getPageColorMode ? getPageColorMode(sourceOriginalPage.pageNumber) : colorMode
+    if (pageColorMode === 'BW') {
       applyGrayscale(ctx, targetCanvas)
     }
   }
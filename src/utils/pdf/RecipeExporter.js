@@ -5,30 +5,36 @@
  * 
  * ARCHITECTURE:
  * - Web app = VISUAL PREVIEW ONLY
- * - Desktop print engine = actual PDF rendering/transformation
+ * - Desktop print engine = actual PDF rendering/transformation (printEngine.js)
  * - This module generates the recipe that tells the desktop engine what to do
  * 
  * The recipe contains:
  * - Page-by-page transformation instructions
  * - Print settings (paper size, color mode, copies, etc.)
  * - Original file reference (not embedded, just metadata)
+ *
+ * The format is defined in recipeSchema.js; recipes of older versions are
+ * migrated when they are read.
  */
 
+import { RECIPE_VERSION, RecipeError, checkRecipeSchema, migrateRecipe } from './recipeSchema.js'
+
 /**
  * Generate a complete print job recipe
  * 
  * @param {Object} options - Recipe options
  * @param {Object} options.file - Original file metadata (name, size, type)
  * @param {Array} options.pages - Array of page objects with editHistory
+ * @param {number} [options.totalPages] - Pages in the original file (defaults to pages.length)
  * @param {Object} options.printSettings - Print configuration
  * @param {string} options.shopId - Target print shop ID
  * @returns {Object} Complete recipe for desktop print engine
  */
 export function generatePrintRecipe(options) {
-  const { file, pages, printSettings, shopId } = options
+  const { file, pages, printSettings, shopId, totalPages } = options
   
   const recipe = {
-    version: '1.0',
+    version: RECIPE_VERSION,
     type: 'print_job',
     generatedAt: new Date().toISOString(),
     
@@ -37,7 +43,7 @@ export function generatePrintRecipe(options) {
       fileName: file?.name || 'unknown.pdf',
       fileSize: file?.size || 0,
       fileType: file?.type || 'application/pdf',
-      totalPages: pages?.length || 0
+      totalPages: totalPages ?? (pages?.length || 0)
     },
     
     // Print configuration
@@ -47,11 +53,13 @@ export function generatePrintRecipe(options) {
       duplex: printSettings?.duplex || false,
       copies: printSettings?.copies || 1,
       pagesPerSheet: printSettings?.pagesPerSheet || 1,
-      quality: printSettings?.quality || 'standard'
+      ...(printSettings?.pagesPerSheet > 1 && printSettings?.nup ? { nup: printSettings.nup } : {}),
+      ...(printSettings?.finishing?.length > 0 ? { finishing: printSettings.finishing.map(({ kind, name }) => ({ kind, name })) } : {}),
+      quality: printSettings?.quality || 'normal'
     },
     
     // Per-page transformations
-    pages: generatePageRecipes(pages),
+    pages: generatePageRecipes(pages, printSettings),
     
     // Delivery info
     destination: {
@@ -64,15 +72,21 @@ export function generatePrintRecipe(options) {
 
 /**
  * Generate transformation recipe for each page
+ * Pages listed in printSettings.colorPages print in color within a BW job
  */
-function generatePageRecipes(pages) {
+function generatePageRecipes(pages, printSettings) {
   if (!pages || !Array.isArray(pages)) return []
+
+  const jobColorMode = printSettings?.colorMode || 'Color'
+  const colorPages = printSettings?.colorPages || []
   
   return pages.map((page, index) => {
     const editHistory = page.editHistory || {}
+    const pageNumber = page.pageNumber || index + 1
     
     return {
-      pageNumber: page.pageNumber || index + 1,
+      pageNumber,
+      colorMode: jobColorMode === 'BW' && colorPages.includes(pageNumber) ? 'Color' : jobColorMode,
       originalDimensions: {
         width: page.width || 595,
         height: page.height || 842
@@ -80,7 +94,7 @@ function generatePageRecipes(pages) {
       
       // Transformation instructions for desktop engine
       transforms: {
-        rotation: editHistory.rotation || 0,
+        rotation: (((editHistory.rotation || 0) % 360) + 360) % 360,
         scale: editHistory.scale || 100,
         offsetX: editHistory.offsetX || 0,
         offsetY: editHistory.offsetY || 0,
@@ -96,7 +110,7 @@ function generatePageRecipes(pages) {
       
       // Flags
       hasEdits: page.edited || false,
-      isCropped: editHistory.isCropped || false,
+      isCropped: editHistory.isCropped || !!editHistory.cropArea,
       fitCropToPage: editHistory.fitCropToPage || false
     }
   })
@@ -104,30 +118,22 @@ function generatePageRecipes(pages) {
 
 /**
  * Validate a recipe before sending to print engine
+ *
+ * Checks the recipe against the schema, then what the schema can't express.
+ * Migrate older recipes first (migrateRecipe).
+ *
+ * @param {Object} recipe - Recipe in the current format
+ * @returns {{valid: boolean, errors: string[]}}
  */
 export function validateRecipe(recipe) {
-  const errors = []
-  
-  if (!recipe.version) errors.push('Missing version')
-  if (!recipe.source?.fileName) errors.push('Missing source file name')
-  if (!recipe.pages || recipe.pages.length === 0) errors.push('No pages in recipe')
+  const errors = checkRecipeSchema(recipe)
   
   // Validate each page
-  recipe.pages?.forEach((page, index) => {
-    if (page.transforms?.rotation && ![0, 90, 180, 270].includes(page.transforms.rotation)) {
-      errors.push(`Page ${index + 1}: Invalid rotation ${page.transforms.rotation}`)
-    }
-    if (page.transforms?.scale && (page.transforms.scale < 10 || page.transforms.scale > 500)) {
-      errors.push(`Page ${index + 1}: Invalid scale ${page.transforms.scale}`)
-    }
-    if (page.transforms?.crop) {
-      const crop = page.transforms.crop
-      if (crop.x < 0 || crop.y < 0 || crop.width <= 0 || crop.height <= 0) {
-        errors.push(`Page ${index + 1}: Invalid crop area`)
-      }
-      if (crop.x + crop.width > 1.01 || crop.y + crop.height > 1.01) {
-        errors.push(`Page ${index + 1}: Crop area exceeds bounds`)
-      }
+  const pages = Array.isArray(recipe?.pages) ? recipe.pages : []
+  pages.forEach((page, index) => {
+    const crop = page?.transforms?.crop
+    if (crop && (crop.x + crop.width > 1.01 || crop.y + crop.height > 1.01)) {
+      errors.push(`Page ${index + 1}: Crop area exceeds bounds`)
     }
   })
   
@@ -146,12 +152,25 @@ export function serializeRecipe(recipe) {
 
 /**
  * Parse recipe from JSON string
+ *
+ * Older versions are migrated, and the result must pass validateRecipe.
+ *
+ * @param {string} jsonString - Serialized recipe
+ * @returns {Object} Recipe in the current format
+ * @throws {RecipeError} When the JSON, version or contents are invalid
  */
 export function deserializeRecipe(jsonString) {
+  let parsed
   try {
-    return JSON.parse(jsonString)
+    parsed = JSON.parse(jsonString)
   } catch (e) {
-    console.error('Failed to parse recipe:', e)
-    return null
+    throw new RecipeError(`Recipe is not valid JSON (${e.message})`)
+  }
+
+  const recipe = migrateRecipe(parsed)
+  const { valid, errors } = validateRecipe(recipe)
+  if (!valid) {
+    throw new RecipeError('Invalid recipe', errors)
   }
+  return recipe
 }
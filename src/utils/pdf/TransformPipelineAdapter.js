@@ -2,7 +2,7 @@
  * TransformPipelineAdapter
  * 
  * Adapter layer that provides a clean interface for transformation operations.
- * This wraps the existing geometry.ts functions behind a pipeline pattern.
+ * This wraps the existing geometry.js functions behind a pipeline pattern.
  * 
  * DESIGN PRINCIPLE: This is for the DESKTOP PRINT ENGINE architecture.
  * The web app only provides VISUAL PREVIEW - the actual PDF transformation
@@ -0,0 +1,197 @@
+/**
+ * Booklet Imposition Utilities
+ *
+ * Reorders pages into printer spreads for saddle-stitch booklets. Each
+ * sheet holds four pages: two on the front, two on the back. Stacking the
+ * printed sheets of a signature and folding them in half gives the pages
+ * in reading order.
+ *
+ * Sheets are landscape and must be printed double-sided, flipping on the
+ * short edge.
+ */
+
+import { PDFDocument } from 'pdf-lib'
+import { Dimensions } from './geometry'
+import { fitPageInCell } from './nup'
+import { padToBookletPageCount } from '../pricing'
+
+export interface BookletSide {
+  left: number | null   // 1-based page number, null for a blank
+  right: number | null
+}
+
+export interface BookletSheet {
+  signature: number  // 1-based
+  sheet: number      // 1-based within the whole booklet
+  front: BookletSide
+  back: BookletSide
+}
+
+export interface BookletPlan {
+  pageCount: number        // pages in the document
+  paddedPageCount: number  // rounded up to a multiple of 4
+  blankPages: number
+  signatures: number
+  sheets: BookletSheet[]
+}
+
+/**
+ * Work out which pages go on each side of each sheet
+ *
+ * For a signature of n pages, sheet i carries n-2i and 2i+1 on the front
+ * and 2i+2 and n-2i-1 on the back (n, 1 / 2, n-1 / n-2, 3 / ...).
+ * Blanks pad the end of the document.
+ *
+ * @param pageCount - Number of pages in the document
+ * @param signatureSize - Pages per signature (multiple of 4), 0 for one signature
+ * @returns Sheets in printing order
+ */
+export const computeBookletPlan = (pageCount: number, signatureSize: number = 0): BookletPlan => {
+  const paddedPageCount = padToBookletPageCount(pageCount)
+  const perSignature = signatureSize > 0
+    ? Math.min(padToBookletPageCount(signatureSize), paddedPageCount)
+    : paddedPageCount
+
+  const pageOrBlank = (page: number) => (page <= pageCount ? page : null)
+  const sheets: BookletSheet[] = []
+  let signature = 0
+
+  for (let start = 0; start < paddedPageCount; start += perSignature) {
+    signature++
+    const size = Math.min(perSignature, paddedPageCount - start)
+
+    for (let i = 0; i < size / 4; i++) {
+      sheets.push({
+        signature,
+        sheet: sheets.length + 1,
+        front: {
+          left: pageOrBlank(start + size - 2 * i),
+          right: pageOrBlank(start + 2 * i + 1)
+        },
+        back: {
+          left: pageOrBlank(start + 2 * i + 2),
+          right: pageOrBlank(start + size - 2 * i - 1)
+        }
+      })
+    }
+  }
+
+  return {
+    pageCount,
+    paddedPageCount,
+    blankPages: paddedPageCount - pageCount,
+    signatures: signature,
+    sheets
+  }
+}
+
+/**
+ * Impose a PDF as a saddle-stitch booklet
+ *
+ * Produces two pages per sheet (front, then back) on landscape paper.
+ * Pages are embedded as Form XObjects, so vectors are preserved.
+ *
+ * @param srcDoc - Document with the booklet pages in reading order
+ * @param paperDims - Paper dimensions in points (either orientation)
+ * @param signatureSize - Pages per signature (multiple of 4), 0 for one signature
+ * @returns Imposed document and the plan used to build it
+ */
+export const imposeBooklet = async (
+  srcDoc: PDFDocument,
+  paperDims: Dimensions,
+  signatureSize: number = 0
+): Promise<{ pdfDoc: PDFDocument; plan: BookletPlan }> => {
+  const plan = computeBookletPlan(srcDoc.getPageCount(), signatureSize)
+  const outDoc = await PDFDocument.create()
+  const embeddedPages = await outDoc.embedPages(srcDoc.getPages())
+
+  const sheetWidth = Math.max(paperDims.width, paperDims.height)
+  const sheetHeight = Math.min(paperDims.width, paperDims.height)
+  const halfWidth = sheetWidth / 2
+
+  const drawSide = (side: BookletSide) => {
+    const page = outDoc.addPage([sheetWidth, sheetHeight])
+
+    const slots: [number | null, number][] = [[side.left, 0], [side.right, halfWidth]]
+    for (const [pageNumber, x] of slots) {
+      if (pageNumber === null) continue
+
+      const embedded = embeddedPages[pageNumber - 1]
+      const rect = fitPageInCell(
+        { x, y: 0, width: halfWidth, height: sheetHeight },
+        { width: embedded.width, height: embedded.height }
+      )
+
+      // Pages sit against the fold so spreads line up across the spine
+      const foldOffset = x === 0
+        ? halfWidth - (rect.x + rect.width)
+        : halfWidth - rect.x
+
+      page.drawPage(embedded, {
+        x: rect.x + foldOffset,
+        y: sheetHeight - rect.y - rect.height,
+        width: rect.width,
+        height: rect.height
+      })
+    }
+  }
+
+  for (const sheet of plan.sheets) {
+    drawSide(sheet.front)
+    drawSide(sheet.back)
+  }
+
+  return { pdfDoc: outDoc, plan }
+}
+
+/**
+ * Recover the pages of an imposed booklet
+ *
+ * Cuts each side at the fold and puts the halves back in reading order,
+ * so a booklet printed from imposeBooklet's output can be imposed again.
+ * Pages come back at half-sheet size and blanks are dropped.
+ *
+ * @param bookletDoc - Document produced by imposeBooklet
+ * @param pageCount - Number of pages the booklet was made from
+ * @param signatureSize - Pages per signature it was imposed with, 0 for one signature
+ * @returns Document with the booklet pages in reading order
+ */
+export const extractBookletPages = async (
+  bookletDoc: PDFDocument,
+  pageCount: number,
+  signatureSize: number = 0
+): Promise<PDFDocument> => {
+  const plan = computeBookletPlan(pageCount, signatureSize)
+  const sides = bookletDoc.getPages()
+  if (sides.length !== plan.sheets.length * 2) {
+    throw new Error(`A booklet of ${pageCount} pages has ${plan.sheets.length * 2} sides, the file has ${sides.length}`)
+  }
+
+  // Page number -> side index and half it was drawn on
+  const halves = new Map<number, { sideIndex: number; isLeft: boolean }>()
+  plan.sheets.forEach((sheet, i) => {
+    const slots: [BookletSide, number][] = [[sheet.front, i * 2], [sheet.back, i * 2 + 1]]
+    for (const [side, sideIndex] of slots) {
+      if (side.left !== null) halves.set(side.left, { sideIndex, isLeft: true })
+      if (side.right !== null) halves.set(side.right, { sideIndex, isLeft: false })
+    }
+  })
+
+  const outDoc = await PDFDocument.create()
+  for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+    const { sideIndex, isLeft } = halves.get(pageNumber)!
+    const side = sides[sideIndex]
+    const { width, height } = side.getSize()
+    const halfWidth = width / 2
+
+    const embedded = await outDoc.embedPage(side, {
+      left: isLeft ? 0 : halfWidth,
+      bottom: 0,
+      right: isLeft ? halfWidth : width,
+      top: height
+    })
+    outDoc.addPage([halfWidth, height]).drawPage(embedded, { x: 0, y: 0, width: halfWidth, height })
+  }
+
+  return outDoc
+}
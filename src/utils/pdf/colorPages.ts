@@ -0,0 +1,56 @@
+/**
+ * Per-page Color Utilities
+ *
+ * A B&W job can mark individual pages to print in color. The final PDF
+ * records each page's mode in its page dictionary (/PFColorMode) so the
+ * print side can route pages without the job record.
+ */
+
+import { PDFDocument, PDFName } from 'pdf-lib'
+import { ColorMode } from './filters'
+
+const COLOR_MODE_KEY = PDFName.of('PFColorMode')
+
+/**
+ * Resolve the color mode of one page
+ *
+ * @param pageNumber - 1-based page number in the original document
+ * @param colorMode - Job color mode
+ * @param colorPages - Pages printed in color when the job is B&W
+ * @returns Mode the page is printed in
+ */
+export const getPageColorMode = (
+  pageNumber: number,
+  colorMode: ColorMode,
+  colorPages: number[] = []
+): ColorMode => {
+  return colorMode === 'BW' && colorPages.includes(pageNumber) ? 'Color' : colorMode
+}
+
+/**
+ * Write a color mode flag on every page of a document
+ *
+ * @param pdfDoc - Document to flag
+ * @param pageModes - Mode for each page, in page order
+ */
+export const setPageColorFlags = (pdfDoc: PDFDocument, pageModes: ColorMode[]): void => {
+  pdfDoc.getPages().forEach((page, index) => {
+    const mode = pageModes[index]
+    if (mode) {
+      page.node.set(COLOR_MODE_KEY, PDFName.of(mode))
+    }
+  })
+}
+
+/**
+ * Read the color mode flags written by setPageColorFlags
+ *
+ * @param pdfDoc - Flagged document
+ * @returns Mode for each page, null where a page has no flag
+ */
+export const getPageColorFlags = (pdfDoc: PDFDocument): (ColorMode | null)[] => {
+  return pdfDoc.getPages().map(page => {
+    const value = page.node.get(COLOR_MODE_KEY)
+    return value instanceof PDFName ? (value.decodeText() as ColorMode) : null
+  })
+}
@@ -0,0 +1,85 @@
+/**
+ * Color Page Scanner
+ * Renders each page at low resolution and samples it for chroma to tell
+ * color pages from monochrome ones. Pages go through SequentialPageLoader
+ * one at a time, so large documents don't block the UI.
+ */
+
+import { loadPdfDocument } from './pdfjs'
+import { SequentialPageLoader } from './sequentialLoader.js'
+import { renderPage } from './rendering'
+import { measureColorContent, isColorContent } from './filters'
+
+// Low resolution is plenty to spot color and keeps memory flat
+const SCAN_SCALE = 0.3
+
+/**
+ * Scan a PDF for pages that contain color
+ *
+ * @param {File|Blob} file - PDF to scan
+ * @param {Object} options
+ * @param {number[]} [options.pageNumbers] - Pages to scan (defaults to all)
+ * @param {Function} [options.onProgress] - Called with (scanned, total)
+ * @returns {{ promise: Promise<Object>, abort: Function }} Scan handle.
+ *   The promise resolves to { colorPages, monochromePages, stats, aborted }.
+ */
+export function scanColorPages(file, { pageNumbers, onProgress } = {}) {
+  const loader = new SequentialPageLoader({
+    pagesPerMicroBatch: 1,
+    delayBetweenBatches: 16, // Yield a frame between pages
+    enableLogging: false
+  })
+  let aborted = false
+
+  const promise = (async () => {
+    const pdf = await loadPdfDocument({ data: await file.arrayBuffer() })
+
+    try {
+      const pages = pageNumbers || Array.from({ length: pdf.numPages }, (_, i) => i + 1)
+      const stats = new Map()
+
+      if (pages.length > 0 && !aborted) {
+        await new Promise(resolve => {
+          loader.queuePages(
+            pages,
+            async (pageNumber) => {
+              const rendered = await renderPage(pdf, pageNumber, undefined, {
+                scale: SCAN_SCALE,
+                skipThumbnail: true,
+                skipClone: true
+              })
+              if (!rendered) return null
+
+              const result = { pageNumber, ...measureColorContent(rendered.canvas) }
+              rendered.canvas.width = 0 // Release the bitmap right away
+              return result
+            },
+            (result) => {
+              stats.set(result.pageNumber, result)
+              onProgress?.(stats.size, pages.length)
+            },
+            resolve
+          )
+        })
+      }
+
+      const scanned = pages.filter(page => stats.has(page))
+      return {
+        colorPages: scanned.filter(page => isColorContent(stats.get(page))),
+        monochromePages: scanned.filter(page => !isColorContent(stats.get(page))),
+        stats: scanned.map(page => stats.get(page)),
+        aborted
+      }
+    } finally {
+      pdf.destroy()
+    }
+  })()
+
+  return {
+    promise,
+    abort: () => {
+      aborted = true
+      loader.abort()
+    }
+  }
+}
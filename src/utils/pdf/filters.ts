@@ -41,3 +41,68 @@ export const applyColorFilter = (canvas: HTMLCanvasElement, mode: ColorMode): HT
   
   return filtered
 }
+
+export interface ColorContentStats {
+  sampledPixels: number
+  colorPixels: number  // pixels with chroma above CHROMA_THRESHOLD
+  colorRatio: number   // colorPixels / sampledPixels
+  maxChroma: number    // 0-255
+}
+
+// Chroma (max - min channel) below this is treated as gray. Keeps
+// anti-aliasing and JPEG noise in B&W scans from counting as color.
+export const CHROMA_THRESHOLD = 32
+
+// Share of sampled pixels that must be colored for a page to count as
+// color - small enough to catch a colored logo or link
+export const MIN_COLOR_RATIO = 0.0005
+
+/**
+ * Measure how much color a rendered page contains
+ *
+ * @param canvas - Rendered page
+ * @param sampleStep - Sample every n-th pixel in each direction
+ * @returns Chroma statistics for the sampled pixels
+ */
+export const measureColorContent = (canvas: HTMLCanvasElement, sampleStep: number = 2): ColorContentStats => {
+  const empty = { sampledPixels: 0, colorPixels: 0, colorRatio: 0, maxChroma: 0 }
+  const ctx = canvas.getContext('2d')
+
+  if (!ctx || canvas.width === 0 || canvas.height === 0) {
+    return empty
+  }
+
+  const { data, width, height } = ctx.getImageData(0, 0, canvas.width, canvas.height)
+  let sampledPixels = 0
+  let colorPixels = 0
+  let maxChroma = 0
+
+  for (let y = 0; y < height; y += sampleStep) {
+    for (let x = 0; x < width; x += sampleStep) {
+      const i = (y * width + x) * 4
+      const r = data[i]
+      const g = data[i + 1]
+      const b = data[i + 2]
+      const chroma = Math.max(r, g, b) - Math.min(r, g, b)
+
+      sampledPixels++
+      if (chroma > CHROMA_THRESHOLD) colorPixels++
+      if (chroma > maxChroma) maxChroma = chroma
+    }
+  }
+
+  return {
+    sampledPixels,
+    colorPixels,
+    colorRatio: sampledPixels > 0 ? colorPixels / sampledPixels : 0,
+    maxChroma
+  }
+}
+
+/**
+ * Whether measured content should be printed in color
+ *
+ * @param stats - Result of measureColorContent
+ * @returns True if the page has more than a trace of color
+ */
+export const isColorContent = (stats: ColorContentStats): boolean => stats.colorRatio >= MIN_COLOR_RATIO
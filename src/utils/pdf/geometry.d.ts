@@ -0,0 +1,100 @@
+/**
+ * Types for geometry.js
+ */
+
+export interface Dimensions {
+  width: number
+  height: number
+}
+
+export interface CropArea {
+  x: number
+  y: number
+  width: number
+  height: number
+}
+
+export interface EditHistory {
+  cropArea?: CropArea | null
+  rotation?: number
+  scale?: number
+  offsetX?: number
+  offsetY?: number
+}
+
+export interface SourceRect {
+  x: number
+  y: number
+  width: number
+  height: number
+}
+
+export interface GeometricTransform {
+  sourceRect: SourceRect
+  scaleToFit: number
+  finalScale: number
+  drawWidth: number
+  drawHeight: number
+  drawX: number
+  drawY: number
+  pdfDrawX: number
+  pdfDrawY: number
+  pdfRotation: number
+  offsetX: number
+  offsetY: number
+}
+
+/**
+ * Affine transformation matrix for combining all transformations
+ * [a, b, c, d, e, f] represents the PDF transformation matrix:
+ * | a  c  e |
+ * | b  d  f |
+ * | 0  0  1 |
+ */
+export interface AffineMatrix {
+  a: number  // horizontal scaling
+  b: number  // horizontal skewing
+  c: number  // vertical skewing
+  d: number  // vertical scaling
+  e: number  // horizontal translation
+  f: number  // vertical translation
+}
+
+export function remapCropBetweenRotations(crop: CropArea, oldRotation: number, newRotation: number): CropArea
+
+export function remapCropForRotation(crop: CropArea, rotation: number): CropArea
+
+export const buildGeometricTransform: (
+  originalDims: Dimensions,
+  targetDims: Dimensions,
+  editHistory?: EditHistory | null
+) => GeometricTransform
+
+export const calculateScaleToFit: (
+  sourceWidth: number,
+  sourceHeight: number,
+  targetWidth: number,
+  targetHeight: number,
+  rotation: number
+) => number
+
+export const normalizeRotation: (rotation: number) => number
+
+export const isRotated90or270: (rotation: number) => boolean
+
+export const normalizeEditHistory: (originalDims: Dimensions, editHistory?: EditHistory | null) => EditHistory
+
+export const buildAffineMatrix: (
+  centerX: number,
+  centerY: number,
+  rotation: number,
+  scale: number,
+  offsetX: number,
+  offsetY: number
+) => AffineMatrix
+
+export const buildCanonicalTransform: (
+  originalDims: Dimensions,
+  targetDims: Dimensions,
+  editHistory?: EditHistory | null
+) => GeometricTransform & { affineMatrix: AffineMatrix }
@@ -6,66 +6,11 @@
  * canvas rendering and PDF export.
  * 
  * DESIGN PRINCIPLE: Zero rasterization - all transformations use metadata/vectors only
+ *
+ * Plain JavaScript, typed by geometry.d.ts, so the print engine
+ * (printEngine.js) can use it from Node as well.
  */
 
-export interface Dimensions {
-  width: number
-  height: number
-}
-
-export interface CropArea {
-  x: number
-  y: number
-  width: number
-  height: number
-}
-
-export interface EditHistory {
-  cropArea?: CropArea | null
-  rotation?: number
-  scale?: number
-  offsetX?: number
-  offsetY?: number
-}
-
-export interface SourceRect {
-  x: number
-  y: number
-  width: number
-  height: number
-}
-
-export interface GeometricTransform {
-  sourceRect: SourceRect
-  scaleToFit: number
-  finalScale: number
-  drawWidth: number
-  drawHeight: number
-  drawX: number
-  drawY: number
-  pdfDrawX: number
-  pdfDrawY: number
-  pdfRotation: number
-  offsetX: number
-  offsetY: number
-}
-
-/**
- * Affine transformation matrix for combining all transformations
- * [a, b, c, d, e, f] represents the PDF transformation matrix:
- * | a  c  e |
- * | b  d  f |
- * | 0  0  1 |
- */
-export interface AffineMatrix {
-  a: number  // horizontal scaling
-  b: number  // horizontal skewing
-  c: number  // vertical skewing
-  d: number  // vertical scaling
-  e: number  // horizontal translation
-  f: number  // vertical translation
-}
-
 /**
  * CRITICAL: Remap crop coordinates between two different rotation spaces
  * 
@@ -85,7 +30,7 @@ export interface AffineMatrix {
  * Forward transform: Convert crop from original page space to rotated canvas space
  * This is the mathematical inverse of remapCropForRotation (which does rotated→original)
  */
-function forwardMapCropToRotation(crop: CropArea, rotation: number): CropArea {
+function forwardMapCropToRotation(crop, rotation) {
   const normalizedRotation = ((rotation % 360) + 360) % 360
   const rotationCase = Math.round(normalizedRotation / 90) * 90
   
@@ -136,10 +81,10 @@ function forwardMapCropToRotation(crop: CropArea, rotation: number): CropArea {
 }
 
 export function remapCropBetweenRotations(
-  crop: CropArea, 
-  oldRotation: number, 
-  newRotation: number
-): CropArea {
+  crop, 
+  oldRotation, 
+  newRotation
+) {
   // Step 1: Convert crop from old rotation space → original page space (inverse)
   const cropInOriginalSpace = remapCropForRotation(crop, oldRotation)
   
@@ -163,7 +108,7 @@ export function remapCropBetweenRotations(
  * @param rotation - Rotation angle in degrees (will be normalized to 0/90/180/270)
  * @returns Crop rectangle in original page space (normalized 0-1)
  */
-export function remapCropForRotation(crop: CropArea, rotation: number): CropArea {
+export function remapCropForRotation(crop, rotation) {
   // Normalize rotation to 0/90/180/270 range
   const normalizedRotation = ((rotation % 360) + 360) % 360
   const rotationCase = Math.round(normalizedRotation / 90) * 90
@@ -230,14 +175,14 @@ export function remapCropForRotation(crop: CropArea, rotation: number): CropArea
  * @returns Transformation parameters for rendering and export
  */
 export const buildGeometricTransform = (
-  originalDims: Dimensions,
-  targetDims: Dimensions,
-  editHistory?: EditHistory | null
-): GeometricTransform => {
+  originalDims,
+  targetDims,
+  editHistory
+) => {
   const { cropArea, rotation = 0, scale = 100, offsetX = 0, offsetY = 0 } = editHistory || {}
   
   // Step 1: Determine source rectangle (crop region in original page coordinates)
-  let sourceRect: SourceRect = {
+  let sourceRect = {
     x: 0,
     y: 0,
     width: originalDims.width,
@@ -273,7 +218,7 @@ export const buildGeometricTransform = (
   const normalizedRotation = ((rotation % 360) + 360) % 360
   const isRotated90or270 = normalizedRotation === 90 || normalizedRotation === 270
   
-  let scaleToFit: number
+  let scaleToFit
   if (rotation !== 0) {
     // ROTATION: Auto-scale to fit rotated content in page
     if (isRotated90or270) {
@@ -351,12 +296,12 @@ export const buildGeometricTransform = (
  * @returns Scale factor to fit content in target
  */
 export const calculateScaleToFit = (
-  sourceWidth: number,
-  sourceHeight: number,
-  targetWidth: number,
-  targetHeight: number,
-  rotation: number
-): number => {
+  sourceWidth,
+  sourceHeight,
+  targetWidth,
+  targetHeight,
+  rotation
+) => {
   const normalizedRotation = ((rotation % 360) + 360) % 360
   const isRotated90or270 = normalizedRotation === 90 || normalizedRotation === 270
   
@@ -379,7 +324,7 @@ export const calculateScaleToFit = (
  * @param rotation - Rotation angle in degrees (can be negative)
  * @returns Normalized rotation (0-359)
  */
-export const normalizeRotation = (rotation: number): number => {
+export const normalizeRotation = (rotation) => {
   return ((rotation % 360) + 360) % 360
 }
 
@@ -389,7 +334,7 @@ export const normalizeRotation = (rotation: number): number => {
  * @param rotation - Rotation angle in degrees
  * @returns True if rotation is 90 or 270 degrees
  */
-export const isRotated90or270 = (rotation: number): boolean => {
+export const isRotated90or270 = (rotation) => {
   const normalized = normalizeRotation(rotation)
   return normalized === 90 || normalized === 270
 }
@@ -413,9 +358,9 @@ export const isRotated90or270 = (rotation: number): boolean => {
  * @returns Validated and normalized crop area
  */
 export const normalizeEditHistory = (
-  originalDims: Dimensions,
-  editHistory?: EditHistory | null
-): EditHistory => {
+  originalDims,
+  editHistory
+) => {
   if (!editHistory) {
     return {
       cropArea: null,
@@ -427,7 +372,7 @@ export const normalizeEditHistory = (
   }
 
   // 1. NORMALIZE CROP AREA
-  let normalizedCropArea: CropArea | null = null
+  let normalizedCropArea = null
   
   if (editHistory.cropArea) {
     const crop = editHistory.cropArea
@@ -557,13 +502,13 @@ export const normalizeEditHistory = (
  * @returns Affine transformation matrix
  */
 export const buildAffineMatrix = (
-  centerX: number,
-  centerY: number,
-  rotation: number,
-  scale: number,
-  offsetX: number,
-  offsetY: number
-): AffineMatrix => {
+  centerX,
+  centerY,
+  rotation,
+  scale,
+  offsetX,
+  offsetY
+) => {
   // Convert rotation to radians (PDF uses counter-clockwise)
   const radians = (-rotation * Math.PI) / 180
   const cos = Math.cos(radians)
@@ -615,10 +560,10 @@ export const buildAffineMatrix = (
  * @returns Validated transformation with affine matrix
  */
 export const buildCanonicalTransform = (
-  originalDims: Dimensions,
-  targetDims: Dimensions,
-  editHistory?: EditHistory | null
-): GeometricTransform & { affineMatrix: AffineMatrix } => {
+  originalDims,
+  targetDims,
+  editHistory
+) => {
   // Step 1: Normalize and validate all edit parameters
   const normalized = normalizeEditHistory(originalDims, editHistory)
   
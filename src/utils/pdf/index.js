@@ -9,3 +9,9 @@ export * from './filters'
 export * from './geometry'
 export * from './grid'
 export * from './rendering'
+export * from './vectorExport'
+export * from './nup'
+export * from './booklet'
+export * from './merge'
+export * from './colorPages'
+export { scanColorPages } from './colorScanner.js'
@@ -0,0 +1,106 @@
+/**
+ * Document Merging Utilities
+ *
+ * An order can combine several documents (PDFs, Word files and images,
+ * each already converted to PDF) into one job. The documents are merged
+ * into a single PDF in list order, so merged page numbers run on from one
+ * document to the next.
+ */
+
+import { PDFDocument } from 'pdf-lib'
+
+export interface MergeDocument {
+  id: string
+  file: Blob        // PDF
+  pageCount: number
+}
+
+/**
+ * Number of merged pages before each document
+ *
+ * @param documents - Documents in merge order
+ * @returns Offsets, e.g. page counts [3, 5, 1] give [0, 3, 8]
+ */
+export const getDocumentOffsets = (documents: Pick<MergeDocument, 'pageCount'>[]): number[] => {
+  const offsets: number[] = []
+  let total = 0
+
+  for (const document of documents) {
+    offsets.push(total)
+    total += document.pageCount
+  }
+
+  return offsets
+}
+
+/**
+ * Merged page numbers of some of the documents
+ *
+ * @param documents - Documents in merge order
+ * @param documentIds - Documents to list the pages of
+ * @returns Merged page numbers, ascending
+ */
+export const getDocumentPageNumbers = (documents: MergeDocument[], documentIds: string[]): number[] => {
+  const offsets = getDocumentOffsets(documents)
+
+  return documents.flatMap((document, index) => (
+    documentIds.includes(document.id)
+      ? Array.from({ length: document.pageCount }, (_, i) => offsets[index] + i + 1)
+      : []
+  ))
+}
+
+/**
+ * Carry merged page numbers over to a new document list (after documents
+ * were added, removed or reordered). Pages of removed documents are dropped;
+ * the rest keep their order.
+ *
+ * @param pageNumbers - Merged page numbers in the old list
+ * @param fromDocuments - Old document list
+ * @param toDocuments - New document list
+ * @returns Merged page numbers in the new list
+ */
+export const remapDocumentPages = (
+  pageNumbers: number[],
+  fromDocuments: MergeDocument[],
+  toDocuments: MergeDocument[]
+): number[] => {
+  const fromOffsets = getDocumentOffsets(fromDocuments)
+  const toOffsets = getDocumentOffsets(toDocuments)
+  const toIndex = new Map(toDocuments.map((document, index) => [document.id, index]))
+  const result: number[] = []
+
+  for (const pageNumber of pageNumbers) {
+    const fromIndex = fromDocuments.findIndex((document, index) => (
+      pageNumber > fromOffsets[index] && pageNumber <= fromOffsets[index] + document.pageCount
+    ))
+    if (fromIndex === -1) continue
+
+    const targetIndex = toIndex.get(fromDocuments[fromIndex].id)
+    if (targetIndex === undefined) continue
+
+    result.push(toOffsets[targetIndex] + pageNumber - fromOffsets[fromIndex])
+  }
+
+  return result
+}
+
+/**
+ * Merge documents into one PDF, in list order
+ *
+ * @param documents - Documents to merge
+ * @param filename - Name of the merged file
+ * @returns Merged PDF file
+ */
+export const mergeDocumentFiles = async (documents: MergeDocument[], filename: string): Promise<File> => {
+  const mergedDoc = await PDFDocument.create()
+
+  for (const document of documents) {
+    const sourceDoc = await PDFDocument.load(await document.file.arrayBuffer())
+    const pages = await mergedDoc.copyPages(sourceDoc, sourceDoc.getPageIndices())
+    pages.forEach(page => mergedDoc.addPage(page))
+  }
+
+  const bytes = await mergedDoc.save()
+  return new File([new Uint8Array(bytes)], filename, { type: 'application/pdf' })
+}
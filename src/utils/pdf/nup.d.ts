@@ -0,0 +1,72 @@
+/**
+ * Types for nup.js
+ */
+
+import type { PDFDocument } from 'pdf-lib'
+import type { Dimensions } from './geometry'
+
+export type NupPagesPerSheet = 1 | 2 | 4 | 6 | 8 | 9 | 16
+
+/**
+ * Reading order of pages on a sheet
+ * - horizontal: left → right, then top → bottom
+ * - vertical: top → bottom, then left → right
+ * - rtl: right → left, then top → bottom
+ */
+export type NupOrder = 'horizontal' | 'vertical' | 'rtl'
+
+export interface NupOptions {
+  order: NupOrder
+  gutter: number      // mm between cells
+  margin: number      // mm around the sheet edge
+  border: boolean     // draw a thin border around each cell
+  autoRotate: boolean // turn the sheet to landscape when pages fit better
+}
+
+export interface NupCell {
+  x: number
+  y: number
+  width: number
+  height: number
+}
+
+export interface NupLayout {
+  pagesPerSheet: NupPagesPerSheet
+  rows: number
+  cols: number
+  landscape: boolean
+  sheetWidth: number
+  sheetHeight: number
+  margin: number    // sheet units
+  gutter: number    // sheet units
+  cells: NupCell[]  // in reading order
+}
+
+export const NUP_PAGES_PER_SHEET: NupPagesPerSheet[]
+
+export const NUP_ORDERS: NupOrder[]
+
+export const DEFAULT_NUP_OPTIONS: NupOptions
+
+export const isNupPagesPerSheet: (value: unknown) => value is NupPagesPerSheet
+
+export const normalizeNupOptions: (options?: Partial<NupOptions> | null) => NupOptions
+
+export const getCellPosition: (index: number, rows: number, cols: number, order: NupOrder) => { row: number; col: number }
+
+export const fitPageInCell: (cell: NupCell, pageDims: Dimensions) => NupCell
+
+export const computeNupLayout: (
+  pagesPerSheet: NupPagesPerSheet,
+  paperDims: Dimensions,
+  pageDims: Dimensions,
+  options?: Partial<NupOptions> | null,
+  unitsPerPoint?: number
+) => NupLayout
+
+export const imposeNup: (
+  srcDoc: PDFDocument,
+  pagesPerSheet: NupPagesPerSheet,
+  paperDims: Dimensions,
+  options?: Partial<NupOptions> | null
+) => Promise<PDFDocument>
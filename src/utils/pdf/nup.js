@@ -0,0 +1,268 @@
+/**
+ * N-up Layout Utilities
+ *
+ * Pure functions for placing several pages on one sheet (2, 4, 6, 8, 9
+ * or 16-up), shared by the canvas previews and the pdf-lib export so
+ * both produce the same layout.
+ *
+ * Layouts use a top-left origin in the sheet's own units (PDF points for
+ * export, pixels for previews). Gutters and margins are given in mm.
+ *
+ * Plain JavaScript, typed by nup.d.ts, so the print engine (printEngine.js)
+ * lays out sheets with it from Node as well.
+ */
+
+import { PDFDocument, rgb } from 'pdf-lib'
+
+export const NUP_PAGES_PER_SHEET = [1, 2, 4, 6, 8, 9, 16]
+
+export const NUP_ORDERS = ['horizontal', 'vertical', 'rtl']
+
+export const DEFAULT_NUP_OPTIONS = {
+  order: 'horizontal',
+  gutter: 4,
+  margin: 5,
+  border: false,
+  autoRotate: true
+}
+
+// Grid on a portrait sheet. Auto-rotate also tries the transposed grid on
+// a landscape sheet (e.g. 2-up becomes two portrait pages side by side).
+const NUP_GRIDS = {
+  1: { rows: 1, cols: 1 },
+  2: { rows: 2, cols: 1 },
+  4: { rows: 2, cols: 2 },
+  6: { rows: 3, cols: 2 },
+  8: { rows: 4, cols: 2 },
+  9: { rows: 3, cols: 3 },
+  16: { rows: 4, cols: 4 }
+}
+
+const MM_TO_POINTS = 72 / 25.4
+
+// Gutter/margin can't eat more than this share of the sheet
+const MAX_SPACING_RATIO = 0.25
+
+/**
+ * Check whether a value is a supported pages-per-sheet count
+ *
+ * @param value - Value to check
+ * @returns True for 1, 2, 4, 6, 8, 9 or 16
+ */
+export const isNupPagesPerSheet = (value) => {
+  return NUP_PAGES_PER_SHEET.includes(value)
+}
+
+/**
+ * Fill in missing options and clamp invalid ones
+ *
+ * @param options - Partial options (e.g. from a saved job)
+ * @returns Complete, valid options
+ */
+export const normalizeNupOptions = (options) => {
+  const merged = { ...DEFAULT_NUP_OPTIONS, ...(options || {}) }
+  const clampMm = (value, fallback) => {
+    const num = Number(value)
+    return Number.isFinite(num) ? Math.min(Math.max(num, 0), 30) : fallback
+  }
+
+  return {
+    order: NUP_ORDERS.includes(merged.order) ? merged.order : DEFAULT_NUP_OPTIONS.order,
+    gutter: clampMm(merged.gutter, DEFAULT_NUP_OPTIONS.gutter),
+    margin: clampMm(merged.margin, DEFAULT_NUP_OPTIONS.margin),
+    border: !!merged.border,
+    autoRotate: !!merged.autoRotate
+  }
+}
+
+/**
+ * Get grid position of the i-th page on a sheet
+ *
+ * @param index - Position of the page on the sheet (0-based)
+ * @param rows - Grid rows
+ * @param cols - Grid columns
+ * @param order - Reading order
+ * @returns Row and column of the cell
+ */
+export const getCellPosition = (
+  index,
+  rows,
+  cols,
+  order
+) => {
+  switch (order) {
+    case 'vertical':
+      return { row: index % rows, col: Math.floor(index / rows) }
+    case 'rtl':
+      return { row: Math.floor(index / cols), col: cols - 1 - (index % cols) }
+    default:
+      return { row: Math.floor(index / cols), col: index % cols }
+  }
+}
+
+const buildCells = (
+  rows,
+  cols,
+  sheet,
+  margin,
+  gutter,
+  order
+) => {
+  const cellWidth = (sheet.width - margin * 2 - gutter * (cols - 1)) / cols
+  const cellHeight = (sheet.height - margin * 2 - gutter * (rows - 1)) / rows
+
+  return Array.from({ length: rows * cols }, (_, i) => {
+    const { row, col } = getCellPosition(i, rows, cols, order)
+    return {
+      x: margin + col * (cellWidth + gutter),
+      y: margin + row * (cellHeight + gutter),
+      width: cellWidth,
+      height: cellHeight
+    }
+  })
+}
+
+/**
+ * Fit a page inside a cell, preserving aspect ratio and centering it
+ *
+ * @param cell - Target cell
+ * @param pageDims - Page dimensions (any units, only the ratio matters)
+ * @returns Drawing rectangle inside the cell
+ */
+export const fitPageInCell = (cell, pageDims) => {
+  const scale = Math.min(cell.width / pageDims.width, cell.height / pageDims.height)
+  const width = pageDims.width * scale
+  const height = pageDims.height * scale
+
+  return {
+    x: cell.x + (cell.width - width) / 2,
+    y: cell.y + (cell.height - height) / 2,
+    width,
+    height
+  }
+}
+
+/**
+ * Compute the N-up layout for a sheet
+ *
+ * With autoRotate, the portrait and landscape sheet (with the grid
+ * transposed to suit it) are compared and the one that prints pages
+ * larger wins. Ties keep the portrait sheet.
+ *
+ * @param pagesPerSheet - Pages per sheet
+ * @param paperDims - Paper dimensions in portrait orientation
+ * @param pageDims - Dimensions of the pages being placed
+ * @param options - N-up options
+ * @param unitsPerPoint - Sheet units per PDF point (1 for export, px/pt for previews)
+ * @returns Sheet orientation and cell rectangles in reading order
+ */
+export const computeNupLayout = (
+  pagesPerSheet,
+  paperDims,
+  pageDims,
+  options,
+  unitsPerPoint = 1
+) => {
+  const opts = normalizeNupOptions(options)
+  const grid = NUP_GRIDS[pagesPerSheet] || NUP_GRIDS[1]
+
+  const portrait = {
+    width: Math.min(paperDims.width, paperDims.height),
+    height: Math.max(paperDims.width, paperDims.height)
+  }
+  const landscape = { width: portrait.height, height: portrait.width }
+
+  const maxSpacing = portrait.width * MAX_SPACING_RATIO
+  const margin = Math.min(opts.margin * MM_TO_POINTS * unitsPerPoint, maxSpacing)
+  const gutter = pagesPerSheet === 1 ? 0 : Math.min(opts.gutter * MM_TO_POINTS * unitsPerPoint, maxSpacing)
+
+  const candidates = [{ sheet: portrait, rows: grid.rows, cols: grid.cols, landscape: false }]
+  if (opts.autoRotate && pagesPerSheet !== 1) {
+    candidates.push({ sheet: landscape, rows: grid.cols, cols: grid.rows, landscape: true })
+  }
+
+  let best = null
+  let bestScale = -Infinity
+
+  for (const candidate of candidates) {
+    const cells = buildCells(candidate.rows, candidate.cols, candidate.sheet, margin, gutter, opts.order)
+    const fitted = fitPageInCell(cells[0], pageDims)
+    const scale = fitted.width / pageDims.width
+
+    if (scale > bestScale + 1e-6) {
+      bestScale = scale
+      best = {
+        pagesPerSheet,
+        rows: candidate.rows,
+        cols: candidate.cols,
+        landscape: candidate.landscape,
+        sheetWidth: candidate.sheet.width,
+        sheetHeight: candidate.sheet.height,
+        margin,
+        gutter,
+        cells
+      }
+    }
+  }
+
+  return best
+}
+
+/**
+ * Impose a PDF onto N-up sheets
+ *
+ * Pages are embedded as Form XObjects, so vectors are preserved. The sheet
+ * orientation is chosen once from the first page so all sheets match.
+ *
+ * @param srcDoc - Document with one page per printed page, in order
+ * @param pagesPerSheet - Pages per sheet
+ * @param paperDims - Paper dimensions in points (portrait)
+ * @param options - N-up options
+ * @returns New document with one page per sheet
+ */
+export const imposeNup = async (
+  srcDoc,
+  pagesPerSheet,
+  paperDims,
+  options
+) => {
+  const opts = normalizeNupOptions(options)
+  const outDoc = await PDFDocument.create()
+  const srcPages = srcDoc.getPages()
+
+  if (srcPages.length === 0) return outDoc
+
+  const layout = computeNupLayout(pagesPerSheet, paperDims, srcPages[0].getSize(), opts)
+  const embeddedPages = await outDoc.embedPages(srcPages)
+
+  for (let start = 0; start < embeddedPages.length; start += pagesPerSheet) {
+    const sheet = outDoc.addPage([layout.sheetWidth, layout.sheetHeight])
+    const sheetPages = embeddedPages.slice(start, start + pagesPerSheet)
+
+    sheetPages.forEach((embedded, i) => {
+      const cell = layout.cells[i]
+      const rect = fitPageInCell(cell, { width: embedded.width, height: embedded.height })
+
+      // Layout is top-left based, PDF is bottom-left
+      sheet.drawPage(embedded, {
+        x: rect.x,
+        y: layout.sheetHeight - rect.y - rect.height,
+        width: rect.width,
+        height: rect.height
+      })
+
+      if (opts.border) {
+        sheet.drawRectangle({
+          x: cell.x,
+          y: layout.sheetHeight - cell.y - cell.height,
+          width: cell.width,
+          height: cell.height,
+          borderColor: rgb(0.6, 0.6, 0.6),
+          borderWidth: 0.5
+        })
+      }
+    })
+  }
+
+  return outDoc
+}
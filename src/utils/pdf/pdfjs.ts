@@ -0,0 +1,86 @@
+/**
+ * pdf.js Setup
+ *
+ * Single entry point for pdf.js. Every loader uses the worker bundled with
+ * the app (no CDN), so PDFs render offline and in the desktop app. If a
+ * worker can't be started (blocked by CSP, unsupported, file:// quirks),
+ * parsing falls back to the main thread.
+ */
+
+import * as pdfjsLib from 'pdfjs-dist/legacy/build/pdf'
+import type { PDFDocumentProxy } from 'pdfjs-dist'
+import pdfWorkerUrl from 'pdfjs-dist/legacy/build/pdf.worker.min.js?url'
+
+type DocumentSource = Parameters<typeof pdfjsLib.getDocument>[0]
+
+pdfjsLib.GlobalWorkerOptions.workerSrc = pdfWorkerUrl
+
+// A worker that hasn't reported in by then is treated as failed
+const WORKER_PROBE_TIMEOUT_MS = 10000
+
+let workerReady: Promise<boolean> | null = null
+
+/**
+ * Start the bundled worker once and wait for its "ready" message
+ */
+const probeWorker = (): Promise<boolean> => new Promise(resolve => {
+  if (typeof Worker === 'undefined') {
+    resolve(false)
+    return
+  }
+
+  try {
+    const worker = new Worker(pdfWorkerUrl)
+    const finish = (ok: boolean) => {
+      clearTimeout(timer)
+      worker.terminate()
+      resolve(ok)
+    }
+    const timer = setTimeout(() => finish(false), WORKER_PROBE_TIMEOUT_MS)
+    worker.addEventListener('message', () => finish(true), { once: true })
+    worker.addEventListener('error', () => finish(false), { once: true })
+  } catch {
+    resolve(false)
+  }
+})
+
+/**
+ * Run pdf.js parsing on the main thread. pdf.js picks up a global
+ * pdfjsWorker and skips creating web workers from then on.
+ */
+const enableMainThreadParsing = async (): Promise<void> => {
+  // UMD script - the handler is a named export or on the CommonJS default, depending on the bundler
+  const workerModule = await import('pdfjs-dist/legacy/build/pdf.worker.js')
+  const globals = globalThis as typeof globalThis & { pdfjsWorker?: { WorkerMessageHandler: unknown } }
+  globals.pdfjsWorker = {
+    WorkerMessageHandler: workerModule.WorkerMessageHandler || workerModule.default?.WorkerMessageHandler
+  }
+}
+
+/**
+ * Make sure pdf.js can parse documents: the bundled worker when it starts,
+ * main-thread parsing otherwise
+ * @returns True when documents are parsed in a web worker
+ */
+export const preparePdfjs = (): Promise<boolean> => {
+  if (!workerReady) {
+    workerReady = probeWorker().then(async (ok) => {
+      if (!ok) {
+        console.warn('⚠️ pdf.js worker unavailable - parsing PDFs on the main thread')
+        await enableMainThreadParsing()
+      }
+      return ok
+    })
+  }
+  return workerReady
+}
+
+/**
+ * Load a PDF with pdf.js (use instead of pdfjsLib.getDocument)
+ */
+export const loadPdfDocument = async (source: DocumentSource): Promise<PDFDocumentProxy> => {
+  await preparePdfjs()
+  return pdfjsLib.getDocument(source).promise
+}
+
+export { pdfjsLib, pdfWorkerUrl }
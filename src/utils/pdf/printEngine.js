@@ -0,0 +1,159 @@
+/**
+ * Recipe Print Engine
+ *
+ * Turns the original PDF plus a print recipe (RecipeExporter.js or
+ * RecipeService) into the print-ready PDF: page selection and order,
+ * per-page crop/rotate/scale/offset, grayscale and N-up. Uses pdf-lib
+ * only - no canvas or DOM - so it runs in Node (server/) as well as the
+ * browser and the desktop app.
+ *
+ * Pages are placed with addTransformedPage (vectorExport.js) and sheets
+ * laid out with imposeNup (nup.js), the helpers the browser preview and
+ * export use, so the output matches what the customer saw.
+ *
+ *   import { renderRecipe } from '../src/utils/pdf/printEngine.js'
+ *   const printReady = await renderRecipe(originalBytes, recipe)
+ */
+
+import {
+  PDFDocument,
+  PDFName,
+  pushGraphicsState,
+  popGraphicsState,
+  setGraphicsState,
+  setFillingGrayscaleColor,
+  rectangle,
+  fill
+} from 'pdf-lib'
+import { getPageSize } from '../pageSizes.js'
+import { addTransformedPage, hasGeometricEdits } from './vectorExport.js'
+import { imposeNup, isNupPagesPerSheet } from './nup.js'
+import { validateRecipe } from './RecipeExporter.js'
+import { RecipeError, migrateRecipe } from './recipeSchema.js'
+
+// Same flag setPageColorFlags (colorPages.ts) writes
+const COLOR_MODE_KEY = PDFName.of('PFColorMode')
+
+const isGrayscale = (colorMode) => colorMode === 'BW'
+
+/**
+ * A recipe page's transforms in the editor's edit history shape
+ *
+ * @param {Object} transforms - Recipe page transforms
+ * @returns {Object} Edit history for the geometry helpers
+ */
+export const toEditHistory = (transforms) => ({
+  cropArea: transforms?.crop || null,
+  rotation: transforms?.rotation || 0,
+  scale: transforms?.scale ?? 100,
+  offsetX: transforms?.offsetX || 0,
+  offsetY: transforms?.offsetY || 0
+})
+
+// pdf-lib's blend modes stop at the separable ones, so the graphics state
+// is written by hand. A gray fill in Saturation mode keeps the luminosity
+// of everything beneath it and drops its saturation: vector grayscale.
+const applyGrayscale = (doc, page) => {
+  const { width, height } = page.getSize()
+  const state = doc.context.obj({ Type: 'ExtGState', BM: 'Saturation' })
+  const stateName = page.node.newExtGState('GS', state)
+
+  page.pushOperators(
+    pushGraphicsState(),
+    setGraphicsState(stateName),
+    setFillingGrayscaleColor(0),
+    rectangle(0, 0, width, height),
+    fill(),
+    popGraphicsState()
+  )
+}
+
+const setColorFlag = (page, colorMode) => {
+  page.node.set(COLOR_MODE_KEY, PDFName.of(isGrayscale(colorMode) ? 'BW' : 'Color'))
+}
+
+/**
+ * Whether a job file is the whole original its recipe was made from, as
+ * left by an order whose selected pages never replaced it
+ *
+ * A file of selected pages has one page per recipe page. When the recipe
+ * prints as many pages as the original has, the two can't be told apart
+ * and the file is taken as already selected.
+ *
+ * @param {Object} sourceRecipe - Print recipe, of any version
+ * @param {number} filePageCount - Pages in the job file
+ * @returns {boolean}
+ */
+export const isRecipeSourceFile = (sourceRecipe, filePageCount) => {
+  const recipe = migrateRecipe(sourceRecipe)
+  return filePageCount === recipe.source.totalPages && filePageCount !== recipe.pages.length
+}
+
+/**
+ * Produce the print-ready PDF for a recipe
+ *
+ * Pages come out in recipe order, each with its transforms applied as a
+ * Form XObject (vectors stay vectors), grayscale where its color mode is BW,
+ * and flagged with /PFColorMode like the browser export. With
+ * pagesPerSheet > 1 they are then imposed on sheets of the recipe's paper.
+ * Copies and duplex are left to the printer.
+ *
+ * @param {Uint8Array|ArrayBuffer} pdfBytes - The original document
+ * @param {Object} sourceRecipe - Print recipe, of any version (see recipeSchema.js)
+ * @returns {Promise<Uint8Array>} Print-ready PDF
+ * @throws {RecipeError} When the recipe is invalid
+ */
+export const renderRecipe = async (pdfBytes, sourceRecipe) => {
+  const recipe = migrateRecipe(sourceRecipe)
+  const { valid, errors } = validateRecipe(recipe)
+  if (!valid) {
+    throw new RecipeError('Invalid recipe', errors)
+  }
+
+  const srcDoc = await PDFDocument.load(pdfBytes)
+  const pageCount = srcDoc.getPageCount()
+  const outOfRange = recipe.pages.filter(page => !(page.pageNumber >= 1 && page.pageNumber <= pageCount))
+  if (outOfRange.length > 0) {
+    throw new Error(`Recipe pages ${outOfRange.map(page => page.pageNumber).join(', ')} are not in the ${pageCount}-page document`)
+  }
+
+  const pagesDoc = await PDFDocument.create()
+  const jobColorMode = recipe.print?.colorMode
+  const pageModes = recipe.pages.map(page => page.colorMode || jobColorMode)
+
+  // Untouched pages are copied as they are
+  const untouched = recipe.pages.filter(page => !hasGeometricEdits(toEditHistory(page.transforms)))
+  const copies = await pagesDoc.copyPages(srcDoc, untouched.map(page => page.pageNumber - 1))
+  const copyFor = new Map(untouched.map((page, index) => [page, copies[index]]))
+
+  for (const [index, recipePage] of recipe.pages.entries()) {
+    let page
+    if (copyFor.has(recipePage)) {
+      page = pagesDoc.addPage(copyFor.get(recipePage))
+    } else {
+      page = await addTransformedPage(pagesDoc, srcDoc.getPage(recipePage.pageNumber - 1), toEditHistory(recipePage.transforms))
+    }
+
+    if (isGrayscale(pageModes[index])) {
+      applyGrayscale(pagesDoc, page)
+    }
+    setColorFlag(page, pageModes[index])
+  }
+
+  const pagesPerSheet = Number(recipe.print?.pagesPerSheet) || 1
+  if (pagesPerSheet > 1) {
+    if (!isNupPagesPerSheet(pagesPerSheet)) {
+      throw new Error(`Unsupported pages per sheet: ${pagesPerSheet}`)
+    }
+    const sheetsDoc = await imposeNup(pagesDoc, pagesPerSheet, getPageSize(recipe.print.paperSize?.toUpperCase()), recipe.print.nup)
+
+    // A sheet goes to the color printer when any of its pages is color
+    sheetsDoc.getPages().forEach((sheet, index) => {
+      const sheetModes = pageModes.slice(index * pagesPerSheet, (index + 1) * pagesPerSheet)
+      setColorFlag(sheet, sheetModes.every(isGrayscale) ? 'BW' : 'Color')
+    })
+    return sheetsDoc.save()
+  }
+
+  return pagesDoc.save()
+}
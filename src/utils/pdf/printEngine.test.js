@@ -0,0 +1,256 @@
+/**
+ * Print engine golden-file tests
+ *
+ * Renders fixed recipes against a generated source PDF and compares the
+ * placement of every printed page with golden/printEngine.json. Each page
+ * is also checked against the browser preview: the crop corners, placed the
+ * way PDFEditor draws them on the canvas, must land where the engine puts
+ * them. N-up sheets are checked against computeNupLayout, which the
+ * preview grid uses.
+ *
+ * Regenerate the golden file after an intended change with:
+ *   UPDATE_GOLDEN=1 npm test
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFileSync, writeFileSync } from 'node:fs'
+import { PDFArray, PDFDict, PDFDocument, PDFName, PDFRawStream, decodePDFRawStream, rgb } from 'pdf-lib'
+import { isRecipeSourceFile, renderRecipe, toEditHistory } from './printEngine.js'
+import { generatePrintRecipe } from './RecipeExporter.js'
+import { buildCanonicalTransform } from './geometry.js'
+import { computeNupLayout, fitPageInCell } from './nup.js'
+import { getPageSize } from '../pageSizes.js'
+
+const GOLDEN_URL = new URL('./golden/printEngine.json', import.meta.url)
+const TOLERANCE = 1e-6
+
+// A4 portrait, A4 landscape, Letter, A4 portrait
+const SOURCE_SIZES = [[595, 842], [842, 595], [612, 792], [595, 842]]
+
+const createSource = async () => {
+  const doc = await PDFDocument.create()
+  SOURCE_SIZES.forEach(([width, height], index) => {
+    const page = doc.addPage([width, height])
+    page.drawRectangle({ x: 20, y: 20, width: width - 40, height: height - 40, borderColor: rgb(0, 0, 0), borderWidth: 1 })
+    page.drawText(`Page ${index + 1}`, { x: 40, y: height - 60, size: 24, color: rgb(0.8, 0.1, 0.1) })
+  })
+  return doc.save({ useObjectStreams: false })
+}
+
+const recipeFor = ({ pages, printSettings }) => generatePrintRecipe({
+  file: { name: 'fixture.pdf', size: 1000, type: 'application/pdf' },
+  totalPages: SOURCE_SIZES.length,
+  pages: pages.map(({ pageNumber, editHistory }) => ({
+    pageNumber,
+    width: SOURCE_SIZES[pageNumber - 1][0],
+    height: SOURCE_SIZES[pageNumber - 1][1],
+    edited: !!editHistory,
+    editHistory
+  })),
+  printSettings: { paperSize: 'A4', colorMode: 'Color', ...printSettings },
+  shopId: 'shop-1'
+})
+
+const CASES = {
+  'selection-and-order': {
+    pages: [{ pageNumber: 3 }, { pageNumber: 1 }, { pageNumber: 4 }]
+  },
+  'crop': {
+    pages: [{ pageNumber: 1, editHistory: { cropArea: { x: 0.1, y: 0.2, width: 0.5, height: 0.4 } } }]
+  },
+  'rotate-90-crop': {
+    pages: [{ pageNumber: 1, editHistory: { rotation: 90, cropArea: { x: 0.05, y: 0.1, width: 0.6, height: 0.5 } } }]
+  },
+  'rotate-180-scale-offset': {
+    pages: [{ pageNumber: 3, editHistory: { rotation: 180, scale: 150, offsetX: 20, offsetY: -35 } }]
+  },
+  'rotate-270-landscape-crop': {
+    pages: [{ pageNumber: 2, editHistory: { rotation: 270, cropArea: { x: 0.25, y: 0, width: 0.5, height: 1 } } }]
+  },
+  'scale-offset': {
+    pages: [{ pageNumber: 4, editHistory: { scale: 80, offsetX: 40, offsetY: 60 } }]
+  },
+  'bw-with-color-page': {
+    pages: [{ pageNumber: 1, editHistory: { cropArea: { x: 0, y: 0, width: 1, height: 0.5 } } }, { pageNumber: 2 }],
+    printSettings: { colorMode: 'BW', colorPages: [2] }
+  },
+  'nup-4-rtl-border': {
+    pages: [1, 2, 3, 4, 1].map(pageNumber => ({ pageNumber })),
+    printSettings: { pagesPerSheet: 4, nup: { order: 'rtl', gutter: 4, margin: 5, border: true, autoRotate: true } }
+  },
+  'nup-2-auto-rotate': {
+    pages: [{ pageNumber: 1, editHistory: { rotation: 90 } }, { pageNumber: 4 }],
+    printSettings: { pagesPerSheet: 2, nup: { order: 'horizontal', gutter: 0, margin: 0, border: false, autoRotate: true } }
+  }
+}
+
+// --- Reading the output ----------------------------------------------------
+
+const multiply = (m, n) => [
+  m[0] * n[0] + m[1] * n[2],
+  m[0] * n[1] + m[1] * n[3],
+  m[2] * n[0] + m[3] * n[2],
+  m[2] * n[1] + m[3] * n[3],
+  m[4] * n[0] + m[5] * n[2] + n[4],
+  m[4] * n[1] + m[5] * n[3] + n[5]
+]
+
+const apply = (m, [x, y]) => [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]]
+
+const IDENTITY = [1, 0, 0, 1, 0, 0]
+
+const numbers = (array) => array.asArray().map(value => value.asNumber())
+
+const contentOf = (page) => {
+  const contents = page.node.Contents()
+  const streams = contents instanceof PDFArray
+    ? contents.asArray().map(ref => page.doc.context.lookup(ref, PDFRawStream))
+    : [contents]
+  return streams.map(stream => new TextDecoder().decode(decodePDFRawStream(stream).decode())).join('\n')
+}
+
+const TOKEN = /\/[^\s/[\]()<>]+|[-+]?(?:\d+\.?\d*|\.\d+)|[A-Za-z'"*]+|<[^>]*>|\([^)]*\)|\[|\]/g
+
+// Every XObject drawn on the page, with the CTM it was drawn under
+const drawsOf = (page) => {
+  const xObjects = page.node.Resources()?.lookupMaybe(PDFName.of('XObject'), PDFDict)
+  const draws = []
+  let ctm = IDENTITY
+  const stack = []
+  let operands = []
+
+  for (const token of contentOf(page).match(TOKEN) || []) {
+    if (/^[-+]?(\d|\.)/.test(token) || token.startsWith('/')) {
+      operands.push(token)
+      continue
+    }
+    if (token === 'q') stack.push(ctm)
+    if (token === 'Q') ctm = stack.pop()
+    if (token === 'cm') ctm = multiply(operands.slice(-6).map(Number), ctm)
+    if (token === 'Do') {
+      const form = xObjects.lookup(PDFName.of(operands[operands.length - 1].slice(1)), PDFRawStream)
+      const matrix = form.dict.lookupMaybe(PDFName.of('Matrix'), PDFArray)
+      draws.push({
+        bbox: numbers(form.dict.lookup(PDFName.of('BBox'), PDFArray)),
+        matrix: multiply(matrix ? numbers(matrix) : IDENTITY, ctm)
+      })
+    }
+    operands = []
+  }
+  return draws
+}
+
+const isGrayscaled = (page) => {
+  const states = page.node.Resources()?.lookupMaybe(PDFName.of('ExtGState'), PDFDict)
+  return !!states && states.values().some(state => {
+    return page.doc.context.lookup(state, PDFDict).get(PDFName.of('BM'))?.toString() === '/Saturation'
+  })
+}
+
+const round = (value) => Math.round(value * 1000) / 1000 || 0
+
+const describe = (doc) => doc.getPages().map(page => {
+  const { width, height } = page.getSize()
+  return {
+    size: [round(width), round(height)],
+    colorMode: page.node.get(PDFName.of('PFColorMode'))?.toString().slice(1) ?? null,
+    grayscale: isGrayscaled(page),
+    draws: drawsOf(page).map(({ bbox, matrix }) => ({ bbox: bbox.map(round), matrix: matrix.map(round) }))
+  }
+})
+
+// --- The browser preview ---------------------------------------------------
+
+// Where PDFEditor's canvas puts a point (u, v) of the crop, measured from
+// its top-left: translate(centre + offset), rotate clockwise, drawImage at
+// (drawX, drawY) scaled by finalScale. Returned in PDF space (Y up).
+const previewPoint = (transform, rotation, pageDims, [u, v]) => {
+  const angle = (rotation * Math.PI) / 180
+  const x = transform.drawX + u * transform.finalScale
+  const y = transform.drawY + v * transform.finalScale
+  const canvasX = pageDims.width / 2 + transform.offsetX + x * Math.cos(angle) - y * Math.sin(angle)
+  const canvasY = pageDims.height / 2 + transform.offsetY + x * Math.sin(angle) + y * Math.cos(angle)
+  return [canvasX, pageDims.height - canvasY]
+}
+
+const assertClose = (actual, expected, label) => {
+  actual.forEach((value, index) => {
+    assert.ok(Math.abs(value - expected[index]) < TOLERANCE, `${label}: expected ${expected}, got ${actual}`)
+  })
+}
+
+const assertMatchesPreview = (draw, recipePage) => {
+  const [width, height] = SOURCE_SIZES[recipePage.pageNumber - 1]
+  const pageDims = { width, height }
+  const transform = buildCanonicalTransform(pageDims, pageDims, toEditHistory(recipePage.transforms))
+  const [left, , , top] = draw.bbox
+  const { width: cropWidth, height: cropHeight } = transform.sourceRect
+
+  for (const corner of [[0, 0], [cropWidth, 0], [0, cropHeight], [cropWidth, cropHeight]]) {
+    const engine = apply(draw.matrix, [left + corner[0], top - corner[1]])
+    assertClose(engine, previewPoint(transform, recipePage.transforms.rotation, pageDims, corner), `page ${recipePage.pageNumber} corner ${corner}`)
+  }
+}
+
+const assertMatchesNupPreview = (sheets, pages, recipe) => {
+  const { pagesPerSheet, paperSize, nup } = recipe.print
+  const layout = computeNupLayout(pagesPerSheet, getPageSize(paperSize), pages[0].getSize(), nup)
+
+  sheets.forEach((sheet, sheetIndex) => {
+    assert.deepEqual(sheet.getSize(), { width: layout.sheetWidth, height: layout.sheetHeight })
+    drawsOf(sheet).forEach((draw, cellIndex) => {
+      const page = pages[sheetIndex * pagesPerSheet + cellIndex]
+      const rect = fitPageInCell(layout.cells[cellIndex], page.getSize())
+      const [left, bottom, right, top] = draw.bbox
+      assertClose(apply(draw.matrix, [left, top]), [rect.x, layout.sheetHeight - rect.y], `sheet ${sheetIndex + 1} cell ${cellIndex}`)
+      assertClose(apply(draw.matrix, [right, bottom]), [rect.x + rect.width, layout.sheetHeight - rect.y - rect.height], `sheet ${sheetIndex + 1} cell ${cellIndex}`)
+    })
+  })
+}
+
+// --- Tests -----------------------------------------------------------------
+
+const sourceBytes = await createSource()
+const golden = process.env.UPDATE_GOLDEN ? {} : JSON.parse(readFileSync(GOLDEN_URL, 'utf8'))
+const rendered = {}
+
+for (const [name, fixture] of Object.entries(CASES)) {
+  test(`renders ${name} like the preview`, async () => {
+    const recipe = recipeFor(fixture)
+    const output = await PDFDocument.load(await renderRecipe(sourceBytes, recipe))
+    rendered[name] = describe(output)
+
+    if (recipe.print.pagesPerSheet > 1) {
+      // The sheets hold the single pages the engine rendered first
+      const print = { ...recipe.print, pagesPerSheet: 1 }
+      delete print.nup
+      const pagesOnly = await PDFDocument.load(await renderRecipe(sourceBytes, { ...recipe, print }))
+      assertMatchesNupPreview(output.getPages(), pagesOnly.getPages(), recipe)
+    } else {
+      output.getPages().forEach((page, index) => {
+        const [draw] = drawsOf(page)
+        if (draw) assertMatchesPreview(draw, recipe.pages[index])
+      })
+    }
+
+    if (!process.env.UPDATE_GOLDEN) {
+      assert.deepEqual(rendered[name], golden[name])
+    }
+  })
+}
+
+test('tells a whole original from its selected pages', () => {
+  const selection = recipeFor(CASES['selection-and-order'])
+  assert.equal(isRecipeSourceFile(selection, SOURCE_SIZES.length), true)
+  assert.equal(isRecipeSourceFile(selection, selection.pages.length), false)
+
+  const everyPage = recipeFor(CASES['nup-4-rtl-border'])
+  assert.equal(isRecipeSourceFile(everyPage, SOURCE_SIZES.length), true)
+  const allPages = recipeFor({ pages: [4, 3, 2, 1].map(pageNumber => ({ pageNumber })) })
+  assert.equal(isRecipeSourceFile(allPages, SOURCE_SIZES.length), false)
+})
+
+test('writes the golden file', { skip: !process.env.UPDATE_GOLDEN }, () => {
+  writeFileSync(GOLDEN_URL, `${JSON.stringify(rendered, null, 2)}\n`)
+})
@@ -0,0 +1,304 @@
+/**
+ * Print Recipe Schema
+ *
+ * The one recipe format. RecipeExporter.js and RecipeService (pdf2) both
+ * produce it, orders store it in print_jobs.recipe, and printEngine.js
+ * renders it. Plain JS with no dependencies so the web app, the print server
+ * and the desktop app share it.
+ *
+ * Version 2.0:
+ * - colorMode is 'BW' or 'Color', for the job and for each page
+ * - quality is 'draft', 'normal' or 'high'
+ * - every field is required except print.nup (pagesPerSheet > 1) and
+ *   print.finishing (when finishing was ordered); unknown fields are errors
+ *
+ * Older recipes are brought up to date with migrateRecipe before they are
+ * validated - nothing reads them in their old shape.
+ */
+
+export const RECIPE_VERSION = '2.0'
+
+export const RECIPE_COLOR_MODES = ['BW', 'Color']
+export const RECIPE_QUALITIES = ['draft', 'normal', 'high']
+
+const NUMBER = { type: 'number' }
+
+const DIMENSIONS = {
+  type: 'object',
+  required: ['width', 'height'],
+  properties: {
+    width: { type: 'number', exclusiveMinimum: 0 },
+    height: { type: 'number', exclusiveMinimum: 0 }
+  },
+  additionalProperties: false
+}
+
+// Normalized (0-1) crop box, from the top-left of the page
+const CROP = {
+  type: ['object', 'null'],
+  required: ['x', 'y', 'width', 'height'],
+  properties: {
+    x: { type: 'number', minimum: 0, maximum: 1 },
+    y: { type: 'number', minimum: 0, maximum: 1 },
+    width: { type: 'number', exclusiveMinimum: 0, maximum: 1 },
+    height: { type: 'number', exclusiveMinimum: 0, maximum: 1 }
+  },
+  additionalProperties: false
+}
+
+/**
+ * JSON Schema (draft 2020-12) for a version 2.0 recipe
+ */
+export const RECIPE_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  title: 'Print recipe',
+  type: 'object',
+  required: ['version', 'type', 'generatedAt', 'source', 'print', 'pages', 'destination'],
+  properties: {
+    version: { const: RECIPE_VERSION },
+    type: { const: 'print_job' },
+    generatedAt: { type: 'string', format: 'date-time' },
+    source: {
+      type: 'object',
+      required: ['fileName', 'fileSize', 'fileType', 'totalPages'],
+      properties: {
+        fileName: { type: 'string', minLength: 1 },
+        fileSize: { type: 'integer', minimum: 0 },
+        fileType: { type: 'string' },
+        totalPages: { type: 'integer', minimum: 0 }
+      },
+      additionalProperties: false
+    },
+    print: {
+      type: 'object',
+      required: ['paperSize', 'colorMode', 'duplex', 'copies', 'pagesPerSheet', 'quality'],
+      properties: {
+        paperSize: { type: 'string', minLength: 1 },
+        colorMode: { enum: RECIPE_COLOR_MODES },
+        duplex: { type: 'boolean' },
+        copies: { type: 'integer', minimum: 1 },
+        pagesPerSheet: { enum: [1, 2, 4, 6, 8, 9, 16] },
+        nup: {
+          type: 'object',
+          required: ['order', 'gutter', 'margin', 'border', 'autoRotate'],
+          properties: {
+            order: { enum: ['horizontal', 'vertical', 'rtl'] },
+            gutter: { type: 'number', minimum: 0, maximum: 30 },
+            margin: { type: 'number', minimum: 0, maximum: 30 },
+            border: { type: 'boolean' },
+            autoRotate: { type: 'boolean' }
+          },
+          additionalProperties: false
+        },
+        finishing: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['kind', 'name'],
+            properties: {
+              kind: { type: 'string', minLength: 1 },
+              name: { type: 'string' }
+            },
+            additionalProperties: false
+          }
+        },
+        quality: { enum: RECIPE_QUALITIES }
+      },
+      additionalProperties: false
+    },
+    pages: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['pageNumber', 'colorMode', 'originalDimensions', 'transforms', 'hasEdits', 'isCropped', 'fitCropToPage'],
+        properties: {
+          pageNumber: { type: 'integer', minimum: 1 },
+          colorMode: { enum: RECIPE_COLOR_MODES },
+          originalDimensions: DIMENSIONS,
+          transforms: {
+            type: 'object',
+            required: ['rotation', 'scale', 'offsetX', 'offsetY', 'crop'],
+            properties: {
+              rotation: { enum: [0, 90, 180, 270] },
+              scale: { type: 'number', minimum: 10, maximum: 500 },
+              offsetX: NUMBER,
+              offsetY: NUMBER,
+              crop: CROP
+            },
+            additionalProperties: false
+          },
+          hasEdits: { type: 'boolean' },
+          isCropped: { type: 'boolean' },
+          fitCropToPage: { type: 'boolean' }
+        },
+        additionalProperties: false
+      }
+    },
+    destination: {
+      type: 'object',
+      required: ['shopId'],
+      properties: {
+        shopId: { type: ['string', 'null'] }
+      },
+      additionalProperties: false
+    }
+  },
+  additionalProperties: false
+}
+
+/**
+ * Raised for recipes that can't be read: bad JSON, an unknown version or
+ * a schema violation. `errors` lists every problem found.
+ */
+export class RecipeError extends Error {
+  constructor(message, errors = []) {
+    super(errors.length > 0 ? `${message}: ${errors.join('; ')}` : message)
+    this.name = 'RecipeError'
+    this.errors = errors
+  }
+}
+
+const typeOf = (value) => {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  return typeof value
+}
+
+const matchesType = (value, type) => {
+  if (type === 'integer') return Number.isInteger(value)
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value)
+  return typeOf(value) === type
+}
+
+const ISO_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/
+
+// Checks the keywords RECIPE_SCHEMA uses and nothing more
+const checkValue = (value, schema, path, errors) => {
+  const at = path || 'recipe'
+
+  if ('const' in schema && value !== schema.const) {
+    errors.push(`${at}: must be ${JSON.stringify(schema.const)}`)
+    return
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.join(', ')}`)
+    return
+  }
+  if (schema.type) {
+    const types = [].concat(schema.type)
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${at}: must be ${types.join(' or ')}`)
+      return
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: must be at least ${schema.minimum}`)
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: must be at most ${schema.maximum}`)
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push(`${at}: must be greater than ${schema.exclusiveMinimum}`)
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at}: must not be empty`)
+    if (schema.format === 'date-time' && !(ISO_DATE_TIME.test(value) && !Number.isNaN(Date.parse(value)))) {
+      errors.push(`${at}: must be an ISO date-time`)
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${at}: must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`)
+    }
+    if (schema.items) {
+      value.forEach((item, index) => checkValue(item, schema.items, `${at}[${index}]`, errors))
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {}
+    ;(schema.required || []).forEach(key => {
+      if (!(key in value)) errors.push(`${path ? `${path}.` : ''}${key}: is required`)
+    })
+    Object.entries(value).forEach(([key, child]) => {
+      const childPath = path ? `${path}.${key}` : key
+      if (properties[key]) {
+        checkValue(child, properties[key], childPath, errors)
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${childPath}: is not allowed`)
+      }
+    })
+  }
+}
+
+/**
+ * Check a recipe against RECIPE_SCHEMA
+ *
+ * @param {*} recipe - Recipe to check (already migrated)
+ * @returns {string[]} Problems found, as "path: message"; empty when valid
+ */
+export function checkRecipeSchema(recipe) {
+  const errors = []
+  checkValue(recipe, RECIPE_SCHEMA, '', errors)
+  return errors
+}
+
+const V1_QUALITIES = { draft: 'draft', standard: 'normal', high: 'high' }
+
+// v1 wrote 'BW'/'Color' but didn't check it; some callers passed 'bw'/'color'
+const toColorMode = (value) => (String(value || '').toUpperCase() === 'BW' ? 'BW' : 'Color')
+
+const normalizeRotation = (rotation) => (((Number(rotation) || 0) % 360) + 360) % 360
+
+// v1 pages had no color mode of their own - they print in the job's
+const migrateV1 = (recipe) => {
+  const jobColorMode = toColorMode(recipe.print?.colorMode)
+
+  return {
+    ...recipe,
+    version: '2.0',
+    print: {
+      ...recipe.print,
+      colorMode: jobColorMode,
+      quality: V1_QUALITIES[recipe.print?.quality] || 'normal'
+    },
+    pages: (recipe.pages || []).map(page => ({
+      ...page,
+      colorMode: page.colorMode == null ? jobColorMode : toColorMode(page.colorMode),
+      // v1 stored rotation as entered, e.g. -90 or 450
+      ...(page.transforms ? { transforms: { ...page.transforms, rotation: normalizeRotation(page.transforms.rotation) } } : {})
+    })),
+    destination: recipe.destination || { shopId: null }
+  }
+}
+
+// Each step takes a recipe of the key's version to the next version
+const MIGRATIONS = {
+  '1.0': migrateV1
+}
+
+/**
+ * Bring a recipe up to RECIPE_VERSION. Doesn't validate the result and
+ * doesn't change the recipe passed in.
+ *
+ * @param {Object} recipe - Recipe of any known version
+ * @returns {Object} The recipe in the current format
+ * @throws {RecipeError} When the recipe isn't an object or its version is unknown
+ */
+export function migrateRecipe(recipe) {
+  if (typeOf(recipe) !== 'object') {
+    throw new RecipeError('Recipe must be an object')
+  }
+
+  let current = recipe
+  while (current.version !== RECIPE_VERSION) {
+    const migrate = MIGRATIONS[current.version]
+    if (!migrate) {
+      throw new RecipeError(`Unsupported recipe version: ${current.version}`)
+    }
+    current = migrate(current)
+  }
+  return current
+}
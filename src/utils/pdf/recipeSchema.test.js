@@ -0,0 +1,64 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { RECIPE_VERSION, RecipeError, checkRecipeSchema, migrateRecipe } from './recipeSchema.js'
+
+const v1Page = (pageNumber, transforms = {}, extra = {}) => ({
+  pageNumber,
+  originalDimensions: { width: 595, height: 842 },
+  transforms: { rotation: 0, scale: 100, offsetX: 0, offsetY: 0, crop: null, ...transforms },
+  hasEdits: false,
+  isCropped: false,
+  fitCropToPage: false,
+  ...extra
+})
+
+// A 1.0 recipe as RecipeService wrote it: no page color modes, rotation as
+// entered in the editor and the old quality names
+const v1Recipe = (print = {}, pages = [v1Page(1), v1Page(2)]) => ({
+  version: '1.0',
+  type: 'print_job',
+  generatedAt: '2025-10-01T10:00:00.000Z',
+  source: { fileName: 'notes.pdf', fileSize: 2048, fileType: 'application/pdf', totalPages: 2 },
+  print: { paperSize: 'A4', colorMode: 'BW', duplex: false, copies: 1, pagesPerSheet: 1, quality: 'standard', ...print },
+  pages
+})
+
+test('v1 pages without a color mode print in the job color mode', () => {
+  const bw = migrateRecipe(v1Recipe({ colorMode: 'bw' }))
+  assert.equal(bw.print.colorMode, 'BW')
+  assert.deepEqual(bw.pages.map(page => page.colorMode), ['BW', 'BW'])
+
+  const color = migrateRecipe(v1Recipe({ colorMode: 'Color' }))
+  assert.deepEqual(color.pages.map(page => page.colorMode), ['Color', 'Color'])
+})
+
+test('v1 page color modes are kept', () => {
+  const recipe = migrateRecipe(v1Recipe({ colorMode: 'BW' }, [v1Page(1), v1Page(2, {}, { colorMode: 'color' })]))
+  assert.deepEqual(recipe.pages.map(page => page.colorMode), ['BW', 'Color'])
+})
+
+test('v1 rotations are normalized to 0-359', () => {
+  const rotations = [-90, 450, 360, -270, 180]
+  const recipe = migrateRecipe(v1Recipe({}, rotations.map((rotation, index) => v1Page(index + 1, { rotation }))))
+  assert.deepEqual(recipe.pages.map(page => page.transforms.rotation), [270, 90, 0, 90, 180])
+})
+
+test('migrated v1 recipes pass the current schema', () => {
+  const recipe = migrateRecipe(v1Recipe({}, [v1Page(1, { rotation: -90 }), v1Page(2)]))
+  assert.equal(recipe.version, RECIPE_VERSION)
+  assert.equal(recipe.print.quality, 'normal')
+  assert.deepEqual(recipe.destination, { shopId: null })
+  assert.deepEqual(checkRecipeSchema(recipe), [])
+})
+
+test('migration leaves the original recipe alone', () => {
+  const original = v1Recipe({}, [v1Page(1, { rotation: -90 })])
+  const copy = structuredClone(original)
+  migrateRecipe(original)
+  assert.deepEqual(original, copy)
+})
+
+test('unknown versions are refused', () => {
+  assert.throws(() => migrateRecipe({ ...v1Recipe(), version: '0.9' }), RecipeError)
+  assert.throws(() => migrateRecipe(null), RecipeError)
+})
@@ -0,0 +1,36 @@
+/**
+ * Types for vectorExport.js
+ */
+
+import type { PDFDocument, PDFPage, TransformationMatrix } from 'pdf-lib'
+import type { EditHistory, GeometricTransform, AffineMatrix } from './geometry'
+import type { ColorMode } from './filters'
+
+export interface PagePlacement {
+  matrix: TransformationMatrix
+  boundingBox: { left: number; bottom: number; right: number; top: number }
+  transform: GeometricTransform & { affineMatrix: AffineMatrix }
+}
+
+export const hasGeometricEdits: (editHistory?: EditHistory | null) => boolean
+
+export const needsRasterization: (colorMode?: ColorMode) => boolean
+
+export const buildPagePlacement: (
+  sourceBox: { x: number; y: number; width: number; height: number },
+  targetDims: { width: number; height: number },
+  editHistory?: EditHistory | null
+) => PagePlacement
+
+export const addTransformedPage: (
+  targetDoc: PDFDocument,
+  srcPage: PDFPage,
+  editHistory?: EditHistory | null,
+  insertAt?: number
+) => Promise<PDFPage>
+
+export const replaceWithTransformedPage: (
+  pdfDoc: PDFDocument,
+  pageIndex: number,
+  editHistory?: EditHistory | null
+) => Promise<PDFPage>
@@ -0,0 +1,144 @@
+/**
+ * Vector PDF Export
+ *
+ * Applies page edits (crop, rotation, scale, offset) as pdf-lib page
+ * operations instead of rendering the page to an image. The original page
+ * is embedded as a Form XObject whose /Matrix carries the full transform
+ * and whose /BBox is the crop region, so text and line art stay vectors.
+ *
+ * The placement is derived from buildCanonicalTransform, the same helper
+ * the canvas preview uses, so exported pages match what the user saw. The
+ * print engine (printEngine.js) places recipe pages with it too, which is
+ * why this is plain JavaScript (typed by vectorExport.d.ts).
+ */
+
+import { buildCanonicalTransform } from './geometry.js'
+
+/**
+ * Whether a page has any geometric edit that changes its content placement
+ *
+ * @param editHistory - User's edit settings
+ * @returns True if crop, rotation, scale or offset differ from the defaults
+ */
+export const hasGeometricEdits = (editHistory) => {
+  if (!editHistory) return false
+  const { cropArea, rotation = 0, scale = 100, offsetX = 0, offsetY = 0 } = editHistory
+  return !!cropArea || rotation % 360 !== 0 || scale !== 100 || offsetX !== 0 || offsetY !== 0
+}
+
+/**
+ * Whether an edited page has to be rasterized for export
+ *
+ * Geometry is always exported as vectors. Only the grayscale filter (B&W
+ * colour mode) has no pdf-lib equivalent and forces the canvas path.
+ *
+ * @param colorMode - Colour mode the page is rendered in
+ * @returns True if the page must be exported from its canvas
+ */
+export const needsRasterization = (colorMode) => colorMode === 'BW'
+
+/**
+ * Build the Form XObject matrix that places a source page on a target page
+ *
+ * Maps the centre of the crop region to the centre of the target page
+ * (plus user offset), scaled by finalScale and rotated clockwise by
+ * `rotation`, exactly like the canvas preview:
+ *   translate(center + offset) → rotate → scale → translate(-cropCenter)
+ *
+ * @param sourceBox - Source page media box (PDF coordinates)
+ * @param targetDims - Target page dimensions
+ * @param editHistory - User's edit settings
+ * @returns Matrix and crop bounding box in source page coordinates
+ */
+export const buildPagePlacement = (
+  sourceBox,
+  targetDims,
+  editHistory
+) => {
+  const transform = buildCanonicalTransform(
+    { width: sourceBox.width, height: sourceBox.height },
+    targetDims,
+    editHistory
+  )
+  const { sourceRect, affineMatrix } = transform
+
+  // sourceRect uses a top-left origin - convert it to PDF user space
+  const left = sourceBox.x + sourceRect.x
+  const bottom = sourceBox.y + sourceBox.height - sourceRect.y - sourceRect.height
+  const right = left + sourceRect.width
+  const top = bottom + sourceRect.height
+
+  const cropCenterX = (left + right) / 2
+  const cropCenterY = (bottom + top) / 2
+
+  // Rotation + scale come straight from the canonical affine matrix.
+  // Offsets are screen pixels (Y down), so Y is flipped for PDF space,
+  // matching pdfDrawY in buildGeometricTransform.
+  const { a, b, c, d } = affineMatrix
+  const targetX = targetDims.width / 2 + transform.offsetX
+  const targetY = targetDims.height / 2 - transform.offsetY
+
+  const matrix = [
+    a,
+    b,
+    c,
+    d,
+    targetX - (a * cropCenterX + c * cropCenterY),
+    targetY - (b * cropCenterX + d * cropCenterY)
+  ]
+
+  return {
+    matrix,
+    boundingBox: { left, bottom, right, top },
+    transform
+  }
+}
+
+/**
+ * Embed a source page with its edits applied and add it to a document
+ *
+ * @param targetDoc - Document that receives the new page
+ * @param srcPage - Original page (may belong to targetDoc or another document)
+ * @param editHistory - User's edit settings
+ * @param insertAt - Page index to insert at (appends when omitted)
+ * @returns The newly created page
+ */
+export const addTransformedPage = async (
+  targetDoc,
+  srcPage,
+  editHistory,
+  insertAt
+) => {
+  const { width, height } = srcPage.getSize()
+  const { matrix, boundingBox } = buildPagePlacement(srcPage.getMediaBox(), { width, height }, editHistory)
+
+  // The XObject's BBox clips to the crop region, its Matrix does the rest
+  const embeddedPage = await targetDoc.embedPage(srcPage, boundingBox, matrix)
+
+  const newPage = insertAt === undefined
+    ? targetDoc.addPage([width, height])
+    : targetDoc.insertPage(insertAt, [width, height])
+  newPage.setCropBox(0, 0, width, height)
+  newPage.drawPage(embeddedPage)
+
+  return newPage
+}
+
+/**
+ * Replace a page of a document in place with its edited version
+ *
+ * @param pdfDoc - Document to modify
+ * @param pageIndex - 0-based index of the page to replace
+ * @param editHistory - User's edit settings
+ * @returns The replacement page
+ */
+export const replaceWithTransformedPage = async (
+  pdfDoc,
+  pageIndex,
+  editHistory
+) => {
+  const srcPage = pdfDoc.getPage(pageIndex)
+  const newPage = await addTransformedPage(pdfDoc, srcPage, editHistory, pageIndex + 1)
+  pdfDoc.removePage(pageIndex)
+  return newPage
+}
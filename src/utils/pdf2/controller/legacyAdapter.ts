@@ -111,7 +111,7 @@ export class LegacyAdapter implements PdfController {
     const pages = this.ref?.pages || []
     
     return {
-      version: '1.0', // Legacy version
+      version: '2.0',
       type: 'print_job',
       generatedAt: new Date().toISOString(),
       source: {
@@ -122,7 +122,7 @@ export class LegacyAdapter implements PdfController {
       },
       print: {
         paperSize: 'A4',
-        colorMode: 'color',
+        colorMode: 'Color',
         duplex: false,
         copies: 1,
         pagesPerSheet: 1,
@@ -130,9 +130,10 @@ export class LegacyAdapter implements PdfController {
       },
       pages: pages.map(page => ({
         pageNumber: page.pageNumber,
+        colorMode: 'Color',
         originalDimensions: { width: page.width, height: page.height },
         transforms: page.editHistory ? {
-          crop: page.editHistory.crop,
+          crop: page.editHistory.crop || null,
           rotation: (page.editHistory.rotation as 0 | 90 | 180 | 270) || 0,
           scale: page.editHistory.scale || 100,
           offsetX: page.editHistory.offsetX || 0,
@@ -10,10 +10,14 @@ import {
   EditCommand,
   Recipe,
   PageMetadata,
-  ProgressCallback
+  ProgressCallback,
+  PagesPerSheet,
+  PageDimensions,
+  NupOptions
 } from '../types'
 import { MetadataStore } from '../state/metadataStore'
 import { EditOrchestrator } from '../edits/editOrchestrator'
+import { CommandHistory, HistoryEdit, HistoryEntry, HistoryState } from '../edits/commandHistory'
 import { ProgressBus } from '../services/progressBus'
 import { PageState } from '../services/pageState'
 import { SelectionState } from '../services/selectionState'
@@ -24,6 +28,7 @@ import { RecipeService } from '../services/recipeService'
 import { GridService } from '../services/gridService'
 import { UIStateManager } from '../ui/uiState'
 import { CanvasInteraction } from '../ui/canvasInteraction'
+import { normalizeNupOptions } from '../../pdf/nup'
 
 export interface ModernAdapterOptions {
   containerWidth?: number
@@ -49,6 +54,7 @@ export class ModernAdapter implements PdfController {
   private recipeService: RecipeService
   private gridService: GridService
   private editOrchestrator: EditOrchestrator
+  private commandHistory: CommandHistory
   private uiState: UIStateManager
   private canvasInteraction: CanvasInteraction
 
@@ -81,6 +87,7 @@ export class ModernAdapter implements PdfController {
     this.recipeService = new RecipeService(this.metadataStore, this.pageState)
     this.gridService = new GridService(this.pagePreviewService, this.pageState)
     this.editOrchestrator = new EditOrchestrator(this.metadataStore)
+    this.commandHistory = new CommandHistory(this.metadataStore, this.editOrchestrator)
     this.uiState = new UIStateManager()
     this.canvasInteraction = new CanvasInteraction()
   }
@@ -99,6 +106,7 @@ export class ModernAdapter implements PdfController {
 
       // Initialize page state
       this.pageState.init(result.pages, result.documentId)
+      this.commandHistory.clear()
 
       // Set source for recipe
       this.recipeService.setSource(file, result.totalPages)
@@ -142,6 +150,18 @@ export class ModernAdapter implements PdfController {
     return null
   }
 
+  /**
+   * Drop every cached render of a page after its transforms change
+   */
+  private invalidatePage(pageNum: number): void {
+    this.incrementPageVersion(pageNum)  // Prevents stale renders from writing to cache
+    this.previewCache.delete(pageNum)
+    this.pendingRenders.delete(pageNum)
+    this.pagePreviewService.clearPageCache(pageNum)
+    this.thumbnailService.invalidate(pageNum)
+    this.gridService.invalidateSheetsForPage(pageNum)
+  }
+
   /**
    * Get current version for a page
    */
@@ -258,18 +278,52 @@ export class ModernAdapter implements PdfController {
   }
 
   /**
-   * Apply edit to page
+   * Apply edit to page (recorded in the undo history)
    */
   applyEdit(pageNum: number, edit: EditCommand): void {
-    this.editOrchestrator.applyEdit(pageNum, edit)
+    this.commandHistory.apply(pageNum, edit)
+    this.invalidatePage(pageNum)
+  }
 
-    // Invalidate all caches for this page
-    this.incrementPageVersion(pageNum)  // Prevents stale renders from writing to cache
-    this.previewCache.delete(pageNum)
-    this.pendingRenders.delete(pageNum)
-    this.pagePreviewService.clearPageCache(pageNum)
-    this.thumbnailService.invalidate(pageNum)
-    this.gridService.invalidateSheetsForPage(pageNum)
+  /**
+   * Apply several edits as one undoable step (e.g. apply to all pages)
+   */
+  applyEdits(edits: HistoryEdit[], label?: string): HistoryEntry | null {
+    const entry = this.commandHistory.applyBatch(edits, label)
+    entry?.pageNumbers.forEach(pageNum => this.invalidatePage(pageNum))
+    return entry
+  }
+
+  /**
+   * Undo the last edit
+   */
+  undo(): HistoryEntry | null {
+    const entry = this.commandHistory.undo()
+    entry?.pageNumbers.forEach(pageNum => this.invalidatePage(pageNum))
+    return entry
+  }
+
+  /**
+   * Redo the last undone edit
+   */
+  redo(): HistoryEntry | null {
+    const entry = this.commandHistory.redo()
+    entry?.pageNumbers.forEach(pageNum => this.invalidatePage(pageNum))
+    return entry
+  }
+
+  /**
+   * Get the undo history
+   */
+  getHistory(): HistoryState {
+    return this.commandHistory.getState()
+  }
+
+  /**
+   * Subscribe to undo history changes
+   */
+  onHistoryChange(callback: (state: HistoryState) => void): () => void {
+    return this.commandHistory.subscribe(callback)
   }
 
   /**
@@ -327,28 +381,61 @@ export class ModernAdapter implements PdfController {
     return this.metadataStore.get(pageNum)
   }
 
+  /**
+   * Set the print order (page numbers, first printed first).
+   * N-up sheets and the recipe follow this order.
+   */
+  setPageOrder(order: number[]): void {
+    const current = this.pageState.getOrder()
+    if (order.length !== current.length || order.every((pageNum, i) => pageNum === current[i])) return
+
+    this.pageState.setOrder(order)
+    this.gridService.clearCache()
+  }
+
+  /**
+   * Get the print order
+   */
+  getPageOrder(): number[] {
+    return this.pageState.getOrder()
+  }
+
+  /**
+   * Set the N-up sheet layout from the order settings.
+   * Sheet previews and the recipe follow it.
+   */
+  setSheetLayout(pagesPerSheet: PagesPerSheet, paperSize: string, paperDims: PageDimensions, nupOptions?: Partial<NupOptions>): void {
+    this.gridService.setPagesPerSheet(pagesPerSheet)
+    this.gridService.setPaperSize(paperDims)
+    this.gridService.setNupOptions(normalizeNupOptions(nupOptions))
+    this.recipeService.setOptions({
+      paperSize,
+      pagesPerSheet,
+      nup: pagesPerSheet > 1 ? this.gridService.getNupOptions() : null
+    })
+  }
+
   /**
    * Reset page
    */
   resetPage(pageNum: number): void {
-    this.editOrchestrator.resetPage(pageNum)
-    this.incrementPageVersion(pageNum)  // Prevents stale renders from writing to cache
-    this.previewCache.delete(pageNum)
-    this.pendingRenders.delete(pageNum)
-    this.pagePreviewService.clearPageCache(pageNum)
-    this.thumbnailService.invalidate(pageNum)
-    this.gridService.invalidateSheetsForPage(pageNum)
+    this.commandHistory.apply(pageNum, { type: 'reset' })
+    this.invalidatePage(pageNum)
   }
 
   /**
    * Reset all pages
    */
   resetAll(): void {
-    this.editOrchestrator.resetAll()
+    const totalPages = this.pageState.getTotalPages()
+    const resets: HistoryEdit[] = []
+    for (let i = 1; i <= totalPages; i++) {
+      resets.push({ pageNumber: i, command: { type: 'reset' } })
+    }
+    this.commandHistory.applyBatch(resets, 'Reset all pages')
     
     // Increment version for ALL pages (not just those with entries)
     // This invalidates any in-flight renders started before this reset
-    const totalPages = this.pageState.getTotalPages()
     for (let i = 1; i <= totalPages; i++) {
       this.incrementPageVersion(i)
     }
@@ -371,6 +458,7 @@ export class ModernAdapter implements PdfController {
     this.pagePreviewService.clearCache()
     this.thumbnailService.invalidateAll()
     this.gridService.clearCache()
+    this.commandHistory.clear()
     this.progressBus.clear()
     this.uiState.reset()
     this.currentFile = null
@@ -396,6 +484,7 @@ export class ModernAdapter implements PdfController {
       recipeService: this.recipeService,
       gridService: this.gridService,
       editOrchestrator: this.editOrchestrator,
+      commandHistory: this.commandHistory,
       uiState: this.uiState,
       canvasInteraction: this.canvasInteraction
     }
@@ -0,0 +1,98 @@
+/**
+ * usePageReorder
+ *
+ * React hook that wires PageReorderHandler to a page grid.
+ * Spread getHandleProps(pageNumber) onto each page's drag handle and
+ * set data-reorder-page={pageNumber} on each page's container.
+ *
+ * - Mouse and touch: pointer drag from the handle onto another page
+ * - Keyboard: arrow keys on the focused handle, Home/End to jump to the ends
+ */
+
+import { useEffect, useState, useCallback } from 'react'
+import type { KeyboardEvent, PointerEvent } from 'react'
+import { PageReorderHandler, ReorderDragState } from '../ui/pageReorderHandler'
+
+export interface UsePageReorderOptions {
+  order: number[]                               // current print order
+  onOrderChange?: ((order: number[]) => void) | null
+}
+
+export interface PageReorderHandleProps {
+  onPointerDown: (e: PointerEvent<HTMLElement>) => void
+  onPointerMove: (e: PointerEvent<HTMLElement>) => void
+  onPointerUp: (e: PointerEvent<HTMLElement>) => void
+  onPointerCancel: (e: PointerEvent<HTMLElement>) => void
+  onKeyDown: (e: KeyboardEvent<HTMLElement>) => void
+  'aria-label': string
+}
+
+export interface UsePageReorderResult {
+  enabled: boolean
+  dragState: ReorderDragState | null
+  getHandleProps: (pageNumber: number) => PageReorderHandleProps
+}
+
+const KEY_OFFSETS: Record<string, number> = {
+  ArrowLeft: -1,
+  ArrowUp: -1,
+  ArrowRight: 1,
+  ArrowDown: 1,
+  Home: -Infinity,
+  End: Infinity
+}
+
+// Page container under a screen point (pointer capture keeps events on the handle)
+const findPageAt = (x: number, y: number): number | null => {
+  const element = document.elementFromPoint(x, y)?.closest<HTMLElement>('[data-reorder-page]')
+  const pageNumber = element ? Number(element.dataset.reorderPage) : NaN
+  return Number.isInteger(pageNumber) ? pageNumber : null
+}
+
+export function usePageReorder({ order, onOrderChange }: UsePageReorderOptions): UsePageReorderResult {
+  const [handler] = useState(() => new PageReorderHandler())
+  const [dragState, setDragState] = useState<ReorderDragState | null>(null)
+
+  useEffect(() => handler.subscribe(setDragState), [handler])
+
+  const commit = useCallback((newOrder: number[] | null) => {
+    if (newOrder && onOrderChange) onOrderChange(newOrder)
+  }, [onOrderChange])
+
+  const getHandleProps = (pageNumber: number): PageReorderHandleProps => {
+    return {
+      onPointerDown: (e) => {
+        if (e.button !== 0) return
+        e.preventDefault()
+        e.stopPropagation()
+        e.currentTarget.setPointerCapture(e.pointerId)
+        handler.setOrder(order)
+        handler.startDrag(pageNumber)
+      },
+      onPointerMove: (e) => {
+        if (handler.getDragState()) {
+          handler.updateDrag(findPageAt(e.clientX, e.clientY))
+        }
+      },
+      onPointerUp: (e) => {
+        e.stopPropagation()
+        commit(handler.endDrag())
+      },
+      onPointerCancel: () => handler.cancelDrag(),
+      onKeyDown: (e) => {
+        const offset = KEY_OFFSETS[e.key]
+        if (offset === undefined) return
+        e.preventDefault()
+        handler.setOrder(order)
+        commit(handler.movePageBy(pageNumber, offset))
+      },
+      'aria-label': `Move page ${pageNumber} (position ${order.indexOf(pageNumber) + 1} of ${order.length}). Drag, or use the arrow keys.`
+    }
+  }
+
+  return {
+    enabled: !!onOrderChange,
+    dragState,
+    getHandleProps
+  }
+}
@@ -0,0 +1,57 @@
+/**
+ * Command history tests
+ *
+ * Absolute transforms expressed with commandsForTransforms must come back
+ * unchanged when the commands are applied, including a crop on a rotated
+ * page (rotating remaps an existing crop).
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { register } from 'node:module'
+
+register('../../typescriptHooks.js', import.meta.url)
+const { CommandHistory, commandsForTransforms } = await import('./commandHistory.ts')
+const { MetadataStore } = await import('../state/metadataStore.ts')
+
+const PAGE = { width: 595, height: 842 }
+const CROP = { x: 0.1, y: 0.2, width: 0.5, height: 0.6 }
+
+const createHistory = (pageCount) => {
+  const history = new CommandHistory(new MetadataStore())
+  for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+    history.trackPage(pageNumber, PAGE)
+  }
+  return history
+}
+
+const applyTransforms = (history, pageNumber, transforms) => {
+  history.applyBatch(commandsForTransforms(transforms).map(command => ({ pageNumber, command })))
+  return history.getTransforms(pageNumber)
+}
+
+test('rotates before cropping', () => {
+  const types = commandsForTransforms({ crop: CROP, rotation: 90 }).map(command => command.type)
+  assert.deepEqual(types, ['reset', 'rotate', 'crop'])
+})
+
+test('round-trips a crop on a rotated page', () => {
+  for (const rotation of [90, 180, 270]) {
+    const transforms = { crop: CROP, rotation, scale: 80, offsetX: 12, offsetY: -4 }
+    const history = createHistory(1)
+
+    assert.deepEqual(applyTransforms(history, 1, transforms), transforms, `rotation ${rotation}`)
+    // Applying them again over the same edits changes nothing
+    assert.deepEqual(applyTransforms(history, 1, transforms), transforms, `rotation ${rotation}, reapplied`)
+  }
+})
+
+test('copies a rotated crop to other pages', () => {
+  const history = createHistory(3)
+  const transforms = applyTransforms(history, 1, { crop: CROP, rotation: 270, scale: 100, offsetX: 0, offsetY: 0 })
+
+  history.applyToAll(1, [2, 3])
+
+  assert.deepEqual(history.getTransforms(2), transforms)
+  assert.deepEqual(history.getTransforms(3), transforms)
+})
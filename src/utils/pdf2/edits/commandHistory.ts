@@ -0,0 +1,251 @@
+/**
+ * CommandHistory
+ *
+ * Undo/redo layer over EditOrchestrator.applyEdit. Every command goes
+ * through here and is recorded as an entry; a batch (e.g. apply to all
+ * pages) is one entry. Entries keep metadata snapshots of the pages they
+ * touched, so undo and redo restore exact state instead of replaying
+ * relative commands like rotate and translate.
+ */
+
+import {
+  EditCommand,
+  PageMetadata,
+  PageTransforms,
+  PageDimensions
+} from '../types'
+import { MetadataStore } from '../state/metadataStore'
+import { EditOrchestrator } from './editOrchestrator'
+
+export interface HistoryEdit {
+  pageNumber: number
+  command: EditCommand
+}
+
+export interface HistoryEntry {
+  id: number
+  label: string
+  edits: HistoryEdit[]
+  pageNumbers: number[]  // pages the entry changed, ascending
+  timestamp: number
+}
+
+export interface HistoryState {
+  entries: HistoryEntry[]
+  position: number  // number of entries currently applied
+  canUndo: boolean
+  canRedo: boolean
+}
+
+interface RecordedEntry extends HistoryEntry {
+  before: PageMetadata[]
+  after: PageMetadata[]
+}
+
+const DEFAULT_MAX_ENTRIES = 100
+
+const COMMAND_LABELS: Record<EditCommand['type'], string> = {
+  crop: 'Crop',
+  rotate: 'Rotate',
+  scale: 'Scale',
+  translate: 'Move',
+  reset: 'Reset'
+}
+
+/**
+ * Express absolute transforms as commands: reset, rotate, crop, scale and
+ * translate. Rotating remaps an existing crop, so the crop (already in
+ * rotated coordinates) is set after the rotation.
+ */
+export const commandsForTransforms = (transforms: Partial<PageTransforms>): EditCommand[] => {
+  const commands: EditCommand[] = [{ type: 'reset' }]
+  const rotation = (((transforms.rotation || 0) % 360) + 360) % 360
+
+  if (rotation !== 0) {
+    commands.push({ type: 'rotate', value: rotation === 270 ? -90 : (rotation as 90 | 180) })
+  }
+  if (transforms.crop) {
+    commands.push({ type: 'crop', value: { ...transforms.crop } })
+  }
+  if (transforms.scale !== undefined && transforms.scale !== 100) {
+    commands.push({ type: 'scale', value: transforms.scale })
+  }
+  if (transforms.offsetX || transforms.offsetY) {
+    commands.push({ type: 'translate', value: { dx: transforms.offsetX || 0, dy: transforms.offsetY || 0 } })
+  }
+
+  return commands
+}
+
+/**
+ * Short description of a batch, e.g. "Rotate page 3" or "Edit pages 1-4"
+ */
+export const describeEdits = (edits: HistoryEdit[]): string => {
+  const pageNumbers = [...new Set(edits.map(edit => edit.pageNumber))].sort((a, b) => a - b)
+  // A leading reset is how absolute transforms are expressed, so it only names the batch on its own
+  const types = new Set(edits.map(edit => edit.command.type).filter(type => type !== 'reset'))
+  const verb = types.size === 0 ? COMMAND_LABELS.reset : types.size === 1 ? COMMAND_LABELS[[...types][0]] : 'Edit'
+
+  if (pageNumbers.length === 1) return `${verb} page ${pageNumbers[0]}`
+  return `${verb} pages ${pageNumbers[0]}-${pageNumbers[pageNumbers.length - 1]}`
+}
+
+export class CommandHistory {
+  private store: MetadataStore
+  private orchestrator: EditOrchestrator
+  private entries: RecordedEntry[] = []
+  private position: number = 0
+  private nextId: number = 1
+  private maxEntries: number
+  private listeners: Set<(state: HistoryState) => void> = new Set()
+
+  constructor(store: MetadataStore, orchestrator?: EditOrchestrator, maxEntries: number = DEFAULT_MAX_ENTRIES) {
+    this.store = store
+    this.orchestrator = orchestrator || new EditOrchestrator(store)
+    this.maxEntries = maxEntries
+  }
+
+  /**
+   * Subscribe to history changes
+   */
+  subscribe(listener: (state: HistoryState) => void): () => void {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  private notifyListeners(): void {
+    const state = this.getState()
+    this.listeners.forEach(listener => listener(state))
+  }
+
+  /**
+   * Get entries and the current position
+   */
+  getState(): HistoryState {
+    return {
+      entries: this.entries.map(entry => this.toEntry(entry)),
+      position: this.position,
+      canUndo: this.position > 0,
+      canRedo: this.position < this.entries.length
+    }
+  }
+
+  /**
+   * Make sure a page has metadata before commands are applied to it
+   */
+  trackPage(pageNumber: number, dimensions: PageDimensions): void {
+    this.store.initPage(pageNumber, dimensions)
+  }
+
+  /**
+   * Get current transforms for a page
+   */
+  getTransforms(pageNumber: number): PageTransforms {
+    return this.orchestrator.getTransforms(pageNumber)
+  }
+
+  /**
+   * Apply one command and record it
+   */
+  apply(pageNumber: number, command: EditCommand, label?: string): PageTransforms {
+    this.applyBatch([{ pageNumber, command }], label)
+    return this.getTransforms(pageNumber)
+  }
+
+  /**
+   * Apply commands as a single undoable entry
+   */
+  applyBatch(edits: HistoryEdit[], label?: string): HistoryEntry | null {
+    if (edits.length === 0) return null
+
+    const pageNumbers = [...new Set(edits.map(edit => edit.pageNumber))].sort((a, b) => a - b)
+    const before = this.takeSnapshots(pageNumbers)
+
+    for (const { pageNumber, command } of edits) {
+      this.orchestrator.applyEdit(pageNumber, command)
+    }
+
+    const entry: RecordedEntry = {
+      id: this.nextId++,
+      label: label || describeEdits(edits),
+      edits: edits.map(edit => ({ ...edit })),
+      pageNumbers,
+      timestamp: Date.now(),
+      before,
+      after: this.takeSnapshots(pageNumbers)
+    }
+
+    // A new edit drops anything that was undone
+    this.entries = this.entries.slice(0, this.position)
+    this.entries.push(entry)
+    if (this.entries.length > this.maxEntries) {
+      this.entries.shift()
+    }
+    this.position = this.entries.length
+
+    this.notifyListeners()
+    return this.toEntry(entry)
+  }
+
+  /**
+   * Copy one page's transforms to other pages as a single entry
+   */
+  applyToAll(sourcePageNumber: number, pageNumbers: number[], label: string = 'Apply to all pages'): HistoryEntry | null {
+    const commands = commandsForTransforms(this.getTransforms(sourcePageNumber))
+    const edits = pageNumbers.flatMap(pageNumber => commands.map(command => ({ pageNumber, command })))
+    return this.applyBatch(edits, label)
+  }
+
+  /**
+   * Undo the last applied entry
+   * @returns The entry undone, or null if there is nothing to undo
+   */
+  undo(): HistoryEntry | null {
+    if (this.position === 0) return null
+
+    const entry = this.entries[--this.position]
+    entry.before.forEach(snapshot => this.store.restore(snapshot))
+
+    this.notifyListeners()
+    return this.toEntry(entry)
+  }
+
+  /**
+   * Redo the next undone entry
+   * @returns The entry redone, or null if there is nothing to redo
+   */
+  redo(): HistoryEntry | null {
+    if (this.position >= this.entries.length) return null
+
+    const entry = this.entries[this.position++]
+    entry.after.forEach(snapshot => this.store.restore(snapshot))
+
+    this.notifyListeners()
+    return this.toEntry(entry)
+  }
+
+  /**
+   * Forget all entries (the current state stays as it is)
+   */
+  clear(): void {
+    this.entries = []
+    this.position = 0
+    this.notifyListeners()
+  }
+
+  private takeSnapshots(pageNumbers: number[]): PageMetadata[] {
+    return pageNumbers
+      .map(pageNumber => this.store.snapshot(pageNumber))
+      .filter((snapshot): snapshot is PageMetadata => snapshot !== null)
+  }
+
+  private toEntry(entry: RecordedEntry): HistoryEntry {
+    return {
+      id: entry.id,
+      label: entry.label,
+      edits: [...entry.edits],
+      pageNumbers: [...entry.pageNumbers],
+      timestamp: entry.timestamp
+    }
+  }
+}
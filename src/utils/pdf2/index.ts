@@ -36,6 +36,7 @@ export type {
   EditCommand,
   RecipeSource,
   RecipePrint,
+  RecipeFinishing,
   RecipePage,
   Recipe,
   ProgressCallback,
@@ -46,6 +47,8 @@ export type {
   DragState,
   ImageRect,
   PagesPerSheet,
+  NupOrder,
+  NupOptions,
   GridSheet
 } from './types'
 
@@ -65,6 +68,8 @@ export { CropService } from './edits/cropService'
 export { RotationService } from './edits/rotationService'
 export { ScaleService } from './edits/scaleService'
 export { EditOrchestrator } from './edits/editOrchestrator'
+export { CommandHistory, commandsForTransforms, describeEdits } from './edits/commandHistory'
+export type { HistoryEdit, HistoryEntry, HistoryState } from './edits/commandHistory'
 
 // ============================================
 // SERVICES
@@ -119,6 +124,9 @@ export type { ZoomConfig, PanBounds } from './ui/zoomPanHandler'
 export { ApplyWorkflowHandler, DEFAULT_EDIT_HISTORY } from './ui/applyWorkflowHandler'
 export type { EditHistory, NormalizedCropArea, ApplyPageState, ApplyAllSettings } from './ui/applyWorkflowHandler'
 
+export { PageReorderHandler, normalizePageOrder, sortPagesByOrder } from './ui/pageReorderHandler'
+export type { ReorderDragState } from './ui/pageReorderHandler'
+
 // ============================================
 // CONTROLLER
 // ============================================
@@ -139,3 +147,10 @@ export type {
   UsePdfControllerOptions,
   UsePdfControllerResult
 } from './controller/usePdfController'
+
+export { usePageReorder } from './controller/usePageReorder'
+export type {
+  UsePageReorderOptions,
+  UsePageReorderResult,
+  PageReorderHandleProps
+} from './controller/usePageReorder'
@@ -5,15 +5,12 @@
  * Extracts page info, renders initial previews and thumbnails.
  */
 
-import * as pdfjsLib from 'pdfjs-dist'
 import type { PDFDocumentProxy, PDFPageProxy } from 'pdfjs-dist'
+import { loadPdfDocument } from '../../pdf/pdfjs'
 import { PageInfo, PageDimensions } from '../types'
 import { ProgressBus } from './progressBus'
 import { MetadataStore } from '../state/metadataStore'
 
-// Configure worker
-pdfjsLib.GlobalWorkerOptions.workerSrc = `//cdnjs.cloudflare.com/ajax/libs/pdf.js/${pdfjsLib.version}/pdf.worker.min.js`
-
 export interface LoadResult {
   documentId: string
   pages: PageInfo[]
@@ -40,13 +37,12 @@ export class DocumentLoader {
 
     try {
       const arrayBuffer = await file.arrayBuffer()
-      const loadingTask = pdfjsLib.getDocument({
+      // Worker comes with the app bundle (see utils/pdf/pdfjs)
+      this.pdfDoc = await loadPdfDocument({
         data: arrayBuffer,
         cMapUrl: 'https://unpkg.com/pdfjs-dist/cmaps/',
         cMapPacked: true
       })
-
-      this.pdfDoc = await loadingTask.promise
       const totalPages = this.pdfDoc.numPages
       const documentId = this.generateDocumentId(file)
 
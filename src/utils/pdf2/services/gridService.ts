@@ -1,30 +1,39 @@
 /**
  * GridService
  * 
- * Handles N-up grid layouts (1, 2, or 4 pages per sheet).
+ * Handles N-up grid layouts (1, 2, 4, 6, 8, 9 or 16 pages per sheet).
  * Generates combined preview canvases for multi-page sheets.
+ * Layout math comes from utils/pdf/nup so previews match the PDF export.
  */
 
-import { PagesPerSheet, GridSheet, PageDimensions } from '../types'
+import { PagesPerSheet, GridSheet, PageDimensions, NupOptions, NupOrder } from '../types'
 import { PagePreviewService } from './pagePreviewService'
 import { PageState } from './pageState'
+import { computeNupLayout, fitPageInCell, normalizeNupOptions, NupLayout } from '../../pdf/nup'
 
+/**
+ * Sheet layout in PDF points, as computed by utils/pdf/nup.
+ * gap and margin were preview pixels before; scale by the canvas
+ * width over the sheet width to draw with them.
+ */
 export interface GridLayout {
   rows: number
   cols: number
-  gap: number  // pixels between pages
+  gap: number  // points between pages
+  margin: number  // points around the sheet
+  landscape: boolean
+  order: NupOrder
 }
 
-const LAYOUTS: Record<PagesPerSheet, GridLayout> = {
-  1: { rows: 1, cols: 1, gap: 0 },
-  2: { rows: 1, cols: 2, gap: 10 },
-  4: { rows: 2, cols: 2, gap: 10 }
-}
+// A4 portrait in points - used until the paper size is set
+const DEFAULT_PAPER: PageDimensions = { width: 595.28, height: 841.89 }
 
 export class GridService {
   private previewService: PagePreviewService
   private pageState: PageState
   private pagesPerSheet: PagesPerSheet = 1
+  private nupOptions: NupOptions = normalizeNupOptions()
+  private paperDims: PageDimensions = DEFAULT_PAPER
   private sheetCache: Map<number, GridSheet> = new Map()
 
   constructor(previewService: PagePreviewService, pageState: PageState) {
@@ -49,6 +58,39 @@ export class GridService {
     return this.pagesPerSheet
   }
 
+  /**
+   * Set reading order, gutters, margins, borders and auto-rotation
+   */
+  setNupOptions(options: Partial<NupOptions>): void {
+    this.nupOptions = normalizeNupOptions({ ...this.nupOptions, ...options })
+    this.sheetCache.clear()
+  }
+
+  /**
+   * Get current N-up options
+   */
+  getNupOptions(): NupOptions {
+    return { ...this.nupOptions }
+  }
+
+  /**
+   * Set paper size in points (either orientation)
+   */
+  setPaperSize(dims: PageDimensions): void {
+    this.paperDims = dims
+    this.sheetCache.clear()
+  }
+
+  /**
+   * Compute the layout in points. Orientation is decided from the first
+   * included page so every sheet of a document is laid out the same way.
+   */
+  private computeLayout(): NupLayout {
+    const firstPage = this.pageState.getIncluded()[0]
+    const pageDims = (firstPage && this.pageState.getDimensions(firstPage.pageNumber)) || this.paperDims
+    return computeNupLayout(this.pagesPerSheet, this.paperDims, pageDims, this.nupOptions)
+  }
+
   /**
    * Get total number of sheets
    */
@@ -58,7 +100,8 @@ export class GridService {
   }
 
   /**
-   * Get page numbers for a sheet
+   * Get page numbers for a sheet. Sheets are filled in the PageState
+   * order, so reordered pages are grouped as they will print.
    */
   getSheetPages(sheetNumber: number): number[] {
     const included = this.pageState.getIncluded()
@@ -103,43 +146,54 @@ export class GridService {
     sheetHeight: number
   ): Promise<HTMLCanvasElement> {
     const pages = this.getSheetPages(sheetNumber)
-    const layout = LAYOUTS[this.pagesPerSheet]
+    const layout = this.computeLayout()
+    
+    // Callers pass a portrait box - turn it when the layout is landscape
+    const portraitWidth = Math.min(sheetWidth, sheetHeight)
+    const portraitHeight = Math.max(sheetWidth, sheetHeight)
+    const canvasWidth = layout.landscape ? portraitHeight : portraitWidth
+    const canvasHeight = layout.landscape ? portraitWidth : portraitHeight
+    const unitScale = canvasWidth / layout.sheetWidth
     
     const result = document.createElement('canvas')
-    result.width = sheetWidth
-    result.height = sheetHeight
+    result.width = canvasWidth
+    result.height = canvasHeight
     
     const ctx = result.getContext('2d')
     if (!ctx) throw new Error('Failed to get canvas context')
 
     // Fill background
     ctx.fillStyle = '#ffffff'
-    ctx.fillRect(0, 0, sheetWidth, sheetHeight)
+    ctx.fillRect(0, 0, canvasWidth, canvasHeight)
 
     if (pages.length === 0) {
       return result
     }
 
-    // Calculate cell dimensions
-    const cellWidth = (sheetWidth - (layout.cols - 1) * layout.gap) / layout.cols
-    const cellHeight = (sheetHeight - (layout.rows - 1) * layout.gap) / layout.rows
-
-    // Render each page into its cell
+    // Render each page into its cell (cells are already in reading order)
     for (let i = 0; i < pages.length; i++) {
       const pageNum = pages[i]
-      const row = Math.floor(i / layout.cols)
-      const col = i % layout.cols
-
-      const x = col * (cellWidth + layout.gap)
-      const y = row * (cellHeight + layout.gap)
+      const cell = layout.cells[i]
+      const x = cell.x * unitScale
+      const y = cell.y * unitScale
+      const cellWidth = cell.width * unitScale
+      const cellHeight = cell.height * unitScale
 
       const pageCanvas = await this.previewService.getPreview(pageNum, cellWidth, cellHeight)
       
       // Center page in cell
-      const offsetX = (cellWidth - pageCanvas.width) / 2
-      const offsetY = (cellHeight - pageCanvas.height) / 2
+      const rect = fitPageInCell(
+        { x, y, width: cellWidth, height: cellHeight },
+        { width: pageCanvas.width, height: pageCanvas.height }
+      )
+
+      ctx.drawImage(pageCanvas, rect.x, rect.y, rect.width, rect.height)
 
-      ctx.drawImage(pageCanvas, x + offsetX, y + offsetY)
+      if (this.nupOptions.border) {
+        ctx.strokeStyle = '#999999'
+        ctx.lineWidth = 1
+        ctx.strokeRect(x, y, cellWidth, cellHeight)
+      }
     }
 
     // Cache the sheet
@@ -186,11 +240,18 @@ export class GridService {
     paperWidth: number,
     paperHeight: number
   ): PageDimensions {
-    // For N-up, the effective page size changes
-    const layout = LAYOUTS[this.pagesPerSheet]
+    // For N-up, the effective page size is one cell of the sheet
+    const firstPage = this.pageState.getIncluded()[0]
+    const pageDims = (firstPage && this.pageState.getDimensions(firstPage.pageNumber)) || this.paperDims
+    const layout = computeNupLayout(
+      this.pagesPerSheet,
+      { width: paperWidth, height: paperHeight },
+      pageDims,
+      this.nupOptions
+    )
     return {
-      width: (paperWidth - (layout.cols - 1) * layout.gap) / layout.cols,
-      height: (paperHeight - (layout.rows - 1) * layout.gap) / layout.rows
+      width: layout.cells[0].width,
+      height: layout.cells[0].height
     }
   }
 
@@ -225,6 +286,14 @@ export class GridService {
    * Get layout for current pages per sheet
    */
   getLayout(): GridLayout {
-    return { ...LAYOUTS[this.pagesPerSheet] }
+    const layout = this.computeLayout()
+    return {
+      rows: layout.rows,
+      cols: layout.cols,
+      gap: layout.gutter,
+      margin: layout.margin,
+      landscape: layout.landscape,
+      order: this.nupOptions.order
+    }
   }
 }
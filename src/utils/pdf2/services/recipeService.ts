@@ -10,27 +10,37 @@ import {
   RecipeSource,
   RecipePrint,
   RecipePage,
-  PagesPerSheet
+  RecipeFinishing,
+  RecipeColorMode,
+  RecipeQuality,
+  PagesPerSheet,
+  NupOptions
 } from '../types'
 import { MetadataStore } from '../state/metadataStore'
 import { PageState } from './pageState'
 
 export interface RecipeOptions {
   paperSize: string
-  colorMode: string
+  colorMode: RecipeColorMode
   duplex: boolean
   copies: number
   pagesPerSheet: PagesPerSheet
-  quality: string
+  nup: NupOptions | null
+  colorPages: number[]  // printed in color when colorMode is BW
+  finishing: RecipeFinishing[]
+  quality: RecipeQuality
   shopId: string | null
 }
 
 const DEFAULT_OPTIONS: RecipeOptions = {
   paperSize: 'A4',
-  colorMode: 'color',
+  colorMode: 'Color',
   duplex: false,
   copies: 1,
   pagesPerSheet: 1,
+  nup: null,
+  colorPages: [],
+  finishing: [],
   quality: 'normal',
   shopId: null
 }
@@ -81,12 +91,14 @@ export class RecipeService {
     }
 
     const includedPages = this.pageState.getIncluded()
+    const { colorMode, colorPages } = this.options
     const pages: RecipePage[] = includedPages.map(pageInfo => {
       const metadata = this.metadataStore.get(pageInfo.pageNumber)
       const transforms = this.metadataStore.getTransforms(pageInfo.pageNumber)
 
       return {
         pageNumber: pageInfo.pageNumber,
+        colorMode: colorMode === 'BW' && colorPages.includes(pageInfo.pageNumber) ? 'Color' : colorMode,
         originalDimensions: metadata?.originalDimensions || {
           width: pageInfo.width,
           height: pageInfo.height
@@ -104,6 +116,8 @@ export class RecipeService {
       duplex: this.options.duplex,
       copies: this.options.copies,
       pagesPerSheet: this.options.pagesPerSheet,
+      ...(this.options.pagesPerSheet > 1 && this.options.nup ? { nup: this.options.nup } : {}),
+      ...(this.options.finishing.length > 0 ? { finishing: this.options.finishing } : {}),
       quality: this.options.quality
     }
 
@@ -248,6 +248,39 @@ export class MetadataStore {
     this.originalDimensions.clear()
   }
 
+  /**
+   * Deep copy of a page's metadata (for undo history)
+   */
+  snapshot(pageNumber: number): PageMetadata | null {
+    const meta = this.metadata.get(pageNumber)
+    if (!meta) return null
+
+    return {
+      ...meta,
+      originalDimensions: { ...meta.originalDimensions },
+      transforms: {
+        ...meta.transforms,
+        crop: meta.transforms.crop ? { ...meta.transforms.crop } : null
+      }
+    }
+  }
+
+  /**
+   * Put back metadata taken with snapshot()
+   */
+  restore(snapshot: PageMetadata): void {
+    if (!this.metadata.has(snapshot.pageNumber)) return
+
+    this.metadata.set(snapshot.pageNumber, {
+      ...snapshot,
+      originalDimensions: { ...snapshot.originalDimensions },
+      transforms: {
+        ...snapshot.transforms,
+        crop: snapshot.transforms.crop ? { ...snapshot.transforms.crop } : null
+      }
+    })
+  }
+
   /**
    * Clone transforms from one page to another
    */
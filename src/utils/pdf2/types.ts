@@ -5,6 +5,8 @@
  * Transform order: CROP → ROTATE → SCALE → TRANSLATE
  */
 
+import type { NupOptions } from '../pdf/nup'
+
 // ============================================
 // CROP TYPES
 // ============================================
@@ -112,6 +114,12 @@ export type EditCommand = CropCommand | RotateCommand | ScaleCommand | Translate
 // RECIPE TYPES (for desktop cpdf)
 // ============================================
 
+// Recipe format 2.0 - the JSON Schema is RECIPE_SCHEMA in pdf/recipeSchema.js
+
+export type RecipeColorMode = 'BW' | 'Color'
+
+export type RecipeQuality = 'draft' | 'normal' | 'high'
+
 export interface RecipeSource {
   fileName: string
   fileSize: number
@@ -119,17 +127,25 @@ export interface RecipeSource {
   totalPages: number
 }
 
+export interface RecipeFinishing {
+  kind: string  // staple, hole_punch, binding, lamination or cover
+  name: string  // shop's name for the option, e.g. "Spiral binding"
+}
+
 export interface RecipePrint {
   paperSize: string
-  colorMode: string
+  colorMode: RecipeColorMode
   duplex: boolean
   copies: number
   pagesPerSheet: number
-  quality: string
+  nup?: NupOptions  // only for pagesPerSheet > 1
+  finishing?: RecipeFinishing[]  // only when finishing was ordered
+  quality: RecipeQuality
 }
 
 export interface RecipePage {
   pageNumber: number
+  colorMode: RecipeColorMode  // job colorMode, or 'Color' for color pages of a BW job
   originalDimensions: PageDimensions
   transforms: PageTransforms
   hasEdits: boolean
@@ -138,8 +154,8 @@ export interface RecipePage {
 }
 
 export interface Recipe {
-  version: string
-  type: string
+  version: '2.0'
+  type: 'print_job'
   generatedAt: string
   source: RecipeSource
   print: RecipePrint
@@ -231,7 +247,10 @@ export interface ImageRect {
 // GRID / N-UP TYPES
 // ============================================
 
-export type PagesPerSheet = 1 | 2 | 4
+// Layout math is shared with the legacy editor and the PDF export
+export type { NupOrder, NupOptions } from '../pdf/nup'
+
+export type PagesPerSheet = 1 | 2 | 4 | 6 | 8 | 9 | 16
 
 export interface GridSheet {
   sheetNumber: number
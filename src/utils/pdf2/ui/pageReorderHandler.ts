@@ -0,0 +1,175 @@
+/**
+ * PageReorderHandler
+ *
+ * Moves pages around the print order for drag-and-drop and keyboard
+ * reordering in the page grids. The order lives in a PageState, so moves
+ * go through PageState.reorder like the rest of pdf2.
+ */
+
+import { PageState } from '../services/pageState'
+
+export interface ReorderDragState {
+  pageNumber: number                // page being dragged
+  targetPageNumber: number | null   // page it would take the place of
+}
+
+/**
+ * Turn a stored order into a full permutation of 1..totalPages.
+ * Unknown and duplicate pages are dropped, missing pages are appended.
+ */
+export const normalizePageOrder = (order: number[] | null | undefined, totalPages: number): number[] => {
+  const seen = new Set<number>()
+  const result: number[] = []
+
+  for (const pageNumber of order || []) {
+    if (Number.isInteger(pageNumber) && pageNumber >= 1 && pageNumber <= totalPages && !seen.has(pageNumber)) {
+      seen.add(pageNumber)
+      result.push(pageNumber)
+    }
+  }
+  for (let pageNumber = 1; pageNumber <= totalPages; pageNumber++) {
+    if (!seen.has(pageNumber)) result.push(pageNumber)
+  }
+
+  return result
+}
+
+/**
+ * Sort page numbers by their position in a page order.
+ * Pages missing from the order keep ascending order at the end.
+ */
+export const sortPagesByOrder = (pageNumbers: number[], order: number[]): number[] => {
+  const position = new Map(order.map((pageNumber, index) => [pageNumber, index]))
+  const rank = (pageNumber: number) => position.get(pageNumber) ?? order.length + pageNumber
+  return [...pageNumbers].sort((a, b) => rank(a) - rank(b))
+}
+
+export class PageReorderHandler {
+  private pageState: PageState = new PageState()
+  private dragState: ReorderDragState | null = null
+  private listeners: Set<(state: ReorderDragState | null) => void> = new Set()
+
+  /**
+   * Subscribe to drag state changes
+   */
+  subscribe(listener: (state: ReorderDragState | null) => void): () => void {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  private notifyListeners(): void {
+    const stateCopy = this.dragState ? { ...this.dragState } : null
+    this.listeners.forEach(listener => listener(stateCopy))
+  }
+
+  /**
+   * Load the current order (page numbers, first printed first)
+   */
+  setOrder(order: number[]): void {
+    const current = this.pageState.getOrder()
+    const samePages = current.length === order.length && order.every(pageNumber => this.pageState.hasPage(pageNumber))
+
+    if (samePages) {
+      this.pageState.setOrder(order)
+    } else {
+      this.pageState.init(
+        order.map(pageNumber => ({ pageNumber, width: 0, height: 0, thumbnail: null })),
+        ''
+      )
+    }
+  }
+
+  /**
+   * Get current order
+   */
+  getOrder(): number[] {
+    return this.pageState.getOrder()
+  }
+
+  /**
+   * Move a page into another page's position
+   * @returns New order, or null if nothing moved
+   */
+  movePage(pageNumber: number, targetPageNumber: number): number[] | null {
+    const fromIndex = this.pageState.getIndex(pageNumber)
+    const toIndex = this.pageState.getIndex(targetPageNumber)
+    if (fromIndex === -1 || toIndex === -1 || fromIndex === toIndex) return null
+
+    this.pageState.reorder(fromIndex, toIndex)
+    return this.pageState.getOrder()
+  }
+
+  /**
+   * Move a page by a number of positions (clamped to the ends)
+   * @returns New order, or null if nothing moved
+   */
+  movePageBy(pageNumber: number, offset: number): number[] | null {
+    const fromIndex = this.pageState.getIndex(pageNumber)
+    if (fromIndex === -1) return null
+
+    const lastIndex = this.pageState.getTotalPages() - 1
+    const toIndex = Math.max(0, Math.min(lastIndex, fromIndex + offset))
+    if (toIndex === fromIndex) return null
+
+    this.pageState.reorder(fromIndex, toIndex)
+    return this.pageState.getOrder()
+  }
+
+  // ============================================
+  // DRAG OPERATIONS
+  // ============================================
+
+  /**
+   * Get current drag state
+   */
+  getDragState(): ReorderDragState | null {
+    return this.dragState ? { ...this.dragState } : null
+  }
+
+  /**
+   * Start dragging a page
+   */
+  startDrag(pageNumber: number): void {
+    if (!this.pageState.hasPage(pageNumber)) return
+    this.dragState = { pageNumber, targetPageNumber: null }
+    this.notifyListeners()
+  }
+
+  /**
+   * Update the page under the pointer
+   */
+  updateDrag(targetPageNumber: number | null): void {
+    if (!this.dragState) return
+
+    const target = targetPageNumber !== null && this.pageState.hasPage(targetPageNumber)
+      ? targetPageNumber
+      : null
+    if (target === this.dragState.targetPageNumber) return
+
+    this.dragState = { ...this.dragState, targetPageNumber: target }
+    this.notifyListeners()
+  }
+
+  /**
+   * Drop the dragged page on the current target
+   * @returns New order, or null if nothing moved
+   */
+  endDrag(): number[] | null {
+    if (!this.dragState) return null
+
+    const { pageNumber, targetPageNumber } = this.dragState
+    this.dragState = null
+    this.notifyListeners()
+
+    return targetPageNumber !== null ? this.movePage(pageNumber, targetPageNumber) : null
+  }
+
+  /**
+   * Abandon the drag without moving anything
+   */
+  cancelDrag(): void {
+    if (!this.dragState) return
+    this.dragState = null
+    this.notifyListeners()
+  }
+}
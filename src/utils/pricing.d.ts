@@ -0,0 +1,135 @@
+/**
+ * Types for pricing.js
+ */
+
+export interface BulkTier {
+  name?: string
+  min_impressions: number
+  max_impressions?: number | null
+  discount: number  // 0-1
+}
+
+export interface CostConfig {
+  id?: string
+  shop_id?: string
+  paper_size: string
+  color_mode: string
+  print_type: string
+  base_price: number | string
+  bulk_tiers?: BulkTier[] | null
+  is_active?: boolean
+}
+
+export interface FinishingOption {
+  id: string
+  kind: string
+  name: string
+  price: number | string
+  price_unit?: string
+  min_sheets?: number | null
+  max_sheets?: number | null
+}
+
+export interface FinishingLine {
+  id: string
+  kind: string
+  name: string
+  priceUnit: string
+  quantity: number
+  quantityLabel: string
+  unitPrice: number
+  amount: number
+}
+
+export interface VolumeOptions {
+  pageCount?: number
+  pagesPerSheet?: number
+  printType?: string
+  copies?: number
+  booklet?: boolean
+}
+
+export interface PrintVolume {
+  pageCount: number
+  blankPages: number
+  booklet: boolean
+  pagesPerSheet: number
+  copies: number
+  impressionsPerCopy: number
+  sheetsPerCopy: number
+  impressions: number
+  sheets: number
+}
+
+export interface OrderSpec extends VolumeOptions {
+  paperSize: string
+  colorMode: string
+  printType: string
+  signatureSize?: number
+  colorPageIndices?: number[]
+  finishing?: FinishingOption[]
+}
+
+export interface BreakdownLine {
+  key: string
+  label: string
+  quantity?: number
+  unit?: string
+  unitPrice?: number
+  amount?: number
+}
+
+export interface OrderCost {
+  cost: number
+  pricePerPage: number | null
+  appliedTier: BulkTier | null
+  savings: number
+  basePrice?: number
+  subtotal?: number
+  sheets?: number
+  impressions?: number
+  colorImpressions?: number
+  finishing?: FinishingLine[]
+  finishingCost?: number
+  volume?: PrintVolume
+  breakdown: BreakdownLine[]
+  error: string | null
+}
+
+export interface ItemizedOrderCost extends OrderCost {
+  items: (OrderCost & { label: string })[]
+}
+
+export const roundCurrency: (amount: number) => number
+
+export const findMatchingConfig: (
+  configs: CostConfig[] | null | undefined,
+  spec: { paperSize: string; colorMode: string; printType: string }
+) => CostConfig | null
+
+export const padToBookletPageCount: (pageCount: number) => number
+
+export const calculatePrintVolume: (options: VolumeOptions) => PrintVolume
+
+export const findBulkTier: (bulkTiers: BulkTier[] | null | undefined, volume: number) => BulkTier | null
+
+export const validateBulkTiers: (bulkTiers: BulkTier[] | null | undefined) => string[]
+
+export const getImpressionIndex: (
+  position: number,
+  options: { pageCount: number; pagesPerSheet?: number; booklet?: boolean; signatureSize?: number }
+) => number
+
+export const getColorPageIndices: (selectedPages: number[] | null | undefined, colorPages: number[] | null | undefined) => number[]
+
+export const countColorImpressions: (
+  colorPageIndices: number[] | null | undefined,
+  volumeOptions: { pageCount: number; pagesPerSheet?: number; booklet?: boolean; signatureSize?: number }
+) => number
+
+export const computeOrderCost: (configs: CostConfig[] | null | undefined, orderData: OrderSpec) => OrderCost
+
+export const computeItemizedCost: (
+  configs: CostConfig[] | null | undefined,
+  items: (OrderSpec & { label: string })[]
+) => ItemizedOrderCost
@@ -0,0 +1,365 @@
+// Order pricing calculations
+// Pure functions shared by the web app and the print server, so a quote shown
+// in the browser is computed exactly the same way the server recomputes it.
+//
+// Terminology:
+//   impression - one printed side of a sheet (what base_price is charged for)
+//   sheet      - one physical piece of paper (holds 2 impressions when Double)
+
+import { filterAvailableFinishing, isPricedPerJob, priceFinishing } from './finishing.js'
+
+export const roundCurrency = (amount) => {
+  return Math.round((amount + Number.EPSILON) * 100) / 100
+}
+
+// Find the cost_configs row for a paper size / color mode / print type combination
+export const findMatchingConfig = (configs, { paperSize, colorMode, printType }) => {
+  return (configs || []).find(config =>
+    config.paper_size === paperSize &&
+    config.color_mode === colorMode &&
+    config.print_type === printType
+  ) || null
+}
+
+// Booklets are printed as 2-up, double-sided spreads padded with blanks to
+// a multiple of 4 pages. Also used by the booklet imposition
+// (src/utils/pdf/booklet.ts), so quotes and printed sheets agree.
+export const padToBookletPageCount = (pageCount) => {
+  return Math.max(4, Math.ceil(pageCount / 4) * 4)
+}
+
+// Work out how many printed sides and physical sheets an order needs
+export const calculatePrintVolume = ({ pageCount = 1, pagesPerSheet = 1, printType = 'Single', copies = 1, booklet = false }) => {
+  const selectedPages = Math.max(1, parseInt(pageCount) || 1)
+  const pages = booklet ? padToBookletPageCount(selectedPages) : selectedPages
+  const perSheet = booklet ? 2 : Math.max(1, parseInt(pagesPerSheet) || 1)
+  const copyCount = Math.max(1, parseInt(copies) || 1)
+
+  // N-up places several pages on one side of the paper
+  const impressionsPerCopy = Math.ceil(pages / perSheet)
+  // Double-sided printing puts two impressions on every sheet
+  const sheetsPerCopy = booklet || printType === 'Double'
+    ? Math.ceil(impressionsPerCopy / 2)
+    : impressionsPerCopy
+
+  return {
+    pageCount: pages,
+    blankPages: pages - selectedPages,
+    booklet: !!booklet,
+    pagesPerSheet: perSheet,
+    copies: copyCount,
+    impressionsPerCopy,
+    sheetsPerCopy,
+    impressions: impressionsPerCopy * copyCount,
+    sheets: sheetsPerCopy * copyCount
+  }
+}
+
+// Pick the best bulk tier for a print volume (tiers are matched on impressions)
+export const findBulkTier = (bulkTiers, volume) => {
+  if (!bulkTiers || bulkTiers.length === 0) return null
+
+  return bulkTiers
+    .filter(t => volume >= t.min_impressions)
+    .filter(t => !t.max_impressions || volume <= t.max_impressions)
+    .sort((a, b) => b.min_impressions - a.min_impressions)[0] || null
+}
+
+const formatTierName = (tier) => tier.name || `${Math.round(tier.discount * 100)}% off`
+
+// Problems with a bulk_tiers list, as messages (empty when it's valid).
+// Tiers must not overlap and must follow on from each other without gaps;
+// volumes below the first tier get no discount. Only the last tier may be
+// open-ended (no max_impressions).
+export const validateBulkTiers = (bulkTiers) => {
+  const errors = []
+  const tiers = [...(bulkTiers || [])].sort((a, b) => a.min_impressions - b.min_impressions)
+
+  tiers.forEach((tier, index) => {
+    const name = formatTierName(tier)
+    if (!Number.isInteger(tier.min_impressions) || tier.min_impressions < 1) {
+      errors.push(`${name}: minimum must be a whole number of at least 1`)
+    }
+    if (tier.max_impressions != null && (!Number.isInteger(tier.max_impressions) || tier.max_impressions < tier.min_impressions)) {
+      errors.push(`${name}: maximum must be a whole number no lower than the minimum`)
+    }
+    if (typeof tier.discount !== 'number' || !(tier.discount > 0 && tier.discount < 1)) {
+      errors.push(`${name}: discount must be between 0% and 100%`)
+    }
+
+    const next = tiers[index + 1]
+    if (!next) return
+
+    if (tier.max_impressions == null || next.min_impressions <= tier.max_impressions) {
+      errors.push(`${name} overlaps ${formatTierName(next)}`)
+    } else if (next.min_impressions > tier.max_impressions + 1) {
+      errors.push(`Gap between ${name} and ${formatTierName(next)}: ${tier.max_impressions + 1}-${next.min_impressions - 1} impressions get no discount`)
+    }
+  })
+
+  return errors
+}
+
+// Index of the impression (printed side) a page lands on within one copy.
+// `position` is the page's 0-based place in print order.
+export const getImpressionIndex = (position, { pageCount, pagesPerSheet = 1, booklet = false, signatureSize = 0 }) => {
+  if (!booklet) {
+    return Math.floor(position / Math.max(1, pagesPerSheet))
+  }
+
+  // Mirrors computeBookletPlan: page q of an n-page signature shares a side
+  // with page n+1-q, and sheet i carries 2i+1 on the front and 2i+2 on the back
+  const pages = padToBookletPageCount(pageCount)
+  const perSignature = signatureSize > 0 ? Math.min(padToBookletPageCount(signatureSize), pages) : pages
+  const start = Math.floor(position / perSignature) * perSignature
+  const size = Math.min(perSignature, pages - start)
+  const q = position - start + 1
+  const r = Math.min(q, size + 1 - q)
+  const sheet = start / 4 + Math.floor((r - 1) / 2)
+
+  return sheet * 2 + (r % 2 === 1 ? 0 : 1)
+}
+
+// 0-based print positions of the color pages among the selected pages
+export const getColorPageIndices = (selectedPages, colorPages) => {
+  const colorSet = new Set(colorPages || [])
+  return (selectedPages || []).flatMap((page, index) => (colorSet.has(page) ? [index] : []))
+}
+
+// Impressions per copy that carry at least one color page. With N-up or
+// booklets a side is printed in color as soon as one of its pages is.
+export const countColorImpressions = (colorPageIndices, volumeOptions) => {
+  const impressions = new Set(
+    (colorPageIndices || []).map(position => getImpressionIndex(position, volumeOptions))
+  )
+  return impressions.size
+}
+
+// Price a number of impressions against one cost config
+const priceImpressions = (config, impressions) => {
+  const basePrice = Number(config.base_price) || 0
+  const appliedTier = findBulkTier(config.bulk_tiers, impressions)
+  const pricePerPage = appliedTier ? basePrice * (1 - appliedTier.discount) : basePrice
+
+  const subtotal = roundCurrency(basePrice * impressions)
+  const total = roundCurrency(pricePerPage * impressions)
+
+  return { basePrice, appliedTier, pricePerPage, subtotal, total, savings: roundCurrency(subtotal - total) }
+}
+
+// Price an order against a shop's cost configs.
+// Returns the same shape as calculateOrderCost plus an itemized breakdown.
+//
+// Mixed orders are BW orders with `colorPageIndices` (0-based positions in
+// print order of the pages to print in color). Each group is charged at its
+// own cost config, with bulk tiers matched on that group's impressions.
+//
+// `finishing` lists chosen finishing_options rows. Options that don't fit
+// the job are dropped; the rest are added at full price (no bulk discount).
+export const computeOrderCost = (configs, orderData) => {
+  const emptyResult = {
+    cost: 0,
+    pricePerPage: 0,
+    appliedTier: null,
+    savings: 0,
+    breakdown: []
+  }
+
+  if (!configs || configs.length === 0) {
+    return { ...emptyResult, error: 'No pricing available for this shop' }
+  }
+
+  const isMixed = orderData.colorMode === 'BW' && (orderData.colorPageIndices || []).length > 0
+  const matchingConfig = findMatchingConfig(configs, orderData)
+  const colorConfig = isMixed ? findMatchingConfig(configs, { ...orderData, colorMode: 'Color' }) : null
+
+  if (!matchingConfig || (isMixed && !colorConfig)) {
+    return {
+      ...emptyResult,
+      error: `No pricing found for ${orderData.paperSize} ${isMixed && matchingConfig ? 'Color' : orderData.colorMode} ${orderData.printType}`
+    }
+  }
+
+  const volume = calculatePrintVolume(orderData)
+  const colorImpressionsPerCopy = isMixed
+    ? countColorImpressions(orderData.colorPageIndices, { ...orderData, pagesPerSheet: volume.pagesPerSheet })
+    : 0
+  const groups = [
+    {
+      key: 'impressions',
+      config: matchingConfig,
+      impressions: (volume.impressionsPerCopy - colorImpressionsPerCopy) * volume.copies,
+      label: isMixed ? 'B&W' : ''
+    },
+    {
+      key: 'impressions-color',
+      config: colorConfig,
+      impressions: colorImpressionsPerCopy * volume.copies,
+      label: 'color'
+    }
+  ].filter(group => group.config && (group.impressions > 0 || group.key === 'impressions'))
+    .map(group => ({ ...group, ...priceImpressions(group.config, group.impressions) }))
+
+  const finishing = priceFinishing(filterAvailableFinishing(orderData.finishing, volume), volume)
+    .map(line => ({ ...line, amount: roundCurrency(line.amount) }))
+  const finishingCost = roundCurrency(finishing.reduce((sum, line) => sum + line.amount, 0))
+
+  const printSubtotal = groups.reduce((sum, group) => sum + group.subtotal, 0)
+  const subtotal = roundCurrency(printSubtotal + finishingCost)
+  const totalCost = roundCurrency(groups.reduce((sum, group) => sum + group.total, 0) + finishingCost)
+  const savings = roundCurrency(subtotal - totalCost)
+
+  const sideLabel = orderData.printType === 'Double' ? 'double-sided' : 'single-sided'
+  const pagesLabel = volume.booklet
+    ? `${volume.pageCount} booklet pages` + (volume.blankPages > 0 ? ` (incl. ${volume.blankPages} blank)` : '')
+    : `${volume.pageCount} ${volume.pageCount === 1 ? 'page' : 'pages'}` +
+      (volume.pagesPerSheet > 1 ? ` at ${volume.pagesPerSheet} per side` : '')
+  const breakdown = [
+    {
+      key: 'pages',
+      label: pagesLabel,
+      quantity: volume.impressionsPerCopy,
+      unit: 'impressions per copy'
+    },
+    {
+      key: 'sheets',
+      label: `${volume.sheetsPerCopy} ${volume.sheetsPerCopy === 1 ? 'sheet' : 'sheets'} per copy (${sideLabel})`,
+      quantity: volume.sheets,
+      unit: 'sheets total'
+    }
+  ]
+
+  for (const group of groups) {
+    breakdown.push({
+      key: group.key,
+      label: `${group.impressions} ${group.label ? `${group.label} ` : ''}${group.impressions === 1 ? 'impression' : 'impressions'}`,
+      quantity: group.impressions,
+      unitPrice: group.basePrice,
+      amount: group.subtotal
+    })
+  }
+
+  for (const line of finishing) {
+    breakdown.push({
+      key: `finishing-${line.id}`,
+      label: `${line.name} (${line.quantityLabel})`,
+      quantity: line.quantity,
+      unitPrice: line.unitPrice,
+      amount: line.amount
+    })
+  }
+
+  for (const group of groups.filter(g => g.appliedTier)) {
+    breakdown.push({
+      key: isMixed ? `discount-${group.key}` : 'discount',
+      label: `Bulk discount${isMixed ? ` (${group.label})` : ''}: ${formatTierName(group.appliedTier)}`,
+      amount: -group.savings
+    })
+  }
+
+  breakdown.push({ key: 'total', label: 'Total', amount: totalCost })
+
+  // Mixed orders have no single rate, so per-page figures describe the B&W group
+  const [primary] = groups
+
+  return {
+    cost: totalCost,
+    pricePerPage: primary.pricePerPage,
+    appliedTier: primary.appliedTier || groups.find(g => g.appliedTier)?.appliedTier || null,
+    savings,
+    basePrice: primary.basePrice,
+    subtotal,
+    sheets: volume.sheets,
+    impressions: volume.impressions,
+    colorImpressions: colorImpressionsPerCopy * volume.copies,
+    finishing,
+    finishingCost,
+    volume,
+    breakdown,
+    error: null
+  }
+}
+
+// Price an order whose documents have their own settings (print_job_items).
+// Each item is a computeOrderCost spec plus a `label`, priced on its own -
+// bulk tiers are matched on each item's impressions. Finishing priced per
+// sheet or per copy is charged on each item; finishing priced per job is
+// charged once for the order (if it fits at least one item) and returned
+// in `finishing`.
+export const computeItemizedCost = (configs, items) => {
+  const itemFinishing = (items || []).map(item => filterAvailableFinishing(item.finishing, calculatePrintVolume(item)))
+  const results = (items || []).map((item, index) => ({
+    label: item.label,
+    ...computeOrderCost(configs, { ...item, finishing: itemFinishing[index].filter(option => !isPricedPerJob(option)) })
+  }))
+  const failed = results.find(result => result.error)
+
+  if (results.length === 0 || failed) {
+    return {
+      cost: 0,
+      pricePerPage: 0,
+      appliedTier: null,
+      savings: 0,
+      breakdown: [],
+      items: results,
+      error: failed ? `${failed.label}: ${failed.error}` : 'No items to price'
+    }
+  }
+
+  const jobOptions = itemFinishing.flat()
+    .filter(isPricedPerJob)
+    .filter((option, index, options) => options.findIndex(other => other.id === option.id) === index)
+  // Per-job lines are a quantity of 1 whatever the volume
+  const finishing = priceFinishing(jobOptions, { sheets: 0, copies: 0 })
+    .map(line => ({ ...line, amount: roundCurrency(line.amount) }))
+  const finishingCost = roundCurrency(finishing.reduce((total, line) => total + line.amount, 0))
+
+  const sum = (key) => results.reduce((total, result) => total + result[key], 0)
+  const cost = roundCurrency(sum('cost') + finishingCost)
+  const subtotal = roundCurrency(sum('subtotal') + finishingCost)
+  const savings = roundCurrency(subtotal - cost)
+
+  const breakdown = results.map((result, index) => {
+    const item = items[index]
+    const settings = [item.paperSize, item.colorMode === 'BW' ? 'B&W' : item.colorMode]
+    if (result.volume.pagesPerSheet > 1) settings.push(`${result.volume.pagesPerSheet} per side`)
+    settings.push(...result.finishing.map(line => line.name))
+
+    return {
+      key: `item-${index}`,
+      label: `${result.label}: ${result.volume.pageCount} ${result.volume.pageCount === 1 ? 'page' : 'pages'} × ${result.volume.copies} (${settings.join(', ')})`,
+      amount: result.subtotal
+    }
+  })
+
+  for (const line of finishing) {
+    breakdown.push({
+      key: `finishing-${line.id}`,
+      label: `${line.name} (${line.quantityLabel})`,
+      quantity: line.quantity,
+      unitPrice: line.unitPrice,
+      amount: line.amount
+    })
+  }
+
+  if (savings > 0) {
+    breakdown.push({ key: 'discount', label: 'Bulk discounts', amount: -savings })
+  }
+  breakdown.push({ key: 'total', label: 'Total', amount: cost })
+
+  return {
+    cost,
+    pricePerPage: null,
+    appliedTier: null,
+    savings,
+    subtotal,
+    sheets: sum('sheets'),
+    impressions: sum('impressions'),
+    colorImpressions: sum('colorImpressions'),
+    finishing,
+    finishingCost,
+    items: results,
+    breakdown,
+    error: null
+  }
+}
@@ -0,0 +1,39 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { computeItemizedCost } from './pricing.js'
+
+const configs = [{ paper_size: 'A4', color_mode: 'BW', print_type: 'Single', base_price: 1, bulk_tiers: [], is_active: true }]
+
+const stapling = { id: 'staple', kind: 'staple', name: 'Stapling', price: 10, price_unit: 'job' }
+const lamination = { id: 'laminate', kind: 'lamination', name: 'Lamination', price: 2, price_unit: 'sheet' }
+
+const item = (label, pageCount, finishing = [stapling, lamination]) => ({
+  label,
+  paperSize: 'A4',
+  colorMode: 'BW',
+  printType: 'Single',
+  copies: 1,
+  pagesPerSheet: 1,
+  pageCount,
+  finishing
+})
+
+test('per-job finishing is charged once for an itemized order', () => {
+  const quote = computeItemizedCost(configs, [item('a.pdf', 3), item('b.pdf', 4)])
+
+  assert.deepEqual(quote.finishing.map(line => [line.id, line.quantity, line.amount]), [['staple', 1, 10]])
+  assert.deepEqual(quote.items.map(result => result.finishing.map(line => [line.id, line.amount])), [[['laminate', 6]], [['laminate', 8]]])
+  // 7 pages + 7 laminated sheets + one stapling
+  assert.equal(quote.cost, 7 + 14 + 10)
+  assert.equal(quote.breakdown.filter(line => line.key === 'finishing-staple').length, 1)
+})
+
+test('per-job finishing is charged when it fits any item', () => {
+  // Stapling needs two sheets, so the single-page item can't take it
+  const quote = computeItemizedCost(configs, [item('cover.pdf', 1), item('notes.pdf', 5)])
+  assert.deepEqual(quote.finishing.map(line => line.id), ['staple'])
+
+  const unstapled = computeItemizedCost(configs, [item('cover.pdf', 1), item('back.pdf', 1)])
+  assert.deepEqual(unstapled.finishing, [])
+  assert.equal(unstapled.cost, 2 + 4)
+})
@@ -0,0 +1,163 @@
+// Desktop print agent helpers: which jobs to print, how, on which printer,
+// and when to retry. The agent loop itself is stores/printAgentStore.js; it
+// runs in the desktop app, where window.electron reaches the system printers.
+
+import { calculatePrintVolume } from './pricing'
+import { expandPageRanges } from './pageRanges'
+import { generatePrintRecipe } from './pdf/RecipeExporter'
+
+// auto: print paid jobs as they arrive
+// review: hold each job until someone at the shop approves it
+// paused: keep collecting jobs but don't print anything
+export const AGENT_MODES = ['auto', 'review', 'paused']
+
+export const MAX_PRINT_ATTEMPTS = 3
+const RETRY_BASE_DELAY_MS = 30000
+
+// Rough printer throughput for completion estimates
+const SETUP_MINUTES = 5
+const IMPRESSIONS_PER_MINUTE = 20
+const FINISHING_MINUTES = 5
+
+export const isReadyToPrint = (job) => job.job_status === 'pending' && job.payment_status === 'paid'
+
+// 30s, 1 min, 2 min, ... after the nth failed attempt
+export const getRetryDelay = (attempts) => RETRY_BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1)
+
+// Minutes a job should take once started, rounded up to 5
+export const estimatePrintMinutes = (job) => {
+  const volume = calculatePrintVolume({
+    pageCount: job.page_count,
+    pagesPerSheet: job.pages_per_sheet,
+    printType: job.print_type,
+    copies: job.copies,
+    booklet: job.booklet
+  })
+  const finishingMinutes = (job.finishing?.length || 0) * FINISHING_MINUTES
+  const minutes = SETUP_MINUTES + Math.ceil(volume.impressions / IMPRESSIONS_PER_MINUTE) + finishingMinutes
+  return Math.ceil(minutes / 5) * 5
+}
+
+// What the printer has to do for a job: paper, sides, color, copies and the
+// finishing staff do afterwards. Taken from the job's stored recipe (see
+// recipeSchema.js) when it has one, otherwise from the job's columns.
+export const getJobRecipe = (job) => {
+  const print = job.recipe?.print
+  const colorPages = job.recipe
+    ? (print.colorMode === 'BW' ? job.recipe.pages.filter(page => page.colorMode === 'Color').map(page => page.pageNumber) : [])
+    : job.color_pages || []
+
+  return {
+    paperSize: print?.paperSize || job.paper_size || 'A4',
+    colorMode: print?.colorMode || job.color_mode || 'BW',
+    colorPages,
+    // Booklets are printed as double-sided spreads
+    duplex: (print ? print.duplex : job.print_type === 'Double') || !!job.booklet,
+    booklet: !!job.booklet,
+    copies: print?.copies || job.copies || 1,
+    finishing: (print?.finishing || job.finishing || []).map(({ kind, name }) => ({ kind, name }))
+  }
+}
+
+// The spooler jobs a job is printed as: one per document of a multi-file
+// order (print_job_items), each with its own paper, color and copies, or a
+// single one for the whole job
+export const getPrintRuns = (recipe, items) => {
+  if (!items || items.length === 0) {
+    return [{ ...recipe, item: null }]
+  }
+
+  return items.map(item => ({
+    ...recipe,
+    paperSize: item.paper_size,
+    colorMode: item.color_mode,
+    colorPages: item.color_pages || [],
+    copies: item.copies,
+    item
+  }))
+}
+
+// Pages of the job file each item prints. Once the order's selected pages
+// are swapped in, the file holds just those, in print order; until then it
+// is the whole upload and the items' page_ranges are its page numbers.
+export const getItemFilePages = (items, filePageCount, jobPageCount) => {
+  if (filePageCount !== jobPageCount) {
+    return items.map(item => expandPageRanges(item.page_ranges))
+  }
+
+  let next = 1
+  return items.map(item => {
+    const pages = Array.from({ length: item.page_count }, (_, index) => next + index)
+    next += item.page_count
+    return pages
+  })
+}
+
+// A recipe printing one item's pages of the job file with the item's
+// settings, for the print engine (printEngine.js)
+export const buildItemRecipe = (job, item, filePages, pageSizes) => {
+  const itemPages = expandPageRanges(item.page_ranges)
+  const colorPages = (item.color_pages || []).map(page => filePages[itemPages.indexOf(page)])
+
+  return generatePrintRecipe({
+    file: { name: item.filename, size: 0, type: 'application/pdf' },
+    totalPages: pageSizes.length,
+    pages: filePages.map(pageNumber => ({ pageNumber, ...pageSizes[pageNumber - 1] })),
+    printSettings: {
+      paperSize: item.paper_size,
+      colorMode: item.color_mode,
+      duplex: job.print_type === 'Double',
+      copies: item.copies,
+      pagesPerSheet: item.pages_per_sheet || 1,
+      nup: job.nup_options || undefined,
+      colorPages
+    },
+    shopId: job.shop_id
+  })
+}
+
+// Mixed jobs (BW with some color pages) need a color printer too
+export const needsColorPrinter = (recipe) => recipe.colorMode === 'Color' || recipe.colorPages.length > 0
+
+export const getPrintOptions = (recipe) => ({
+  copies: recipe.copies,
+  paperSize: recipe.paperSize,
+  duplex: recipe.duplex,
+  booklet: recipe.booklet,
+  colorMode: needsColorPrinter(recipe) ? 'Color' : 'BW'
+})
+
+// What the shop says a printer can do. The system doesn't reliably report
+// paper sizes or color, so these can be edited on the agent page.
+export const getPrinterProfile = (printer, profiles) => ({
+  enabled: true,
+  paperSizes: printer.supportedSizes || ['A4'],
+  color: printer.colorSupported ?? false,
+  ...profiles?.[printer.id]
+})
+
+// The printer for a job: enabled, loaded with the job's paper and able to
+// print color when needed. Color printers are kept free for color work and
+// the system default wins ties. Returns null when none fits.
+export const pickPrinter = (printers, profiles, recipe) => {
+  const needsColor = needsColorPrinter(recipe)
+
+  const candidates = (printers || []).filter(printer => {
+    const profile = getPrinterProfile(printer, profiles)
+    return profile.enabled &&
+      printer.status !== 'offline' &&
+      profile.paperSizes.includes(recipe.paperSize) &&
+      (!needsColor || profile.color)
+  })
+
+  const rank = (printer) => (
+    (!needsColor && getPrinterProfile(printer, profiles).color ? 2 : 0) + (printer.isDefault ? 0 : 1)
+  )
+
+  return candidates.sort((a, b) => rank(a) - rank(b))[0] || null
+}
+
+export const describeRecipe = (recipe) => (
+  `${recipe.paperSize} ${needsColorPrinter(recipe) ? (recipe.colorMode === 'Color' ? 'color' : 'B&W + color pages') : 'B&W'}` +
+  `${recipe.booklet ? ', booklet' : recipe.duplex ? ', double-sided' : ''}, ${recipe.copies} ${recipe.copies === 1 ? 'copy' : 'copies'}`
+)
@@ -0,0 +1,15 @@
+// Registers the offline service worker (public/sw.js) in production builds.
+// Not used on file:// (desktop app), which loads everything locally anyway.
+// The build id in the URL makes every deploy install a fresh worker, which
+// precaches that build's files and drops the previous build's cache.
+
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator) || !window.location.protocol.startsWith('http')) {
+    return
+  }
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`/sw.js?build=${import.meta.env.BUILD_ID}`)
+      .catch(error => console.warn('⚠️ Service worker registration failed:', error))
+  })
+}
@@ -1,5 +1,6 @@
 import { createClient } from '@supabase/supabase-js'
 import * as tus from 'tus-js-client'
+import { computeOrderCost, computeItemizedCost } from './pricing'
 
 const supabaseUrl = import.meta.env.VITE_SUPABASE_URL
 const supabaseKey = import.meta.env.VITE_SUPABASE_ANON_KEY
@@ -8,6 +9,9 @@ if (!supabaseUrl || !supabaseKey) {
   throw new Error('Missing Supabase environment variables. Please set VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY')
 }
 
+// Print server base URL (empty = same origin, proxied to the server in dev)
+const apiBaseUrl = import.meta.env.VITE_API_URL || ''
+
 const projectId = supabaseUrl.match(/https:\/\/([^.]+)/)?.[1]
 
 export const supabaseStorageUrl = `https://${projectId}.storage.supabase.co`
@@ -17,10 +21,13 @@ console.log('URL:', supabaseUrl)
 console.log('Storage URL:', supabaseStorageUrl)
 console.log('Key:', supabaseKey ? `${supabaseKey.substring(0, 20)}...` : 'NOT SET')
 
+// Sessions are kept so signed-in customers stay signed in across visits;
+// ordering doesn't require an account
 export const supabase = createClient(supabaseUrl, supabaseKey, {
   auth: {
-    persistSession: false,
-    autoRefreshToken: false
+    persistSession: true,
+    autoRefreshToken: true,
+    detectSessionInUrl: true
   },
   realtime: {
     params: {
@@ -29,6 +36,70 @@ export const supabase = createClient(supabaseUrl, supabaseKey, {
   }
 })
 
+// ============================================================================
+// AUTH FUNCTIONS
+// ============================================================================
+
+// Customers sign in with their email: the message has a magic link and a
+// one-time code, whichever is easier on the device they are using
+export const sendSignInEmail = async (email, redirectPath = '/orders') => {
+  try {
+    if (!email) {
+      throw new Error('Email is required')
+    }
+
+    const { error } = await supabase.auth.signInWithOtp({
+      email,
+      options: {
+        emailRedirectTo: `${window.location.origin}${redirectPath}`,
+        shouldCreateUser: true
+      }
+    })
+
+    if (error) {
+      throw new Error(error.message)
+    }
+
+    console.log('✉️ Sign-in email sent')
+    return { error: null }
+
+  } catch (error) {
+    console.error('❌ Sign-in email error:', error)
+    return { error: { message: error.message } }
+  }
+}
+
+export const verifySignInCode = async (email, code) => {
+  try {
+    const { data, error } = await supabase.auth.verifyOtp({ email, token: code, type: 'email' })
+
+    if (error) {
+      throw new Error(error.message)
+    }
+
+    return { data: data.session, error: null }
+
+  } catch (error) {
+    console.error('❌ Sign-in code error:', error)
+    return { data: null, error: { message: error.message } }
+  }
+}
+
+export const signOut = async () => {
+  const { error } = await supabase.auth.signOut()
+  if (error) {
+    console.error('❌ Sign-out error:', error)
+  }
+  return { error: error ? { message: error.message } : null }
+}
+
+// Headers for print server requests, with the customer's token when signed in
+const getAuthHeaders = async () => {
+  const { data } = await supabase.auth.getSession()
+  const token = data.session?.access_token
+  return token ? { Authorization: `Bearer ${token}` } : {}
+}
+
 // ============================================================================
 // FILENAME SANITIZATION
 // ============================================================================
@@ -198,6 +269,34 @@ export const getAllActiveShops = async () => {
   }
 }
 
+// Role of a signed-in user at a shop ('owner' or 'staff'), null if they
+// don't work there
+export const getShopStaffRole = async (shopId, userId) => {
+  try {
+    if (!shopId || !userId) {
+      throw new Error('Shop ID and user ID are required')
+    }
+
+    const { data, error } = await supabase
+      .from('shop_staff')
+      .select('role')
+      .eq('shop_id', shopId)
+      .eq('user_id', userId)
+      .maybeSingle()
+
+    if (error) {
+      console.error('❌ Shop staff error:', error)
+      throw new Error(`Failed to check shop access: ${error.message}`)
+    }
+
+    return { data: data?.role || null, error: null }
+
+  } catch (error) {
+    console.error('❌ Shop staff error:', error)
+    return { data: null, error: { message: error.message } }
+  }
+}
+
 // ============================================================================
 // PRICING FUNCTIONS
 // ============================================================================
@@ -230,72 +329,60 @@ export const getShopPricing = async (shopId) => {
   }
 }
 
+// A shop's active finishing options (stapling, binding, ...), in catalog order
+export const getShopFinishingOptions = async (shopId) => {
+  try {
+    if (!shopId) {
+      throw new Error('Shop ID is required')
+    }
+
+    const { data, error } = await supabase
+      .from('finishing_options')
+      .select('*')
+      .eq('shop_id', shopId)
+      .eq('is_active', true)
+      .order('sort_order')
+
+    if (error) {
+      console.error('❌ Error fetching finishing options:', error)
+      throw new Error(`Failed to fetch finishing options: ${error.message}`)
+    }
+
+    return { data: data || [], error: null }
+
+  } catch (error) {
+    console.error('❌ Finishing options fetch error:', error)
+    return { data: [], error: { message: error.message } }
+  }
+}
+
 export const calculateOrderCost = async (shopId, orderData) => {
   try {
     const { data: configs, error } = await getShopPricing(shopId)
     
     if (error || !configs || configs.length === 0) {
       console.warn('⚠️ No pricing configs found for shop:', shopId)
-      return { 
-        cost: 0, 
-        error: 'No pricing available for this shop',
-        pricePerPage: 0,
-        appliedTier: null,
-        savings: 0
-      }
-    }
-    
-    const matchingConfig = configs.find(config => 
-      config.paper_size === orderData.paperSize &&
-      config.color_mode === orderData.colorMode &&
-      config.print_type === orderData.printType
-    )
-    
-    if (!matchingConfig) {
-      console.warn('⚠️ No matching config found for:', orderData)
-      return { 
-        cost: 0, 
-        error: `No pricing found for ${orderData.paperSize} ${orderData.colorMode} ${orderData.printType}`,
-        pricePerPage: 0,
-        appliedTier: null,
-        savings: 0
-      }
     }
     
-    let pricePerPage = matchingConfig.base_price
-    let appliedTier = null
+    // Volume (sheets/impressions), bulk tiers and the itemized breakdown
+    // are worked out in pricing.js so the print server can reuse them
+    const result = computeOrderCost(error ? [] : configs, orderData)
     
-    // Check for bulk pricing
-    if (matchingConfig.bulk_tiers && matchingConfig.bulk_tiers.length > 0) {
-      const tier = matchingConfig.bulk_tiers
-        .filter(t => orderData.copies >= t.min_copies)
-        .filter(t => !t.max_copies || orderData.copies <= t.max_copies)
-        .sort((a, b) => b.min_copies - a.min_copies)[0]
-      
-      if (tier) {
-        pricePerPage = matchingConfig.base_price * (1 - tier.discount)
-        appliedTier = tier
-      }
+    if (result.error) {
+      console.warn('⚠️ Cost calculation failed for:', orderData, result.error)
+      return result
     }
     
-    const totalCost = pricePerPage * orderData.copies
-    const savings = appliedTier ? (matchingConfig.base_price - pricePerPage) * orderData.copies : 0
-    
     console.log('💰 Cost calculated:', {
-      totalCost,
-      pricePerPage,
-      appliedTier: appliedTier?.name,
-      savings
+      totalCost: result.cost,
+      pricePerPage: result.pricePerPage,
+      impressions: result.impressions,
+      sheets: result.sheets,
+      appliedTier: result.appliedTier?.name,
+      savings: result.savings
     })
     
-    return { 
-      cost: totalCost, 
-      pricePerPage, 
-      appliedTier,
-      savings,
-      basePrice: matchingConfig.base_price,
-      error: null
-    }
+    return result
   } catch (error) {
     console.error('❌ Cost calculation error:', error)
     return { 
@@ -303,11 +390,239 @@ export const calculateOrderCost = async (shopId, orderData) => {
       error: 'Error calculating cost',
       pricePerPage: 0,
       appliedTier: null,
-      savings: 0
+      savings: 0,
+      breakdown: []
     }
   }
 }
 
+// Price an order whose documents have their own settings - `items` are cost
+// specs (as for calculateOrderCost) with a `label` each
+export const calculateItemizedOrderCost = async (shopId, items) => {
+  try {
+    const { data: configs, error } = await getShopPricing(shopId)
+
+    if (error || !configs || configs.length === 0) {
+      console.warn('⚠️ No pricing configs found for shop:', shopId)
+    }
+
+    const result = computeItemizedCost(error ? [] : configs, items)
+
+    if (result.error) {
+      console.warn('⚠️ Itemized cost calculation failed:', result.error)
+      return result
+    }
+
+    console.log('💰 Itemized cost calculated:', {
+      totalCost: result.cost,
+      items: result.items.map(item => ({ label: item.label, cost: item.cost })),
+      savings: result.savings
+    })
+
+    return result
+  } catch (error) {
+    console.error('❌ Itemized cost calculation error:', error)
+    return {
+      cost: 0,
+      error: 'Error calculating cost',
+      pricePerPage: 0,
+      appliedTier: null,
+      savings: 0,
+      breakdown: [],
+      items: []
+    }
+  }
+}
+
+// Pricing editor (shop owners only): every cost config of the shop,
+// including inactive ones
+export const getAllShopPricing = async (shopId) => {
+  try {
+    if (!shopId) {
+      throw new Error('Shop ID is required')
+    }
+
+    const { data, error } = await supabase
+      .from('cost_configs')
+      .select('*')
+      .eq('shop_id', shopId)
+      .order('paper_size')
+      .order('color_mode')
+      .order('print_type')
+
+    if (error) {
+      console.error('❌ Error fetching pricing:', error)
+      throw new Error(`Failed to fetch pricing: ${error.message}`)
+    }
+
+    return { data: data || [], error: null }
+
+  } catch (error) {
+    console.error('❌ Pricing fetch error:', error)
+    return { data: [], error: { message: error.message } }
+  }
+}
+
+// Create a cost config, or update it when it has an id. Changes are
+// recorded in pricing_audit_log by a database trigger.
+export const saveCostConfig = async (config) => {
+  try {
+    if (!config.shop_id) {
+      throw new Error('Shop ID is required')
+    }
+
+    const { id, ...fields } = config
+    const query = id
+      ? supabase.from('cost_configs').update(fields).eq('id', id)
+      : supabase.from('cost_configs').insert(fields)
+
+    const { data, error } = await query.select().single()
+
+    if (error) {
+      console.error('❌ Cost config save error:', error)
+      throw new Error(`Failed to save price: ${error.message}`)
+    }
+
+    console.log('✅ Cost config saved:', data.id)
+    return { data, error: null }
+
+  } catch (error) {
+    console.error('❌ Cost config save error:', error)
+    return { data: null, error: { message: error.message } }
+  }
+}
+
+export const deleteCostConfig = async (configId) => {
+  try {
+    if (!configId) {
+      throw new Error('Cost config ID is required')
+    }
+
+    const { error } = await supabase
+      .from('cost_configs')
+      .delete()
+      .eq('id', configId)
+
+    if (error) {
+      console.error('❌ Cost config delete error:', error)
+      throw new Error(`Failed to delete price: ${error.message}`)
+    }
+
+    return { error: null }
+
+  } catch (error) {
+    console.error('❌ Cost config delete error:', error)
+    return { error: { message: error.message } }
+  }
+}
+
+// Finishing catalog editor (shop owners only): every finishing option of
+// the shop, including inactive ones
+export const getAllShopFinishingOptions = async (shopId) => {
+  try {
+    if (!shopId) {
+      throw new Error('Shop ID is required')
+    }
+
+    const { data, error } = await supabase
+      .from('finishing_options')
+      .select('*')
+      .eq('shop_id', shopId)
+      .order('sort_order')
+      .order('created_at')
+
+    if (error) {
+      console.error('❌ Error fetching finishing catalog:', error)
+      throw new Error(`Failed to fetch finishing options: ${error.message}`)
+    }
+
+    return { data: data || [], error: null }
+
+  } catch (error) {
+    console.error('❌ Finishing catalog fetch error:', error)
+    return { data: [], error: { message: error.message } }
+  }
+}
+
+// Create a finishing option, or update it when it has an id
+export const saveFinishingOption = async (option) => {
+  try {
+    if (!option.shop_id) {
+      throw new Error('Shop ID is required')
+    }
+
+    const { id, ...fields } = option
+    const query = id
+      ? supabase.from('finishing_options').update(fields).eq('id', id)
+      : supabase.from('finishing_options').insert(fields)
+
+    const { data, error } = await query.select().single()
+
+    if (error) {
+      console.error('❌ Finishing option save error:', error)
+      throw new Error(`Failed to save finishing option: ${error.message}`)
+    }
+
+    console.log('✅ Finishing option saved:', data.id)
+    return { data, error: null }
+
+  } catch (error) {
+    console.error('❌ Finishing option save error:', error)
+    return { data: null, error: { message: error.message } }
+  }
+}
+
+export const deleteFinishingOption = async (optionId) => {
+  try {
+    if (!optionId) {
+      throw new Error('Finishing option ID is required')
+    }
+
+    const { error } = await supabase
+      .from('finishing_options')
+      .delete()
+      .eq('id', optionId)
+
+    if (error) {
+      console.error('❌ Finishing option delete error:', error)
+      throw new Error(`Failed to delete finishing option: ${error.message}`)
+    }
+
+    return { error: null }
+
+  } catch (error) {
+    console.error('❌ Finishing option delete error:', error)
+    return { error: { message: error.message } }
+  }
+}
+
+// Latest pricing changes of a shop, newest first
+export const getPricingAuditLog = async (shopId, limit = 50) => {
+  try {
+    if (!shopId) {
+      throw new Error('Shop ID is required')
+    }
+
+    const { data, error } = await supabase
+      .from('pricing_audit_log')
+      .select('*')
+      .eq('shop_id', shopId)
+      .order('created_at', { ascending: false })
+      .limit(limit)
+
+    if (error) {
+      console.error('❌ Pricing audit log error:', error)
+      throw new Error(`Failed to get pricing history: ${error.message}`)
+    }
+
+    return { data: data || [], error: null }
+
+  } catch (error) {
+    console.error('❌ Pricing audit log error:', error)
+    return { data: [], error: { message: error.message } }
+  }
+}
+
 // ============================================================================
 // FILE UPLOAD FUNCTIONS
 // ============================================================================
@@ -429,10 +744,74 @@ export const uploadFile = async (file, shopId) => {
   }
 }
 
+// ============================================================================
+// DOCUMENT CONVERSION FUNCTIONS
+// ============================================================================
+
+export const isWordFile = (file) => {
+  return ['doc', 'docx'].includes(getFileExtension(file.name)) ||
+    file.type === 'application/msword' ||
+    file.type === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+}
+
+// Convert a Word document to PDF on the print server.
+// onProgress(stage, percentage) reports 'uploading', 'converting' and 'downloading'.
+export const convertWordToPDF = (file, onProgress = null) => {
+  return new Promise((resolve, reject) => {
+    const extension = getFileExtension(file.name)
+    const xhr = new XMLHttpRequest()
+    
+    xhr.open('POST', `${apiBaseUrl}/api/convert/word?ext=${encodeURIComponent(extension)}`)
+    xhr.setRequestHeader('Content-Type', 'application/octet-stream')
+    xhr.responseType = 'blob'
+    
+    xhr.upload.onprogress = (e) => {
+      if (e.lengthComputable && onProgress) {
+        onProgress('uploading', (e.loaded / e.total) * 100)
+      }
+    }
+    // Upload finished - the server is running the conversion now
+    xhr.upload.onload = () => onProgress?.('converting', 0)
+    xhr.onprogress = (e) => {
+      if (e.lengthComputable && onProgress) {
+        onProgress('downloading', (e.loaded / e.total) * 100)
+      }
+    }
+    
+    xhr.onload = async () => {
+      if (xhr.status !== 200) {
+        const body = await xhr.response?.text().catch(() => '')
+        let message = xhr.statusText
+        try {
+          message = JSON.parse(body).message || message
+        } catch {
+          // Non-JSON error body - keep the status text
+        }
+        reject(new Error(`Conversion failed: ${message}`))
+        return
+      }
+      
+      const pdfFile = new File(
+        [xhr.response],
+        file.name.replace(/\.[^.]+$/, '.pdf'),
+        { type: 'application/pdf' }
+      )
+      console.log(`✅ Word document converted (${xhr.getResponseHeader('X-Page-Count')} pages)`)
+      resolve({ pdfFile, pageCount: parseInt(xhr.getResponseHeader('X-Page-Count')) || 0 })
+    }
+    xhr.onerror = () => reject(new Error('Conversion failed: could not reach the print server'))
+    
+    console.log(`📄 Converting ${file.name} to PDF...`)
+    xhr.send(file)
+  })
+}
+
 // ============================================================================
 // ORDER FUNCTIONS
 // ============================================================================
 
+// Orders are created by the print server, which recomputes the price from
+// cost_configs and rejects the request if the client total doesn't match
 export const submitPrintJob = async (jobData) => {
   try {
     console.log('📝 Submitting print job:', jobData)
@@ -445,23 +824,28 @@ export const submitPrintJob = async (jobData) => {
       throw new Error('Filename is required')
     }
     
-    const { data, error } = await supabase
-      .from('print_jobs')
-      .insert({
-        ...jobData,
-        payment_status: 'paid', // Auto-mark as paid
-        job_status: 'pending'
-      })
-      .select()
-      .single()
+    // Orders placed while signed in are linked to the customer's account
+    const response = await fetch(`${apiBaseUrl}/api/orders`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(await getAuthHeaders()) },
+      body: JSON.stringify(jobData)
+    })
     
-    if (error) {
-      console.error('❌ Job submission error:', error)
-      throw new Error(`Failed to submit job: ${error.message}`)
+    const result = await response.json().catch(() => ({}))
+    
+    if (response.status === 409 && result.quote) {
+      console.warn('⚠️ Server price differs from client quote:', result.quote)
+      return { data: null, error: { message: result.message, code: 'price_mismatch', quote: result.quote } }
     }
     
-    console.log('✅ Print job submitted successfully:', data.id)
-    return { data, error: null }
+    if (!response.ok) {
+      console.error('❌ Job submission error:', result)
+      throw new Error(`Failed to submit job: ${result.message || result.error || response.statusText}`)
+    }
+    
+    console.log('✅ Print job submitted successfully:', result.job.id)
+    // The token lets this browser swap the order's processed file in (replaceJobFile)
+    return { data: result.job, quote: result.quote, fileToken: result.file_token, error: null }
     
   } catch (error) {
     console.error('❌ Submit error:', error)
@@ -494,61 +878,173 @@ export const getJobStatus = async (jobId) => {
   }
 }
 
-export const updatePrintJob = async (jobId, updates) => {
+// Documents of a multi-file order that have their own print settings, in
+// print order. Orders without per-document settings have no items.
+export const getJobItems = async (jobId) => {
   try {
     if (!jobId) {
       throw new Error('Job ID is required')
     }
 
+    const { data, error } = await supabase
+      .from('print_job_items')
+      .select('*')
+      .eq('job_id', jobId)
+      .order('position')
+
+    if (error) {
+      console.error('❌ Job items error:', error)
+      throw new Error(`Failed to get job items: ${error.message}`)
+    }
+
+    return { data: data || [], error: null }
+
+  } catch (error) {
+    console.error('❌ Job items error:', error)
+    return { data: [], error: { message: error.message } }
+  }
+}
+
+// Jobs of the signed-in customer, newest first
+export const getMyOrders = async (customerId) => {
+  try {
+    if (!customerId) {
+      throw new Error('Customer ID is required')
+    }
+
     const { data, error } = await supabase
       .from('print_jobs')
-      .update({
-        ...updates,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', jobId)
-      .select()
-      .single()
+      .select('*, shops(name)')
+      .eq('customer_id', customerId)
+      .order('created_at', { ascending: false })
 
     if (error) {
-      console.error('❌ Job update error:', error)
-      throw new Error(`Failed to update job: ${error.message}`)
+      console.error('❌ My orders error:', error)
+      throw new Error(`Failed to get orders: ${error.message}`)
     }
 
-    console.log('✅ Job updated successfully:', jobId)
-    return { data, error: null }
+    return { data: data || [], error: null }
 
   } catch (error) {
-    console.error('❌ Job update error:', error)
-    return { data: null, error: { message: error.message } }
+    console.error('❌ My orders error:', error)
+    return { data: [], error: { message: error.message } }
   }
 }
 
-export const updatePaymentStatus = async (jobId, status) => {
+// A shop's job queue: every pending or printing job plus everything placed
+// since `since`, newest first. Only shop staff can read other customers' jobs.
+export const getShopJobs = async (shopId, since) => {
   try {
-    if (!jobId) {
-      throw new Error('Job ID is required')
+    if (!shopId) {
+      throw new Error('Shop ID is required')
     }
 
     const { data, error } = await supabase
       .from('print_jobs')
-      .update({
-        payment_status: status,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', jobId)
-      .select()
-      .single()
+      .select('*')
+      .eq('shop_id', shopId)
+      .or(`job_status.in.(pending,printing),created_at.gte.${since.toISOString()}`)
+      .order('created_at', { ascending: false })
 
     if (error) {
-      console.error('❌ Payment update error:', error)
-      throw new Error(`Failed to update payment: ${error.message}`)
+      console.error('❌ Shop jobs error:', error)
+      throw new Error(`Failed to get shop jobs: ${error.message}`)
     }
 
-    return { data, error: null }
+    return { data: data || [], error: null }
+
+  } catch (error) {
+    console.error('❌ Shop jobs error:', error)
+    return { data: [], error: { message: error.message } }
+  }
+}
+
+// Swap in the processed file of a job that hasn't been paid for yet, and
+// keep the original PDF of a job with a recipe. The print server checks the
+// job is still open and the files have the pages it was priced for.
+// `fileToken` is the one submitPrintJob returned for the job.
+export const replaceJobFile = async (jobId, fileToken, fileUrl, sourceFileUrl = null) => {
+  try {
+    if (!jobId) {
+      throw new Error('Job ID is required')
+    }
+
+    const response = await fetch(`${apiBaseUrl}/api/orders/${jobId}/file`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ file_token: fileToken, file_url: fileUrl, source_file_url: sourceFileUrl })
+    })
+
+    const result = await response.json().catch(() => ({}))
+
+    if (!response.ok) {
+      throw new Error(`Failed to update job file: ${result.message || result.error || response.statusText}`)
+    }
+
+    console.log('✅ Job file updated:', jobId)
+    return { data: result.job, error: null }
+
+  } catch (error) {
+    console.error('❌ Job file update error:', error)
+    return { data: null, error: { message: error.message } }
+  }
+}
+
+// ============================================================================
+// PAYMENT FUNCTIONS
+// ============================================================================
+
+// payment_status is moved by the print server when the gateway's signed
+// webhook arrives - the browser only starts payments and watches the job
+
+export const PAYMENT_STATUSES = ['pending', 'paid', 'failed', 'refunded']
+
+const postToPrintServer = async (path, body) => {
+  const response = await fetch(`${apiBaseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  })
+  
+  const result = await response.json().catch(() => ({}))
+  
+  if (!response.ok) {
+    throw new Error(result.message || result.error || response.statusText)
+  }
+  
+  return result
+}
+
+export const createPaymentIntent = async (jobId) => {
+  try {
+    if (!jobId) {
+      throw new Error('Job ID is required')
+    }
+    
+    console.log('💳 Starting payment for job:', jobId)
+    const intent = await postToPrintServer('/api/payments/intents', { jobId })
+    
+    console.log('✅ Payment intent created:', intent.provider, intent.intentId)
+    return { data: intent, error: null }
+    
+  } catch (error) {
+    console.error('❌ Payment intent error:', error)
+    return { data: null, error: { message: error.message } }
+  }
+}
 
+// Only available while the print server runs the local mock gateway
+export const simulateMockPayment = async (intentId, outcome = 'succeeded') => {
+  try {
+    if (!intentId) {
+      throw new Error('Payment intent ID is required')
+    }
+    
+    const result = await postToPrintServer(`/api/payments/mock/${intentId}/simulate`, { outcome })
+    return { data: result, error: null }
+    
   } catch (error) {
-    console.error('❌ Payment update error:', error)
+    console.error('❌ Mock payment error:', error)
     return { data: null, error: { message: error.message } }
   }
 }
@@ -557,7 +1053,9 @@ export const updatePaymentStatus = async (jobId, status) => {
 // JOB STATUS UPDATE FUNCTIONS (For Desktop App Integration)
 // ============================================================================
 
-export const updateJobStatus = async (jobId, status, estimatedCompletion = null) => {
+// With `fromStatus`, only a job still in that status is updated, so two
+// agents can't both pick up the same job
+export const updateJobStatus = async (jobId, status, estimatedCompletion = null, fromStatus = null) => {
   try {
     console.log(`🔄 Updating job ${jobId} status to: ${status}`)
     
@@ -574,17 +1072,25 @@ export const updateJobStatus = async (jobId, status, estimatedCompletion = null)
       updateData.estimated_completion = estimatedCompletion
     }
     
-    const { data, error } = await supabase
+    let query = supabase
       .from('print_jobs')
       .update(updateData)
       .eq('id', jobId)
-      .select()
-      .single()
+
+    if (fromStatus) {
+      query = query.eq('job_status', fromStatus)
+    }
+
+    const { data, error } = await query.select().maybeSingle()
     
     if (error) {
       console.error('❌ Job status update error:', error)
       throw new Error(`Failed to update job status: ${error.message}`)
     }
+
+    if (!data) {
+      throw new Error(fromStatus ? `Job is no longer ${fromStatus}` : 'Job not found')
+    }
     
     console.log('✅ Job status updated successfully:', data)
     return { data, error: null }
@@ -599,8 +1105,8 @@ export const markJobAsCompleted = async (jobId) => {
   return await updateJobStatus(jobId, 'completed')
 }
 
-export const markJobAsPrinting = async (jobId, estimatedCompletion = null) => {
-  return await updateJobStatus(jobId, 'printing', estimatedCompletion)
+export const markJobAsPrinting = async (jobId, estimatedCompletion = null, fromStatus = null) => {
+  return await updateJobStatus(jobId, 'printing', estimatedCompletion, fromStatus)
 }
 
 export const markJobAsCancelled = async (jobId) => {
@@ -633,11 +1139,13 @@ export const subscribeToJobUpdates = (jobId, callback) => {
     })
 }
 
-export const subscribeToAllJobUpdates = (shopId, callback) => {
+// Channels are shared by name, so a second subscriber on the same shop (the
+// print agent next to the dashboard) needs its own `channelName`
+export const subscribeToAllJobUpdates = (shopId, callback, channelName = `shop_jobs_${shopId}`) => {
   console.log('🔄 Setting up real-time subscription for shop jobs:', shopId)
   
   return supabase
-    .channel(`shop_jobs_${shopId}`)
+    .channel(channelName)
     .on('postgres_changes', 
       { 
         event: '*', 
@@ -653,6 +1161,26 @@ export const subscribeToAllJobUpdates = (shopId, callback) => {
     .subscribe()
 }
 
+export const subscribeToCustomerJobUpdates = (customerId, callback) => {
+  console.log('🔄 Setting up real-time subscription for customer jobs:', customerId)
+
+  return supabase
+    .channel(`customer_jobs_${customerId}`)
+    .on('postgres_changes',
+      {
+        event: '*',
+        schema: 'public',
+        table: 'print_jobs',
+        filter: `customer_id=eq.${customerId}`
+      },
+      (payload) => {
+        console.log('🔄 Real-time customer job update:', payload)
+        callback(payload)
+      }
+    )
+    .subscribe()
+}
+
 // ============================================================================
 // POLLING FUNCTIONS (Backup for real-time)
 // ============================================================================
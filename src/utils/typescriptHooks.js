@@ -0,0 +1,38 @@
+// Module hooks that let `node --test` import the TypeScript sources: Node 20
+// can't strip types, so .ts files are transpiled with the project's
+// TypeScript on load. Tests register them before importing a .ts module:
+//
+//   register('../typescriptHooks.js', import.meta.url)
+//   const { CommandHistory } = await import('./commandHistory.ts')
+
+import { existsSync } from 'node:fs'
+import { readFile } from 'node:fs/promises'
+import { fileURLToPath } from 'node:url'
+import ts from 'typescript'
+
+const COMPILER_OPTIONS = {
+  module: ts.ModuleKind.ESNext,
+  target: ts.ScriptTarget.ES2022
+}
+
+// The app's TypeScript leaves out import extensions, as Vite allows
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier.startsWith('.') && context.parentURL?.endsWith('.ts')) {
+    const url = new URL(specifier, context.parentURL).href
+    const match = [`${url}.ts`, `${url}.js`].find(candidate => existsSync(fileURLToPath(candidate)))
+    if (match) {
+      return { url: match, shortCircuit: true }
+    }
+  }
+  return nextResolve(specifier, context)
+}
+
+export async function load(url, context, nextLoad) {
+  if (!url.endsWith('.ts')) {
+    return nextLoad(url, context)
+  }
+
+  const fileName = fileURLToPath(url)
+  const { outputText } = ts.transpileModule(await readFile(fileName, 'utf8'), { compilerOptions: COMPILER_OPTIONS, fileName })
+  return { format: 'module', source: outputText, shortCircuit: true }
+}
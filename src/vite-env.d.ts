@@ -1,9 +1,28 @@
 /// <reference types="vite/client" />
 
+interface ImportMetaEnv {
+  readonly BUILD_ID: string;
+}
+
+// A spooler job's progress, as the desktop app reports it (IPP state names)
+interface PrintJobStatus {
+  jobId: number;
+  state: string;
+  done: boolean;
+}
+
 interface Window {
   electron: {
     getPrinters: () => Promise<any[]>;
     printDocument: (data: any) => Promise<any>;
+    getPrintJob: (printerId: string, jobId: number) => Promise<PrintJobStatus>;
+    watchPrintJob: (
+      printerId: string,
+      jobId: number,
+      onUpdate: (job: PrintJobStatus | null, error: Error | null) => void,
+      intervalMs?: number,
+      maxFailures?: number
+    ) => () => void;
     getSettings: () => Promise<any>;
     saveSettings: (settings: any) => Promise<boolean>;
     window: {
@@ -12,4 +31,10 @@ interface Window {
       close: () => void;
     };
   };
-}
\ No newline at end of file
+}
+// pdf.js worker script, imported to parse on the main thread when web workers are unavailable
+declare module 'pdfjs-dist/legacy/build/pdf.worker.js' {
+  export const WorkerMessageHandler: unknown
+  const workerModule: { WorkerMessageHandler: unknown }
+  export default workerModule
+}
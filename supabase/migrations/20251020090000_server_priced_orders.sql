@@ -0,0 +1,16 @@
+/*
+  # Server-priced orders
+
+  1. Changes
+    - `print_jobs`
+      - `page_count` (integer) - Number of selected pages the order was priced for
+
+  2. Security
+    - Browsers can no longer insert `print_jobs` rows directly. Orders are
+      created by the print server (`POST /api/orders`) with the service role
+      key after it recomputes the price from `cost_configs`.
+*/
+
+ALTER TABLE print_jobs ADD COLUMN IF NOT EXISTS page_count integer CHECK (page_count > 0);
+
+REVOKE INSERT ON print_jobs FROM anon, authenticated;
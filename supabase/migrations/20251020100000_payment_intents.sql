@@ -0,0 +1,47 @@
+/*
+  # Payment intents and webhook events
+
+  1. Changes
+    - `print_jobs`
+      - `payment_provider` (text) - Gateway that holds the current payment intent
+      - `payment_intent_id` (text) - Gateway's id for the current payment intent
+      - `payment_status` now one of pending, paid, failed, refunded
+
+  2. New Tables
+    - `payment_events`
+      - `id` (text, primary key) - Gateway event id, makes webhook handling idempotent
+      - `provider` (text) - Gateway name
+      - `job_id` (uuid) - References print_jobs
+      - `intent_id` (text) - Payment intent the event belongs to
+      - `type` (text) - Normalized event type (payment.succeeded, ...)
+      - `amount` (integer) - Amount in minor units (paise)
+      - `received_at` (timestamp) - When the webhook was processed
+
+  3. Security
+    - `payment_status` is only written by the print server after a verified
+      webhook. Browsers lose UPDATE on `print_jobs`: a job's file is swapped
+      through the print server (`POST /api/orders/:jobId/file`), which only
+      accepts it while the job is unpaid and has the priced page count.
+    - RLS enabled on `payment_events` with no policies (server only)
+*/
+
+ALTER TABLE print_jobs ADD COLUMN IF NOT EXISTS payment_provider text;
+ALTER TABLE print_jobs ADD COLUMN IF NOT EXISTS payment_intent_id text;
+
+ALTER TABLE print_jobs DROP CONSTRAINT IF EXISTS print_jobs_payment_status_check;
+ALTER TABLE print_jobs ADD CONSTRAINT print_jobs_payment_status_check
+  CHECK (payment_status IN ('pending', 'paid', 'failed', 'refunded'));
+
+CREATE TABLE IF NOT EXISTS payment_events (
+  id text PRIMARY KEY,
+  provider text NOT NULL,
+  job_id uuid REFERENCES print_jobs(id) ON DELETE CASCADE,
+  intent_id text NOT NULL,
+  type text NOT NULL,
+  amount integer,
+  received_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE payment_events ENABLE ROW LEVEL SECURITY;
+
+REVOKE UPDATE ON print_jobs FROM anon, authenticated;
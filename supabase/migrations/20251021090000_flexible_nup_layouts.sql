@@ -0,0 +1,16 @@
+/*
+  # Flexible N-up layouts
+
+  1. Changes
+    - `print_jobs`
+      - `pages_per_sheet` now one of 1, 2, 4, 6, 8, 9, 16
+      - `nup_options` (jsonb) - Layout for N-up jobs: reading order
+        (horizontal, vertical, rtl), gutter and margin in mm, cell borders
+        and auto-rotation to landscape. NULL for 1 page per sheet.
+*/
+
+ALTER TABLE print_jobs DROP CONSTRAINT IF EXISTS print_jobs_pages_per_sheet_check;
+ALTER TABLE print_jobs ADD CONSTRAINT print_jobs_pages_per_sheet_check
+  CHECK (pages_per_sheet IN (1, 2, 4, 6, 8, 9, 16));
+
+ALTER TABLE print_jobs ADD COLUMN IF NOT EXISTS nup_options jsonb;
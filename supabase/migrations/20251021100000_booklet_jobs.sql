@@ -0,0 +1,15 @@
+/*
+  # Booklet jobs
+
+  1. Changes
+    - `print_jobs`
+      - `booklet` (boolean) - File is imposed as saddle-stitch spreads
+        (printed double-sided, 2 pages per sheet, flipped on the short edge)
+      - `signature_size` (integer) - Pages per folded signature. NULL when
+        the booklet is a single signature.
+*/
+
+ALTER TABLE print_jobs ADD COLUMN IF NOT EXISTS booklet boolean NOT NULL DEFAULT false;
+
+ALTER TABLE print_jobs ADD COLUMN IF NOT EXISTS signature_size integer
+  CHECK (signature_size IS NULL OR (signature_size > 0 AND signature_size % 4 = 0));
@@ -0,0 +1,11 @@
+/*
+  # Mixed color jobs
+
+  1. Changes
+    - `print_jobs`
+      - `color_pages` (integer[]) - Pages of a BW job printed in color,
+        charged at the shop's Color rate. NULL when every page uses the
+        job's color_mode.
+*/
+
+ALTER TABLE print_jobs ADD COLUMN IF NOT EXISTS color_pages integer[];
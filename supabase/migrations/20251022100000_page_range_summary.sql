@@ -0,0 +1,10 @@
+/*
+  # Page range summary
+
+  1. Changes
+    - `print_jobs`
+      - `page_ranges` (text) - Compact summary of the selected pages in
+        print order, e.g. "1-5, 8, 10-12", for operators and receipts.
+*/
+
+ALTER TABLE print_jobs ADD COLUMN IF NOT EXISTS page_ranges text;
@@ -0,0 +1,57 @@
+/*
+  # Print job items
+
+  Multi-file orders can give each document its own copies, color mode,
+  paper size and N-up. The order stays one `print_jobs` row (one file, one
+  payment); each document with its settings is an item of it.
+
+  1. New Tables
+    - `print_job_items`
+      - `id` (uuid, primary key)
+      - `job_id` (uuid) - References print_jobs
+      - `position` (integer) - Place of the document in the order, from 1
+      - `filename` (text) - Name of the document as uploaded
+      - `page_ranges` (text) - The item's pages of the job file, in print
+        order, e.g. "1-5, 8"
+      - `page_count` (integer) - Number of pages printed
+      - `copies` (integer)
+      - `paper_size` (text)
+      - `color_mode` (text)
+      - `pages_per_sheet` (integer)
+      - `color_pages` (integer[]) - Pages of a BW item printed in color
+      - `total_cost` (numeric) - The item's share of the job total
+      - `created_at` (timestamp)
+
+  2. Security
+    - RLS enabled. Items are readable like the job they belong to and are
+      only written by the print server together with the job.
+*/
+
+CREATE TABLE IF NOT EXISTS print_job_items (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  job_id uuid NOT NULL REFERENCES print_jobs(id) ON DELETE CASCADE,
+  position integer NOT NULL CHECK (position > 0),
+  filename text NOT NULL,
+  page_ranges text NOT NULL,
+  page_count integer NOT NULL CHECK (page_count > 0),
+  copies integer NOT NULL CHECK (copies > 0),
+  paper_size text NOT NULL,
+  color_mode text NOT NULL,
+  pages_per_sheet integer NOT NULL DEFAULT 1 CHECK (pages_per_sheet IN (1, 2, 4, 6, 8, 9, 16)),
+  color_pages integer[],
+  total_cost numeric(10,2) NOT NULL,
+  created_at timestamptz DEFAULT now(),
+  UNIQUE (job_id, position)
+);
+
+CREATE INDEX IF NOT EXISTS print_job_items_job_id_idx ON print_job_items (job_id);
+
+ALTER TABLE print_job_items ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can read print job items"
+  ON print_job_items
+  FOR SELECT
+  TO anon, authenticated
+  USING (true);
+
+REVOKE INSERT, UPDATE, DELETE ON print_job_items FROM anon, authenticated;
@@ -0,0 +1,54 @@
+/*
+  # Finishing options
+
+  1. New Tables
+    - `finishing_options` - A shop's catalog of finishing services
+      - `id` (uuid, primary key)
+      - `shop_id` (uuid) - References shops
+      - `kind` (text) - staple, hole_punch, binding, lamination or cover.
+        Compatibility rules follow the kind (see src/utils/finishing.js).
+      - `name` (text) - Shown to customers, e.g. "Spiral binding"
+      - `price` (numeric) - Price per unit
+      - `price_unit` (text) - job, sheet or copy
+      - `min_sheets` (integer) - Fewest sheets per copy the option accepts
+      - `max_sheets` (integer) - Most sheets per copy the option accepts
+      - `is_active` (boolean)
+      - `sort_order` (integer) - Position in the catalog
+      - `created_at` (timestamp)
+
+  2. Changes
+    - `print_jobs`
+      - `finishing` (jsonb) - Finishing chosen for the job as priced:
+        [{ id, kind, name, priceUnit, quantity, unitPrice, amount }].
+        NULL when there is none.
+
+  3. Security
+    - RLS enabled on `finishing_options`. Anyone can read active options;
+      orders are priced from them by the print server.
+*/
+
+CREATE TABLE IF NOT EXISTS finishing_options (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  shop_id uuid NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+  kind text NOT NULL CHECK (kind IN ('staple', 'hole_punch', 'binding', 'lamination', 'cover')),
+  name text NOT NULL,
+  price numeric(10,2) NOT NULL CHECK (price >= 0),
+  price_unit text NOT NULL DEFAULT 'job' CHECK (price_unit IN ('job', 'sheet', 'copy')),
+  min_sheets integer CHECK (min_sheets IS NULL OR min_sheets > 0),
+  max_sheets integer CHECK (max_sheets IS NULL OR max_sheets > 0),
+  is_active boolean NOT NULL DEFAULT true,
+  sort_order integer NOT NULL DEFAULT 0,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS finishing_options_shop_id_idx ON finishing_options (shop_id);
+
+ALTER TABLE finishing_options ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can read active finishing options"
+  ON finishing_options
+  FOR SELECT
+  TO anon, authenticated
+  USING (is_active = true);
+
+ALTER TABLE print_jobs ADD COLUMN IF NOT EXISTS finishing jsonb;
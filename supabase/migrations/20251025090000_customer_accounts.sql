@@ -0,0 +1,54 @@
+/*
+  # Customer accounts
+
+  Customers can sign in with an email magic link or one-time code. Orders
+  placed while signed in are linked to the customer's profile so they show
+  up under "My Orders". Ordering without an account keeps working.
+
+  1. Changes
+    - `profiles`
+      - Created automatically for new auth users (name defaults to the
+        part of the email before the @)
+    - `print_jobs`
+      - `customer_id` (uuid) - References profiles. Set by the print server
+        from the customer's access token; NULL for guest orders.
+
+  2. Security
+    - Signed-in customers can read their own jobs (needed for the order
+      list and its realtime updates)
+    - Users can create their own profile row
+*/
+
+CREATE OR REPLACE FUNCTION handle_new_user()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  INSERT INTO profiles (id, name, email)
+  VALUES (NEW.id, COALESCE(NEW.raw_user_meta_data->>'name', split_part(NEW.email, '@', 1)), NEW.email)
+  ON CONFLICT (id) DO NOTHING;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS on_auth_user_created ON auth.users;
+CREATE TRIGGER on_auth_user_created
+  AFTER INSERT ON auth.users
+  FOR EACH ROW EXECUTE FUNCTION handle_new_user();
+
+CREATE POLICY "Users can create own profile"
+  ON profiles
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (auth.uid() = id);
+
+ALTER TABLE print_jobs ADD COLUMN IF NOT EXISTS customer_id uuid REFERENCES profiles(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS print_jobs_customer_id_idx ON print_jobs (customer_id, created_at DESC);
+
+CREATE POLICY "Customers can read own print jobs"
+  ON print_jobs
+  FOR SELECT
+  TO authenticated
+  USING (customer_id = auth.uid());
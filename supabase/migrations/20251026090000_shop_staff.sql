@@ -0,0 +1,81 @@
+/*
+  # Shop staff
+
+  Shop owners and their staff sign in (same email sign-in as customers) and
+  run the shop's job queue from the dashboard at /dashboard/:shopId.
+
+  1. New Tables
+    - `shop_staff`
+      - `shop_id` (uuid) - References shops
+      - `user_id` (uuid) - References profiles
+      - `role` (text) - 'owner' or 'staff'
+      - `created_at` (timestamp)
+
+  2. Security
+    - RLS enabled on `shop_staff`. Members can read their own memberships;
+      rows are added by the project admin.
+    - `is_shop_staff(shop_id)` checks the signed-in user's membership. It is
+      SECURITY DEFINER so policies can use it without reading `shop_staff`
+      through RLS.
+    - Staff can read every job of their shop and update its status. The
+      status columns are no longer updatable by `anon`: only signed-in users
+      hold the column grant, and a restrictive policy limits it to the
+      shop's staff.
+*/
+
+CREATE TABLE IF NOT EXISTS shop_staff (
+  shop_id uuid NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+  user_id uuid NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  role text NOT NULL DEFAULT 'staff' CHECK (role IN ('owner', 'staff')),
+  created_at timestamptz DEFAULT now(),
+  PRIMARY KEY (shop_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS shop_staff_user_id_idx ON shop_staff (user_id);
+
+ALTER TABLE shop_staff ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Staff can read own memberships"
+  ON shop_staff
+  FOR SELECT
+  TO authenticated
+  USING (user_id = auth.uid());
+
+CREATE OR REPLACE FUNCTION is_shop_staff(target_shop_id uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM shop_staff
+    WHERE shop_id = target_shop_id AND user_id = auth.uid()
+  );
+$$;
+
+CREATE INDEX IF NOT EXISTS print_jobs_shop_id_created_at_idx ON print_jobs (shop_id, created_at DESC);
+
+CREATE POLICY "Shop staff can read shop print jobs"
+  ON print_jobs
+  FOR SELECT
+  TO authenticated
+  USING (is_shop_staff(shop_id));
+
+REVOKE UPDATE ON print_jobs FROM anon;
+GRANT UPDATE (job_status, estimated_completion, updated_at) ON print_jobs TO authenticated;
+
+CREATE POLICY "Shop staff can update shop print jobs"
+  ON print_jobs
+  FOR UPDATE
+  TO authenticated
+  USING (is_shop_staff(shop_id))
+  WITH CHECK (is_shop_staff(shop_id));
+
+-- Restrictive, so an older permissive update policy can't let others through
+CREATE POLICY "Only shop staff can update print jobs"
+  ON print_jobs
+  AS RESTRICTIVE
+  FOR UPDATE
+  TO authenticated
+  USING (is_shop_staff(shop_id))
+  WITH CHECK (is_shop_staff(shop_id));
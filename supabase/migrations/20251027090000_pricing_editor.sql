@@ -0,0 +1,125 @@
+/*
+  # Pricing editor
+
+  Shop owners manage their own prices from /dashboard/:shopId/pricing
+  instead of editing `cost_configs` rows by hand. Every change is recorded.
+
+  1. New Tables
+    - `pricing_audit_log`
+      - `id` (uuid, primary key)
+      - `shop_id` (uuid) - References shops
+      - `table_name` (text) - Table of the changed row ('cost_configs')
+      - `record_id` (uuid) - Id of the changed row
+      - `action` (text) - 'insert', 'update' or 'delete'
+      - `changed_by` (uuid) - User who made the change; NULL for changes
+        made with the service role
+      - `changed_by_email` (text) - That user's email, for display
+      - `old_data` (jsonb) - Row before the change (NULL for inserts)
+      - `new_data` (jsonb) - Row after the change (NULL for deletes)
+      - `created_at` (timestamp)
+
+  2. Changes
+    - `cost_configs` changes are written to the audit log by a trigger, so
+      they are recorded however they are made
+
+  3. Security
+    - `is_shop_owner(shop_id)` checks for an 'owner' row in `shop_staff`
+    - Owners can read all of their shop's cost configs (including inactive
+      ones) and insert, update and delete them
+    - Owners can read their shop's audit log; nobody writes it directly
+*/
+
+CREATE OR REPLACE FUNCTION is_shop_owner(target_shop_id uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM shop_staff
+    WHERE shop_id = target_shop_id AND user_id = auth.uid() AND role = 'owner'
+  );
+$$;
+
+CREATE POLICY "Shop owners can read all cost configs"
+  ON cost_configs
+  FOR SELECT
+  TO authenticated
+  USING (is_shop_owner(shop_id));
+
+CREATE POLICY "Shop owners can create cost configs"
+  ON cost_configs
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (is_shop_owner(shop_id));
+
+CREATE POLICY "Shop owners can update cost configs"
+  ON cost_configs
+  FOR UPDATE
+  TO authenticated
+  USING (is_shop_owner(shop_id))
+  WITH CHECK (is_shop_owner(shop_id));
+
+CREATE POLICY "Shop owners can delete cost configs"
+  ON cost_configs
+  FOR DELETE
+  TO authenticated
+  USING (is_shop_owner(shop_id));
+
+CREATE TABLE IF NOT EXISTS pricing_audit_log (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  shop_id uuid NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+  table_name text NOT NULL,
+  record_id uuid NOT NULL,
+  action text NOT NULL CHECK (action IN ('insert', 'update', 'delete')),
+  changed_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  changed_by_email text,
+  old_data jsonb,
+  new_data jsonb,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS pricing_audit_log_shop_id_idx ON pricing_audit_log (shop_id, created_at DESC);
+
+ALTER TABLE pricing_audit_log ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Shop owners can read pricing audit log"
+  ON pricing_audit_log
+  FOR SELECT
+  TO authenticated
+  USING (is_shop_owner(shop_id));
+
+CREATE OR REPLACE FUNCTION log_pricing_change()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  changed_row record;
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    changed_row := OLD;
+  ELSE
+    changed_row := NEW;
+  END IF;
+
+  INSERT INTO pricing_audit_log (shop_id, table_name, record_id, action, changed_by, changed_by_email, old_data, new_data)
+  VALUES (
+    changed_row.shop_id,
+    TG_TABLE_NAME,
+    changed_row.id,
+    lower(TG_OP),
+    auth.uid(),
+    auth.jwt() ->> 'email',
+    CASE WHEN TG_OP = 'INSERT' THEN NULL ELSE to_jsonb(OLD) END,
+    CASE WHEN TG_OP = 'DELETE' THEN NULL ELSE to_jsonb(NEW) END
+  );
+
+  RETURN changed_row;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS cost_configs_audit ON cost_configs;
+CREATE TRIGGER cost_configs_audit
+  AFTER INSERT OR UPDATE OR DELETE ON cost_configs
+  FOR EACH ROW EXECUTE FUNCTION log_pricing_change();
@@ -0,0 +1,25 @@
+/*
+  # Print job recipes
+
+  Orders keep the edit instructions for their file, so the shop can see and
+  redo exactly what the customer asked for instead of only the flattened PDF.
+
+  1. Changes
+    - `print_jobs`
+      - `recipe` (jsonb) - Print recipe for the job's original file: page
+        order, per-page crop/rotate/scale/offset and color, and the print
+        settings. Format 2.0, defined by RECIPE_SCHEMA in
+        src/utils/pdf/recipeSchema.js and checked by the print server.
+        NULL for orders placed without one (multi-document orders, booklets,
+        orders from before this change).
+
+  2. Security
+    - No policy changes; the column is covered by the existing `print_jobs`
+      policies.
+*/
+
+ALTER TABLE print_jobs ADD COLUMN IF NOT EXISTS recipe jsonb;
+
+ALTER TABLE print_jobs DROP CONSTRAINT IF EXISTS print_jobs_recipe_version_check;
+ALTER TABLE print_jobs ADD CONSTRAINT print_jobs_recipe_version_check
+  CHECK (recipe IS NULL OR recipe->>'version' = '2.0');
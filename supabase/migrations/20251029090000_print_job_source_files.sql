@@ -0,0 +1,25 @@
+/*
+  # Original files for recipe jobs
+
+  A job's recipe refers to pages of the customer's original PDF, which
+  wasn't stored - only the flattened selection in `file_url`. Keeping the
+  original lets the print server and the desktop agent render the job from
+  its recipe (src/utils/pdf/printEngine.js).
+
+  1. Changes
+    - `print_jobs`
+      - `source_file_url` (text) - The original PDF the recipe was made
+        from. Set by the print server (`POST /api/orders/:jobId/file`) after
+        checking its page count against the recipe. NULL for jobs without a
+        recipe, or when the original never arrived; those print `file_url`.
+
+  2. Security
+    - No policy changes. Browsers have no UPDATE on `print_jobs`, so only the
+      print server writes the column.
+*/
+
+ALTER TABLE print_jobs ADD COLUMN IF NOT EXISTS source_file_url text;
+
+ALTER TABLE print_jobs DROP CONSTRAINT IF EXISTS print_jobs_source_file_recipe_check;
+ALTER TABLE print_jobs ADD CONSTRAINT print_jobs_source_file_recipe_check
+  CHECK (source_file_url IS NULL OR recipe IS NOT NULL);
@@ -0,0 +1,35 @@
+/*
+  # Bulk tier bounds in impressions
+
+  Bulk tiers are matched on an order's impressions (printed sides), not its
+  copies, but their bounds were stored as `min_copies` / `max_copies`. The
+  keys are renamed so the data says what the pricing code does with it.
+
+  1. Changes
+    - `cost_configs.bulk_tiers`
+      - Each tier's `min_copies` becomes `min_impressions` and `max_copies`
+        becomes `max_impressions`; values are unchanged. Tiers already using
+        the new keys are left alone.
+
+  2. Security
+    - No policy changes.
+*/
+
+UPDATE cost_configs
+SET bulk_tiers = (
+  SELECT coalesce(jsonb_agg(
+    CASE
+      WHEN tier ? 'min_copies' OR tier ? 'max_copies' THEN
+        (tier - 'min_copies' - 'max_copies')
+          || jsonb_build_object('min_impressions', tier -> 'min_copies', 'max_impressions', tier -> 'max_copies')
+      ELSE tier
+    END
+    ORDER BY position
+  ), '[]'::jsonb)
+  FROM jsonb_array_elements(bulk_tiers) WITH ORDINALITY AS tiers (tier, position)
+)
+WHERE jsonb_typeof(bulk_tiers) = 'array'
+  AND EXISTS (
+    SELECT 1 FROM jsonb_array_elements(bulk_tiers) AS tier
+    WHERE tier ? 'min_copies' OR tier ? 'max_copies'
+  );
@@ -0,0 +1,20 @@
+/*
+  # Order file tokens
+
+  The browser swaps the selected pages (and the original of a recipe job)
+  into a new order through `POST /api/orders/:jobId/file`. Job ids appear
+  in status links, so the id alone must not be enough to replace a file.
+
+  1. Changes
+    - `print_jobs`
+      - `file_token_hash` (text) - SHA-256 of a random token the print
+        server returns once, to the browser that placed the order. Replacing
+        the job's files requires the token. NULL for jobs from before this
+        change, whose files can no longer be replaced.
+
+  2. Security
+    - No policy changes. Only the hash is stored, so reading the row does
+      not reveal the token.
+*/
+
+ALTER TABLE print_jobs ADD COLUMN IF NOT EXISTS file_token_hash text;
@@ -0,0 +1,37 @@
+/*
+  # Finishing catalog editor
+
+  Shop owners manage their finishing options from the pricing page
+  (/dashboard/:shopId/pricing) instead of editing `finishing_options`
+  rows by hand.
+
+  1. Security
+    - Owners can read all of their shop's finishing options (including
+      inactive ones) and insert, update and delete them, through
+      `is_shop_owner(shop_id)`
+*/
+
+CREATE POLICY "Shop owners can read all finishing options"
+  ON finishing_options
+  FOR SELECT
+  TO authenticated
+  USING (is_shop_owner(shop_id));
+
+CREATE POLICY "Shop owners can create finishing options"
+  ON finishing_options
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (is_shop_owner(shop_id));
+
+CREATE POLICY "Shop owners can update finishing options"
+  ON finishing_options
+  FOR UPDATE
+  TO authenticated
+  USING (is_shop_owner(shop_id))
+  WITH CHECK (is_shop_owner(shop_id));
+
+CREATE POLICY "Shop owners can delete finishing options"
+  ON finishing_options
+  FOR DELETE
+  TO authenticated
+  USING (is_shop_owner(shop_id));
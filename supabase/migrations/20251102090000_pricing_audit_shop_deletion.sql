@@ -0,0 +1,47 @@
+/*
+  # Pricing audit log and shop deletion
+
+  Deleting a shop cascades to its `cost_configs`, and the audit trigger then
+  tried to log each deleted price against the shop being deleted. The
+  `pricing_audit_log.shop_id` foreign key rejected those rows, so shops
+  could not be deleted.
+
+  1. Changes
+    - `log_pricing_change()` skips logging when the row's shop no longer
+      exists. The shop's audit log is removed with it by the cascade.
+*/
+
+CREATE OR REPLACE FUNCTION log_pricing_change()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  changed_row record;
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    changed_row := OLD;
+  ELSE
+    changed_row := NEW;
+  END IF;
+
+  -- Rows removed along with their shop have nothing to be logged against
+  IF NOT EXISTS (SELECT 1 FROM shops WHERE id = changed_row.shop_id) THEN
+    RETURN changed_row;
+  END IF;
+
+  INSERT INTO pricing_audit_log (shop_id, table_name, record_id, action, changed_by, changed_by_email, old_data, new_data)
+  VALUES (
+    changed_row.shop_id,
+    TG_TABLE_NAME,
+    changed_row.id,
+    lower(TG_OP),
+    auth.uid(),
+    auth.jwt() ->> 'email',
+    CASE WHEN TG_OP = 'INSERT' THEN NULL ELSE to_jsonb(OLD) END,
+    CASE WHEN TG_OP = 'DELETE' THEN NULL ELSE to_jsonb(NEW) END
+  );
+
+  RETURN changed_row;
+END;
+$$;
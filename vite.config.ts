@@ -5,9 +5,15 @@ import { resolve } from 'path';
 export default defineConfig({
   plugins: [react()],
   base: process.env.IS_DEV ? '/' : './',
+  define: {
+    // Registers each build's service worker as a new version (see public/sw.js)
+    'import.meta.env.BUILD_ID': JSON.stringify(Date.now().toString(36)),
+  },
   build: {
     outDir: 'dist',
     assetsDir: '.',
+    // Lists every built file for the service worker to precache
+    manifest: 'asset-manifest.json',
     rollupOptions: {
       input: {
         main: resolve(__dirname, 'index.html'),
@@ -22,6 +28,9 @@ export default defineConfig({
     hmr: {
       clientPort: 443,
     },
+    proxy: {
+      '/api': 'http://localhost:3001',
+    },
   },
   preview: {
     port: 5000,